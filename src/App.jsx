@@ -1,6 +1,6 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
-import { PieChart, Pie, Cell, LineChart, Line, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip as RechartsTooltip, Legend } from 'recharts';
-import { Calendar, Users, CheckSquare, Menu, X, Plus, Edit2, Trash2, Save, Send, Star, HelpCircle, AlertCircle, Clock, FileText, Briefcase, Theater, FolderOpen } from 'lucide-react';
+import React, { useState, useEffect, useRef, createContext, useContext } from 'react';
+import { PieChart, Pie, Cell, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip as RechartsTooltip, Legend } from 'recharts';
+import { Calendar, Users, CheckSquare, Menu, X, Plus, Edit2, Trash2, Save, Send, Star, HelpCircle, AlertCircle, Clock, FileText, Briefcase, Theater, FolderOpen, Download, Upload, Check, Loader2, CloudOff, Undo2, RotateCcw, UserCircle, UserPlus, Lock, KeyRound, Search, Share2, Printer, AlertTriangle } from 'lucide-react';
 
 // ============================================================================
 // CONSTANTS
@@ -30,6 +30,18 @@ const MOOD_SCALE = [
   { value: 5, label: 'Inspired', desc: 'Highly motivated and creative.' }
 ];
 
+// Number of changes kept on the undo stack
+const HISTORY_LIMIT = 50;
+
+// How long the post-delete "Undo" toast stays visible
+const TOAST_DURATION = 6000;
+
+// How often an encrypted profile checks whether it has been idle long enough to lock
+const AUTO_LOCK_CHECK_INTERVAL = 15000;
+
+// How often a tab left open drops trash older than the retention period
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
 // ============================================================================
 // CONTEXT
 // ============================================================================
@@ -44,56 +56,1113 @@ const useApp = () => {
   return context;
 };
 
+// ============================================================================
+// DATA SCHEMA & MIGRATIONS
+// ============================================================================
+
+// Bump this whenever the shape of the persisted data changes, and add a
+// matching entry to MIGRATIONS below.
+const SCHEMA_VERSION = 13;
+
+const createDefaultData = () => ({
+  schemaVersion: SCHEMA_VERSION,
+  user: null,
+  customRoles: [],
+  people: [],
+  employees: [],
+  employeeGroups: [],
+  todos: [],
+  meetings: [],
+  contacts: [],
+  journalEntries: [],
+  metrics: [],
+  rehearsalReports: [],
+  rehearsalSchedule: [],
+  incidents: [],
+  productions: [],
+  castCrew: [],
+  characters: [],
+  scenes: [],
+  projectEvents: [],
+  milestones: [],
+  budgetCategories: [],
+  expenses: [],
+  trash: [],
+  settings: {
+    trashRetentionDays: 30,
+    autoLockMinutes: 15,
+    attendanceAlertThreshold: 3
+  },
+  resources: [
+    {
+      id: 1,
+      title: 'The Five Dysfunctions of a Team by Patrick Lencioni',
+      url: 'https://www.tablegroup.com/books/dysfunctions',
+      category: 'EI & PS',
+      favorite: false,
+      createdAt: new Date().toISOString()
+    },
+    {
+      id: 2,
+      title: 'Psychological Safety and Learning Behavior in Work Teams',
+      url: 'https://web.mit.edu/curhan/www/docs/Articles/15341_Readings/Group_Performance/Edmondson%20Psychological%20safety.pdf',
+      category: 'EI & PS',
+      favorite: false,
+      createdAt: new Date().toISOString()
+    }
+  ]
+});
+
+// Every list-valued collection in the data blob, with a human-readable label
+const COLLECTION_LABELS = {
+  people: 'People',
+  employees: 'Employees',
+  employeeGroups: 'Groups',
+  todos: 'To-Dos',
+  meetings: 'Meetings',
+  contacts: 'Contacts',
+  journalEntries: 'Journal Entries',
+  metrics: 'Metric Check-ins',
+  rehearsalReports: 'Rehearsal Reports',
+  rehearsalSchedule: 'Rehearsal Schedule',
+  incidents: 'Safety Incidents',
+  productions: 'Productions',
+  castCrew: 'Cast & Crew',
+  characters: 'Characters',
+  scenes: 'Scenes',
+  projectEvents: 'Projects & Events',
+  milestones: 'Milestones',
+  budgetCategories: 'Budget Categories',
+  expenses: 'Expenses',
+  resources: 'Resources',
+  customRoles: 'Custom Roles',
+  trash: 'Trash'
+};
+
+const COLLECTION_KEYS = Object.keys(COLLECTION_LABELS);
+
+// Fields that hold ids from another collection, so merges can rewrite them
+// when an incoming record has to be given a new id. `list.field` is an id
+// (or list of ids) inside each item of a list of objects.
+const COLLECTION_REFERENCES = {
+  castCrew: { productionId: 'productions', personId: 'people' },
+  employeeGroups: { members: 'employees' },
+  employees: { roles: 'customRoles', personId: 'people' },
+  todos: { roles: 'customRoles', assigneeId: 'people' },
+  meetings: { roles: 'customRoles', attendeeIds: 'people' },
+  contacts: { roles: 'customRoles', personId: 'people' },
+  rehearsalReports: {
+    attendeeIds: 'people',
+    productionId: 'productions',
+    scheduleId: 'rehearsalSchedule',
+    'attendance.castCrewId': 'castCrew'
+  },
+  rehearsalSchedule: { productionId: 'productions', 'calls.castCrewIds': 'castCrew', 'calls.sceneIds': 'scenes' },
+  milestones: { projectId: 'projectEvents', ownerId: 'employees', dependsOn: 'milestones' },
+  budgetCategories: { productionId: 'productions', projectId: 'projectEvents' },
+  expenses: { categoryId: 'budgetCategories', productionId: 'productions', projectId: 'projectEvents' },
+  incidents: {
+    productionId: 'productions',
+    reportId: 'rehearsalReports',
+    involvedIds: 'people',
+    ownerId: 'people'
+  },
+  characters: { productionId: 'productions', castCrewId: 'castCrew' },
+  scenes: { productionId: 'productions', characterIds: 'characters' }
+};
+
+// Answers old reports gave in the safety field when nothing happened
+const NO_INCIDENT_ANSWER = /^(|none|nothing|no|nil|n\/?a|-+|—|no incidents?|nothing to report|none to report|none reported)\.?$/i;
+
+// Ordered chain of migrations. Each entry upgrades data saved at
+// `version - 1` to `version`. Never edit a released migration; add a new one.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Baseline schema: normalise nested lists older saves may lack',
+    migrate: (data) => ({
+      ...data,
+      customRoles: (data.customRoles || []).map(role => ({
+        ...role,
+        features: Array.isArray(role.features) ? role.features : []
+      })),
+      employeeGroups: (data.employeeGroups || []).map(group => ({
+        ...group,
+        members: Array.isArray(group.members) ? group.members : []
+      }))
+    })
+  },
+  {
+    version: 2,
+    description: 'Soft delete: add the trash collection and its retention setting',
+    migrate: (data) => ({
+      ...data,
+      trash: Array.isArray(data.trash) ? data.trash : [],
+      settings: { trashRetentionDays: 30, ...data.settings }
+    })
+  },
+  {
+    version: 3,
+    description: 'Role scoping: give shared records the roles that could already see them',
+    migrate: (data) => {
+      const customRoles = data.customRoles || [];
+      const withRoles = (key, feature) => (data[key] || []).map(record => (
+        Array.isArray(record.roles) ? record : {
+          ...record,
+          roles: ['ED', ...customRoles.filter(role => role.features.includes(feature)).map(role => role.id)]
+        }
+      ));
+      return {
+        ...data,
+        employees: withRoles('employees', 'employees'),
+        todos: withRoles('todos', 'todos'),
+        meetings: withRoles('meetings', 'meetings'),
+        contacts: withRoles('contacts', 'contacts')
+      };
+    }
+  },
+  {
+    version: 4,
+    description: 'People directory: link team, contacts, cast/crew and attendees to people',
+    migrate: (data) => {
+      let people = Array.isArray(data.people) ? data.people : [];
+      // Ids count up from 1 so every tab migrating the same save agrees on them
+      const link = (record, details) => {
+        if (record.personId) return record;
+        const linked = linkPerson(people, details, 1);
+        people = linked.people;
+        return { ...record, personId: linked.personId };
+      };
+      const linkAttendees = (record) => {
+        if (Array.isArray(record.attendeeIds)) return record;
+        const { ids, unmatched } = matchPeople(people, record.attendees);
+        return { ...record, attendeeIds: ids, attendees: unmatched };
+      };
+
+      const employees = (data.employees || []).map(e => link(e, e));
+      const contacts = (data.contacts || []).map(c => link(c, c));
+      const castCrew = (data.castCrew || []).map(m => link(m, { name: m.name, ...parseContactDetails(m.contact) }));
+      const meetings = (data.meetings || []).map(linkAttendees);
+      const rehearsalReports = (data.rehearsalReports || []).map(linkAttendees);
+
+      return { ...data, people, employees, contacts, castCrew, meetings, rehearsalReports };
+    }
+  },
+  {
+    version: 5,
+    description: 'Rehearsal reports reference productions, fuzzy-matching the free-text names',
+    migrate: (data) => {
+      let productions = data.productions || [];
+      const reports = data.rehearsalReports || [];
+      const names = reports
+        .filter(r => !r.productionId && (r.production || '').trim())
+        .map(r => r.production.trim());
+
+      // Most-used spelling first, so it becomes the title when a show has to be created
+      const byFrequency = [...new Set(names)]
+        .sort((a, b) => names.filter(n => n === b).length - names.filter(n => n === a).length);
+      const matched = {};
+      byFrequency.forEach(name => {
+        let production = matchProduction(productions, name);
+        if (!production) {
+          production = { ...EMPTY_PRODUCTION, id: nextRecordId(productions, 1), title: name, createdAt: new Date().toISOString() };
+          productions = [...productions, production];
+        }
+        matched[name] = production;
+      });
+
+      const rehearsalReports = reports.map(report => {
+        const production = !report.productionId && matched[(report.production || '').trim()];
+        return production ? { ...report, productionId: production.id, production: production.title } : report;
+      });
+
+      return { ...data, productions, rehearsalReports };
+    }
+  },
+  {
+    version: 6,
+    description: 'Rehearsal schedule: add the collection of planned rehearsals',
+    migrate: (data) => ({
+      ...data,
+      rehearsalSchedule: Array.isArray(data.rehearsalSchedule) ? data.rehearsalSchedule : []
+    })
+  },
+  {
+    version: 7,
+    description: 'Scene breakdown: add characters and scenes for each production',
+    migrate: (data) => ({
+      ...data,
+      characters: Array.isArray(data.characters) ? data.characters : [],
+      scenes: Array.isArray(data.scenes) ? data.scenes : []
+    })
+  },
+  {
+    version: 8,
+    description: 'Availability: add conflicts to cast/crew and a type to scheduled rehearsals',
+    migrate: (data) => ({
+      ...data,
+      castCrew: (data.castCrew || []).map(member => ({
+        ...member,
+        conflicts: Array.isArray(member.conflicts) ? member.conflicts : []
+      })),
+      rehearsalSchedule: (data.rehearsalSchedule || []).map(rehearsal => ({
+        ...rehearsal,
+        type: rehearsal.type || 'Rehearsal'
+      }))
+    })
+  },
+  {
+    version: 9,
+    description: 'Safety incidents: move free-text report incidents into their own records, closed as historical',
+    migrate: (data) => {
+      let incidents = Array.isArray(data.incidents) ? data.incidents : [];
+      const rehearsalReports = (data.rehearsalReports || []).map(report => {
+        const { safetyIncidents, ...rest } = report;
+        if (safetyIncidents && !NO_INCIDENT_ANSWER.test(safetyIncidents.trim())) {
+          incidents = [...incidents, {
+            ...EMPTY_INCIDENT,
+            id: nextRecordId(incidents, 1),
+            reportId: report.id,
+            productionId: report.productionId || null,
+            date: report.date || '',
+            description: safetyIncidents.trim(),
+            // Old reports had no follow-up tracking, so they would otherwise all show as open
+            resolved: true,
+            resolution: 'Imported from the rehearsal report. No follow-up was recorded at the time.',
+            createdAt: report.createdAt || new Date().toISOString()
+          }];
+        }
+        return rest;
+      });
+      return { ...data, incidents, rehearsalReports };
+    }
+  },
+  {
+    version: 10,
+    description: 'Department notes: add per-department note lists to rehearsal reports',
+    migrate: (data) => ({
+      ...data,
+      rehearsalReports: (data.rehearsalReports || []).map(report => ({
+        ...report,
+        departmentNotes: Array.isArray(report.departmentNotes) ? report.departmentNotes : []
+      }))
+    })
+  },
+  {
+    version: 11,
+    description: 'Budgets: add budget categories and expenses, turning free-text project budgets into a category',
+    migrate: (data) => {
+      let budgetCategories = Array.isArray(data.budgetCategories) ? data.budgetCategories : [];
+      const projectEvents = (data.projectEvents || []).map(project => {
+        const { budget, ...rest } = project;
+        if (budget && String(budget).trim()) {
+          const amount = parseMoney(budget);
+          budgetCategories = [...budgetCategories, {
+            id: nextRecordId(budgetCategories, 1),
+            productionId: null,
+            projectId: project.id,
+            name: 'General',
+            budgeted: amount === null ? 0 : amount,
+            // An amount that can't be read safely is left at 0 for the user to fill in
+            notes: `${amount === null ? 'Budget before itemising (amount not read, please check)' : 'Budget before itemising'}: ${String(budget).trim()}`,
+            createdAt: project.createdAt || new Date().toISOString()
+          }];
+        }
+        return rest;
+      });
+      return {
+        ...data,
+        projectEvents,
+        budgetCategories,
+        expenses: Array.isArray(data.expenses) ? data.expenses : []
+      };
+    }
+  },
+  {
+    version: 12,
+    description: 'Milestones: turn each line of a project\'s milestone text into a milestone record',
+    migrate: (data) => {
+      let milestones = Array.isArray(data.milestones) ? data.milestones : [];
+      const projectEvents = (data.projectEvents || []).map(project => {
+        const { milestones: text, ...rest } = project;
+        if (typeof text !== 'string') return project;
+        text.split('\n')
+          .map(line => line.replace(/^\s*([-*•]|\d+[.)])\s*/, '').trim())
+          .filter(Boolean)
+          .forEach(line => {
+            const date = line.match(/\d{4}-\d{2}-\d{2}/);
+            milestones = [...milestones, {
+              ...EMPTY_MILESTONE,
+              id: nextRecordId(milestones, 1),
+              projectId: project.id,
+              title: line,
+              dueDate: date ? date[0] : '',
+              createdAt: project.createdAt || new Date().toISOString()
+            }];
+          });
+        return rest;
+      });
+      return { ...data, projectEvents, milestones };
+    }
+  },
+  {
+    version: 13,
+    description: 'Per-tab roles: the selected role follows the route instead of being saved',
+    migrate: (data) => {
+      const { activeRole, ...rest } = data;
+      return rest;
+    }
+  }
+];
+
+const NEWER_SCHEMA_ERROR = 'This data was saved by a newer version of A.M.I., so it was not opened. Update the app to use it. Nothing has been overwritten.';
+
+// Throws NEWER_SCHEMA_ERROR for data from a newer release: this one can't
+// read it, and saving it back would rewrite it in the older format
+const migrateData = (stored) => {
+  const defaults = createDefaultData();
+  const fromVersion = Number.isInteger(stored.schemaVersion) ? stored.schemaVersion : 0;
+
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(NEWER_SCHEMA_ERROR);
+  }
+
+  let migrated = { ...stored };
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      migrated = { ...migration.migrate(migrated), schemaVersion: migration.version };
+    });
+
+  // Fill in any collections or settings that did not exist when this data was saved
+  Object.keys(defaults).forEach(key => {
+    const missing = Array.isArray(defaults[key])
+      ? !Array.isArray(migrated[key])
+      : migrated[key] === undefined;
+    if (missing) {
+      migrated[key] = defaults[key];
+    } else if (key === 'settings' && Object.keys(defaults.settings).some(name => !(name in migrated.settings))) {
+      migrated.settings = { ...defaults.settings, ...migrated.settings };
+    }
+  });
+
+  return migrated;
+};
+
+// ============================================================================
+// STORAGE ADAPTERS
+// ============================================================================
+
+// Every adapter exposes the same calls:
+//   load()               -> the saved data object, or null when nothing is saved
+//   save(data, previous) -> persists `data`; `previous` is the last saved copy
+//                           (or null), which lets an adapter skip unchanged parts
+//   destroy()            -> permanently removes everything the adapter stored
+
+const LEGACY_STORAGE_KEY = 'ami_data';
+const IDB_NAME = 'ami';
+const IDB_META_STORE = '_meta';
+
+// Keys starting with an underscore are adapter bookkeeping, never app data
+const IDB_MIGRATED_KEY = '_migratedFromLocalStorage';
+
+// Set in localStorage (next to the old key) once a namespace lives in
+// IndexedDB, so an IndexedDB failure can be told apart from a browser without it
+const idbMarkerKey = (legacyKey) => `${legacyKey}_in_indexeddb`;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionToPromise = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+// Opens the database, creating any object stores that are missing. New
+// collections added in later releases get their store via a version bump.
+const openDatabase = (name, storeNames, version) => new Promise((resolve, reject) => {
+  const request = version ? indexedDB.open(name, version) : indexedDB.open(name);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    storeNames.forEach(store => {
+      if (!db.objectStoreNames.contains(store)) {
+        db.createObjectStore(store, { keyPath: store === IDB_META_STORE ? 'key' : 'id' });
+      }
+    });
+  };
+
+  request.onsuccess = () => {
+    const db = request.result;
+    if (storeNames.some(store => !db.objectStoreNames.contains(store))) {
+      const nextVersion = db.version + 1;
+      db.close();
+      openDatabase(name, storeNames, nextVersion).then(resolve, reject);
+      return;
+    }
+    // Let other tabs upgrade the schema instead of blocking them
+    db.onversionchange = () => db.close();
+    resolve(db);
+  };
+
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('Storage is busy in another tab. Close it and reload.'));
+});
+
+// One object store per collection (records keyed by id) plus a meta store for
+// everything else (user, settings, schemaVersion, ...). Records come back
+// in id order, which matches creation order for Date.now() ids.
+const createIndexedDBAdapter = (name = IDB_NAME) => {
+  let dbPromise = null;
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(name, [IDB_META_STORE, ...COLLECTION_KEYS]);
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  };
+
+  const load = async () => {
+    const db = await getDb();
+    const transaction = db.transaction([IDB_META_STORE, ...COLLECTION_KEYS], 'readonly');
+    const metaEntries = await requestToPromise(transaction.objectStore(IDB_META_STORE).getAll());
+    const hasData = metaEntries.some(entry => !entry.key.startsWith('_'));
+    if (!hasData) return null;
+
+    const data = {};
+    metaEntries
+      .filter(entry => !entry.key.startsWith('_'))
+      .forEach(entry => { data[entry.key] = entry.value; });
+    await Promise.all(COLLECTION_KEYS.map(async key => {
+      data[key] = await requestToPromise(transaction.objectStore(key).getAll());
+    }));
+    return data;
+  };
+
+  const save = async (data, previous) => {
+    const changedCollections = COLLECTION_KEYS.filter(key => !previous || data[key] !== previous[key]);
+    const changedMeta = Object.keys(data).filter(key =>
+      !COLLECTION_KEYS.includes(key) && (!previous || data[key] !== previous[key])
+    );
+    const removedMeta = previous
+      ? Object.keys(previous).filter(key => !COLLECTION_KEYS.includes(key) && !(key in data))
+      : [];
+    if (changedCollections.length === 0 && changedMeta.length === 0 && removedMeta.length === 0) return;
+
+    const db = await getDb();
+    const transaction = db.transaction([IDB_META_STORE, ...changedCollections], 'readwrite');
+    const done = transactionToPromise(transaction);
+
+    const metaStore = transaction.objectStore(IDB_META_STORE);
+    changedMeta.forEach(key => metaStore.put({ key, value: data[key] }));
+    removedMeta.forEach(key => metaStore.delete(key));
+    if (!previous) {
+      // A full rewrite also drops meta entries the new data no longer has
+      const keysRequest = metaStore.getAllKeys();
+      keysRequest.onsuccess = () => keysRequest.result
+        .filter(key => !key.startsWith('_') && !(key in data))
+        .forEach(key => metaStore.delete(key));
+    }
+
+    changedCollections.forEach(key => {
+      const store = transaction.objectStore(key);
+      if (!previous) {
+        store.clear();
+        data[key].forEach(record => store.put(record));
+        return;
+      }
+      // Write only the records that changed and delete the ones that are gone
+      const previousById = new Map(previous[key].map(record => [record.id, record]));
+      data[key].forEach(record => {
+        if (previousById.get(record.id) !== record) {
+          store.put(record);
+        }
+        previousById.delete(record.id);
+      });
+      previousById.forEach((record, id) => store.delete(id));
+    });
+
+    await done;
+  };
+
+  const getMarker = async (key) => {
+    const db = await getDb();
+    const entry = await requestToPromise(db.transaction(IDB_META_STORE).objectStore(IDB_META_STORE).get(key));
+    return entry ? entry.value : null;
+  };
+
+  const setMarker = async (key, value) => {
+    const db = await getDb();
+    const transaction = db.transaction(IDB_META_STORE, 'readwrite');
+    transaction.objectStore(IDB_META_STORE).put({ key, value });
+    await transactionToPromise(transaction);
+  };
+
+  const destroy = async () => {
+    if (dbPromise) {
+      (await dbPromise).close();
+      dbPromise = null;
+    }
+    await requestToPromise(indexedDB.deleteDatabase(name));
+  };
+
+  return { kind: 'indexeddb', load, save, destroy, getMarker, setMarker };
+};
+
+// The original single-key backend, kept as a fallback for browsers without
+// IndexedDB (and as the source of the one-time migration below).
+const createLocalStorageAdapter = (key = LEGACY_STORAGE_KEY) => ({
+  kind: 'localstorage',
+  load: async () => {
+    const stored = await window.storage.get(key);
+    return stored ? JSON.parse(stored) : null;
+  },
+  save: (data) => window.storage.set(key, JSON.stringify(data)),
+  destroy: () => window.storage.remove(key)
+});
+
+// Copies a localStorage blob into IndexedDB the first time a namespace is
+// opened there. Once the copy reads back whole, the old key is removed: from
+// then on it would only be a stale copy to fall back to.
+const migrateLegacyStorage = async (adapter, legacyKey) => {
+  const legacyStorage = createLocalStorageAdapter(legacyKey);
+  if (!(await adapter.getMarker(IDB_MIGRATED_KEY))) {
+    const existing = await adapter.load();
+    if (!existing) {
+      const legacy = await legacyStorage.load();
+      if (legacy) {
+        const migrated = migrateData(legacy);
+        await adapter.save(migrated, null);
+        const copied = await adapter.load();
+        if (!copied || COLLECTION_KEYS.some(key => copied[key].length !== migrated[key].length)) {
+          throw new Error('The copy in IndexedDB does not match the saved data.');
+        }
+      }
+    }
+    await adapter.setMarker(IDB_MIGRATED_KEY, new Date().toISOString());
+  }
+  if (!(await window.storage.get(idbMarkerKey(legacyKey)))) {
+    await window.storage.set(idbMarkerKey(legacyKey), new Date().toISOString());
+    await legacyStorage.destroy();
+  }
+};
+
+// Each profile gets its own namespace. The default profile keeps the names
+// used before profiles existed, so older workspaces are picked up as-is.
+const DEFAULT_PROFILE_ID = 'default';
+
+const getStorageNames = (profileId) => (
+  profileId === DEFAULT_PROFILE_ID
+    ? { database: IDB_NAME, key: LEGACY_STORAGE_KEY }
+    : { database: `${IDB_NAME}_${profileId}`, key: `${LEGACY_STORAGE_KEY}_${profileId}` }
+);
+
+const openBaseStorage = async (profileId) => {
+  const names = getStorageNames(profileId);
+  if (window.indexedDB) {
+    try {
+      const adapter = createIndexedDBAdapter(names.database);
+      await migrateLegacyStorage(adapter, names.key);
+      return adapter;
+    } catch (error) {
+      // Data that has moved to IndexedDB must not be replaced by an empty
+      // localStorage workspace just because IndexedDB failed this time
+      if (await window.storage.get(idbMarkerKey(names.key))) {
+        console.error('Error opening IndexedDB:', error);
+        throw new Error(WORKSPACE_LOAD_ERROR);
+      }
+      console.error('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+  return createLocalStorageAdapter(names.key);
+};
+
+// Pass what unlockProfileKey returns ({ key, encryption }) to read and write it encrypted
+const openStorage = async (profileId = DEFAULT_PROFILE_ID, unlocked = null) => {
+  const adapter = await openBaseStorage(profileId);
+  return unlocked ? createEncryptedAdapter(adapter, unlocked) : adapter;
+};
+
+// ============================================================================
+// ENCRYPTION
+// ============================================================================
+
+const PBKDF2_ITERATIONS = 310000;
+const PASSPHRASE_MIN_LENGTH = 8;
+
+// Encrypted with the derived key and stored with the profile, so a wrong
+// passphrase is caught before any data is touched
+const PASSPHRASE_CHECK_VALUE = 'ami-passphrase-check';
+
+// Marks the single record that holds a whole encrypted collection
+const SEALED_RECORD_ID = 'sealed';
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+const createSalt = () => bytesToBase64(window.crypto.getRandomValues(new Uint8Array(16)));
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await window.crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return window.crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptJSON = async (key, value) => {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv: bytesToBase64(iv), ciphertext: bytesToBase64(new Uint8Array(ciphertext)) };
+};
+
+// Rejects when the key is wrong or the ciphertext was tampered with
+const decryptJSON = async (key, sealed) => {
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) },
+    key,
+    base64ToBytes(sealed.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+// Derives the key for a passphrase and checks it, returning { key, encryption }.
+// The salt and check saved with the data win over the registry's copy, which
+// is ahead of the data while a passphrase change is being written.
+const unlockProfileKey = async (profile, passphrase) => {
+  const stored = await (await openBaseStorage(profile.id)).load();
+  const encryption = (stored && stored.encryption) || profile.encryption;
+  const key = await deriveKey(passphrase, encryption.salt);
+  try {
+    await decryptJSON(key, encryption.check);
+  } catch (error) {
+    throw new Error('Incorrect passphrase.');
+  }
+  return { key, encryption };
+};
+
+// Wraps another adapter so everything it persists is AES-GCM encrypted. Each
+// collection is sealed as one record, and only collections that changed are
+// re-encrypted and written. The salt and check are stored in the clear next to
+// the ciphertext, so the data can always be opened with the key it was written with.
+const createEncryptedAdapter = (inner, { key, encryption }) => {
+  let lastSealed = null;
+  const sealedCache = {};
+
+  const seal = async (data) => {
+    const sealed = { schemaVersion: data.schemaVersion, encrypted: true, encryption };
+    const meta = {};
+    Object.keys(data)
+      .filter(name => !COLLECTION_KEYS.includes(name) && name !== 'schemaVersion')
+      .forEach(name => { meta[name] = data[name]; });
+    sealed.sealedMeta = await encryptJSON(key, meta);
+
+    await Promise.all(COLLECTION_KEYS.map(async name => {
+      const cached = sealedCache[name];
+      if (cached && cached.source === data[name]) {
+        sealed[name] = cached.sealed;
+        return;
+      }
+      sealed[name] = [{ id: SEALED_RECORD_ID, ...(await encryptJSON(key, data[name])) }];
+      sealedCache[name] = { source: data[name], sealed: sealed[name] };
+    }));
+    return sealed;
+  };
+
+  return {
+    kind: `${inner.kind}+encrypted`,
+    load: async () => {
+      const stored = await inner.load();
+      if (!stored || !stored.encrypted) return stored;
+
+      const data = { schemaVersion: stored.schemaVersion, ...(await decryptJSON(key, stored.sealedMeta)) };
+      await Promise.all(COLLECTION_KEYS.map(async name => {
+        const record = (stored[name] || [])[0];
+        data[name] = record ? await decryptJSON(key, record) : [];
+        sealedCache[name] = { source: data[name], sealed: stored[name] };
+      }));
+      lastSealed = stored;
+      return data;
+    },
+    save: async (data, previous) => {
+      const sealed = await seal(data);
+      await inner.save(sealed, previous ? lastSealed : null);
+      lastSealed = sealed;
+    },
+    destroy: () => inner.destroy()
+  };
+};
+
+// ============================================================================
+// SAVE QUEUE
+// ============================================================================
+
+// Wait before each automatic retry of a failed save; the last delay repeats
+const SAVE_RETRY_DELAYS = [1000, 2000, 5000, 15000, 30000];
+
+// After this many failed attempts the banner offers an emergency download
+const SAVE_FAILURES_BEFORE_DOWNLOAD = 2;
+
+const describeStorageError = (error) => {
+  if (error && (error.name === 'QuotaExceededError' || error.code === 22)) {
+    return 'storage full';
+  }
+  return (error && error.message) || 'could not write to storage';
+};
+
+// Serialises saves so only one write is in flight, always diffing against
+// the last copy that was actually persisted. Failed writes are retried with
+// backoff; `onStatusChange` receives { state, error, failures } where state is
+// 'saved', 'saving' or 'failed'. `onPersisted` runs after every successful write.
+const createSaveQueue = (storage, lastPersisted, onStatusChange, onPersisted = () => {}) => {
+  let saved = lastPersisted;
+  let pending = lastPersisted;
+  let saving = false;
+  let failures = 0;
+  let retryTimer = null;
+  let stopped = false;
+  let idleWaiters = [];
+
+  const waitUntilIdle = () => new Promise(resolve => idleWaiters.push(resolve));
+
+  const release = () => {
+    saving = false;
+    idleWaiters.forEach(resolve => resolve());
+    idleWaiters = [];
+  };
+
+  const flush = async () => {
+    if (saving || stopped) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    saving = true;
+
+    while (pending !== saved && !stopped) {
+      const target = pending;
+      onStatusChange({ state: 'saving', error: null, failures });
+      try {
+        await storage.save(target, saved);
+        saved = target;
+        failures = 0;
+        onPersisted();
+      } catch (error) {
+        console.error('Error saving data:', error);
+        failures += 1;
+        const delay = SAVE_RETRY_DELAYS[Math.min(failures, SAVE_RETRY_DELAYS.length) - 1];
+        onStatusChange({ state: 'failed', error: describeStorageError(error), failures });
+        if (!stopped) retryTimer = setTimeout(flush, delay);
+        release();
+        return;
+      }
+    }
+
+    release();
+    onStatusChange({ state: 'saved', error: null, failures: 0 });
+  };
+
+  return {
+    // While a retry is scheduled, new changes wait for it instead of hammering storage
+    enqueue: (data) => {
+      pending = data;
+      if (!retryTimer) flush();
+    },
+    retryNow: () => flush(),
+    getPending: () => pending,
+    // Cancels any scheduled retry and resolves once the write in flight (if
+    // any) has finished. Nothing more is written until resume().
+    stop: async () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      while (saving) {
+        await waitUntilIdle();
+      }
+    },
+    resume: () => {
+      stopped = false;
+      flush();
+    },
+    // Re-reads storage once no write is in flight and hands
+    // `merge(stored, saved, pending)` what another tab persisted. Whatever it
+    // returns becomes the pending state, diffed against the fresh copy.
+    adoptRemote: async (merge) => {
+      while (saving) {
+        await waitUntilIdle();
+      }
+      saving = true;
+      try {
+        const stored = await storage.load();
+        const next = stored ? merge(stored, saved, pending) : null;
+        if (next) {
+          saved = stored;
+          pending = next;
+        }
+      } finally {
+        release();
+      }
+      if (!retryTimer) flush();
+    }
+  };
+};
+
+// ============================================================================
+// CROSS-TAB SYNC
+// ============================================================================
+
+const SYNC_CHANNEL_PREFIX = 'ami_sync';
+
+// Tells other tabs with the same profile open that its storage changed. Uses
+// BroadcastChannel where available and falls back to `storage` events, which
+// fire in every other tab when a localStorage key is written.
+const createSyncChannel = (profileId, onRemoteChange) => {
+  const name = `${SYNC_CHANNEL_PREFIX}_${profileId}`;
+
+  if (typeof window.BroadcastChannel === 'function') {
+    const channel = new window.BroadcastChannel(name);
+    channel.onmessage = () => onRemoteChange();
+    return {
+      notify: () => channel.postMessage({ changedAt: Date.now() }),
+      close: () => channel.close()
+    };
+  }
+
+  const handleStorage = (e) => {
+    if (e.key === name) onRemoteChange();
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    notify: () => {
+      try {
+        window.localStorage.setItem(name, `${Date.now()}-${Math.random()}`);
+      } catch (error) {
+        console.error('Error notifying other tabs:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage)
+  };
+};
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Three-way merge of one collection. Records only one side changed since
+// `base` merge cleanly (including additions and deletions); records both
+// sides changed differently keep our version and are reported as conflicts.
+const mergeCollection = (collection, base = [], local = [], remote = []) => {
+  const byId = list => new Map(list.map(record => [record.id, record]));
+  const baseById = byId(base);
+  const localById = byId(local);
+  const remoteById = byId(remote);
+  const ids = [...localById.keys(), ...[...remoteById.keys()].filter(id => !localById.has(id))];
+
+  const records = [];
+  const conflicts = [];
+  ids.forEach(id => {
+    const ours = localById.get(id);
+    const theirs = remoteById.get(id);
+    const original = baseById.get(id);
+
+    // Prefer their copy whenever ours adds nothing, so nothing is rewritten needlessly
+    if (sameValue(ours, original) || sameValue(ours, theirs)) {
+      if (theirs) records.push(theirs);
+      return;
+    }
+    if (!sameValue(theirs, original)) {
+      conflicts.push({ collection, id, local: ours || null, remote: theirs || null });
+    }
+    if (ours) records.push(ours);
+  });
+
+  const unchanged = records.length === remote.length && records.every((record, i) => record === remote[i]);
+  return { records: unchanged ? remote : records, conflicts };
+};
+
+// Folds what another tab saved (`remote`) into our in-memory data, using the
+// copy this tab last persisted as the common ancestor. Settings and other
+// non-collection values merge as a whole, with ours winning a clash.
+const mergeRemoteChanges = (base, local, remote) => {
+  const ancestor = base || {};
+  const merged = { ...local };
+  const conflicts = [];
+
+  Object.keys(remote).forEach(key => {
+    if (COLLECTION_KEYS.includes(key)) {
+      const result = mergeCollection(key, ancestor[key], local[key], remote[key]);
+      merged[key] = result.records;
+      conflicts.push(...result.conflicts);
+    } else if (sameValue(local[key], ancestor[key]) || sameValue(local[key], remote[key])) {
+      merged[key] = remote[key];
+    }
+  });
+
+  return { data: merged, conflicts };
+};
+
+// Swaps in the other tab's side of a conflict (null means it deleted the record)
+const applyRemoteVersion = (data, { collection, id, remote }) => {
+  const list = data[collection];
+  if (!remote) {
+    return { ...data, [collection]: list.filter(record => record.id !== id) };
+  }
+  if (list.some(record => record.id === id)) {
+    return { ...data, [collection]: list.map(record => (record.id === id ? remote : record)) };
+  }
+  return { ...data, [collection]: [...list, remote] };
+};
+
 // ============================================================================
 // DATA INITIALIZATION
 // ============================================================================
 
-const initializeData = async () => {
+const WORKSPACE_LOAD_ERROR = 'The saved data for this profile could not be read, so it was not opened. Nothing has been overwritten.';
+
+// Returns the data to start with and the raw copy it was loaded from (null
+// when nothing was saved). The raw copy lets the first save persist only what
+// the migrations changed. Data that exists but can't be read rejects rather
+// than starting fresh, since the first save would overwrite it.
+const initializeData = async (storage) => {
+  let stored;
+  try {
+    stored = await storage.load();
+  } catch (error) {
+    console.error('Error loading data:', error);
+    throw new Error(WORKSPACE_LOAD_ERROR);
+  }
+  if (!stored) {
+    return { data: createDefaultData(), stored: null };
+  }
+  // Encrypted data opened without a key
+  if (stored.encrypted && !storage.kind.endsWith('+encrypted')) {
+    throw new Error(WORKSPACE_LOAD_ERROR);
+  }
+
+  return { data: purgeExpiredTrash(migrateData(stored)), stored };
+};
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+// The list of profiles on this device lives outside any one workspace
+const PROFILES_STORAGE_KEY = 'ami_profiles';
+
+const saveProfileRegistry = (registry) =>
+  window.storage.set(PROFILES_STORAGE_KEY, JSON.stringify(registry));
+
+// Loads { profiles, activeProfileId }. The first time this runs, a workspace
+// saved before profiles existed is registered as the default profile.
+const loadProfileRegistry = async () => {
   try {
-    const stored = await window.storage.get('ami_data');
+    const stored = await window.storage.get(PROFILES_STORAGE_KEY);
     if (stored) {
       return JSON.parse(stored);
     }
   } catch (error) {
-    console.error('Error loading data:', error);
+    console.error('Error loading profiles:', error);
+  }
+
+  const registry = { profiles: [], activeProfileId: null };
+  try {
+    const legacy = await (await openStorage(DEFAULT_PROFILE_ID)).load();
+    if (legacy) {
+      registry.profiles.push({
+        id: DEFAULT_PROFILE_ID,
+        name: legacy.user?.name || 'My Workspace',
+        organization: legacy.user?.organization || '',
+        createdAt: legacy.user?.createdAt || new Date().toISOString()
+      });
+      registry.activeProfileId = legacy.user ? DEFAULT_PROFILE_ID : null;
+    }
+    await saveProfileRegistry(registry);
+  } catch (error) {
+    console.error('Error registering existing workspace:', error);
   }
+  return registry;
+};
 
+const profileToUser = (profile) => ({
+  name: profile.name,
+  organization: profile.organization,
+  createdAt: profile.createdAt
+});
+
+// Opens a profile's namespace and loads its data. Encrypted profiles need
+// the key from unlockProfileKey.
+const loadProfileWorkspace = async (profile, unlocked = null) => {
+  const storage = await openStorage(profile.id, unlocked);
+  const { data, stored } = await initializeData(storage);
   return {
-    user: null,
-    activeRole: 'ED',
-    customRoles: [],
-    employees: [],
-    employeeGroups: [],
-    todos: [],
-    meetings: [],
-    contacts: [],
-    journalEntries: [],
-    metrics: [],
-    rehearsalReports: [],
-    productions: [],
-    castCrew: [],
-    projectEvents: [],
-    resources: [
-      {
-        id: 1,
-        title: 'The Five Dysfunctions of a Team by Patrick Lencioni',
-        url: 'https://www.tablegroup.com/books/dysfunctions',
-        category: 'EI & PS',
-        favorite: false,
-        createdAt: new Date().toISOString()
-      },
-      {
-        id: 2,
-        title: 'Psychological Safety and Learning Behavior in Work Teams',
-        url: 'https://web.mit.edu/curhan/www/docs/Articles/15341_Readings/Group_Performance/Edmondson%20Psychological%20safety.pdf',
-        category: 'EI & PS',
-        favorite: false,
-        createdAt: new Date().toISOString()
-      }
-    ]
+    storage,
+    stored,
+    data: data.user ? data : { ...data, user: profileToUser(profile) }
   };
 };
 
+const deleteProfileWorkspace = async (profileId) => {
+  const names = getStorageNames(profileId);
+  if (window.indexedDB) {
+    await createIndexedDBAdapter(names.database).destroy();
+  }
+  await createLocalStorageAdapter(names.key).destroy();
+  await window.storage.remove(idbMarkerKey(names.key));
+};
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+// Top-level views reachable from the URL; anything else opens the dashboard
+const ROUTE_VIEWS = ['dashboard', 'ed', 'play', 'project', 'custom', 'calendar', 'people', 'journal', 'resources', 'trash'];
+
+// Routes live in the hash so static hosting keeps working:
+// '#/play/productions/42' -> ['play', 'productions', '42']
+const parseRoute = (hash) => {
+  const segments = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  return ROUTE_VIEWS.includes(segments[0]) ? segments : ['dashboard'];
+};
+
+const buildRouteHash = (segments) => `#/${segments
+  .filter(segment => segment !== null && segment !== undefined && segment !== '')
+  .map(segment => encodeURIComponent(segment))
+  .join('/')}`;
+
+// DOM id of a record's card, used to scroll to it from search results
+const recordElementId = (collection, id) => `record-${collection}-${id}`;
+
+// Scrolls a record's card into view once its view has rendered, then flashes it
+const focusRecordElement = (elementId, attempts = 20) => {
+  const element = document.getElementById(elementId);
+  if (!element) {
+    if (attempts > 0) setTimeout(() => focusRecordElement(elementId, attempts - 1), 50);
+    return;
+  }
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.classList.add('ring-2', 'ring-amber-400');
+  setTimeout(() => element.classList.remove('ring-2', 'ring-amber-400'), 2000);
+};
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -139,466 +1208,2534 @@ const getPriorityColor = (priority) => {
   }
 };
 
-// ============================================================================
-// SECTION 1 COMPLETE - Continue with App component in next section
-// ============================================================================
+const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const downloadJSON = (filename, payload) => {
+  downloadBlob(filename, new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }));
+};
+
+// YYYY-MM-DD for a Date in the user's own time zone
+const toDateStamp = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// The user's local date, not UTC's, so evening items don't turn overdue early
+const todayStamp = () => toDateStamp(new Date());
+
+// A short, human-readable name for any record, used in lists that mix collections
+const getRecordTitle = (collection, record) => {
+  if (collection === 'rehearsalReports') {
+    return `${record.production || 'Rehearsal'}${record.date ? ` – ${formatDate(record.date)}` : ''}`;
+  }
+  if (collection === 'scenes') {
+    return getSceneLabel(record);
+  }
+  if (collection === 'incidents') {
+    return `${record.severity} incident${record.date ? ` – ${formatDate(`${record.date}T00:00`)}` : ''}`;
+  }
+  if (collection === 'rehearsalSchedule') {
+    return `Scheduled rehearsal${record.date ? ` – ${formatDate(record.date)}` : ''}`;
+  }
+  if (collection === 'expenses') {
+    return `${record.vendor || 'Expense'} – ${formatMoney(record.amount)}`;
+  }
+  if (collection === 'journalEntries') {
+    return record.title || (record.content || '').slice(0, 60) || formatDate(record.date);
+  }
+  return record.title || record.name || record.text || `#${record.id}`;
+};
 
 // ============================================================================
-// MAIN APP COMPONENT
-// ============================================================================
+// ROLE SCOPING
+// ============================================================================
 
-const App = () => {
-  const [data, setData] = useState(null);
-  const [currentView, setCurrentView] = useState('dashboard');
-  const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const [showRoleModal, setShowRoleModal] = useState(false);
-  const [loading, setLoading] = useState(true);
+const BUILT_IN_ROLES = [
+  { id: 'ED', name: 'Executive Director' },
+  { id: 'Play', name: 'Play Director' },
+  { id: 'Project', name: 'Project Lead' }
+];
 
-  useEffect(() => {
-    const loadData = async () => {
-      const initialData = await initializeData();
-      setData(initialData);
-      setLoading(false);
-    };
-    loadData();
-  }, []);
+const getRoleOptions = (data) => [
+  ...BUILT_IN_ROLES,
+  ...data.customRoles.map(role => ({ id: role.id, name: role.name }))
+];
 
-  useEffect(() => {
-    if (data) {
-      try {
-        window.storage.set('ami_data', JSON.stringify(data));
-      } catch (error) {
-        console.error('Error saving data:', error);
-      }
-    }
-  }, [data]);
+const getRoleName = (data, roleId) => {
+  const role = getRoleOptions(data).find(r => r.id === roleId);
+  return role ? role.name : null;
+};
 
-  if (loading) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center">
-        <div className="text-amber-300 text-xl">Loading A.M.I...</div>
-      </div>
-    );
-  }
+// The role a route belongs to: #/ed, #/play and #/project select the built-in
+// roles and #/custom/<id> a custom one. Shared views (dashboard, calendar, ...)
+// return null and keep whichever role was selected last.
+const ROUTE_ROLES = { ed: 'ED', play: 'Play', project: 'Project' };
 
-  if (!data.user) {
-    return <LoginPage data={data} setData={setData} />;
+const getRouteRole = (data, route) => {
+  if (route[0] === 'custom') {
+    return data.customRoles.some(role => role.id === route[1]) ? route[1] : null;
   }
-
-  return (
-    <AppContext.Provider value={{ data, setData, currentView, setCurrentView }}>
-      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900">
-        <Header 
-          mobileMenuOpen={mobileMenuOpen}
-          setMobileMenuOpen={setMobileMenuOpen}
-          showRoleModal={showRoleModal}
-          setShowRoleModal={setShowRoleModal}
-        />
-        
-        {showRoleModal && <RoleModal onClose={() => setShowRoleModal(false)} />}
-        
-        <main className="container mx-auto px-4 py-8">
-          {currentView === 'dashboard' && <Dashboard />}
-          {currentView === 'ed' && <ExecutiveDirectorModule />}
-          {currentView === 'play' && <PlayDirectorModule />}
-          {currentView === 'project' && <ProjectLeadModule />}
-          {currentView === 'custom' && <CustomRole />}
-          {currentView === 'journal' && <Journal />}
-          {currentView === 'resources' && <Resources />}
-        </main>
-      </div>
-    </AppContext.Provider>
-  );
+  return ROUTE_ROLES[route[0]] || null;
 };
 
+// Records saved before role scoping carry no roles and stay visible everywhere
+const isVisibleToRole = (record, roleId) =>
+  !Array.isArray(record.roles) || record.roles.includes(roleId);
+
+// scope is 'role' (only records shared with roleId) or 'all'
+const filterByRole = (records, roleId, scope) =>
+  scope === 'all' ? records : records.filter(record => isVisibleToRole(record, roleId));
+
 // ============================================================================
-// LOGIN PAGE
+// PEOPLE
 // ============================================================================
 
-const LoginPage = ({ data, setData }) => {
-  const [name, setName] = useState('');
-  const [organization, setOrganization] = useState('');
+const PERSON_DETAIL_FIELDS = ['email', 'phone', 'organization'];
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!name.trim()) return;
-    
-    setData({
-      ...data,
-      user: {
-        name: name.trim(),
-        organization: organization.trim(),
-        createdAt: new Date().toISOString()
+const EMPTY_PERSON = {
+  name: '',
+  email: '',
+  phone: '',
+  organization: '',
+  notes: ''
+};
+
+const normaliseName = (name) => (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// The next free numeric id: `floor` (Date.now() by default) unless it is taken
+const nextRecordId = (records, floor = Date.now()) =>
+  records.reduce((next, record) => (typeof record.id === 'number' && record.id >= next ? record.id + 1 : next), floor);
+
+// Free-text contact fields hold either an email address or a phone number
+const parseContactDetails = (text) => {
+  const value = (text || '').trim();
+  if (!value) return {};
+  return value.includes('@') ? { email: value } : { phone: value };
+};
+
+// Same email, or same name when the emails don't disagree
+const findPerson = (people, { name, email }) => {
+  const mail = (email || '').trim().toLowerCase();
+  const byEmail = mail && people.find(p => (p.email || '').trim().toLowerCase() === mail);
+  if (byEmail) return byEmail;
+  const key = normaliseName(name);
+  return key
+    ? people.find(p => normaliseName(p.name) === key && (!mail || !p.email))
+    : undefined;
+};
+
+// Returns { people, personId } for the person matching `details`, adding them
+// to the directory if nobody matches and filling in details they were missing.
+const linkPerson = (people, details, floor) => {
+  const name = (details.name || '').trim();
+  if (!name) return { people, personId: null };
+
+  const existing = findPerson(people, details);
+  if (existing) {
+    const missing = PERSON_DETAIL_FIELDS.filter(field => !existing[field] && details[field]);
+    if (missing.length === 0) return { people, personId: existing.id };
+    const filled = { ...existing };
+    missing.forEach(field => { filled[field] = details[field]; });
+    return { people: people.map(p => (p.id === existing.id ? filled : p)), personId: existing.id };
+  }
+
+  const person = { ...EMPTY_PERSON, id: nextRecordId(people, floor), name, createdAt: new Date().toISOString() };
+  PERSON_DETAIL_FIELDS.forEach(field => { if (details[field]) person[field] = details[field]; });
+  return { people: [...people, person], personId: person.id };
+};
+
+// Matches a comma- or line-separated list of names against the directory.
+// Returns { ids, unmatched }: the people found, and the other names as text.
+// Nobody is added, so a typo never becomes a person.
+const matchPeople = (people, text) => {
+  const matched = { ids: [], unmatched: [] };
+  (text || '')
+    .split(/[,;\n]/)
+    .map(name => name.trim())
+    .filter(Boolean)
+    .forEach(name => {
+      const person = findPerson(people, { name });
+      if (!person) {
+        matched.unmatched.push(name);
+      } else if (!matched.ids.includes(person.id)) {
+        matched.ids.push(person.id);
       }
     });
-  };
+  return { ids: matched.ids, unmatched: matched.unmatched.join(', ') };
+};
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center p-4">
-      <div className="bg-slate-800/50 backdrop-blur p-8 rounded-xl border border-amber-900/20 max-w-md w-full">
-        <div className="flex justify-center mb-6">
-          <svg width="64" height="64" viewBox="0 0 200 200">
-            <defs>
-              <linearGradient id="logoGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-                <stop offset="0%" style={{ stopColor: '#f59e0b', stopOpacity: 1 }} />
-                <stop offset="100%" style={{ stopColor: '#d97706', stopOpacity: 1 }} />
-              </linearGradient>
-            </defs>
-            <path d="M 40 160 L 100 40 L 160 160 L 130 160 L 100 90 L 70 160 Z" fill="url(#logoGradient)" />
-            <path d="M 100 40 Q 140 60 160 100 Q 140 140 100 160" fill="none" stroke="#cbd5e1" strokeWidth="4" strokeLinecap="round" />
-            <circle cx="165" cy="100" r="6" fill="#fbbf24" />
-          </svg>
-        </div>
-        
-        <h1 className="text-3xl font-serif text-amber-300 text-center mb-2">Welcome to A.M.I.</h1>
-        <p className="text-slate-400 text-center mb-6">Arts Management Insights</p>
-        
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block text-slate-300 mb-2">Your Name *</label>
-            <input
-              type="text"
-              value={name}
-              onChange={(e) => setName(e.target.value)}
-              required
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              placeholder="Enter your name"
-            />
-          </div>
-          
-          <div>
-            <label className="block text-slate-300 mb-2">Organization (Optional)</label>
-            <input
-              type="text"
-              value={organization}
-              onChange={(e) => setOrganization(e.target.value)}
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              placeholder="Enter your organization"
-            />
-          </div>
-          
-          <button
-            type="submit"
-            className="w-full bg-amber-600 text-slate-900 px-4 py-3 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
-          >
-            Get Started
-          </button>
-        </form>
-      </div>
-    </div>
-  );
+const getPerson = (data, personId) => data.people.find(p => p.id === personId) || null;
+
+// The details team, contact and cast/crew records keep their own copy of.
+// The person is the source: saving either side writes through to the other.
+const PERSON_COPIES = {
+  employees: ['name', 'email', 'phone'],
+  contacts: ['name', 'email', 'phone', 'organization'],
+  castCrew: ['name']
+};
+
+// Copies a person's details onto every record linked to them
+const propagatePerson = (data, personId) => {
+  const person = getPerson(data, personId);
+  if (!person) return data;
+
+  const next = { ...data };
+  Object.entries(PERSON_COPIES).forEach(([collection, fields]) => {
+    const differs = (record) => record.personId === personId
+      && fields.some(field => (record[field] || '') !== (person[field] || ''));
+    if (!data[collection].some(differs)) return;
+    next[collection] = data[collection].map(record => {
+      if (!differs(record)) return record;
+      const changes = {};
+      fields.forEach(field => { changes[field] = person[field] || ''; });
+      return editRecord(record, changes);
+    });
+  });
+  return next;
+};
+
+// Call after saving a team, contact or cast/crew record (`previous` is its
+// state before, null if new). The details it changed go to its person and
+// on to everyone else linked to them; a new record only passes on what it
+// was given and takes the rest from the person.
+const shareRecordPerson = (data, collection, id, previous) => {
+  const record = data[collection].find(r => r.id === id);
+  const person = record && getPerson(data, record.personId);
+  if (!person) return data;
+
+  const before = previous && previous.personId === record.personId ? previous : null;
+  const changes = {};
+  PERSON_COPIES[collection].forEach(field => {
+    const value = record[field] || '';
+    if (before ? value !== (before[field] || '') : value) changes[field] = value;
+  });
+  const changed = Object.keys(changes).some(field => changes[field] !== (person[field] || ''));
+  return propagatePerson(changed ? updateRecord(data, 'people', person.id, changes) : data, person.id);
+};
+
+// Links a record saved from a form to its person, keeping an existing link.
+// Returns { people, personId }; `id` is null for records not yet created.
+const linkRecordPerson = (data, collection, id, details) => {
+  const record = id ? data[collection].find(r => r.id === id) : null;
+  return record && record.personId
+    ? { people: data.people, personId: record.personId }
+    : linkPerson(data.people, details);
+};
+
+// Every record that points at a person, directly or through their team record
+const getPersonLinks = (data, personId) => {
+  const employees = data.employees.filter(e => e.personId === personId);
+  const employeeIds = employees.map(e => e.id);
+  return {
+    employees,
+    groups: data.employeeGroups.filter(g => g.members.some(id => employeeIds.includes(id))),
+    contacts: data.contacts.filter(c => c.personId === personId),
+    castCrew: data.castCrew.filter(m => m.personId === personId),
+    meetings: data.meetings.filter(m => (m.attendeeIds || []).includes(personId)),
+    todos: data.todos.filter(t => t.assigneeId === personId),
+    milestones: data.milestones.filter(m => employeeIds.includes(m.ownerId)),
+    rehearsalReports: data.rehearsalReports.filter(r => (r.attendeeIds || []).includes(personId)),
+    incidents: data.incidents.filter(i => i.involvedIds.includes(personId) || i.ownerId === personId)
+  };
 };
 
+// Linked attendees by their current names, then any typed names that matched nobody
+const attendeeNames = (data, record) => [
+  ...(record.attendeeIds || []).map(id => getPerson(data, id)).filter(Boolean).map(p => p.name),
+  ...(record.attendees ? [record.attendees] : [])
+].join(', ');
+
 // ============================================================================
-// ROLE MODAL
+// PRODUCTIONS
 // ============================================================================
 
-const RoleModal = ({ onClose }) => {
-  const { data, setData } = useApp();
-  const [roleName, setRoleName] = useState('');
-  const [features, setFeatures] = useState({
-    employees: false,
-    groups: false,
-    todos: false,
-    meetings: false,
-    contacts: false
+// Lowercase words only, without a leading "The", so "The Tempest!" ~ "tempest"
+const normaliseTitle = (title) => (title || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .replace(/^the /, '');
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for the same title, falling towards 0 as more letters differ
+const titleSimilarity = (a, b) => {
+  const x = normaliseTitle(a);
+  const y = normaliseTitle(b);
+  if (!x || !y) return 0;
+  return 1 - editDistance(x, y) / Math.max(x.length, y.length);
+};
+
+const TITLE_MATCH_THRESHOLD = 0.8;
+
+// The production whose title is closest to `text`, if any is close enough
+const matchProduction = (productions, text) => {
+  let best = null;
+  let bestScore = TITLE_MATCH_THRESHOLD;
+  productions.forEach(production => {
+    const score = titleSimilarity(production.title, text);
+    if (score >= bestScore) {
+      best = production;
+      bestScore = score;
+    }
   });
+  return best;
+};
 
-  const handleCreate = () => {
-    if (!roleName.trim()) return;
-    
-    const selectedFeatures = Object.keys(features).filter(key => features[key]);
-    if (selectedFeatures.length === 0) return;
+const getProductionTitle = (data, report) => {
+  const production = data.productions.find(p => p.id === report.productionId);
+  return production ? production.title : report.production;
+};
 
-    const newRole = {
-      id: `custom_${Date.now()}`,
-      name: roleName.trim(),
-      type: 'custom',
-      features: selectedFeatures
-    };
+// Length of a rehearsal in minutes, allowing for ones that run past midnight
+const rehearsalMinutes = (report) => {
+  if (!report.startTime || !report.endTime) return 0;
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const minutes = toMinutes(report.endTime) - toMinutes(report.startTime);
+  return minutes < 0 ? minutes + 24 * 60 : minutes;
+};
 
-    setData({
-      ...data,
-      customRoles: [...data.customRoles, newRole]
-    });
+// Rehearsal count, hours and morale for a production, oldest report first
+const summariseRehearsals = (data, productionId) => {
+  const reports = data.rehearsalReports
+    .filter(r => r.productionId === productionId)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const totalMinutes = reports.reduce((sum, r) => sum + rehearsalMinutes(r), 0);
+  const rated = reports.filter(r => r.morale);
 
-    setRoleName('');
-    setFeatures({
-      employees: false,
-      groups: false,
-      todos: false,
-      meetings: false,
-      contacts: false
-    });
+  return {
+    reports,
+    hours: Math.round(totalMinutes / 6) / 10,
+    averageMorale: rated.length ? Math.round(rated.reduce((sum, r) => sum + r.morale, 0) / rated.length * 10) / 10 : null,
+    moraleCurve: rated.map(r => ({
+      date: new Date(r.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      Morale: r.morale
+    }))
   };
+};
 
-  const handleDelete = (roleId) => {
-    if (window.confirm('Delete this custom role?')) {
-      setData({
-        ...data,
-        customRoles: data.customRoles.filter(r => r.id !== roleId),
-        activeRole: data.activeRole === roleId ? 'ED' : data.activeRole
-      });
+// Scenes sorted by act, keeping the order they were added within each act
+const compareNumbered = (a, b) => (a || '').localeCompare(b || '', undefined, { numeric: true });
+
+// In running order: by act, then scene number, then the order they were added
+const getProductionScenes = (data, productionId) => data.scenes
+  .filter(scene => scene.productionId === productionId)
+  .sort((a, b) => compareNumbered(a.act, b.act) || compareNumbered(a.number, b.number) || a.id - b.id);
+
+const getSceneLabel = (scene) => {
+  const act = (scene.act || '').trim();
+  const number = (scene.number || '').trim();
+  const place = [
+    act && (/^act\b/i.test(act) ? act : `Act ${act}`),
+    number && (/^scene\b/i.test(number) ? number : `Scene ${number}`)
+  ].filter(Boolean).join(', ');
+  return place ? `${place} · ${scene.title}` : scene.title;
+};
+
+// The cast/crew members playing the characters in a scene
+const getSceneActors = (data, scene) => {
+  const ids = scene.characterIds
+    .map(id => data.characters.find(c => c.id === id))
+    .filter(character => character && character.castCrewId)
+    .map(character => character.castCrewId);
+  return [...new Set(ids)]
+    .map(id => data.castCrew.find(member => member.id === id))
+    .filter(Boolean);
+};
+
+// Why a scene can't be rehearsed as cast: characters nobody plays, or one
+// actor needed as two characters at once
+const getSceneConflicts = (data, scene) => {
+  const conflicts = [];
+  const byActor = {};
+  scene.characterIds.forEach(id => {
+    const character = data.characters.find(c => c.id === id);
+    if (!character) return;
+    const actor = data.castCrew.find(member => member.id === character.castCrewId);
+    if (!actor) {
+      conflicts.push(`${character.name} is not cast`);
+      return;
     }
+    byActor[actor.id] = byActor[actor.id] || { actor, names: [] };
+    byActor[actor.id].names.push(character.name);
+  });
+  Object.values(byActor)
+    .filter(({ names }) => names.length > 1)
+    .forEach(({ actor, names }) => conflicts.push(`${actor.name} plays both ${names.join(' and ')}`));
+  return conflicts;
+};
+
+// ============================================================================
+// AVAILABILITY
+// ============================================================================
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// A cast/crew conflict is either a date (or date range) or a weekly block.
+// Empty times mean all day.
+const EMPTY_CONFLICT = {
+  type: 'date',
+  date: '',
+  endDate: '',
+  weekday: 1,
+  startTime: '',
+  endTime: '',
+  note: ''
+};
+
+// Weekday of a YYYY-MM-DD stamp, read as a local date
+const weekdayOf = (date) => new Date(`${date}T00:00`).getDay();
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00`);
+  next.setDate(next.getDate() + days);
+  return toDateStamp(next);
+};
+
+// The first of the month `months` away from the one `date` falls in
+const addMonths = (date, months) => {
+  const [year, month] = date.split('-').map(Number);
+  return toDateStamp(new Date(year, month - 1 + months, 1));
+};
+
+const conflictAppliesOn = (conflict, date) => (conflict.type === 'weekly'
+  ? weekdayOf(date) === Number(conflict.weekday)
+  : date >= conflict.date && date <= (conflict.endDate || conflict.date));
+
+// Missing times cover the whole day; an end before the start runs past midnight
+const timesOverlap = (startA, endA, startB, endB) => {
+  const span = (start, end) => {
+    const from = start || '00:00';
+    const to = end && end > from ? end : '24:00';
+    return [from, to];
   };
+  const [fromA, toA] = span(startA, endA);
+  const [fromB, toB] = span(startB, endB);
+  return fromA < toB && fromB < toA;
+};
 
-  return (
-    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
-      <div className="bg-slate-800 rounded-xl border border-amber-900/20 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
-        <div className="p-6">
-          <div className="flex justify-between items-center mb-6">
-            <h2 className="text-2xl font-serif text-amber-300">Manage Custom Roles</h2>
-            <button onClick={onClose} className="text-slate-400 hover:text-slate-300">
-              <X size={24} />
-            </button>
-          </div>
+// The member's conflicts that clash with a date and (optional) time window
+const getMemberConflicts = (member, date, startTime, endTime) => (member.conflicts || [])
+  .filter(conflict => conflictAppliesOn(conflict, date))
+  .filter(conflict => timesOverlap(conflict.startTime, conflict.endTime, startTime, endTime));
+
+const describeConflict = (conflict) => {
+  const when = conflict.type === 'weekly'
+    ? `Every ${WEEKDAYS[conflict.weekday]}`
+    : `${formatDate(`${conflict.date}T00:00`)}${conflict.endDate && conflict.endDate !== conflict.date ? ` – ${formatDate(`${conflict.endDate}T00:00`)}` : ''}`;
+  const time = conflict.startTime || conflict.endTime
+    ? ` ${conflict.startTime || '…'}–${conflict.endTime || '…'}`
+    : ' (all day)';
+  return `${when}${time}${conflict.note ? ` · ${conflict.note}` : ''}`;
+};
 
-          <div className="space-y-6">
-            <div className="bg-slate-900/50 p-4 rounded-lg">
-              <h3 className="text-lg text-slate-200 mb-4">Create New Role</h3>
-              
-              <input
-                type="text"
-                value={roleName}
-                onChange={(e) => setRoleName(e.target.value)}
-                placeholder="Role name"
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none mb-4"
-              />
+// Called people who have a conflict during a scheduled rehearsal; each call
+// runs from its own time (or the start) to the end of the rehearsal
+const getAvailabilityWarnings = (data, rehearsal) => {
+  if (!rehearsal.date) return [];
+  const warned = new Set();
+  return rehearsal.calls.flatMap(call => call.castCrewIds.flatMap(id => {
+    const member = data.castCrew.find(m => m.id === id);
+    if (!member || warned.has(id)) return [];
+    const conflicts = getMemberConflicts(member, rehearsal.date, call.time || rehearsal.startTime, rehearsal.endTime);
+    if (conflicts.length === 0) return [];
+    warned.add(id);
+    return [`${member.name} is unavailable: ${conflicts.map(describeConflict).join('; ')}`];
+  }));
+};
 
-              <div className="space-y-2 mb-4">
-                <label className="flex items-center space-x-2 text-slate-300">
-                  <input
-                    type="checkbox"
-                    checked={features.employees}
-                    onChange={(e) => setFeatures({ ...features, employees: e.target.checked })}
-                    className="rounded"
-                  />
-                  <span>Team Catalogue</span>
-                </label>
-                <label className="flex items-center space-x-2 text-slate-300">
-                  <input
-                    type="checkbox"
-                    checked={features.groups}
-                    onChange={(e) => setFeatures({ ...features, groups: e.target.checked })}
-                    className="rounded"
-                  />
-                  <span>Groups System</span>
-                </label>
-                <label className="flex items-center space-x-2 text-slate-300">
-                  <input
-                    type="checkbox"
-                    checked={features.todos}
-                    onChange={(e) => setFeatures({ ...features, todos: e.target.checked })}
-                    className="rounded"
-                  />
-                  <span>To-Do List</span>
-                </label>
-                <label className="flex items-center space-x-2 text-slate-300">
-                  <input
-                    type="checkbox"
-                    checked={features.meetings}
-                    onChange={(e) => setFeatures({ ...features, meetings: e.target.checked })}
-                    className="rounded"
-                  />
-                  <span>Meetings</span>
-                </label>
-                <label className="flex items-center space-x-2 text-slate-300">
-                  <input
-                    type="checkbox"
-                    checked={features.contacts}
-                    onChange={(e) => setFeatures({ ...features, contacts: e.target.checked })}
-                    className="rounded"
-                  />
-                  <span>Contacts</span>
-                </label>
-              </div>
+// The dates to lay out a production's availability over: from its first
+// scheduled rehearsal (or today) to opening night (or its last rehearsal)
+const MAX_PERIOD_DAYS = 120;
+
+const getRehearsalPeriod = (data, production) => {
+  const dates = data.rehearsalSchedule
+    .filter(r => r.productionId === production.id && r.date)
+    .map(r => r.date)
+    .sort();
+  const start = dates[0] || todayStamp();
+  const lastDate = [production.openingDate, dates[dates.length - 1]].filter(Boolean).sort().pop();
+  const end = lastDate && lastDate >= start ? lastDate : addDays(start, 27);
+  const period = [];
+  for (let date = start; date <= end && period.length < MAX_PERIOD_DAYS; date = addDays(date, 1)) {
+    period.push(date);
+  }
+  return period;
+};
 
-              <button
-                onClick={handleCreate}
-                className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
-              >
-                Create Role
-              </button>
-            </div>
+// ============================================================================
+// SEARCH
+// ============================================================================
 
-            {data.customRoles.length > 0 && (
-              <div>
-                <h3 className="text-lg text-slate-200 mb-4">Existing Custom Roles</h3>
-                <div className="space-y-3">
-                  {data.customRoles.map(role => (
-                    <div key={role.id} className="bg-slate-900/50 p-4 rounded-lg flex justify-between items-start">
-                      <div>
-                        <h4 className="text-slate-100 font-semibold mb-2">{role.name}</h4>
-                        <div className="flex flex-wrap gap-2">
-                          {role.features.includes('employees') && (
-                            <span className="text-xs px-2 py-1 bg-amber-900/30 text-amber-300 rounded">Team Catalogue</span>
-                          )}
-                          {role.features.includes('groups') && (
-                            <span className="text-xs px-2 py-1 bg-amber-900/30 text-amber-300 rounded">Groups</span>
-                          )}
-                          {role.features.includes('todos') && (
-                            <span className="text-xs px-2 py-1 bg-amber-900/30 text-amber-300 rounded">To-Dos</span>
-                          )}
-                          {role.features.includes('meetings') && (
-                            <span className="text-xs px-2 py-1 bg-amber-900/30 text-amber-300 rounded">Meetings</span>
-                          )}
-                          {role.features.includes('contacts') && (
-                            <span className="text-xs px-2 py-1 bg-amber-900/30 text-amber-300 rounded">Contacts</span>
-                          )}
-                        </div>
-                      </div>
-                      <button
-                        onClick={() => handleDelete(role.id)}
-                        className="text-red-400 hover:text-red-300"
-                      >
-                        <Trash2 size={18} />
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
-          </div>
-        </div>
-      </div>
-    </div>
-  );
+// Searchable fields per collection, most telling first. `list.field` reads
+// that field from each item of a list of objects.
+const SEARCH_FIELDS = {
+  people: ['name', 'organization', 'email', 'phone', 'notes'],
+  employees: ['name', 'position', 'department', 'email', 'phone', 'notes'],
+  contacts: ['name', 'organization', 'role', 'email', 'phone', 'notes'],
+  todos: ['text', 'category', 'priority', 'status'],
+  meetings: ['title', 'agenda', 'postMeetingReflection', 'actionItems', 'attendees', 'preMeetingNotes', 'notes'],
+  rehearsalSchedule: ['location', 'notes'],
+  incidents: ['description', 'involved', 'location', 'immediateAction', 'resolution'],
+  milestones: ['title', 'notes'],
+  budgetCategories: ['notes'],
+  expenses: ['description', 'receipt', 'date'],
+  rehearsalReports: ['production', 'scenesWorked', 'accomplishments', 'challenges', 'notesForNextTime', 'departmentNotes.text', 'attendees', 'absentees'],
+  productions: ['title', 'venue'],
+  castCrew: ['name', 'role', 'type', 'contact', 'notes'],
+  characters: ['name', 'description'],
+  scenes: ['act', 'title', 'description'],
+  projectEvents: ['title', 'type', 'status', 'description', 'goals', 'teamMembers'],
+  journalEntries: ['title', 'content'],
+  resources: ['title', 'category', 'url']
+};
+
+const SEARCH_RESULTS_PER_GROUP = 5;
+const SNIPPET_RADIUS = 60;
+
+const searchableText = (value) =>
+  (typeof value === 'string' || typeof value === 'number' ? String(value) : '');
+
+const searchFieldText = (record, name) => {
+  const [list, field] = name.split('.');
+  if (!field) return searchableText(record[name]);
+  return (Array.isArray(record[list]) ? record[list] : [])
+    .map(item => searchableText(item[field]))
+    .filter(Boolean)
+    .join('\n');
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const searchTerms = (query) => query.toLowerCase().split(/\s+/).filter(Boolean);
+
+// A short excerpt from the field that best matches: one holding the whole
+// query, else the one matching the most terms (earlier fields win ties)
+const buildSnippet = (fields, terms, query) => {
+  let best = null;
+  fields.forEach(({ text, lower }) => {
+    const phraseIndex = lower.indexOf(query);
+    const indexes = terms.map(term => lower.indexOf(term)).filter(i => i >= 0);
+    if (indexes.length === 0) return;
+
+    const rank = (phraseIndex >= 0 ? terms.length : 0) + indexes.length;
+    if (!best || rank > best.rank) {
+      best = { text, rank, index: phraseIndex >= 0 ? phraseIndex : Math.min(...indexes) };
+    }
+  });
+  if (!best) return '';
+
+  const start = Math.max(0, best.index - SNIPPET_RADIUS);
+  const end = Math.min(best.text.length, best.index + SNIPPET_RADIUS * 2);
+  const excerpt = best.text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${excerpt}${end < best.text.length ? '…' : ''}`;
+};
+
+// Every term must appear somewhere in the record. Title hits outrank body
+// hits, and matches at the start of a word outrank matches inside one.
+const scoreRecord = (title, fields, terms, query) => {
+  const lowerTitle = title.toLowerCase();
+  let score = 0;
+
+  for (const term of terms) {
+    const wordStart = new RegExp(`(^|\\W)${escapeRegExp(term)}`);
+    if (lowerTitle.includes(term)) {
+      score += wordStart.test(lowerTitle) ? 6 : 4;
+    } else {
+      const field = fields.find(f => f.lower.includes(term));
+      if (!field) return 0;
+      score += wordStart.test(field.lower) ? 2 : 1;
+    }
+  }
+
+  if (lowerTitle === query) score += 10;
+  else if (terms.length > 1 && (lowerTitle.includes(query) || fields.some(f => f.lower.includes(query)))) score += 3;
+  return score;
+};
+
+// Returns [{ collection, label, results: [{ record, title, snippet, score }] }],
+// groups ordered by their best result
+const searchData = (data, query) => {
+  const terms = searchTerms(query);
+  if (terms.length === 0) return [];
+  const normalised = terms.join(' ');
+
+  return Object.entries(SEARCH_FIELDS)
+    .map(([collection, fieldNames]) => {
+      const results = (data[collection] || [])
+        .map(record => {
+          const title = getRecordTitle(collection, record);
+          const fields = fieldNames
+            .map(name => searchFieldText(record, name))
+            .filter(text => text && text !== title)
+            .map(text => ({ text, lower: text.toLowerCase() }));
+          const score = scoreRecord(title, fields, terms, normalised);
+          return score > 0 ? { record, title, snippet: buildSnippet(fields, terms, normalised), score } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+      return { collection, label: COLLECTION_LABELS[collection], results };
+    })
+    .filter(group => group.results.length > 0)
+    .sort((a, b) => b.results[0].score - a.results[0].score)
+    .map(group => ({ ...group, results: group.results.slice(0, SEARCH_RESULTS_PER_GROUP) }));
+};
+
+// The custom role that shows this record's module, preferring one it is shared with
+const findCustomRoleFor = (data, feature, record) => {
+  const roles = data.customRoles.filter(r => r.features.includes(feature));
+  return roles.find(r => isVisibleToRole(record, r.id)) || roles[0];
+};
+
+// Where a record is shown: the route to open (which also selects the role for
+// records that only appear under a custom role). Null if no view shows it.
+const getRecordLocation = (data, collection, record) => {
+  if (['employees', 'todos', 'meetings'].includes(collection) && !isVisibleToRole(record, 'ED')) {
+    const role = findCustomRoleFor(data, collection, record);
+    if (role) return { route: ['custom', role.id] };
+  }
+  switch (collection) {
+    case 'employees':
+    case 'todos':
+      return { route: ['ed', collection] };
+    case 'meetings':
+      return { route: ['ed', 'meetings', record.id] };
+    case 'rehearsalReports':
+      return { route: ['play', 'reports'] };
+    case 'rehearsalSchedule':
+      return { route: ['play', 'schedule', record.productionId] };
+    case 'incidents':
+      return { route: ['play', 'incidents', record.id] };
+    case 'productions':
+      return { route: ['play', 'productions', record.id] };
+    case 'castCrew':
+    case 'characters':
+    case 'scenes':
+      return { route: ['play', 'productions', record.productionId] };
+    case 'projectEvents':
+      return { route: ['project', record.id] };
+    case 'milestones':
+      return { route: ['project', record.projectId] };
+    case 'budgetCategories':
+    case 'expenses':
+      return record.productionId
+        ? { route: ['play', 'productions', record.productionId] }
+        : { route: ['project', record.projectId] };
+    case 'journalEntries':
+      return { route: ['journal'] };
+    case 'resources':
+      return { route: ['resources'] };
+    case 'people':
+      return { route: ['people', record.id] };
+    case 'employeeGroups': {
+      const role = findCustomRoleFor(data, 'groups', record);
+      return role ? { route: ['custom', role.id] } : null;
+    }
+    case 'contacts': {
+      const role = findCustomRoleFor(data, 'contacts', record);
+      return role ? { route: ['custom', role.id] } : null;
+    }
+    default:
+      return null;
+  }
 };
 
 // ============================================================================
-// SECTION 2 COMPLETE - Continue with Header in next section
+// RECORD EDITS
 // ============================================================================
 
+// Edits kept per record; older entries are dropped
+const EDIT_HISTORY_LIMIT = 20;
+
+// Applies `changes` to a record, stamping `updatedAt` and logging the
+// previous value of every field that actually changed
+const editRecord = (record, changes) => {
+  const changedFields = Object.keys(changes).filter(field => !sameValue(record[field], changes[field]));
+  if (changedFields.length === 0) return record;
+
+  const editedAt = new Date().toISOString();
+  const previous = {};
+  changedFields.forEach(field => {
+    previous[field] = record[field] === undefined ? '' : record[field];
+  });
+
+  return {
+    ...record,
+    ...changes,
+    updatedAt: editedAt,
+    editHistory: [...(record.editHistory || []), { editedAt, previous }].slice(-EDIT_HISTORY_LIMIT)
+  };
+};
+
+// Fills an edit form from a record, keeping the form's defaults for fields
+// the record predates
+const recordFormValues = (record, emptyForm) => {
+  const values = {};
+  Object.keys(emptyForm).forEach(field => {
+    values[field] = record[field] === undefined || record[field] === null ? emptyForm[field] : record[field];
+  });
+  return values;
+};
+
+const updateRecord = (data, collection, id, changes) => ({
+  ...data,
+  [collection]: data[collection].map(record => (record.id === id ? editRecord(record, changes) : record))
+});
+
 // ============================================================================
-// HEADER
+// TRASH
 // ============================================================================
 
-const Header = ({ mobileMenuOpen, setMobileMenuOpen, showRoleModal, setShowRoleModal }) => {
-  const { data, setData, setCurrentView } = useApp();
-  const [showProfileMenu, setShowProfileMenu] = useState(false);
+// Records that are trashed (and restored) together with their parent
+const TRASH_CASCADES = {
+  productions: {
+    castCrew: 'productionId',
+    rehearsalSchedule: 'productionId',
+    characters: 'productionId',
+    scenes: 'productionId',
+    budgetCategories: 'productionId',
+    expenses: 'productionId',
+    rehearsalReports: 'productionId',
+    incidents: 'productionId'
+  },
+  projectEvents: {
+    milestones: 'projectId',
+    budgetCategories: 'projectId',
+    expenses: 'projectId'
+  },
+  budgetCategories: {
+    expenses: 'categoryId'
+  }
+};
 
-  const handleRoleSwitch = (role) => {
-    setData({ ...data, activeRole: role });
-    if (role === 'ED') setCurrentView('ed');
-    else if (role === 'Play') setCurrentView('play');
-    else if (role === 'Project') setCurrentView('project');
-    else setCurrentView('custom');
-    setMobileMenuOpen(false);
+// Moves a record out of its collection into the trash, taking any dependent
+// records listed in TRASH_CASCADES with it.
+const moveToTrash = (data, collection, id) => {
+  const item = data[collection].find(record => record.id === id);
+  if (!item) return data;
+
+  const next = { ...data, [collection]: data[collection].filter(record => record.id !== id) };
+  const related = [];
+
+  Object.entries(TRASH_CASCADES[collection] || {}).forEach(([relatedCollection, field]) => {
+    data[relatedCollection]
+      .filter(record => record[field] === id)
+      .forEach(record => related.push({ collection: relatedCollection, item: record }));
+    next[relatedCollection] = data[relatedCollection].filter(record => record[field] !== id);
+  });
+
+  const entry = {
+    id: nextRecordId(data.trash),
+    collection,
+    item,
+    related,
+    deletedAt: new Date().toISOString()
   };
 
-  const handleLogout = () => {
-    if (window.confirm('Are you sure you want to log out?')) {
-      setData({ ...data, user: null });
+  return { ...next, trash: [...data.trash, entry] };
+};
+
+const restoreFromTrash = (data, trashId) => {
+  const entry = data.trash.find(e => e.id === trashId);
+  if (!entry) return data;
+
+  const next = { ...data, trash: data.trash.filter(e => e.id !== trashId) };
+  [{ collection: entry.collection, item: entry.item }, ...entry.related].forEach(({ collection, item }) => {
+    const current = next[collection] || [];
+    // Skip anything that already came back another way (e.g. via undo)
+    if (!current.some(record => record.id === item.id)) {
+      next[collection] = [...current, item];
+    }
+  });
+
+  return next;
+};
+
+const purgeFromTrash = (data, trashId) => ({
+  ...data,
+  trash: data.trash.filter(e => e.id !== trashId)
+});
+
+// Drops trash entries older than the retention period (null keeps them forever)
+const purgeExpiredTrash = (data) => {
+  const days = data.settings.trashRetentionDays;
+  if (!days) return data;
+
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const kept = data.trash.filter(e => new Date(e.deletedAt).getTime() >= cutoff);
+  return kept.length === data.trash.length ? data : { ...data, trash: kept };
+};
+
+// ============================================================================
+// DATA EXPORT & IMPORT
+// ============================================================================
+
+const exportData = (data) => {
+  const profileSlug = (data.user?.name || 'workspace').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  downloadJSON(`ami-backup-${profileSlug}-${todayStamp()}.json`, data);
+};
+
+// Returns { data, errors }. `data` is the migrated workspace when the file is usable.
+const parseBackup = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { data: null, errors: ['The file is not valid JSON.'] };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { data: null, errors: ['The file does not contain an A.M.I. workspace.'] };
+  }
+
+  const errors = [];
+  const present = COLLECTION_KEYS.filter(key => parsed[key] !== undefined);
+  if (present.length === 0) {
+    errors.push('The file does not contain any A.M.I. collections.');
+  }
+
+  present.forEach(key => {
+    if (!Array.isArray(parsed[key])) {
+      errors.push(`"${COLLECTION_LABELS[key]}" should be a list.`);
+      return;
     }
+    const invalid = parsed[key].filter(item => !item || typeof item !== 'object' || item.id === undefined);
+    if (invalid.length > 0) {
+      errors.push(`${invalid.length} ${COLLECTION_LABELS[key]} record(s) are missing an id.`);
+    }
+  });
+
+  if (Number.isInteger(parsed.schemaVersion) && parsed.schemaVersion > SCHEMA_VERSION) {
+    errors.push('The file was exported by a newer version of A.M.I. Update the app to import it.');
+  }
+
+  if (errors.length > 0) {
+    return { data: null, errors };
+  }
+
+  // Collections the file leaves out stay empty instead of taking the defaults
+  // (such as the starter resources), which a merge would add a second time
+  const missing = Object.fromEntries(COLLECTION_KEYS.filter(key => !present.includes(key)).map(key => [key, []]));
+  return { data: migrateData({ ...missing, ...parsed }), errors: [] };
+};
+
+// Merges `incoming` into `current`. Records whose id is already taken (by a
+// record or by something in the trash) are given a fresh id, and references to
+// them are rewritten to match. Records inside incoming trash entries get the
+// same treatment, so restoring them later can't bring back a clashing id.
+const mergeData = (current, incoming) => {
+  const usedIds = {};
+  const idMaps = {};
+  const summary = { added: 0, reassigned: 0, skipped: 0 };
+  let nextId = Date.now();
+
+  const freshId = (key, oldId) => {
+    let id;
+    do {
+      nextId += 1;
+      id = typeof oldId === 'string' ? `custom_${nextId}` : nextId;
+    } while (usedIds[key].has(id));
+    return id;
   };
 
-  return (
-    <header className="sticky top-0 bg-slate-900/95 backdrop-blur border-b border-amber-900/30 z-40">
-      <div className="container mx-auto px-4">
-        <div className="flex items-center justify-between py-4">
-          {/* Logo */}
-          <div className="flex items-center space-x-3">
-            <svg width="40" height="40" viewBox="0 0 200 200">
-              <defs>
-                <linearGradient id="logoGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-                  <stop offset="0%" style={{ stopColor: '#f59e0b', stopOpacity: 1 }} />
-                  <stop offset="100%" style={{ stopColor: '#d97706', stopOpacity: 1 }} />
-                </linearGradient>
-              </defs>
-              <path d="M 40 160 L 100 40 L 160 160 L 130 160 L 100 90 L 70 160 Z" fill="url(#logoGradient)" />
-              <path d="M 100 40 Q 140 60 160 100 Q 140 140 100 160" fill="none" stroke="#cbd5e1" strokeWidth="4" strokeLinecap="round" />
-              <circle cx="165" cy="100" r="6" fill="#fbbf24" />
-            </svg>
-            <div>
-              <h1 className="text-xl font-serif text-amber-300">A.M.I.</h1>
-              <p className="text-xs text-slate-400">Arts Management Insights</p>
-            </div>
-          </div>
+  COLLECTION_KEYS.forEach(key => {
+    usedIds[key] = new Set(current[key].map(item => item.id));
+    idMaps[key] = {};
+  });
+  current.trash.forEach(entry => {
+    [entry, ...entry.related].forEach(({ collection, item }) => {
+      if (usedIds[collection]) usedIds[collection].add(item.id);
+    });
+  });
 
-          {/* Desktop Navigation */}
-          <nav className="hidden lg:flex items-center space-x-2">
-            <button
-              onClick={() => handleRoleSwitch('ED')}
-              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
-                data.activeRole === 'ED' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
-              }`}
-            >
-              <Briefcase size={18} />
-              <span>Executive Director</span>
-            </button>
-            <button
-              onClick={() => handleRoleSwitch('Play')}
-              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
-                data.activeRole === 'Play' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
-              }`}
-            >
-              <Theater size={18} />
-              <span>Play Director</span>
-            </button>
-            <button
-              onClick={() => handleRoleSwitch('Project')}
-              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
-                data.activeRole === 'Project' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
-              }`}
-            >
-              <FolderOpen size={18} />
-              <span>Project Lead</span>
-            </button>
-            
-            {data.customRoles.map(role => (
-              <button
-                key={role.id}
-                onClick={() => handleRoleSwitch(role.id)}
-                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
-                  data.activeRole === role.id ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
-                }`}
-              >
-                <Users size={18} />
-                <span>{role.name}</span>
-              </button>
-            ))}
-            
-            <button
-              onClick={() => setShowRoleModal(true)}
-              className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600 transition-all"
-            >
-              <Plus size={18} />
-              <span>Manage Roles</span>
-            </button>
-          </nav>
+  // Keeps the record's id if it is free, otherwise gives it a new one
+  const claimId = (key, item) => {
+    if (!usedIds[key].has(item.id)) {
+      usedIds[key].add(item.id);
+      return item;
+    }
+    const id = freshId(key, item.id);
+    idMaps[key][item.id] = id;
+    usedIds[key].add(id);
+    summary.reassigned += 1;
+    return { ...item, id };
+  };
 
-          {/* Secondary Nav */}
-          <div className="hidden md:flex items-center space-x-4">
-            <button
-              onClick={() => setCurrentView('dashboard')}
-              className="text-slate-300 hover:text-amber-300 transition-colors"
-            >
-              Dashboard
-            </button>
+  const merged = { ...current };
+
+  COLLECTION_KEYS.forEach(key => {
+    const currentById = new Map(current[key].map(item => [item.id, item]));
+    const additions = [];
+
+    incoming[key].forEach(item => {
+      const existing = currentById.get(item.id);
+      if (existing && JSON.stringify(existing) === JSON.stringify(item)) {
+        summary.skipped += 1;
+        return;
+      }
+      additions.push(claimId(key, item));
+      summary.added += 1;
+    });
+
+    merged[key] = [...current[key], ...additions];
+  });
+
+  const addedTrash = merged.trash.slice(current.trash.length).map(entry => ({
+    ...entry,
+    item: usedIds[entry.collection] ? claimId(entry.collection, entry.item) : entry.item,
+    related: entry.related.map(({ collection, item }) => ({
+      collection,
+      item: usedIds[collection] ? claimId(collection, item) : item
+    }))
+  }));
+
+  // Point references inside the newly added records at the remapped ids
+  const remapReferences = (key, item) => {
+    const fields = COLLECTION_REFERENCES[key];
+    if (!fields) return item;
+    const updated = { ...item };
+    Object.entries(fields).forEach(([field, target]) => {
+      const map = idMaps[target];
+      const [listField, itemField] = field.split('.');
+      if (itemField) {
+        if (Array.isArray(updated[listField])) {
+          updated[listField] = updated[listField].map(entry => {
+            const value = entry[itemField];
+            if (Array.isArray(value)) {
+              return { ...entry, [itemField]: value.map(id => (map[id] !== undefined ? map[id] : id)) };
+            }
+            return map[value] !== undefined ? { ...entry, [itemField]: map[value] } : entry;
+          });
+        }
+      } else if (Array.isArray(updated[field])) {
+        updated[field] = updated[field].map(id => (map[id] !== undefined ? map[id] : id));
+      } else if (map[updated[field]] !== undefined) {
+        updated[field] = map[updated[field]];
+      }
+    });
+    return updated;
+  };
+
+  Object.keys(COLLECTION_REFERENCES).forEach(key => {
+    const addedFrom = current[key].length;
+    merged[key] = merged[key].map((item, index) => (index < addedFrom ? item : remapReferences(key, item)));
+  });
+  merged.trash = [
+    ...current.trash,
+    ...addedTrash.map(entry => ({
+      ...entry,
+      item: remapReferences(entry.collection, entry.item),
+      related: entry.related.map(({ collection, item }) => ({ collection, item: remapReferences(collection, item) }))
+    }))
+  ];
+
+  return { data: merged, summary };
+};
+
+// ============================================================================
+// SECTION 1 COMPLETE - Continue with App component in next section
+// ============================================================================
+
+// ============================================================================
+// MAIN APP COMPONENT
+// ============================================================================
+
+const App = () => {
+  const [data, setData] = useState(null);
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+  const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [showRoleModal, setShowRoleModal] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saveStatus, setSaveStatus] = useState({ state: 'saved', error: null, failures: 0 });
+  const saveQueueRef = useRef(null);
+  const historyRef = useRef({ past: [], future: [] });
+  const historyActionsRef = useRef(null);
+  const [toast, setToast] = useState(null);
+  const [registry, setRegistry] = useState({ profiles: [], activeProfileId: null });
+  const [loadError, setLoadError] = useState('');
+
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const syncChannelRef = useRef(null);
+  const remoteChangeRef = useRef(null);
+
+  const notifyOtherTabs = () => {
+    if (syncChannelRef.current) syncChannelRef.current.notify();
+  };
+
+  const startSaveQueue = (storage, stored) => {
+    saveQueueRef.current = createSaveQueue(storage, stored, setSaveStatus, notifyOtherTabs);
+  };
+
+  // Each view, tab and selection is a hash route, so refresh, bookmarks and
+  // the browser's back/forward buttons all work
+  const navigate = (...segments) => {
+    window.location.hash = buildRouteHash(segments);
+  };
+  const currentView = route[0];
+  const setCurrentView = (view) => navigate(view);
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const updateRegistry = (next) => {
+    setRegistry(next);
+    saveProfileRegistry(next).catch(error => console.error('Error saving profiles:', error));
+  };
+
+  // Every profile switch starts from a clean slate: its own storage, save
+  // queue and undo history.
+  const activateWorkspace = ({ storage, stored, data: workspaceData }) => {
+    startSaveQueue(storage, stored);
+    historyRef.current = { past: [], future: [] };
+    setSyncConflicts([]);
+    setToast(null);
+    setData(workspaceData);
+  };
+
+  useEffect(() => {
+    const loadData = async () => {
+      const loadedRegistry = await loadProfileRegistry();
+      setRegistry(loadedRegistry);
+
+      const active = loadedRegistry.profiles.find(p => p.id === loadedRegistry.activeProfileId);
+      // Encrypted profiles wait on the login screen for their passphrase
+      if (active && !active.encryption) {
+        try {
+          const workspace = await loadProfileWorkspace(active);
+          saveQueueRef.current = createSaveQueue(workspace.storage, workspace.stored, setSaveStatus, () => {
+            if (syncChannelRef.current) syncChannelRef.current.notify();
+          });
+          setData(workspace.data);
+        } catch (error) {
+          setLoadError(error.message);
+        }
+      }
+      setLoading(false);
+    };
+    loadData();
+  }, []);
+
+  useEffect(() => {
+    if (data) {
+      saveQueueRef.current.enqueue(data);
+    }
+  }, [data]);
+
+  // Expired trash is purged on load, and periodically for tabs that stay open
+  const hasWorkspace = Boolean(data);
+  useEffect(() => {
+    if (!hasWorkspace) return;
+    const timer = setInterval(() => {
+      setData(current => (current ? purgeExpiredTrash(current) : current));
+    }, TRASH_PURGE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [hasWorkspace]);
+
+  const activeProfile = registry.profiles.find(p => p.id === registry.activeProfileId);
+
+  // Rejects with a readable message when an encrypted profile's passphrase is wrong
+  const signIn = async (profile, passphrase) => {
+    const unlocked = profile.encryption ? await unlockProfileKey(profile, passphrase) : null;
+    activateWorkspace(await loadProfileWorkspace(profile, unlocked));
+    // An interrupted passphrase change leaves the registry with details the
+    // data was never written with; take the ones that opened it
+    const profiles = registry.profiles.map(p => (
+      p.id === profile.id && unlocked && !sameValue(p.encryption, unlocked.encryption)
+        ? { ...p, encryption: unlocked.encryption }
+        : p
+    ));
+    updateRegistry({ ...registry, profiles, activeProfileId: profile.id });
+  };
+
+  const createProfile = async ({ name, organization }) => {
+    const profile = {
+      id: `profile_${Date.now()}`,
+      name,
+      organization,
+      createdAt: new Date().toISOString()
+    };
+    const workspace = await loadProfileWorkspace(profile);
+    // Registered before it opens, so a profile that couldn't be saved never appears
+    const next = { profiles: [...registry.profiles, profile], activeProfileId: profile.id };
+    await saveProfileRegistry(next);
+    setRegistry(next);
+    activateWorkspace(workspace);
+  };
+
+  // Drops the decrypted workspace (and its undo history) from memory. Any
+  // save already queued still finishes in the background.
+  const closeWorkspace = () => {
+    saveQueueRef.current = null;
+    historyRef.current = { past: [], future: [] };
+    setSyncConflicts([]);
+    setToast(null);
+    setData(null);
+  };
+
+  // Unlike locking, signing out forgets where you were
+  const logout = () => {
+    closeWorkspace();
+    setCurrentView('dashboard');
+    updateRegistry({ ...registry, activeProfileId: null });
+  };
+
+  // Encrypted profiles stay selected, so the login screen asks for the passphrase
+  // and reopens the same route
+  const lock = () => {
+    closeWorkspace();
+  };
+
+  // Rewrites the whole workspace under new encryption details (null for
+  // none). The old save queue is drained first so none of its retries can land
+  // next to the rewritten data. The registry must say "encrypted" whenever the
+  // data might be, so it changes before the data when encrypting and after
+  // when decrypting; until the rewrite lands, the salt and check stored with
+  // the data keep opening it with the old passphrase. If the rewrite fails,
+  // the registry and the old queue are put back.
+  const rewriteWorkspace = async (unlocked) => {
+    const profileId = activeProfile.id;
+    const profiles = registry.profiles.map(p => {
+      if (p.id !== profileId) return p;
+      const { encryption, ...rest } = p;
+      return unlocked ? { ...rest, encryption: unlocked.encryption } : rest;
+    });
+    const nextRegistry = { ...registry, profiles };
+    const previousQueue = saveQueueRef.current;
+    await previousQueue.stop();
+
+    let storage;
+    try {
+      storage = await openStorage(profileId, unlocked);
+      if (unlocked) await saveProfileRegistry(nextRegistry);
+      await storage.save(data, null);
+    } catch (error) {
+      await saveProfileRegistry(registry).catch(e => console.error('Error restoring profiles:', e));
+      previousQueue.resume();
+      throw error;
+    }
+
+    startSaveQueue(storage, data);
+    setRegistry(nextRegistry);
+    if (!unlocked) await saveProfileRegistry(nextRegistry);
+    notifyOtherTabs();
+  };
+
+  const setPassphrase = async (passphrase) => {
+    const salt = createSalt();
+    const key = await deriveKey(passphrase, salt);
+    const encryption = { salt, check: await encryptJSON(key, PASSPHRASE_CHECK_VALUE) };
+    await rewriteWorkspace({ key, encryption });
+  };
+
+  const removePassphrase = () => rewriteWorkspace(null);
+
+  const lockRef = useRef(null);
+  lockRef.current = lock;
+  const isEncrypted = Boolean(data && activeProfile && activeProfile.encryption);
+  const autoLockMinutes = data ? data.settings.autoLockMinutes : null;
+
+  useEffect(() => {
+    if (!isEncrypted || !autoLockMinutes) return;
+
+    let lastActivity = Date.now();
+    const recordActivity = () => { lastActivity = Date.now(); };
+    const activityEvents = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
+    activityEvents.forEach(event => window.addEventListener(event, recordActivity, { passive: true }));
+
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivity >= autoLockMinutes * 60 * 1000) {
+        lockRef.current();
+      }
+    }, AUTO_LOCK_CHECK_INTERVAL);
+
+    return () => {
+      clearInterval(timer);
+      activityEvents.forEach(event => window.removeEventListener(event, recordActivity));
+    };
+  }, [isEncrypted, autoLockMinutes]);
+
+  const deleteProfile = async () => {
+    const profileId = registry.activeProfileId;
+    closeWorkspace();
+    setCurrentView('dashboard');
+    updateRegistry({
+      profiles: registry.profiles.filter(p => p.id !== profileId),
+      activeProfileId: null
+    });
+    notifyOtherTabs();
+    try {
+      await deleteProfileWorkspace(profileId);
+    } catch (error) {
+      console.error('Error deleting profile data:', error);
+    }
+  };
+
+  // Another tab with this profile open has saved. If it deleted the profile
+  // or changed its passphrase this copy is closed; otherwise its changes are
+  // merged into ours and clashing edits are queued for the conflict prompt.
+  const handleRemoteChange = async () => {
+    const latest = await loadProfileRegistry();
+    const current = latest.profiles.find(p => p.id === registry.activeProfileId);
+    setRegistry({ ...latest, activeProfileId: registry.activeProfileId });
+
+    if (!current || !sameValue(current.encryption, activeProfile.encryption)) {
+      closeWorkspace();
+      return;
+    }
+
+    const queue = saveQueueRef.current;
+    if (!queue) return;
+    try {
+      await queue.adoptRemote((stored, saved, pending) => {
+        const { data: merged, conflicts } = mergeRemoteChanges(saved, pending, migrateData(stored));
+        if (conflicts.length === 0 && sameValue(merged, pending)) return null;
+
+        // Undo snapshots predate the other tab's changes and would silently revert them
+        historyRef.current = { past: [], future: [] };
+        setToast(null);
+        setData(merged);
+        if (conflicts.length > 0) {
+          setSyncConflicts(previous => [
+            ...previous.filter(c => !conflicts.some(n => n.collection === c.collection && n.id === c.id)),
+            ...conflicts
+          ]);
+        }
+        return merged;
+      });
+    } catch (error) {
+      if (error.message !== NEWER_SCHEMA_ERROR) throw error;
+      // The other tab runs a newer release; anything saved from here would
+      // rewrite its data in the older format
+      await queue.stop();
+      closeWorkspace();
+      setLoadError(error.message);
+    }
+  };
+
+  remoteChangeRef.current = handleRemoteChange;
+  const syncProfileId = data ? registry.activeProfileId : null;
+
+  useEffect(() => {
+    if (!syncProfileId) return;
+
+    const channel = createSyncChannel(syncProfileId, () => {
+      remoteChangeRef.current().catch(error => console.error('Error syncing with another tab:', error));
+    });
+    syncChannelRef.current = channel;
+    return () => {
+      channel.close();
+      syncChannelRef.current = null;
+    };
+  }, [syncProfileId]);
+
+  const resolveSyncConflict = (conflict, useTheirs) => {
+    if (useTheirs) {
+      updateData(applyRemoteVersion(data, conflict));
+    }
+    setSyncConflicts(syncConflicts.filter(c => c !== conflict));
+  };
+
+  useEffect(() => {
+    if (saveStatus.state === 'saved') return;
+
+    const warnBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', warnBeforeUnload);
+    return () => window.removeEventListener('beforeunload', warnBeforeUnload);
+  }, [saveStatus.state]);
+
+  // Every change made through the context goes onto the undo stack. Pass
+  // { toast: 'Message' } to show an "Undo" toast after the change. Only edits
+  // belong here: navigation and the selected role live in the route, so undo
+  // never walks back through them, and updates that change nothing are dropped.
+  const updateData = (next, options = {}) => {
+    if (next === data) return;
+    const { past } = historyRef.current;
+    historyRef.current = {
+      past: [...past, data].slice(-HISTORY_LIMIT),
+      future: []
+    };
+    setData(next);
+    setToast(options.toast ? { id: Date.now(), message: options.toast } : null);
+  };
+
+  const undo = () => {
+    const { past, future } = historyRef.current;
+    if (past.length === 0) return;
+    historyRef.current = {
+      past: past.slice(0, -1),
+      future: [data, ...future]
+    };
+    setData(past[past.length - 1]);
+    setToast(null);
+  };
+
+  const redo = () => {
+    const { past, future } = historyRef.current;
+    if (future.length === 0) return;
+    historyRef.current = {
+      past: [...past, data],
+      future: future.slice(1)
+    };
+    setData(future[0]);
+    setToast(null);
+  };
+
+  historyActionsRef.current = { undo, redo };
+
+  // The selected role belongs to this tab, not the workspace: it follows the
+  // route, so tabs on different roles don't overwrite each other's choice and
+  // switching roles never lands on the undo stack. Shared views keep the last
+  // role; a deleted one falls back to ED.
+  const [lastRole, setLastRole] = useState('ED');
+  const routeRole = data ? getRouteRole(data, route) : null;
+  useEffect(() => {
+    if (routeRole) setLastRole(routeRole);
+  }, [routeRole]);
+  const activeRole = routeRole || (data && getRoleName(data, lastRole) ? lastRole : 'ED');
+
+  // Goes to wherever a record is shown (switching role if needed) and scrolls
+  // it into view. Returns false for records that have no page of their own.
+  const openRecord = (collection, record) => {
+    const location = getRecordLocation(data, collection, record);
+    if (!location) return false;
+    navigate(...location.route);
+    focusRecordElement(recordElementId(collection, record.id));
+    return true;
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // Leave text fields to the browser's own undo
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        historyActionsRef.current.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        historyActionsRef.current.redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  const retrySave = () => saveQueueRef.current.retryNow();
+
+  const downloadUnsavedData = () => {
+    downloadJSON(`ami-unsaved-${todayStamp()}.json`, saveQueueRef.current.getPending());
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center">
+        <div className="text-amber-300 text-xl">Loading A.M.I...</div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <LoginPage
+        profiles={registry.profiles}
+        lockedProfileId={registry.activeProfileId}
+        loadError={loadError}
+        onSignIn={signIn}
+        onCreateProfile={createProfile}
+      />
+    );
+  }
+
+  return (
+    <AppContext.Provider value={{ data, setData: updateData, activeRole, undo, redo, currentView, setCurrentView, route, navigate, openRecord, saveStatus, retrySave, downloadUnsavedData, profile: activeProfile, logout, deleteProfile, lock, setPassphrase, removePassphrase }}>
+      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900">
+        <Header 
+          mobileMenuOpen={mobileMenuOpen}
+          setMobileMenuOpen={setMobileMenuOpen}
+          showRoleModal={showRoleModal}
+          setShowRoleModal={setShowRoleModal}
+        />
+        
+        {showRoleModal && <RoleModal onClose={() => setShowRoleModal(false)} />}
+        {syncConflicts.length > 0 && (
+          <SyncConflictModal conflicts={syncConflicts} onResolve={resolveSyncConflict} />
+        )}
+        
+        <main className="container mx-auto px-4 py-8">
+          {currentView === 'dashboard' && <Dashboard />}
+          {currentView === 'ed' && <ExecutiveDirectorModule />}
+          {currentView === 'play' && <PlayDirectorModule />}
+          {currentView === 'project' && <ProjectLeadModule />}
+          {currentView === 'custom' && <CustomRole />}
+          {currentView === 'calendar' && <CalendarView />}
+          {currentView === 'people' && <PeopleDirectory />}
+          {currentView === 'journal' && <Journal />}
+          {currentView === 'resources' && <Resources />}
+          {currentView === 'trash' && <Trash />}
+        </main>
+
+        {toast && <UndoToast key={toast.id} message={toast.message} onDismiss={() => setToast(null)} />}
+      </div>
+    </AppContext.Provider>
+  );
+};
+
+// ============================================================================
+// LOGIN PAGE
+// ============================================================================
+
+const LoginPage = ({ profiles, lockedProfileId, loadError, onSignIn, onCreateProfile }) => {
+  const [name, setName] = useState('');
+  const [organization, setOrganization] = useState('');
+  const [showCreateForm, setShowCreateForm] = useState(profiles.length === 0);
+  const [unlocking, setUnlocking] = useState(
+    profiles.find(p => p.id === lockedProfileId && p.encryption) || null
+  );
+  const [passphrase, setPassphrase] = useState('');
+  const [unlockError, setUnlockError] = useState('');
+  const [unlockBusy, setUnlockBusy] = useState(false);
+  const [openError, setOpenError] = useState(loadError);
+  const [createError, setCreateError] = useState('');
+  const [createBusy, setCreateBusy] = useState(false);
+
+  const handleSelectProfile = (profile) => {
+    setOpenError('');
+    if (profile.encryption) {
+      setUnlocking(profile);
+      setPassphrase('');
+      setUnlockError('');
+    } else {
+      onSignIn(profile).catch(error => {
+        console.error('Error opening profile:', error);
+        setOpenError(error.message || 'Could not open this profile.');
+      });
+    }
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setUnlockBusy(true);
+    setUnlockError('');
+    try {
+      await onSignIn(unlocking, passphrase);
+    } catch (error) {
+      setUnlockError(error.message || 'Could not unlock this profile.');
+      setUnlockBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setCreateBusy(true);
+    setCreateError('');
+    try {
+      await onCreateProfile({
+        name: name.trim(),
+        organization: organization.trim()
+      });
+    } catch (error) {
+      console.error('Error creating profile:', error);
+      setCreateError(error.message || 'Could not create this profile.');
+      setCreateBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center p-4">
+      <div className="bg-slate-800/50 backdrop-blur p-8 rounded-xl border border-amber-900/20 max-w-md w-full">
+        <div className="flex justify-center mb-6">
+          <svg width="64" height="64" viewBox="0 0 200 200">
+            <defs>
+              <linearGradient id="logoGradient" x1="0%" y1="0%" x2="100%" y2="100%">
+                <stop offset="0%" style={{ stopColor: '#f59e0b', stopOpacity: 1 }} />
+                <stop offset="100%" style={{ stopColor: '#d97706', stopOpacity: 1 }} />
+              </linearGradient>
+            </defs>
+            <path d="M 40 160 L 100 40 L 160 160 L 130 160 L 100 90 L 70 160 Z" fill="url(#logoGradient)" />
+            <path d="M 100 40 Q 140 60 160 100 Q 140 140 100 160" fill="none" stroke="#cbd5e1" strokeWidth="4" strokeLinecap="round" />
+            <circle cx="165" cy="100" r="6" fill="#fbbf24" />
+          </svg>
+        </div>
+        
+        <h1 className="text-3xl font-serif text-amber-300 text-center mb-2">Welcome to A.M.I.</h1>
+        <p className="text-slate-400 text-center mb-6">Arts Management Insights</p>
+
+        {unlocking && (
+          <form onSubmit={handleUnlock} className="space-y-4">
+            <div className="flex items-center space-x-3 p-3 bg-slate-900/50 rounded-lg">
+              <Lock className="text-amber-400" size={24} />
+              <div>
+                <p className="text-slate-100 font-semibold">{unlocking.name}</p>
+                <p className="text-slate-400 text-sm">This profile is locked</p>
+              </div>
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Passphrase</label>
+              <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                autoFocus
+                required
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+              {unlockError && <p className="text-red-400 text-sm mt-2">{unlockError}</p>}
+            </div>
             <button
-              onClick={() => setCurrentView('journal')}
-              className="text-slate-300 hover:text-amber-300 transition-colors"
+              type="submit"
+              disabled={unlockBusy}
+              className="w-full bg-amber-600 text-slate-900 px-4 py-3 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all disabled:opacity-50"
             >
-              Journal
+              {unlockBusy ? 'Unlocking…' : 'Unlock'}
             </button>
             <button
-              onClick={() => setCurrentView('resources')}
-              className="text-slate-300 hover:text-amber-300 transition-colors"
+              type="button"
+              onClick={() => setUnlocking(null)}
+              className="w-full bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
             >
-              Resources
+              Choose Another Profile
             </button>
-            
-            <div className="relative">
+          </form>
+        )}
+
+        {!unlocking && profiles.length > 0 && (
+          <div className="mb-6">
+            <h2 className="text-slate-300 mb-3">Who's using A.M.I.?</h2>
+            {openError && <p className="text-red-400 text-sm mb-3">{openError}</p>}
+            <div className="space-y-2">
+              {profiles.map(profile => (
+                <button
+                  key={profile.id}
+                  onClick={() => handleSelectProfile(profile)}
+                  className="w-full flex items-center space-x-3 p-3 bg-slate-900/50 rounded-lg hover:bg-slate-900/80 border border-transparent hover:border-amber-600 transition-all text-left"
+                >
+                  <UserCircle className="text-amber-400" size={28} />
+                  <div className="flex-1">
+                    <p className="text-slate-100 font-semibold">{profile.name}</p>
+                    {profile.organization && (
+                      <p className="text-slate-400 text-sm">{profile.organization}</p>
+                    )}
+                  </div>
+                  {profile.encryption && <Lock className="text-slate-400" size={16} />}
+                </button>
+              ))}
+            </div>
+            {!showCreateForm && (
               <button
-                onClick={() => setShowProfileMenu(!showProfileMenu)}
-                className="flex items-center space-x-2 bg-slate-800 px-3 py-2 rounded-lg hover:bg-slate-700 transition-colors"
+                onClick={() => setShowCreateForm(true)}
+                className="w-full flex items-center justify-center space-x-2 mt-3 px-4 py-2 rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600 transition-all"
               >
-                <Users size={18} className="text-amber-300" />
-                <span className="text-slate-300">{data.user.name}</span>
+                <UserPlus size={18} />
+                <span>New Profile</span>
               </button>
-              
-              {showProfileMenu && (
-                <div className="absolute right-0 mt-2 w-64 bg-slate-800 rounded-lg border border-amber-900/20 shadow-xl">
+            )}
+          </div>
+        )}
+
+        {!unlocking && showCreateForm && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-slate-300 mb-2">Your Name *</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                placeholder="Enter your name"
+              />
+            </div>
+          
+            <div>
+              <label className="block text-slate-300 mb-2">Organization (Optional)</label>
+              <input
+                type="text"
+                value={organization}
+                onChange={(e) => setOrganization(e.target.value)}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                placeholder="Enter your organization"
+              />
+            </div>
+          
+            {createError && <p className="text-red-400 text-sm">{createError}</p>}
+            <button
+              type="submit"
+              disabled={createBusy}
+              className="w-full bg-amber-600 text-slate-900 px-4 py-3 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all disabled:opacity-50"
+            >
+              {profiles.length > 0 ? 'Create Profile' : 'Get Started'}
+            </button>
+            {profiles.length > 0 && (
+              <button
+                type="button"
+                onClick={() => setShowCreateForm(false)}
+                className="w-full bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                Cancel
+              </button>
+            )}
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// ROLE MODAL
+// ============================================================================
+
+const RoleModal = ({ onClose }) => {
+  const { data, setData } = useApp();
+  const [roleName, setRoleName] = useState('');
+  const [features, setFeatures] = useState({
+    employees: false,
+    groups: false,
+    todos: false,
+    meetings: false,
+    contacts: false
+  });
+
+  const handleCreate = () => {
+    if (!roleName.trim()) return;
+    
+    const selectedFeatures = Object.keys(features).filter(key => features[key]);
+    if (selectedFeatures.length === 0) return;
+
+    const newRole = {
+      id: `custom_${Date.now()}`,
+      name: roleName.trim(),
+      type: 'custom',
+      features: selectedFeatures
+    };
+
+    setData({
+      ...data,
+      customRoles: [...data.customRoles, newRole]
+    });
+
+    setRoleName('');
+    setFeatures({
+      employees: false,
+      groups: false,
+      todos: false,
+      meetings: false,
+      contacts: false
+    });
+  };
+
+  const handleDelete = (roleId) => {
+    if (window.confirm('Move this custom role to the trash?')) {
+      setData(moveToTrash(data, 'customRoles', roleId), { toast: 'Custom role moved to trash' });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-slate-800 rounded-xl border border-amber-900/20 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-serif text-amber-300">Manage Custom Roles</h2>
+            <button onClick={onClose} className="text-slate-400 hover:text-slate-300">
+              <X size={24} />
+            </button>
+          </div>
+
+          <div className="space-y-6">
+            <div className="bg-slate-900/50 p-4 rounded-lg">
+              <h3 className="text-lg text-slate-200 mb-4">Create New Role</h3>
+              
+              <input
+                type="text"
+                value={roleName}
+                onChange={(e) => setRoleName(e.target.value)}
+                placeholder="Role name"
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none mb-4"
+              />
+
+              <div className="space-y-2 mb-4">
+                <label className="flex items-center space-x-2 text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={features.employees}
+                    onChange={(e) => setFeatures({ ...features, employees: e.target.checked })}
+                    className="rounded"
+                  />
+                  <span>Team Catalogue</span>
+                </label>
+                <label className="flex items-center space-x-2 text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={features.groups}
+                    onChange={(e) => setFeatures({ ...features, groups: e.target.checked })}
+                    className="rounded"
+                  />
+                  <span>Groups System</span>
+                </label>
+                <label className="flex items-center space-x-2 text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={features.todos}
+                    onChange={(e) => setFeatures({ ...features, todos: e.target.checked })}
+                    className="rounded"
+                  />
+                  <span>To-Do List</span>
+                </label>
+                <label className="flex items-center space-x-2 text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={features.meetings}
+                    onChange={(e) => setFeatures({ ...features, meetings: e.target.checked })}
+                    className="rounded"
+                  />
+                  <span>Meetings</span>
+                </label>
+                <label className="flex items-center space-x-2 text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={features.contacts}
+                    onChange={(e) => setFeatures({ ...features, contacts: e.target.checked })}
+                    className="rounded"
+                  />
+                  <span>Contacts</span>
+                </label>
+              </div>
+
+              <button
+                onClick={handleCreate}
+                className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+              >
+                Create Role
+              </button>
+            </div>
+
+            {data.customRoles.length > 0 && (
+              <div>
+                <h3 className="text-lg text-slate-200 mb-4">Existing Custom Roles</h3>
+                <div className="space-y-3">
+                  {data.customRoles.map(role => (
+                    <div key={role.id} className="bg-slate-900/50 p-4 rounded-lg flex justify-between items-start">
+                      <div>
+                        <h4 className="text-slate-100 font-semibold mb-2">{role.name}</h4>
+                        <div className="flex flex-wrap gap-2">
+                          {role.features.includes('employees') && (
+                            <span className="text-xs px-2 py-1 bg-amber-900/30 text-amber-300 rounded">Team Catalogue</span>
+                          )}
+                          {role.features.includes('groups') && (
+                            <span className="text-xs px-2 py-1 bg-amber-900/30 text-amber-300 rounded">Groups</span>
+                          )}
+                          {role.features.includes('todos') && (
+                            <span className="text-xs px-2 py-1 bg-amber-900/30 text-amber-300 rounded">To-Dos</span>
+                          )}
+                          {role.features.includes('meetings') && (
+                            <span className="text-xs px-2 py-1 bg-amber-900/30 text-amber-300 rounded">Meetings</span>
+                          )}
+                          {role.features.includes('contacts') && (
+                            <span className="text-xs px-2 py-1 bg-amber-900/30 text-amber-300 rounded">Contacts</span>
+                          )}
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => handleDelete(role.id)}
+                        className="text-red-400 hover:text-red-300"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// IMPORT DATA MODAL
+// ============================================================================
+
+const ImportDataModal = ({ onClose }) => {
+  const { data, setData } = useApp();
+  const [fileName, setFileName] = useState('');
+  const [imported, setImported] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [result, setResult] = useState(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setImported(null);
+    setErrors([]);
+    setResult(null);
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const parsed = parseBackup(reader.result);
+      setImported(parsed.data);
+      setErrors(parsed.errors);
+    };
+    reader.onerror = () => setErrors(['The file could not be read.']);
+    reader.readAsText(file);
+  };
+
+  const handleReplace = () => {
+    if (!window.confirm('Replace ALL current data with this backup?')) return;
+
+    // The backup's data moves into this profile, so keep its identity
+    setData({
+      ...imported,
+      user: data.user
+    });
+    setResult('Your data has been replaced with the backup.');
+    setImported(null);
+  };
+
+  const handleMerge = () => {
+    const { data: merged, summary } = mergeData(data, imported);
+    setData(merged);
+    setResult(
+      `Merged ${summary.added} record(s)` +
+      (summary.reassigned > 0 ? `, ${summary.reassigned} given new ids to avoid collisions` : '') +
+      (summary.skipped > 0 ? `, ${summary.skipped} already present and skipped` : '') +
+      '.'
+    );
+    setImported(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-slate-800 rounded-xl border border-amber-900/20 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-serif text-amber-300">Import Data</h2>
+            <button onClick={onClose} className="text-slate-400 hover:text-slate-300">
+              <X size={24} />
+            </button>
+          </div>
+
+          <div className="space-y-6">
+            <div className="bg-slate-900/50 p-4 rounded-lg">
+              <label className="block text-slate-300 mb-2">Backup file (.json)</label>
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={handleFile}
+                className="w-full text-slate-300"
+              />
+              {fileName && <p className="text-slate-400 text-sm mt-2">{fileName}</p>}
+            </div>
+
+            {errors.length > 0 && (
+              <div className="bg-red-900/30 p-4 rounded-lg">
+                <h3 className="text-red-300 font-semibold mb-2 flex items-center">
+                  <AlertCircle size={18} className="mr-2" />
+                  This file can't be imported
+                </h3>
+                <ul className="list-disc list-inside text-slate-300 text-sm space-y-1">
+                  {errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {imported && (
+              <div>
+                <h3 className="text-lg text-slate-200 mb-4">Backup Contents</h3>
+                <div className="bg-slate-900/50 rounded-lg overflow-hidden mb-4">
+                  <div className="grid grid-cols-3 px-4 py-2 text-slate-400 text-sm border-b border-slate-700">
+                    <span>Collection</span>
+                    <span className="text-right">In backup</span>
+                    <span className="text-right">Currently</span>
+                  </div>
+                  {COLLECTION_KEYS.map(key => (
+                    <div key={key} className="grid grid-cols-3 px-4 py-2 text-sm">
+                      <span className="text-slate-300">{COLLECTION_LABELS[key]}</span>
+                      <span className="text-right text-amber-300">{imported[key].length}</span>
+                      <span className="text-right text-slate-400">{data[key].length}</span>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={handleMerge}
+                    className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+                  >
+                    Merge Into My Data
+                  </button>
+                  <button
+                    onClick={handleReplace}
+                    className="bg-red-900/50 text-red-300 px-4 py-2 rounded-lg hover:bg-red-900/70 font-semibold transition-all"
+                  >
+                    Replace My Data
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {result && (
+              <div className="bg-green-900/20 p-4 rounded-lg text-green-300">
+                {result}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// SECTION 2 COMPLETE - Continue with Header in next section
+// ============================================================================
+
+// ============================================================================
+// PASSPHRASE MODAL
+// ============================================================================
+
+const PassphraseModal = ({ onClose }) => {
+  const { data, setData, profile, setPassphrase, removePassphrase, saveStatus } = useApp();
+  const isEncrypted = Boolean(profile.encryption);
+  const [currentPassphrase, setCurrentPassphrase] = useState('');
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  // Changing or removing protection needs the current passphrase first
+  const run = async (action, successMessage) => {
+    setError('');
+    setMessage('');
+    if (saveStatus.state !== 'saved') {
+      setError('Wait until your latest changes are saved, then try again.');
+      return;
+    }
+    setBusy(true);
+    try {
+      if (isEncrypted) {
+        await unlockProfileKey(profile, currentPassphrase);
+      }
+      await action();
+      setMessage(successMessage);
+      setCurrentPassphrase('');
+      setNewPassphrase('');
+      setConfirmPassphrase('');
+    } catch (err) {
+      setError(err.message || 'Something went wrong.');
+    }
+    setBusy(false);
+  };
+
+  const handleSet = (e) => {
+    e.preventDefault();
+    if (newPassphrase.length < PASSPHRASE_MIN_LENGTH) {
+      setError(`Use at least ${PASSPHRASE_MIN_LENGTH} characters.`);
+      return;
+    }
+    if (newPassphrase !== confirmPassphrase) {
+      setError('The passphrases do not match.');
+      return;
+    }
+    run(
+      () => setPassphrase(newPassphrase),
+      isEncrypted ? 'Passphrase changed.' : 'Your workspace is now encrypted.'
+    );
+  };
+
+  const handleRemove = () => {
+    if (!window.confirm('Remove the passphrase? Your workspace will be stored unencrypted on this device.')) return;
+    run(removePassphrase, 'Passphrase removed. Your workspace is no longer encrypted.');
+  };
+
+  const inputClass = 'w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-slate-800 rounded-xl border border-amber-900/20 max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-serif text-amber-300">Passphrase & Lock</h2>
+            <button onClick={onClose} className="text-slate-400 hover:text-slate-300">
+              <X size={24} />
+            </button>
+          </div>
+
+          <p className="text-slate-400 text-sm mb-6">
+            {isEncrypted
+              ? 'This profile is encrypted on this device. You will need the passphrase to open it.'
+              : 'Protect this profile with a passphrase. Everything it stores on this device, including your journal, is encrypted. A forgotten passphrase cannot be recovered, so export a backup first.'}
+          </p>
+
+          <form onSubmit={handleSet} className="space-y-4">
+            {isEncrypted && (
+              <div>
+                <label className="block text-slate-300 mb-2">Current Passphrase *</label>
+                <input
+                  type="password"
+                  value={currentPassphrase}
+                  onChange={(e) => setCurrentPassphrase(e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-slate-300 mb-2">{isEncrypted ? 'New Passphrase' : 'Passphrase'} *</label>
+              <input
+                type="password"
+                value={newPassphrase}
+                onChange={(e) => setNewPassphrase(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Confirm Passphrase *</label>
+              <input
+                type="password"
+                value={confirmPassphrase}
+                onChange={(e) => setConfirmPassphrase(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+            {message && <p className="text-green-300 text-sm">{message}</p>}
+
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="submit"
+                disabled={busy}
+                className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all disabled:opacity-50"
+              >
+                {isEncrypted ? 'Change Passphrase' : 'Encrypt Workspace'}
+              </button>
+              {isEncrypted && (
+                <button
+                  type="button"
+                  onClick={handleRemove}
+                  disabled={busy}
+                  className="bg-red-900/50 text-red-300 px-4 py-2 rounded-lg hover:bg-red-900/70 font-semibold transition-all disabled:opacity-50"
+                >
+                  Remove Passphrase
+                </button>
+              )}
+            </div>
+          </form>
+
+          <div className="mt-6 pt-6 border-t border-slate-700">
+            <label className="block text-slate-300 mb-2">Lock automatically after inactivity</label>
+            <select
+              value={data.settings.autoLockMinutes || ''}
+              onChange={(e) => setData({
+                ...data,
+                settings: { ...data.settings, autoLockMinutes: e.target.value ? parseInt(e.target.value) : null }
+              })}
+              className={inputClass}
+            >
+              <option value="5">5 minutes</option>
+              <option value="15">15 minutes</option>
+              <option value="30">30 minutes</option>
+              <option value="60">1 hour</option>
+              <option value="">Never</option>
+            </select>
+            <p className="text-slate-500 text-sm mt-2">Only applies while the profile is encrypted.</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// SAVE STATUS
+// ============================================================================
+
+const getSaveStatusLabel = (saveStatus) => {
+  if (saveStatus.state === 'saving') return 'Saving…';
+  if (saveStatus.state === 'failed') return `Failed: ${saveStatus.error}`;
+  return 'Saved';
+};
+
+const SaveStatusIndicator = () => {
+  const { saveStatus } = useApp();
+
+  let icon = <Check size={14} />;
+  let color = 'text-slate-400';
+  if (saveStatus.state === 'saving') {
+    icon = <Loader2 size={14} className="animate-spin" />;
+  } else if (saveStatus.state === 'failed') {
+    icon = <CloudOff size={14} />;
+    color = 'text-red-400';
+  }
+
+  return (
+    <span className={`flex items-center space-x-1 text-xs ${color}`}>
+      {icon}
+      <span>{getSaveStatusLabel(saveStatus)}</span>
+    </span>
+  );
+};
+
+const SaveStatusBanner = () => {
+  const { saveStatus, retrySave, downloadUnsavedData } = useApp();
+
+  if (saveStatus.state !== 'failed') return null;
+
+  return (
+    <div className="bg-red-900/40 border border-red-700/50 rounded-lg px-4 py-3 mb-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+      <div className="flex items-start space-x-2 text-red-200">
+        <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+        <div>
+          <p className="font-semibold">{getSaveStatusLabel(saveStatus)}</p>
+          <p className="text-sm text-red-300">
+            Your latest changes are not saved yet. Retrying automatically (attempt {saveStatus.failures}).
+          </p>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={retrySave}
+          className="bg-slate-800 text-slate-200 px-4 py-2 rounded-lg hover:bg-slate-700 text-sm transition-all"
+        >
+          Retry Now
+        </button>
+        {saveStatus.failures >= SAVE_FAILURES_BEFORE_DOWNLOAD && (
+          <button
+            onClick={downloadUnsavedData}
+            className="flex items-center space-x-2 bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold text-sm transition-all"
+          >
+            <Download size={16} />
+            <span>Download Unsaved Data</span>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// SYNC CONFLICT MODAL
+// ============================================================================
+
+const describeConflictVersion = (collection, record) => {
+  if (!record) return 'Deleted';
+  if (collection === 'trash') return getRecordTitle(record.collection, record.item);
+  return getRecordTitle(collection, record);
+};
+
+const SyncConflictModal = ({ conflicts, onResolve }) => (
+  <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+    <div className="bg-slate-800 rounded-xl border border-amber-900/20 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+      <div className="p-6">
+        <div className="flex items-center space-x-3 mb-2">
+          <AlertCircle className="text-amber-400" size={24} />
+          <h2 className="text-2xl font-serif text-amber-300">Edited in Another Tab</h2>
+        </div>
+        <p className="text-slate-400 text-sm mb-6">
+          These records were changed both here and in another tab. Your version is shown for now; choose which one to keep.
+        </p>
+
+        <div className="space-y-3">
+          {conflicts.map(conflict => (
+            <div key={`${conflict.collection}-${conflict.id}`} className="bg-slate-900/50 rounded-lg p-4">
+              <p className="text-slate-500 text-xs uppercase tracking-wide mb-2">
+                {COLLECTION_LABELS[conflict.collection] || conflict.collection}
+              </p>
+              <div className="grid md:grid-cols-2 gap-3 mb-3">
+                <div>
+                  <p className="text-slate-400 text-sm">This tab</p>
+                  <p className="text-slate-100">{describeConflictVersion(conflict.collection, conflict.local)}</p>
+                </div>
+                <div>
+                  <p className="text-slate-400 text-sm">Other tab</p>
+                  <p className="text-slate-100">{describeConflictVersion(conflict.collection, conflict.remote)}</p>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => onResolve(conflict, false)}
+                  className="bg-amber-600 text-slate-900 px-3 py-1 rounded hover:bg-amber-500 font-semibold text-sm transition-all"
+                >
+                  Keep Mine
+                </button>
+                <button
+                  onClick={() => onResolve(conflict, true)}
+                  className="bg-slate-700 text-slate-300 px-3 py-1 rounded hover:bg-slate-600 text-sm transition-all"
+                >
+                  Use Other Tab's
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+// ============================================================================
+// UNDO TOAST
+// ============================================================================
+
+const UndoToast = ({ message, onDismiss }) => {
+  const { undo } = useApp();
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 bg-slate-800 border border-amber-900/30 rounded-lg shadow-xl px-4 py-3 flex items-center space-x-4">
+      <span className="text-slate-200">{message}</span>
+      <button
+        onClick={undo}
+        className="flex items-center space-x-1 text-amber-400 hover:text-amber-300 font-semibold"
+      >
+        <Undo2 size={16} />
+        <span>Undo</span>
+      </button>
+      <button onClick={onDismiss} className="text-slate-400 hover:text-slate-300">
+        <X size={16} />
+      </button>
+    </div>
+  );
+};
+
+// ============================================================================
+// SEARCH PALETTE
+// ============================================================================
+
+const HighlightedText = ({ text, terms }) => {
+  if (terms.length === 0) return text;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  // split() with a capture group puts the matches at odd indexes
+  return text.split(pattern).map((part, i) => (
+    i % 2 === 1
+      ? <mark key={i} className="bg-amber-500/30 text-amber-200 rounded px-0.5">{part}</mark>
+      : part
+  ));
+};
+
+const SearchPalette = ({ onClose }) => {
+  const { data, openRecord } = useApp();
+  const [query, setQuery] = useState('');
+  const [selectedIndex, setSelectedIndex] = useState(0);
+
+  const groups = searchData(data, query);
+  const terms = searchTerms(query);
+  const flatResults = groups.flatMap(group =>
+    group.results.map(result => ({ ...result, collection: group.collection }))
+  );
+
+  const openResult = ({ collection, record }) => {
+    if (openRecord(collection, record)) onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelectedIndex(Math.min(selectedIndex + 1, flatResults.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelectedIndex(Math.max(selectedIndex - 1, 0));
+    } else if (e.key === 'Enter' && flatResults[selectedIndex]) {
+      e.preventDefault();
+      openResult(flatResults[selectedIndex]);
+    }
+  };
+
+  let resultIndex = -1;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-start justify-center p-4 pt-[10vh] z-50" onClick={onClose}>
+      <div
+        className="bg-slate-800 rounded-xl border border-amber-900/20 max-w-2xl w-full max-h-[75vh] flex flex-col shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center space-x-3 p-4 border-b border-slate-700">
+          <Search className="text-amber-400" size={20} />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setSelectedIndex(0);
+            }}
+            onKeyDown={handleKeyDown}
+            placeholder="Search people, meetings, reports, journal…"
+            autoFocus
+            className="flex-1 bg-transparent text-slate-100 placeholder-slate-500 focus:outline-none"
+          />
+          <kbd className="text-xs text-slate-500 border border-slate-600 rounded px-1.5 py-0.5">Esc</kbd>
+        </div>
+
+        <div className="overflow-y-auto p-2">
+          {query.trim() && groups.length === 0 && (
+            <p className="text-slate-400 text-center py-8">No matches for "{query.trim()}"</p>
+          )}
+          {groups.map(group => (
+            <div key={group.collection} className="mb-2">
+              <p className="text-slate-500 text-xs uppercase tracking-wide px-3 py-2">{group.label}</p>
+              {group.results.map(result => {
+                resultIndex += 1;
+                const index = resultIndex;
+                const reachable = Boolean(getRecordLocation(data, group.collection, result.record));
+                return (
+                  <button
+                    key={result.record.id}
+                    onClick={() => openResult({ ...result, collection: group.collection })}
+                    onMouseEnter={() => setSelectedIndex(index)}
+                    disabled={!reachable}
+                    className={`w-full text-left px-3 py-2 rounded-lg transition-colors disabled:opacity-50 ${
+                      index === selectedIndex ? 'bg-slate-700' : 'hover:bg-slate-700/50'
+                    }`}
+                  >
+                    <p className="text-slate-100">
+                      <HighlightedText text={result.title} terms={terms} />
+                    </p>
+                    {result.snippet && (
+                      <p className="text-slate-400 text-sm truncate">
+                        <HighlightedText text={result.snippet} terms={terms} />
+                      </p>
+                    )}
+                    {!reachable && <p className="text-slate-500 text-xs">Not shown in any view</p>}
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+          {!query.trim() && (
+            <p className="text-slate-500 text-sm text-center py-6">
+              Type to search every record. Use ↑ ↓ to choose and Enter to open.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// HEADER
+// ============================================================================
+
+const Header = ({ mobileMenuOpen, setMobileMenuOpen, showRoleModal, setShowRoleModal }) => {
+  const { data, activeRole, setCurrentView, navigate, profile, logout, deleteProfile, lock } = useApp();
+  const [showProfileMenu, setShowProfileMenu] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showPassphraseModal, setShowPassphraseModal] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+
+  // Ctrl+K (⌘K on macOS) opens search from anywhere, including text fields
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowSearch(open => !open);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const handleRoleSwitch = (role) => {
+    if (role === 'ED') setCurrentView('ed');
+    else if (role === 'Play') setCurrentView('play');
+    else if (role === 'Project') setCurrentView('project');
+    else navigate('custom', role);
+    setMobileMenuOpen(false);
+  };
+
+  const handleLogout = () => {
+    if (window.confirm('Are you sure you want to log out?')) {
+      logout();
+    }
+  };
+
+  const handleDeleteProfile = () => {
+    const confirmation = window.prompt(
+      `This permanently deletes the profile "${profile.name}" and all of its data on this device. ` +
+      'Export a backup first if you may need it.\n\nType the profile name to confirm:'
+    );
+    if (confirmation !== null && confirmation.trim() === profile.name) {
+      deleteProfile();
+    }
+  };
+
+  return (
+    <>
+    <header className="sticky top-0 bg-slate-900/95 backdrop-blur border-b border-amber-900/30 z-40">
+      <div className="container mx-auto px-4">
+        <div className="flex items-center justify-between py-4">
+          {/* Logo */}
+          <div className="flex items-center space-x-3">
+            <svg width="40" height="40" viewBox="0 0 200 200">
+              <defs>
+                <linearGradient id="logoGradient" x1="0%" y1="0%" x2="100%" y2="100%">
+                  <stop offset="0%" style={{ stopColor: '#f59e0b', stopOpacity: 1 }} />
+                  <stop offset="100%" style={{ stopColor: '#d97706', stopOpacity: 1 }} />
+                </linearGradient>
+              </defs>
+              <path d="M 40 160 L 100 40 L 160 160 L 130 160 L 100 90 L 70 160 Z" fill="url(#logoGradient)" />
+              <path d="M 100 40 Q 140 60 160 100 Q 140 140 100 160" fill="none" stroke="#cbd5e1" strokeWidth="4" strokeLinecap="round" />
+              <circle cx="165" cy="100" r="6" fill="#fbbf24" />
+            </svg>
+            <div>
+              <h1 className="text-xl font-serif text-amber-300">A.M.I.</h1>
+              <p className="text-xs text-slate-400">Arts Management Insights</p>
+            </div>
+          </div>
+
+          {/* Desktop Navigation */}
+          <nav className="hidden lg:flex items-center space-x-2">
+            <button
+              onClick={() => handleRoleSwitch('ED')}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
+                activeRole === 'ED' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+              }`}
+            >
+              <Briefcase size={18} />
+              <span>Executive Director</span>
+            </button>
+            <button
+              onClick={() => handleRoleSwitch('Play')}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
+                activeRole === 'Play' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+              }`}
+            >
+              <Theater size={18} />
+              <span>Play Director</span>
+            </button>
+            <button
+              onClick={() => handleRoleSwitch('Project')}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
+                activeRole === 'Project' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+              }`}
+            >
+              <FolderOpen size={18} />
+              <span>Project Lead</span>
+            </button>
+            
+            {data.customRoles.map(role => (
+              <button
+                key={role.id}
+                onClick={() => handleRoleSwitch(role.id)}
+                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
+                  activeRole === role.id ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+                }`}
+              >
+                <Users size={18} />
+                <span>{role.name}</span>
+              </button>
+            ))}
+            
+            <button
+              onClick={() => setShowRoleModal(true)}
+              className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600 transition-all"
+            >
+              <Plus size={18} />
+              <span>Manage Roles</span>
+            </button>
+          </nav>
+
+          {/* Secondary Nav */}
+          <div className="hidden md:flex items-center space-x-4">
+            <SaveStatusIndicator />
+            <button
+              onClick={() => setShowSearch(true)}
+              className="flex items-center space-x-2 bg-slate-800 px-3 py-2 rounded-lg text-slate-400 hover:bg-slate-700 hover:text-slate-300 transition-colors"
+            >
+              <Search size={16} />
+              <span>Search</span>
+              <kbd className="text-xs border border-slate-600 rounded px-1.5">Ctrl K</kbd>
+            </button>
+            <button
+              onClick={() => setCurrentView('dashboard')}
+              className="text-slate-300 hover:text-amber-300 transition-colors"
+            >
+              Dashboard
+            </button>
+            <button
+              onClick={() => setCurrentView('calendar')}
+              className="text-slate-300 hover:text-amber-300 transition-colors"
+            >
+              Calendar
+            </button>
+            <button
+              onClick={() => setCurrentView('people')}
+              className="text-slate-300 hover:text-amber-300 transition-colors"
+            >
+              People
+            </button>
+            <button
+              onClick={() => setCurrentView('journal')}
+              className="text-slate-300 hover:text-amber-300 transition-colors"
+            >
+              Journal
+            </button>
+            <button
+              onClick={() => setCurrentView('resources')}
+              className="text-slate-300 hover:text-amber-300 transition-colors"
+            >
+              Resources
+            </button>
+            <button
+              onClick={() => setCurrentView('trash')}
+              className="text-slate-300 hover:text-amber-300 transition-colors"
+            >
+              Trash
+            </button>
+            
+            <div className="relative">
+              <button
+                onClick={() => setShowProfileMenu(!showProfileMenu)}
+                className="flex items-center space-x-2 bg-slate-800 px-3 py-2 rounded-lg hover:bg-slate-700 transition-colors"
+              >
+                <Users size={18} className="text-amber-300" />
+                <span className="text-slate-300">{data.user.name}</span>
+              </button>
+              
+              {showProfileMenu && (
+                <div className="absolute right-0 mt-2 w-64 bg-slate-800 rounded-lg border border-amber-900/20 shadow-xl">
                   <div className="p-4 border-b border-slate-700">
                     <p className="text-slate-100 font-semibold">{data.user.name}</p>
                     {data.user.organization && (
@@ -606,570 +3743,3757 @@ const Header = ({ mobileMenuOpen, setMobileMenuOpen, showRoleModal, setShowRoleM
                     )}
                   </div>
                   <button
-                    onClick={handleLogout}
-                    className="w-full px-4 py-3 text-left text-red-400 hover:bg-slate-700 transition-colors"
+                    onClick={() => {
+                      exportData(data);
+                      setShowProfileMenu(false);
+                    }}
+                    className="w-full flex items-center space-x-2 px-4 py-3 text-left text-slate-300 hover:bg-slate-700 transition-colors"
+                  >
+                    <Download size={16} />
+                    <span>Export Data</span>
+                  </button>
+                  <button
+                    onClick={() => {
+                      setShowImportModal(true);
+                      setShowProfileMenu(false);
+                    }}
+                    className="w-full flex items-center space-x-2 px-4 py-3 text-left text-slate-300 hover:bg-slate-700 transition-colors"
+                  >
+                    <Upload size={16} />
+                    <span>Import Data</span>
+                  </button>
+                  <button
+                    onClick={() => {
+                      setShowPassphraseModal(true);
+                      setShowProfileMenu(false);
+                    }}
+                    className="w-full flex items-center space-x-2 px-4 py-3 text-left text-slate-300 hover:bg-slate-700 transition-colors border-t border-slate-700"
+                  >
+                    <KeyRound size={16} />
+                    <span>Passphrase & Lock</span>
+                  </button>
+                  {profile.encryption && (
+                    <button
+                      onClick={lock}
+                      className="w-full flex items-center space-x-2 px-4 py-3 text-left text-slate-300 hover:bg-slate-700 transition-colors"
+                    >
+                      <Lock size={16} />
+                      <span>Lock Now</span>
+                    </button>
+                  )}
+                  <button
+                    onClick={handleLogout}
+                    className="w-full px-4 py-3 text-left text-slate-300 hover:bg-slate-700 transition-colors border-t border-slate-700"
+                  >
+                    Switch Profile / Logout
+                  </button>
+                  <button
+                    onClick={handleDeleteProfile}
+                    className="w-full px-4 py-3 text-left text-red-400 hover:bg-slate-700 transition-colors"
+                  >
+                    Delete Profile
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Mobile Menu Button */}
+          <button
+            onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+            className="lg:hidden text-slate-300"
+          >
+            {mobileMenuOpen ? <X size={24} /> : <Menu size={24} />}
+          </button>
+        </div>
+
+        <SaveStatusBanner />
+
+        {/* Mobile Menu */}
+        {mobileMenuOpen && (
+          <div className="lg:hidden pb-4 space-y-2">
+            <button
+              onClick={() => handleRoleSwitch('ED')}
+              className={`w-full flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
+                activeRole === 'ED' ? 'bg-amber-600 text-slate-900' : 'bg-slate-800 text-slate-300'
+              }`}
+            >
+              <Briefcase size={18} />
+              <span>Executive Director</span>
+            </button>
+            <button
+              onClick={() => handleRoleSwitch('Play')}
+              className={`w-full flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
+                activeRole === 'Play' ? 'bg-amber-600 text-slate-900' : 'bg-slate-800 text-slate-300'
+              }`}
+            >
+              <Theater size={18} />
+              <span>Play Director</span>
+            </button>
+            <button
+              onClick={() => handleRoleSwitch('Project')}
+              className={`w-full flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
+                activeRole === 'Project' ? 'bg-amber-600 text-slate-900' : 'bg-slate-800 text-slate-300'
+              }`}
+            >
+              <FolderOpen size={18} />
+              <span>Project Lead</span>
+            </button>
+            
+            {data.customRoles.map(role => (
+              <button
+                key={role.id}
+                onClick={() => handleRoleSwitch(role.id)}
+                className={`w-full flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
+                  activeRole === role.id ? 'bg-amber-600 text-slate-900' : 'bg-slate-800 text-slate-300'
+                }`}
+              >
+                <Users size={18} />
+                <span>{role.name}</span>
+              </button>
+            ))}
+            
+            <button
+              onClick={() => {
+                setShowRoleModal(true);
+                setMobileMenuOpen(false);
+              }}
+              className="w-full flex items-center space-x-2 px-4 py-2 rounded-lg bg-slate-700 text-slate-300"
+            >
+              <Plus size={18} />
+              <span>Manage Roles</span>
+            </button>
+            
+            <div className="border-t border-slate-700 pt-2 mt-2">
+              <button
+                onClick={() => {
+                  setShowSearch(true);
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full flex items-center space-x-2 px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+              >
+                <Search size={18} />
+                <span>Search</span>
+              </button>
+              <button
+                onClick={() => {
+                  setCurrentView('dashboard');
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+              >
+                Dashboard
+              </button>
+              <button
+                onClick={() => {
+                  setCurrentView('calendar');
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+              >
+                Calendar
+              </button>
+              <button
+                onClick={() => {
+                  setCurrentView('people');
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+              >
+                People
+              </button>
+              <button
+                onClick={() => {
+                  setCurrentView('journal');
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+              >
+                Journal
+              </button>
+              <button
+                onClick={() => {
+                  setCurrentView('resources');
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+              >
+                Resources
+              </button>
+              <button
+                onClick={() => {
+                  setCurrentView('trash');
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+              >
+                Trash
+              </button>
+              <button
+                onClick={() => {
+                  exportData(data);
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+              >
+                Export Data
+              </button>
+              <button
+                onClick={() => {
+                  setShowImportModal(true);
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+              >
+                Import Data
+              </button>
+              <button
+                onClick={() => {
+                  setShowPassphraseModal(true);
+                  setMobileMenuOpen(false);
+                }}
+                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+              >
+                Passphrase & Lock
+              </button>
+              {profile.encryption && (
+                <button
+                  onClick={() => {
+                    setMobileMenuOpen(false);
+                    lock();
+                  }}
+                  className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
+                >
+                  Lock Now
+                </button>
+              )}
+              <button
+                onClick={handleLogout}
+                className="w-full text-left px-4 py-2 text-red-400 hover:bg-slate-800 rounded"
+              >
+                Logout
+              </button>
+              <button
+                onClick={() => {
+                  setMobileMenuOpen(false);
+                  handleDeleteProfile();
+                }}
+                className="w-full text-left px-4 py-2 text-red-400 hover:bg-slate-800 rounded"
+              >
+                Delete Profile
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </header>
+
+    {showImportModal && <ImportDataModal onClose={() => setShowImportModal(false)} />}
+    {showPassphraseModal && <PassphraseModal onClose={() => setShowPassphraseModal(false)} />}
+    {showSearch && <SearchPalette onClose={() => setShowSearch(false)} />}
+    </>
+  );
+};
+
+// ============================================================================
+// SECTION 3 COMPLETE - Continue with GaugeChart and Dashboard in next section
+// ============================================================================
+
+// ============================================================================
+// GAUGE CHART
+// ============================================================================
+
+const GaugeChart = ({ value, label }) => {
+  const percentage = (value / 5) * 100;
+  const rotation = (percentage / 100) * 180 - 90;
+  
+  let status = 'Needs Focus';
+  let statusColor = '#ef4444';
+  
+  if (value >= 4) {
+    status = 'Strong';
+    statusColor = '#22c55e';
+  } else if (value >= 3) {
+    status = 'Developing';
+    statusColor = '#eab308';
+  }
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+      <h3 className="text-lg font-semibold text-slate-200 mb-4 text-center">{label}</h3>
+      <div className="relative w-48 h-24 mx-auto mb-4">
+        <svg viewBox="0 0 200 100" className="w-full h-full">
+          <path
+            d="M 20 90 A 80 80 0 0 1 180 90"
+            fill="none"
+            stroke="#334155"
+            strokeWidth="20"
+            strokeLinecap="round"
+          />
+          <path
+            d="M 20 90 A 80 80 0 0 1 180 90"
+            fill="none"
+            stroke={statusColor}
+            strokeWidth="20"
+            strokeLinecap="round"
+            strokeDasharray={`${percentage * 2.51} 1000`}
+          />
+          <line
+            x1="100"
+            y1="90"
+            x2="100"
+            y2="30"
+            stroke="#f59e0b"
+            strokeWidth="3"
+            strokeLinecap="round"
+            transform={`rotate(${rotation} 100 90)`}
+          />
+          <circle cx="100" cy="90" r="8" fill="#f59e0b" />
+        </svg>
+      </div>
+      <div className="text-center">
+        <div className="text-3xl font-bold text-amber-300 mb-1">{value.toFixed(1)}/5</div>
+        <div className="text-sm" style={{ color: statusColor }}>{status}</div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// RATING SCALE COMPONENT
+// ============================================================================
+
+const RatingScale = ({ label, value, onChange, scale }) => {
+  const [showTooltip, setShowTooltip] = useState(false);
+  const currentItem = scale.find(item => item.value === value) || scale[2];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <label className="text-slate-300 font-medium">
+          {label}: {value} - {currentItem.label}
+        </label>
+        <div className="relative">
+          <button
+            onMouseEnter={() => setShowTooltip(true)}
+            onMouseLeave={() => setShowTooltip(false)}
+            className="text-amber-400 hover:text-amber-300"
+            type="button"
+          >
+            <HelpCircle size={18} />
+          </button>
+          {showTooltip && (
+            <div className="absolute right-0 bottom-full mb-2 w-80 bg-slate-900 border border-amber-900/30 rounded-lg p-4 shadow-xl z-10">
+              {scale.map(item => (
+                <div key={item.value} className="mb-3 last:mb-0">
+                  <div className="text-amber-300 font-semibold">{item.value}. {item.label}</div>
+                  <div className="text-slate-400 text-sm">{item.desc}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+      <input
+        type="range"
+        min="1"
+        max="5"
+        value={value}
+        onChange={(e) => onChange(parseInt(e.target.value))}
+        className="w-full"
+      />
+      <p className="text-slate-400 text-sm">{currentItem.desc}</p>
+    </div>
+  );
+};
+
+// ============================================================================
+// EDIT HISTORY
+// ============================================================================
+
+const fieldLabel = (field) =>
+  field.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, c => c.toUpperCase());
+
+const describeFieldValue = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (!text) return '(empty)';
+  return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+};
+
+// "Edited <date>" under a record, expanding to what each edit replaced
+const EditHistory = ({ record }) => {
+  const [open, setOpen] = useState(false);
+  if (!record.updatedAt) return null;
+  const history = record.editHistory || [];
+
+  return (
+    <div className="mt-3 text-xs text-slate-500">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="flex items-center space-x-1 hover:text-slate-300 transition-colors"
+      >
+        <Clock size={12} />
+        <span>
+          Edited {formatDate(record.updatedAt)}
+          {history.length > 0 && ` · ${history.length} ${history.length === 1 ? 'edit' : 'edits'}`}
+        </span>
+      </button>
+      {open && (
+        <ul className="mt-2 space-y-2 border-l border-slate-700 pl-3">
+          {[...history].reverse().map(entry => (
+            <li key={entry.editedAt}>
+              <p className="text-slate-400">{formatDateTime(entry.editedAt)}</p>
+              {Object.entries(entry.previous).map(([field, value]) => (
+                <p key={field}>
+                  {fieldLabel(field)} was <span className="text-slate-300">{describeFieldValue(value)}</span>
+                </p>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// ROLE SHARING
+// ============================================================================
+
+// "This role / All roles" switch above a scoped list
+const RoleScopeToggle = ({ scope, onChange }) => (
+  <div className="flex bg-slate-900 rounded-lg p-1 text-sm">
+    {[['role', 'This role'], ['all', 'All roles']].map(([value, label]) => (
+      <button
+        key={value}
+        type="button"
+        onClick={() => onChange(value)}
+        className={`px-3 py-1 rounded-md transition-all ${
+          scope === value ? 'bg-amber-600 text-slate-900 font-semibold' : 'text-slate-400 hover:text-slate-200'
+        }`}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+// Badges for the roles a record is shared with, plus a picker to change them
+const RoleSharing = ({ collection, record }) => {
+  const { data, setData } = useApp();
+  const [open, setOpen] = useState(false);
+  if (!Array.isArray(record.roles)) return null;
+
+  const toggleRole = (roleId) => {
+    const roles = record.roles.includes(roleId)
+      ? record.roles.filter(id => id !== roleId)
+      : [...record.roles, roleId];
+    if (roles.length === 0) return;
+    setData(updateRecord(data, collection, record.id, { roles }));
+  };
+
+  return (
+    <div className="mt-2 text-xs">
+      <div className="flex flex-wrap items-center gap-1">
+        {record.roles.map(roleId => getRoleName(data, roleId)).filter(Boolean).map(name => (
+          <span key={name} className="px-2 py-0.5 rounded bg-slate-700/50 text-slate-300">{name}</span>
+        ))}
+        <button
+          type="button"
+          onClick={() => setOpen(!open)}
+          className="flex items-center space-x-1 text-slate-500 hover:text-amber-300 transition-colors"
+          title="Share with roles"
+        >
+          <Share2 size={12} />
+          <span>Share</span>
+        </button>
+      </div>
+      {open && (
+        <div className="mt-2 flex flex-wrap gap-3 bg-slate-900 border border-slate-700 rounded-lg p-2">
+          {getRoleOptions(data).map(role => (
+            <label key={role.id} className="flex items-center space-x-1 text-slate-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={record.roles.includes(role.id)}
+                disabled={record.roles.length === 1 && record.roles.includes(role.id)}
+                onChange={() => toggleRole(role.id)}
+                className="rounded"
+              />
+              <span>{role.name}</span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// DASHBOARD
+// ============================================================================
+
+const Dashboard = () => {
+  const { data, activeRole, openRecord } = useApp();
+  
+  const roleMetrics = data.metrics.filter(m => m.role === activeRole);
+  const avgEI = roleMetrics.length > 0
+    ? roleMetrics.reduce((sum, m) => sum + m.ei_rating, 0) / roleMetrics.length
+    : 0;
+  const avgPS = roleMetrics.length > 0
+    ? roleMetrics.reduce((sum, m) => sum + m.psych_safety_rating, 0) / roleMetrics.length
+    : 0;
+
+  const last30Days = roleMetrics
+    .filter(m => {
+      const metricDate = new Date(m.date);
+      const thirtyDaysAgo = new Date();
+      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+      return metricDate >= thirtyDaysAgo;
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(m => ({
+      date: new Date(m.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      EI: m.ei_rating,
+      PS: m.psych_safety_rating
+    }));
+
+  const upcomingMeetings = data.meetings
+    .filter(m => !isPastMeeting(m) && isVisibleToRole(m, activeRole))
+    .sort((a, b) => new Date(`${a.date}T${a.time || '00:00'}`) - new Date(`${b.date}T${b.time || '00:00'}`))
+    .slice(0, 5);
+
+  // Open incidents show for every role until someone closes them
+  const openIncidents = getOpenIncidents(data);
+  const overdueMilestones = getOverdueMilestones(data);
+
+  const roleName = getRoleName(data, activeRole) || 'Executive Director';
+
+  return (
+    <div className="space-y-8">
+      {/* Greeting */}
+      <div className="bg-slate-800/50 backdrop-blur p-8 rounded-xl border border-amber-900/20">
+        <h1 className="text-4xl font-serif text-amber-300 mb-2">
+          {getGreeting()}, {data.user.name}
+        </h1>
+        <p className="text-slate-300 text-lg">
+          Active Role: <span className="text-amber-200">{roleName}</span>
+        </p>
+      </div>
+
+      {/* Open Safety Incidents */}
+      {openIncidents.length > 0 && (
+        <div className="bg-red-950/40 backdrop-blur p-6 rounded-xl border border-red-800/50">
+          <h2 className="text-2xl font-serif text-red-300 mb-4 flex items-center space-x-2">
+            <AlertTriangle size={24} />
+            <span>Open Safety Incidents ({openIncidents.length})</span>
+          </h2>
+          <div className="space-y-3">
+            {openIncidents.map(incident => {
+              const overdue = isIncidentOverdue(incident);
+              return (
+                <button
+                  key={incident.id}
+                  onClick={() => openRecord('incidents', incident)}
+                  className="w-full text-left flex items-start space-x-3 p-3 bg-slate-900/50 rounded-lg hover:bg-slate-900 transition-all"
+                >
+                  <span className={`text-xs px-2 py-1 rounded ${getIncidentSeverity(incident.severity).className}`}>
+                    {incident.severity}
+                  </span>
+                  <div className="min-w-0">
+                    <p className="text-slate-100 truncate">{incident.description}</p>
+                    <p className="text-slate-400 text-sm">
+                      {incident.date ? formatDate(`${incident.date}T00:00`) : 'Undated'}
+                      {getPerson(data, incident.ownerId) ? ` · ${getPerson(data, incident.ownerId).name}` : ' · no follow-up owner'}
+                      {incident.dueDate && (
+                        <span className={overdue ? 'text-red-300 font-semibold' : ''}>
+                          {' '}· due {formatDate(`${incident.dueDate}T00:00`)}{overdue && ' (overdue)'}
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Overdue Milestones */}
+      {overdueMilestones.length > 0 && (
+        <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-red-800/50">
+          <h2 className="text-2xl font-serif text-red-300 mb-4">Overdue Milestones ({overdueMilestones.length})</h2>
+          <div className="space-y-3">
+            {overdueMilestones.map(milestone => {
+              const project = data.projectEvents.find(p => p.id === milestone.projectId);
+              const owner = data.employees.find(e => e.id === milestone.ownerId);
+              return (
+                <button
+                  key={milestone.id}
+                  onClick={() => openRecord('milestones', milestone)}
+                  className="w-full text-left flex items-center space-x-3 p-3 bg-slate-900/50 rounded-lg hover:bg-slate-900 transition-all"
+                >
+                  <Clock className="text-red-400" size={20} />
+                  <div>
+                    <p className="text-slate-100 font-medium">{milestone.title}</p>
+                    <p className="text-slate-400 text-sm">
+                      {project ? project.title : 'Project'} · due {formatDate(`${milestone.dueDate}T00:00`)}
+                      {owner && ` · ${owner.name}`}
+                    </p>
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Leadership Metrics */}
+      {roleMetrics.length > 0 && (
+        <div>
+          <h2 className="text-2xl font-serif text-amber-300 mb-4">Leadership Metrics</h2>
+          <div className="grid md:grid-cols-2 gap-6">
+            <GaugeChart value={avgEI} label="Emotional Intelligence" />
+            <GaugeChart value={avgPS} label="Psychological Safety" />
+          </div>
+        </div>
+      )}
+
+      {/* 30-Day Trends */}
+      {last30Days.length >= 2 && (
+        <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+          <h2 className="text-2xl font-serif text-amber-300 mb-4">30-Day Trends</h2>
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={last30Days}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="date" stroke="#94a3b8" />
+              <YAxis domain={[1, 5]} stroke="#94a3b8" />
+              <RechartsTooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #d97706' }}
+              />
+              <Legend />
+              <Line type="monotone" dataKey="EI" stroke="#f59e0b" strokeWidth={2} name="Emotional Intelligence" />
+              <Line type="monotone" dataKey="PS" stroke="#22c55e" strokeWidth={2} name="Psychological Safety" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* Upcoming Meetings */}
+      {upcomingMeetings.length > 0 && (
+        <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+          <h2 className="text-2xl font-serif text-amber-300 mb-4">Upcoming Meetings</h2>
+          <div className="space-y-3">
+            {upcomingMeetings.map(meeting => (
+              <div key={meeting.id} className="flex items-center space-x-3 p-3 bg-slate-900/50 rounded-lg">
+                <Clock className="text-amber-400" size={20} />
+                <div>
+                  <p className="text-slate-100 font-medium">{meeting.title}</p>
+                  <p className="text-slate-400 text-sm">
+                    {formatDate(meeting.date)} {meeting.time && `at ${meeting.time}`}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Quick Navigation */}
+      <div>
+        <h2 className="text-2xl font-serif text-amber-300 mb-4">Quick Navigation</h2>
+        <div className="grid md:grid-cols-3 gap-4">
+          <button
+            onClick={() => {}}
+            className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 hover:border-amber-600 transition-all text-left"
+          >
+            <FileText className="text-amber-400 mb-3" size={32} />
+            <h3 className="text-slate-100 font-semibold text-lg mb-2">Journal</h3>
+            <p className="text-slate-400 text-sm">Reflect on your leadership journey</p>
+          </button>
+          <button
+            onClick={() => {}}
+            className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 hover:border-amber-600 transition-all text-left"
+          >
+            <Users className="text-amber-400 mb-3" size={32} />
+            <h3 className="text-slate-100 font-semibold text-lg mb-2">Team</h3>
+            <p className="text-slate-400 text-sm">Manage your team and connections</p>
+          </button>
+          <button
+            onClick={() => {}}
+            className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 hover:border-amber-600 transition-all text-left"
+          >
+            <CheckSquare className="text-amber-400 mb-3" size={32} />
+            <h3 className="text-slate-100 font-semibold text-lg mb-2">Tasks</h3>
+            <p className="text-slate-400 text-sm">Stay on top of your to-dos</p>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+
+
+// ============================================================================
+// EXECUTIVE DIRECTOR MODULE - Main Container
+// ============================================================================
+
+const ED_TABS = ['employees', 'todos', 'meetings'];
+
+const ExecutiveDirectorModule = () => {
+  const { route, navigate } = useApp();
+  const activeTab = ED_TABS.includes(route[1]) ? route[1] : 'employees';
+  const setActiveTab = (tab) => navigate('ed', tab);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <div className="flex items-center space-x-3 mb-2">
+          <Briefcase className="text-amber-400" size={32} />
+          <h1 className="text-3xl font-serif text-amber-300">Executive Director</h1>
+        </div>
+        <p className="text-slate-400">
+          Manage your organization's strategic operations, team, and key initiatives.
+        </p>
+      </div>
+
+      <div className="flex space-x-2 overflow-x-auto pb-2">
+        <button
+          onClick={() => setActiveTab('employees')}
+          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
+            activeTab === 'employees' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+          }`}
+        >
+          Employee Catalogue
+        </button>
+        <button
+          onClick={() => setActiveTab('todos')}
+          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
+            activeTab === 'todos' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+          }`}
+        >
+          To-Do Manager
+        </button>
+        <button
+          onClick={() => setActiveTab('meetings')}
+          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
+            activeTab === 'meetings' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+          }`}
+        >
+          Meeting Planning
+        </button>
+      </div>
+
+      {activeTab === 'employees' && <EmployeeCatalogue />}
+      {activeTab === 'todos' && <TodoManager />}
+      {activeTab === 'meetings' && <MeetingPlanning />}
+    </div>
+  );
+};
+
+// ============================================================================
+// EMPLOYEE CATALOGUE
+// ============================================================================
+
+const EmployeeCatalogue = () => {
+  const { data, setData } = useApp();
+  const [formData, setFormData] = useState({
+    name: '',
+    position: '',
+    department: '',
+    email: '',
+    phone: '',
+    startDate: '',
+    notes: ''
+  });
+  const [editingId, setEditingId] = useState(null);
+  const [scope, setScope] = useState('role');
+  const employees = filterByRole(data.employees, 'ED', scope);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) return;
+
+    const { people, personId } = linkRecordPerson(data, 'employees', editingId, formData);
+    if (editingId) {
+      const previous = data.employees.find(e => e.id === editingId);
+      const updated = updateRecord({ ...data, people }, 'employees', editingId, { ...formData, personId });
+      setData(shareRecordPerson(updated, 'employees', editingId, previous));
+      setEditingId(null);
+    } else {
+      const newEmployee = {
+        id: Date.now(),
+        ...formData,
+        personId,
+        roles: ['ED'],
+        createdAt: new Date().toISOString()
+      };
+      setData(shareRecordPerson({
+        ...data,
+        people,
+        employees: [...data.employees, newEmployee]
+      }, 'employees', newEmployee.id, null));
+    }
+
+    setFormData({
+      name: '',
+      position: '',
+      department: '',
+      email: '',
+      phone: '',
+      startDate: '',
+      notes: ''
+    });
+  };
+
+  const handleEdit = (employee) => {
+    setEditingId(employee.id);
+    setFormData({
+      name: employee.name,
+      position: employee.position,
+      department: employee.department,
+      email: employee.email,
+      phone: employee.phone,
+      startDate: employee.startDate,
+      notes: employee.notes
+    });
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Move this employee to the trash?')) {
+      setData(moveToTrash(data, 'employees', id), { toast: 'Employee moved to trash' });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <h2 className="text-xl font-semibold text-slate-200 mb-4">
+          {editingId ? 'Edit Employee' : 'Add New Employee'}
+        </h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-slate-300 mb-2">Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                required
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Position/Title</label>
+              <input
+                type="text"
+                value={formData.position}
+                onChange={(e) => setFormData({ ...formData, position: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Department</label>
+              <input
+                type="text"
+                value={formData.department}
+                onChange={(e) => setFormData({ ...formData, department: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Email</label>
+              <input
+                type="email"
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Phone</label>
+              <input
+                type="tel"
+                value={formData.phone}
+                onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Start Date</label>
+              <input
+                type="date"
+                value={formData.startDate}
+                onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Notes</label>
+            <textarea
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+              rows="3"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+            >
+              {editingId ? 'Update Employee' : 'Add Employee'}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingId(null);
+                  setFormData({
+                    name: '',
+                    position: '',
+                    department: '',
+                    email: '',
+                    phone: '',
+                    startDate: '',
+                    notes: ''
+                  });
+                }}
+                className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="space-y-4">
+        <div className="flex justify-end">
+          <RoleScopeToggle scope={scope} onChange={setScope} />
+        </div>
+        {employees.length === 0 ? (
+          <p className="text-slate-400 text-center py-8">
+            No employees yet. Add your first one above!
+          </p>
+        ) : (
+          employees.map(employee => (
+            <div key={employee.id} id={recordElementId('employees', employee.id)} className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h3 className="text-xl font-semibold text-slate-100">
+                    <PersonLink personId={employee.personId}>{employee.name}</PersonLink>
+                  </h3>
+                  {employee.position && (
+                    <p className="text-amber-300">{employee.position}</p>
+                  )}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleEdit(employee)}
+                    className="text-amber-400 hover:text-amber-300"
+                  >
+                    <Edit2 size={18} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(employee.id)}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              </div>
+              <div className="grid md:grid-cols-2 gap-4 text-sm">
+                {employee.department && (
+                  <div>
+                    <span className="text-slate-400">Department:</span>
+                    <span className="text-slate-200 ml-2">{employee.department}</span>
+                  </div>
+                )}
+                {employee.email && (
+                  <div>
+                    <span className="text-slate-400">Email:</span>
+                    <span className="text-slate-200 ml-2">{employee.email}</span>
+                  </div>
+                )}
+                {employee.phone && (
+                  <div>
+                    <span className="text-slate-400">Phone:</span>
+                    <span className="text-slate-200 ml-2">{employee.phone}</span>
+                  </div>
+                )}
+                {employee.startDate && (
+                  <div>
+                    <span className="text-slate-400">Start Date:</span>
+                    <span className="text-slate-200 ml-2">{formatDate(employee.startDate)}</span>
+                  </div>
+                )}
+              </div>
+              {employee.notes && (
+                <div className="mt-4 pt-4 border-t border-slate-700">
+                  <p className="text-slate-300">{employee.notes}</p>
+                </div>
+              )}
+              <RoleSharing collection="employees" record={employee} />
+              <EditHistory record={employee} />
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+
+// ============================================================================
+// TODO MANAGER
+// ============================================================================
+
+const TodoManager = () => {
+  const { data, setData } = useApp();
+  const [formData, setFormData] = useState({
+    text: '',
+    category: 'General',
+    priority: 'Medium',
+    dueDate: '',
+    assigneeId: null
+  });
+  const [editingId, setEditingId] = useState(null);
+  const [scope, setScope] = useState('role');
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData({
+      text: '',
+      category: 'General',
+      priority: 'Medium',
+      dueDate: '',
+      assigneeId: null
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.text.trim()) return;
+
+    if (editingId) {
+      setData(updateRecord(data, 'todos', editingId, formData));
+    } else {
+      const newTodo = {
+        id: Date.now(),
+        ...formData,
+        status: 'Not Started',
+        completed: false,
+        roles: ['ED'],
+        createdAt: new Date().toISOString()
+      };
+
+      setData({
+        ...data,
+        todos: [...data.todos, newTodo]
+      });
+    }
+
+    resetForm();
+  };
+
+  const handleEdit = (todo) => {
+    setEditingId(todo.id);
+    setFormData({
+      text: todo.text,
+      category: todo.category,
+      priority: todo.priority,
+      dueDate: todo.dueDate || '',
+      assigneeId: todo.assigneeId || null
+    });
+  };
+
+  const handleStatusChange = (id, status) => {
+    setData(updateRecord(data, 'todos', id, { status, completed: status === 'Completed' }));
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Move this task to the trash?')) {
+      setData(moveToTrash(data, 'todos', id), { toast: 'Task moved to trash' });
+    }
+  };
+
+  const todos = filterByRole(data.todos, 'ED', scope);
+  const activeTodos = todos.filter(t => !t.completed);
+  const completedTodos = todos.filter(t => t.completed);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <h2 className="text-xl font-semibold text-slate-200 mb-4">{editingId ? 'Edit Task' : 'Add New Task'}</h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-slate-300 mb-2">Task Description *</label>
+            <input
+              type="text"
+              value={formData.text}
+              onChange={(e) => setFormData({ ...formData, text: e.target.value })}
+              required
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              placeholder="What needs to be done?"
+            />
+          </div>
+          <div className="grid md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-slate-300 mb-2">Category</label>
+              <select
+                value={formData.category}
+                onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                <option>General</option>
+                <option>Strategic</option>
+                <option>Financial</option>
+                <option>HR</option>
+                <option>Fundraising</option>
+                <option>Marketing</option>
+                <option>Operations</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Priority</label>
+              <select
+                value={formData.priority}
+                onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                <option>Low</option>
+                <option>Medium</option>
+                <option>High</option>
+                <option>Urgent</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Due Date</label>
+              <input
+                type="date"
+                value={formData.dueDate}
+                onChange={(e) => setFormData({ ...formData, dueDate: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Assigned To</label>
+              <select
+                value={formData.assigneeId || ''}
+                onChange={(e) => {
+                  const person = data.people.find(p => String(p.id) === e.target.value);
+                  setFormData({ ...formData, assigneeId: person ? person.id : null });
+                }}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                <option value="">Nobody</option>
+                {[...data.people].sort((x, y) => x.name.localeCompare(y.name)).map(person => (
+                  <option key={person.id} value={person.id}>{person.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+            >
+              {editingId ? 'Update Task' : 'Add Task'}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-slate-200">Active Tasks</h2>
+          <RoleScopeToggle scope={scope} onChange={setScope} />
+        </div>
+        {activeTodos.length === 0 ? (
+          <p className="text-slate-400 text-center py-8">
+            No active tasks. Add one above!
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {activeTodos.map(todo => (
+              <div key={todo.id} id={recordElementId('todos', todo.id)} className="bg-slate-800/50 backdrop-blur p-4 rounded-xl border border-amber-900/20">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex-1">
+                    <div className="flex flex-wrap gap-2 mb-2">
+                      <span className={`text-xs px-2 py-1 rounded ${getPriorityColor(todo.priority)}`}>
+                        {todo.priority}
+                      </span>
+                      <span className="text-xs px-2 py-1 rounded bg-slate-700 text-slate-300">
+                        {todo.category}
+                      </span>
+                      {todo.dueDate && (
+                        <span className="text-xs px-2 py-1 rounded bg-blue-900/30 text-blue-300">
+                          Due: {formatDate(todo.dueDate)}
+                        </span>
+                      )}
+                      {getPerson(data, todo.assigneeId) && (
+                        <span className="text-xs px-2 py-1 rounded bg-slate-700 text-slate-300">
+                          <PersonLink personId={todo.assigneeId} />
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-slate-100 mb-2">{todo.text}</p>
+                    <select
+                      value={todo.status}
+                      onChange={(e) => handleStatusChange(todo.id, e.target.value)}
+                      className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 text-sm focus:border-amber-500 focus:outline-none"
+                    >
+                      <option>Not Started</option>
+                      <option>In Progress</option>
+                      <option>Completed</option>
+                      <option>On Hold</option>
+                    </select>
+                    <RoleSharing collection="todos" record={todo} />
+                    <EditHistory record={todo} />
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handleEdit(todo)}
+                      className="text-amber-400 hover:text-amber-300"
+                    >
+                      <Edit2 size={18} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(todo.id)}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {completedTodos.length > 0 && (
+        <div>
+          <h2 className="text-xl font-semibold text-slate-200 mb-4">Completed Tasks</h2>
+          <div className="space-y-3">
+            {completedTodos.map(todo => (
+              <div key={todo.id} id={recordElementId('todos', todo.id)} className="bg-slate-800/30 backdrop-blur p-4 rounded-xl border border-green-900/20 opacity-75">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex-1">
+                    <div className="flex flex-wrap gap-2 mb-2">
+                      <span className="text-xs px-2 py-1 rounded bg-green-900/30 text-green-300">
+                        ✓ Completed
+                      </span>
+                      <span className="text-xs px-2 py-1 rounded bg-slate-700 text-slate-300">
+                        {todo.category}
+                      </span>
+                    </div>
+                    <p className="text-slate-300 line-through">{todo.text}</p>
+                  </div>
+                  <button
+                    onClick={() => handleDelete(todo.id)}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// MEETING PLANNING
+// ============================================================================
+
+const MeetingPlanning = () => {
+  const { data, setData, route, navigate } = useApp();
+  const [formData, setFormData] = useState({
+    title: '',
+    date: '',
+    time: '',
+    attendees: '',
+    agenda: '',
+    preMeetingNotes: ''
+  });
+  // The expanded meeting is part of the route: #/ed/meetings/<id>
+  const expandedId = route[2] || null;
+  const setExpandedId = (id) => navigate('ed', 'meetings', id);
+  const [reflectionData, setReflectionData] = useState({});
+  const [actionItemsData, setActionItemsData] = useState({});
+  const [editingId, setEditingId] = useState(null);
+  const [scope, setScope] = useState('role');
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData({
+      title: '',
+      date: '',
+      time: '',
+      attendees: '',
+      agenda: '',
+      preMeetingNotes: ''
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.title.trim() || !formData.date) return;
+
+    const { ids: attendeeIds, unmatched } = matchPeople(data.people, formData.attendees);
+    if (editingId) {
+      setData(updateRecord(data, 'meetings', editingId, { ...formData, attendees: unmatched, attendeeIds }));
+    } else {
+      const newMeeting = {
+        id: Date.now(),
+        ...formData,
+        attendees: unmatched,
+        attendeeIds,
+        postMeetingReflection: '',
+        actionItems: '',
+        notes: '',
+        roles: ['ED'],
+        createdAt: new Date().toISOString()
+      };
+
+      setData({
+        ...data,
+        meetings: [...data.meetings, newMeeting]
+      });
+    }
+
+    resetForm();
+  };
+
+  const handleEdit = (meeting) => {
+    setEditingId(meeting.id);
+    setFormData({
+      title: meeting.title,
+      date: meeting.date,
+      time: meeting.time || '',
+      attendees: attendeeNames(data, meeting),
+      agenda: meeting.agenda || '',
+      preMeetingNotes: meeting.preMeetingNotes || ''
+    });
+  };
+
+  const handleUpdateReflection = (meeting) => {
+    setData(updateRecord(data, 'meetings', meeting.id, {
+      postMeetingReflection: reflectionData[meeting.id] !== undefined
+        ? reflectionData[meeting.id]
+        : meeting.postMeetingReflection,
+      actionItems: actionItemsData[meeting.id] !== undefined
+        ? actionItemsData[meeting.id]
+        : meeting.actionItems
+    }));
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Move this meeting to the trash?')) {
+      setData(moveToTrash(data, 'meetings', id), { toast: 'Meeting moved to trash' });
+    }
+  };
+
+  const sortedMeetings = [...filterByRole(data.meetings, 'ED', scope)].sort((a, b) =>
+    new Date(b.date) - new Date(a.date)
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <h2 className="text-xl font-semibold text-slate-200 mb-4">{editingId ? 'Edit Meeting' : 'Schedule New Meeting'}</h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid md:grid-cols-3 gap-4">
+            <div className="md:col-span-3">
+              <label className="block text-slate-300 mb-2">Meeting Title *</label>
+              <input
+                type="text"
+                value={formData.title}
+                onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                required
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                placeholder="e.g., Board Meeting, Staff Check-in"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Date *</label>
+              <input
+                type="date"
+                value={formData.date}
+                onChange={(e) => setFormData({ ...formData, date: e.target.value })}
+                required
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Time</label>
+              <input
+                type="time"
+                value={formData.time}
+                onChange={(e) => setFormData({ ...formData, time: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div className="md:col-span-1">
+              <label className="block text-slate-300 mb-2">Attendees</label>
+              <input
+                type="text"
+                value={formData.attendees}
+                onChange={(e) => setFormData({ ...formData, attendees: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                placeholder="Comma-separated"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Agenda</label>
+            <textarea
+              value={formData.agenda}
+              onChange={(e) => setFormData({ ...formData, agenda: e.target.value })}
+              rows="3"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              placeholder="What will be discussed?"
+            />
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Pre-Meeting Preparation Notes</label>
+            <textarea
+              value={formData.preMeetingNotes}
+              onChange={(e) => setFormData({ ...formData, preMeetingNotes: e.target.value })}
+              rows="3"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              placeholder="What do you need to prepare?"
+            />
+          </div>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+            >
+              {editingId ? 'Update Meeting' : 'Schedule Meeting'}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="space-y-4">
+        <div className="flex justify-end">
+          <RoleScopeToggle scope={scope} onChange={setScope} />
+        </div>
+        {sortedMeetings.length === 0 ? (
+          <p className="text-slate-400 text-center py-8">
+            No meetings scheduled yet. Add one above!
+          </p>
+        ) : (
+          sortedMeetings.map(meeting => {
+            const isPast = isPastMeeting(meeting);
+            const isExpanded = expandedId === String(meeting.id);
+
+            return (
+              <div key={meeting.id} id={recordElementId('meetings', meeting.id)} className="bg-slate-800/50 backdrop-blur rounded-xl border border-amber-900/20 overflow-hidden">
+                <button
+                  onClick={() => setExpandedId(isExpanded ? null : meeting.id)}
+                  className="w-full p-6 text-left hover:bg-slate-800/70 transition-colors"
+                >
+                  <div className="flex justify-between items-start">
+                    <div className="flex-1">
+                      <h3 className="text-xl font-semibold text-slate-100 mb-1">{meeting.title}</h3>
+                      <div className="flex items-center space-x-4 text-slate-400">
+                        <span>{formatDate(meeting.date)}</span>
+                        {meeting.time && <span>{meeting.time}</span>}
+                        <span className={`text-xs px-2 py-1 rounded ${
+                          isPast ? 'bg-slate-700 text-slate-300' : 'bg-blue-900/30 text-blue-300'
+                        }`}>
+                          {isPast ? 'Past' : 'Upcoming'}
+                        </span>
+                      </div>
+                    </div>
+                    <div className="flex space-x-2 ml-4">
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleEdit(meeting);
+                        }}
+                        className="text-amber-400 hover:text-amber-300"
+                      >
+                        <Edit2 size={18} />
+                      </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleDelete(meeting.id);
+                        }}
+                        className="text-red-400 hover:text-red-300"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  </div>
+                </button>
+
+                {isExpanded && (
+                  <div className="px-6 pb-6 space-y-4 border-t border-slate-700">
+                    {attendeeNames(data, meeting) && (
+                      <div>
+                        <h4 className="text-slate-300 font-semibold mb-2 mt-4">Attendees</h4>
+                        <p className="text-slate-400"><PeopleList personIds={meeting.attendeeIds} others={meeting.attendees} /></p>
+                      </div>
+                    )}
+                    {meeting.agenda && (
+                      <div>
+                        <h4 className="text-slate-300 font-semibold mb-2 mt-4">Agenda</h4>
+                        <p className="text-slate-400 whitespace-pre-wrap">{meeting.agenda}</p>
+                      </div>
+                    )}
+                    {meeting.preMeetingNotes && (
+                      <div>
+                        <h4 className="text-slate-300 font-semibold mb-2">Pre-Meeting Notes</h4>
+                        <p className="text-slate-400 whitespace-pre-wrap">{meeting.preMeetingNotes}</p>
+                      </div>
+                    )}
+                    <div>
+                      <h4 className="text-slate-300 font-semibold mb-2">Post-Meeting Reflection</h4>
+                      <textarea
+                        value={reflectionData[meeting.id] !== undefined ? reflectionData[meeting.id] : meeting.postMeetingReflection}
+                        onChange={(e) => setReflectionData({ ...reflectionData, [meeting.id]: e.target.value })}
+                        rows="4"
+                        className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                        placeholder="How did the meeting go? What insights did you gain?"
+                      />
+                    </div>
+                    <div>
+                      <h4 className="text-slate-300 font-semibold mb-2">Action Items</h4>
+                      <textarea
+                        value={actionItemsData[meeting.id] !== undefined ? actionItemsData[meeting.id] : meeting.actionItems}
+                        onChange={(e) => setActionItemsData({ ...actionItemsData, [meeting.id]: e.target.value })}
+                        rows="4"
+                        className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                        placeholder="What needs to be done? Who is responsible?"
+                      />
+                    </div>
+                    <button
+                      onClick={() => handleUpdateReflection(meeting)}
+                      className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+                    >
+                      <Save size={18} className="inline mr-2" />
+                      Save Updates
+                    </button>
+                    <RoleSharing collection="meetings" record={meeting} />
+                    <EditHistory record={meeting} />
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// Continue with Play Director, Project Lead, and other modules...
+// ============================================================================
+
+// ============================================================================
+// PLAY DIRECTOR MODULE
+// ============================================================================
+
+const PLAY_TABS = ['reports', 'notes', 'schedule', 'attendance', 'incidents', 'productions'];
+
+const PlayDirectorModule = () => {
+  const { data, route, navigate } = useApp();
+  const activeTab = PLAY_TABS.includes(route[1]) ? route[1] : 'reports';
+  const setActiveTab = (tab) => navigate('play', tab);
+  const openIncidents = data.incidents.filter(incident => !incident.resolved).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <div className="flex items-center space-x-3 mb-2">
+          <Theater className="text-amber-400" size={32} />
+          <h1 className="text-3xl font-serif text-amber-300">Play Director</h1>
+        </div>
+        <p className="text-slate-400">
+          Manage rehearsals, track progress, and organize your production team.
+        </p>
+      </div>
+
+      <div className="flex space-x-2 overflow-x-auto pb-2">
+        <button
+          onClick={() => setActiveTab('reports')}
+          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
+            activeTab === 'reports' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+          }`}
+        >
+          Rehearsal Reports
+        </button>
+        <button
+          onClick={() => setActiveTab('notes')}
+          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
+            activeTab === 'notes' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+          }`}
+        >
+          Department Notes
+        </button>
+        <button
+          onClick={() => setActiveTab('schedule')}
+          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
+            activeTab === 'schedule' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+          }`}
+        >
+          Schedule
+        </button>
+        <button
+          onClick={() => setActiveTab('attendance')}
+          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
+            activeTab === 'attendance' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+          }`}
+        >
+          Attendance
+        </button>
+        <button
+          onClick={() => setActiveTab('incidents')}
+          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
+            activeTab === 'incidents' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+          }`}
+        >
+          Safety Incidents{openIncidents > 0 && ` (${openIncidents})`}
+        </button>
+        <button
+          onClick={() => setActiveTab('productions')}
+          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
+            activeTab === 'productions' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+          }`}
+        >
+          Production Management
+        </button>
+      </div>
+
+      {activeTab === 'reports' && <RehearsalReports />}
+      {activeTab === 'notes' && <DepartmentInbox />}
+      {activeTab === 'schedule' && <RehearsalSchedule />}
+      {activeTab === 'attendance' && <AttendanceAnalytics />}
+      {activeTab === 'incidents' && <SafetyIncidents />}
+      {activeTab === 'productions' && <ProductionManagement />}
+    </div>
+  );
+};
+
+// ============================================================================
+// REHEARSAL REPORTS
+// ============================================================================
+
+const EMPTY_REHEARSAL_REPORT = {
+  production: '',
+  productionId: null,
+  date: '',
+  startTime: '',
+  endTime: '',
+  scenesWorked: '',
+  attendees: '',
+  absentees: '',
+  accomplishments: '',
+  challenges: '',
+  notesForNextTime: '',
+  departmentNotes: [],
+  morale: 3,
+  attendance: [],
+  scheduleId: null
+};
+
+const ATTENDANCE_STATUSES = [
+  { id: 'present', label: 'Present', className: 'bg-green-900/30 text-green-300', color: '#22c55e' },
+  { id: 'late', label: 'Late', className: 'bg-yellow-900/30 text-yellow-300', color: '#eab308' },
+  { id: 'excused', label: 'Excused', className: 'bg-blue-900/30 text-blue-300', color: '#3b82f6' },
+  { id: 'unexcused', label: 'Unexcused', className: 'bg-red-900/30 text-red-300', color: '#ef4444' }
+];
+
+const getAttendanceStatus = (id) => ATTENDANCE_STATUSES.find(status => status.id === id) || ATTENDANCE_STATUSES[0];
+
+const isAbsence = (status) => status === 'excused' || status === 'unexcused';
+
+// One entry per cast/crew member of the production, keeping any status already
+// recorded and marking everyone else present
+const buildAttendance = (data, productionId, recorded = []) =>
+  data.castCrew
+    .filter(member => member.productionId === productionId)
+    .map(member => {
+      const entry = recorded.find(a => a.castCrewId === member.id);
+      return { castCrewId: member.id, status: entry ? entry.status : 'present' };
+    });
+
+// Turns an older report's free-text attendance into entries for the cast/crew
+// it names: present, or unexcused when listed as absent (the text gives no
+// reason). Names that match no one stay as text; with nothing to go on,
+// everyone starts present. Returns { attendance, attendees, absentees }.
+const attendanceFromText = (data, productionId, attendees, absentees) => {
+  const members = data.castCrew.filter(member => member.productionId === productionId);
+  const present = matchPeople(members, attendees);
+  const absent = matchPeople(members, absentees);
+  const attendance = members
+    .filter(member => present.ids.includes(member.id) || absent.ids.includes(member.id))
+    .map(member => ({ castCrewId: member.id, status: absent.ids.includes(member.id) ? 'unexcused' : 'present' }));
+  return {
+    attendance: attendance.length > 0 ? attendance : buildAttendance(data, productionId),
+    attendees: present.unmatched,
+    absentees: absent.unmatched
+  };
+};
+
+// Per-member attendance for a production plus a per-rehearsal trend, oldest first
+const summariseAttendance = (data, productionId) => {
+  const reports = data.rehearsalReports
+    .filter(r => r.productionId === productionId && (r.attendance || []).length > 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const members = data.castCrew
+    .filter(member => member.productionId === productionId)
+    .map(member => {
+      const history = reports
+        .map(report => ({ report, entry: report.attendance.find(a => a.castCrewId === member.id) }))
+        .filter(({ entry }) => entry)
+        .map(({ report, entry }) => ({ date: report.date, status: entry.status }));
+      const counts = {};
+      ATTENDANCE_STATUSES.forEach(status => { counts[status.id] = 0; });
+      history.forEach(({ status }) => { counts[status] = (counts[status] || 0) + 1; });
+      const absences = counts.excused + counts.unexcused;
+      return {
+        member,
+        history,
+        counts,
+        calls: history.length,
+        absenceRate: history.length ? absences / history.length : 0
+      };
+    });
+
+  const trend = reports.map(report => ({
+    date: new Date(report.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+    Absent: report.attendance.filter(a => isAbsence(a.status)).length,
+    Late: report.attendance.filter(a => a.status === 'late').length
+  }));
+
+  return { reports, members, trend };
+};
+
+// Who needs a conversation: unexcused absences at the threshold, or a run of
+// recent missed calls
+const getAttendanceAlerts = (summary, threshold) => summary.members.flatMap(({ member, counts, history }) => {
+  const alerts = [];
+  if (threshold && counts.unexcused >= threshold) {
+    alerts.push({ member, message: `${counts.unexcused} unexcused absences` });
+  }
+  const recent = history.slice(-3);
+  if (recent.length === 3 && recent.filter(h => isAbsence(h.status)).length >= 2) {
+    alerts.push({ member, message: 'missed 2 of the last 3 calls' });
+  }
+  return alerts;
+});
+
+// A new report for a scheduled rehearsal: its scenes, times and everyone called
+const reportFromSchedule = (data, rehearsal) => {
+  const production = data.productions.find(p => p.id === rehearsal.productionId);
+  const calledIds = [...new Set(rehearsal.calls.flatMap(call => call.castCrewIds))]
+    .filter(id => data.castCrew.some(member => member.id === id));
+  return {
+    ...EMPTY_REHEARSAL_REPORT,
+    productionId: rehearsal.productionId,
+    production: production ? production.title : '',
+    date: rehearsal.date,
+    startTime: rehearsal.startTime,
+    endTime: rehearsal.endTime,
+    scenesWorked: rehearsal.calls.map(call => call.scenes).filter(Boolean).join(', '),
+    attendance: calledIds.map(castCrewId => ({ castCrewId, status: 'present' })),
+    scheduleId: rehearsal.id
+  };
+};
+
+// Select value for adding a production from the report form
+const NEW_PRODUCTION = 'new';
+
+const RehearsalReports = () => {
+  const { data, setData, route, navigate, openRecord } = useApp();
+  // #/play/reports/schedule/<id> opens the form prefilled from a scheduled rehearsal
+  const [formData, setFormData] = useState(() => {
+    const scheduled = route[2] === 'schedule' && data.rehearsalSchedule.find(r => String(r.id) === route[3]);
+    return scheduled ? reportFromSchedule(data, scheduled) : EMPTY_REHEARSAL_REPORT;
+  });
+  const [editingId, setEditingId] = useState(null);
+  const [creatingProduction, setCreatingProduction] = useState(false);
+  const [logIncident, setLogIncident] = useState(false);
+  const [noteDraft, setNoteDraft] = useState({ department: DEPARTMENTS[0], text: '' });
+
+  const documentReport = route[2] === 'document' && data.rehearsalReports.find(r => String(r.id) === route[3]);
+  if (documentReport) {
+    return <ReportDocument report={documentReport} />;
+  }
+
+  const resetForm = () => {
+    setEditingId(null);
+    setCreatingProduction(false);
+    setLogIncident(false);
+    setNoteDraft({ department: DEPARTMENTS[0], text: '' });
+    setFormData(EMPTY_REHEARSAL_REPORT);
+    if (route[2]) navigate('play', 'reports');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.date) return;
+    if (!formData.productionId && !(creatingProduction && formData.production.trim())) return;
+
+    // A production named here is added to Production Management with the report
+    const production = formData.productionId
+      ? data.productions.find(p => p.id === formData.productionId)
+      : { ...EMPTY_PRODUCTION, id: nextRecordId(data.productions), title: formData.production.trim(), createdAt: new Date().toISOString() };
+    const productions = formData.productionId ? data.productions : [...data.productions, production];
+    const values = production
+      ? { ...formData, productionId: production.id, production: production.title }
+      : formData;
+
+    // Structured attendance links whoever turned up through their cast/crew entry
+    const { ids: attendeeIds, unmatched } = formData.attendance.length > 0
+      ? {
+        ids: formData.attendance
+          .filter(entry => !isAbsence(entry.status))
+          .map(entry => (data.castCrew.find(m => m.id === entry.castCrewId) || {}).personId)
+          .filter(Boolean),
+        unmatched: formData.attendees
+      }
+      : matchPeople(data.people, formData.attendees);
+
+    const reportId = editingId || Date.now();
+    if (editingId) {
+      setData(updateRecord({ ...data, productions }, 'rehearsalReports', editingId, {
+        ...values,
+        departmentNotes: withStoredNoteStatuses(data, editingId, values.departmentNotes),
+        attendees: unmatched,
+        attendeeIds
+      }));
+    } else {
+      const newReport = {
+        id: reportId,
+        ...values,
+        attendees: unmatched,
+        attendeeIds,
+        createdAt: new Date().toISOString()
+      };
+
+      setData({
+        ...data,
+        productions,
+        rehearsalReports: [...data.rehearsalReports, newReport]
+      });
+    }
+
+    resetForm();
+    if (logIncident) navigate('play', 'incidents', 'new', reportId);
+  };
+
+  const addDepartmentNote = () => {
+    if (!noteDraft.text.trim()) return;
+    setFormData({
+      ...formData,
+      departmentNotes: [
+        ...formData.departmentNotes,
+        { id: nextRecordId(formData.departmentNotes), department: noteDraft.department, text: noteDraft.text.trim(), status: 'open' }
+      ]
+    });
+    setNoteDraft({ ...noteDraft, text: '' });
+  };
+
+  const removeDepartmentNote = (id) => {
+    setFormData({ ...formData, departmentNotes: formData.departmentNotes.filter(note => note.id !== id) });
+  };
+
+  const handleEdit = (report) => {
+    setEditingId(report.id);
+    setCreatingProduction(false);
+    const values = recordFormValues(report, EMPTY_REHEARSAL_REPORT);
+    // Older reports keep their free-text attendance until you choose to take it by name
+    setFormData({
+      ...values,
+      attendees: values.attendance.length > 0 ? values.attendees : attendeeNames(data, report)
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleProductionChange = (productionId) => {
+    const production = data.productions.find(p => String(p.id) === productionId);
+    setCreatingProduction(productionId === NEW_PRODUCTION);
+    setFormData(production
+      ? {
+        ...formData,
+        productionId: production.id,
+        production: production.title,
+        attendance: buildAttendance(data, production.id, formData.attendance)
+      }
+      : { ...formData, productionId: null, production: '', attendance: [] });
+  };
+
+  const takeAttendanceByName = () => {
+    setFormData({ ...formData, ...attendanceFromText(data, formData.productionId, formData.attendees, formData.absentees) });
+  };
+
+  const setAttendanceStatus = (castCrewId, status) => {
+    setFormData({
+      ...formData,
+      attendance: formData.attendance.map(entry => (entry.castCrewId === castCrewId ? { ...entry, status } : entry))
+    });
+  };
+
+  const addToAttendance = (castCrewId) => {
+    const member = data.castCrew.find(m => String(m.id) === castCrewId);
+    if (!member) return;
+    setFormData({
+      ...formData,
+      attendance: [...formData.attendance, { castCrewId: member.id, status: 'present' }]
+    });
+  };
+
+  const uncalledMembers = data.castCrew.filter(member =>
+    member.productionId === formData.productionId &&
+    !formData.attendance.some(entry => entry.castCrewId === member.id)
+  );
+
+  const handleDelete = (id) => {
+    if (window.confirm('Move this rehearsal report to the trash?')) {
+      setData(moveToTrash(data, 'rehearsalReports', id), { toast: 'Rehearsal report moved to trash' });
+    }
+  };
+
+  const sortedReports = [...data.rehearsalReports].sort((a, b) =>
+    new Date(b.date) - new Date(a.date)
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <h2 className="text-xl font-semibold text-slate-200 mb-4">{editingId ? 'Edit Rehearsal Report' : 'New Rehearsal Report'}</h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-slate-300 mb-2">Production *</label>
+              <select
+                value={formData.productionId || (creatingProduction ? NEW_PRODUCTION : '')}
+                onChange={(e) => handleProductionChange(e.target.value)}
+                required
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                <option value="">Select a production</option>
+                {data.productions.map(production => (
+                  <option key={production.id} value={production.id}>{production.title}</option>
+                ))}
+                <option value={NEW_PRODUCTION}>+ New production</option>
+              </select>
+              {creatingProduction && (
+                <input
+                  type="text"
+                  value={formData.production}
+                  onChange={(e) => setFormData({ ...formData, production: e.target.value })}
+                  required
+                  placeholder="New production title"
+                  className="w-full mt-2 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                />
+              )}
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Date *</label>
+              <input
+                type="date"
+                value={formData.date}
+                onChange={(e) => setFormData({ ...formData, date: e.target.value })}
+                required
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Start Time</label>
+              <input
+                type="time"
+                value={formData.startTime}
+                onChange={(e) => setFormData({ ...formData, startTime: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">End Time</label>
+              <input
+                type="time"
+                value={formData.endTime}
+                onChange={(e) => setFormData({ ...formData, endTime: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-slate-300 mb-2">Scenes/Acts Worked On</label>
+              <input
+                type="text"
+                value={formData.scenesWorked}
+                onChange={(e) => setFormData({ ...formData, scenesWorked: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                placeholder="e.g., Act 1 Scene 3, Act 2 Scene 1"
+              />
+            </div>
+          </div>
+          {formData.attendance.length > 0 ? (
+            <div>
+              <label className="block text-slate-300 mb-2">Attendance</label>
+              <div className="space-y-2">
+                {formData.attendance.map(entry => {
+                  const member = data.castCrew.find(m => m.id === entry.castCrewId);
+                  if (!member) return null;
+                  return (
+                    <div key={entry.castCrewId} className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 bg-slate-900/50 p-2 rounded-lg">
+                      <span className="text-slate-200">
+                        {member.name}
+                        {member.role && <span className="text-slate-500 text-sm ml-2">{member.role}</span>}
+                      </span>
+                      <div className="flex flex-wrap gap-1">
+                        {ATTENDANCE_STATUSES.map(status => (
+                          <button
+                            key={status.id}
+                            type="button"
+                            onClick={() => setAttendanceStatus(entry.castCrewId, status.id)}
+                            className={`text-xs px-2 py-1 rounded transition-colors ${
+                              entry.status === status.id ? status.className : 'bg-slate-800 text-slate-500 hover:text-slate-300'
+                            }`}
+                          >
+                            {status.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+              {uncalledMembers.length > 0 && (
+                <select
+                  value=""
+                  onChange={(e) => addToAttendance(e.target.value)}
+                  className="mt-2 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-300 text-sm focus:border-amber-500 focus:outline-none"
+                >
+                  <option value="">+ Add someone who wasn't called</option>
+                  {uncalledMembers.map(member => (
+                    <option key={member.id} value={member.id}>{member.name}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          ) : (
+            <>
+              {formData.productionId && (uncalledMembers.length > 0 ? (
+                <button
+                  type="button"
+                  onClick={takeAttendanceByName}
+                  className="text-amber-400 hover:text-amber-300 text-sm"
+                >
+                  Take attendance by name
+                </button>
+              ) : (
+                <p className="text-slate-500 text-sm">Add cast & crew to this production to take attendance by name.</p>
+              ))}
+              <div>
+                <label className="block text-slate-300 mb-2">Who was present?</label>
+                <textarea
+                  value={formData.attendees}
+                  onChange={(e) => setFormData({ ...formData, attendees: e.target.value })}
+                  rows="2"
+                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-slate-300 mb-2">Who was absent?</label>
+                <textarea
+                  value={formData.absentees}
+                  onChange={(e) => setFormData({ ...formData, absentees: e.target.value })}
+                  rows="2"
+                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                />
+              </div>
+            </>
+          )}
+          <div>
+            <label className="block text-slate-300 mb-2">What went well? Accomplishments</label>
+            <textarea
+              value={formData.accomplishments}
+              onChange={(e) => setFormData({ ...formData, accomplishments: e.target.value })}
+              rows="3"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Challenges or issues</label>
+            <textarea
+              value={formData.challenges}
+              onChange={(e) => setFormData({ ...formData, challenges: e.target.value })}
+              rows="3"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Notes for next rehearsal</label>
+            <textarea
+              value={formData.notesForNextTime}
+              onChange={(e) => setFormData({ ...formData, notesForNextTime: e.target.value })}
+              rows="3"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Department Notes</label>
+            {formData.departmentNotes.length > 0 && (
+              <ul className="space-y-1 mb-2">
+                {withStoredNoteStatuses(data, editingId, formData.departmentNotes).map(note => (
+                  <li key={note.id} className="flex items-start justify-between bg-slate-900/50 px-3 py-2 rounded text-sm">
+                    <span className="text-slate-200">
+                      <span className="text-amber-300 font-semibold">{note.department}:</span> {note.text}
+                      {note.status !== 'open' && <span className="text-slate-500"> ({getNoteStatus(note.status).label.toLowerCase()})</span>}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => removeDepartmentNote(note.id)}
+                      className="text-red-400 hover:text-red-300 ml-2"
+                    >
+                      <X size={14} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex gap-2">
+              <select
+                value={noteDraft.department}
+                onChange={(e) => setNoteDraft({ ...noteDraft, department: e.target.value })}
+                className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                {DEPARTMENTS.map(dept => (
+                  <option key={dept} value={dept}>{dept}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={noteDraft.text}
+                onChange={(e) => setNoteDraft({ ...noteDraft, text: e.target.value })}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addDepartmentNote();
+                  }
+                }}
+                placeholder="e.g., Door unit in 2.1 sticks when closing"
+                className="flex-1 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+              <button
+                type="button"
+                onClick={addDepartmentNote}
+                className="bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                <Plus size={16} />
+              </button>
+            </div>
+          </div>
+          <label className="flex items-center space-x-2 text-slate-300">
+            <input
+              type="checkbox"
+              checked={logIncident}
+              onChange={(e) => setLogIncident(e.target.checked)}
+              className="rounded"
+            />
+            <span>Log a safety incident or concern from this rehearsal after saving</span>
+          </label>
+          <div>
+            <label className="block text-slate-300 mb-2">Overall Morale: {formData.morale}/5</label>
+            <div className="flex items-center space-x-4">
+              <span className="text-slate-400 text-sm">Low</span>
+              <input
+                type="range"
+                min="1"
+                max="5"
+                value={formData.morale}
+                onChange={(e) => setFormData({ ...formData, morale: parseInt(e.target.value) })}
+                className="flex-1"
+              />
+              <span className="text-slate-400 text-sm">High</span>
+            </div>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+            >
+              {editingId ? 'Update Rehearsal Report' : 'Save Rehearsal Report'}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div>
+        <h2 className="text-xl font-semibold text-slate-200 mb-4">Past Reports</h2>
+        {sortedReports.length === 0 ? (
+          <p className="text-slate-400 text-center py-8">
+            No rehearsal reports yet. Create one above!
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {sortedReports.map(report => (
+              <div key={report.id} id={recordElementId('rehearsalReports', report.id)} className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+                <div className="flex justify-between items-start mb-4">
+                  <div>
+                    <h3 className="text-2xl font-semibold text-slate-100 mb-1">{getProductionTitle(data, report)}</h3>
+                    <p className="text-slate-400">
+                      {formatDate(report.date)}
+                      {report.startTime && report.endTime && ` • ${report.startTime} - ${report.endTime}`}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => navigate('play', 'reports', 'document', report.id)}
+                      className="text-slate-400 hover:text-slate-200"
+                      title="Print, PDF or email"
+                    >
+                      <FileText size={18} />
+                    </button>
+                    <button
+                      onClick={() => handleEdit(report)}
+                      className="text-amber-400 hover:text-amber-300"
+                    >
+                      <Edit2 size={18} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(report.id)}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </div>
+                </div>
+
+                {report.scenesWorked && (
+                  <div className="mb-4">
+                    <span className="text-slate-400">Scenes worked: </span>
+                    <span className="text-slate-200">{report.scenesWorked}</span>
+                  </div>
+                )}
+
+                <div className="space-y-3">
+                  {(report.attendance || []).length > 0 && (
+                    <div>
+                      <h4 className="text-slate-300 font-semibold mb-1">Attendance:</h4>
+                      <div className="flex flex-wrap gap-2">
+                        {report.attendance.map(entry => {
+                          const member = data.castCrew.find(m => m.id === entry.castCrewId);
+                          if (!member) return null;
+                          const status = getAttendanceStatus(entry.status);
+                          return (
+                            <span key={entry.castCrewId} className={`text-xs px-2 py-1 rounded ${status.className}`}>
+                              <PersonLink personId={member.personId}>{member.name}</PersonLink> · {status.label}
+                            </span>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
+                  {!(report.attendance || []).length && attendeeNames(data, report) && (
+                    <div>
+                      <h4 className="text-slate-300 font-semibold mb-1">Present:</h4>
+                      <p className="text-slate-400 whitespace-pre-wrap"><PeopleList personIds={report.attendeeIds} others={report.attendees} /></p>
+                    </div>
+                  )}
+                  {!(report.attendance || []).length && report.absentees && (
+                    <div>
+                      <h4 className="text-slate-300 font-semibold mb-1">Absent:</h4>
+                      <p className="text-slate-400 whitespace-pre-wrap">{report.absentees}</p>
+                    </div>
+                  )}
+                  {report.accomplishments && (
+                    <div className="bg-green-900/20 p-3 rounded-lg">
+                      <h4 className="text-green-300 font-semibold mb-1">✓ Accomplishments:</h4>
+                      <p className="text-slate-300 whitespace-pre-wrap">{report.accomplishments}</p>
+                    </div>
+                  )}
+                  {report.challenges && (
+                    <div className="bg-orange-900/20 p-3 rounded-lg">
+                      <h4 className="text-orange-300 font-semibold mb-1">⚠ Challenges:</h4>
+                      <p className="text-slate-300 whitespace-pre-wrap">{report.challenges}</p>
+                    </div>
+                  )}
+                  {report.notesForNextTime && (
+                    <div className="bg-amber-900/20 p-3 rounded-lg">
+                      <h4 className="text-amber-300 font-semibold mb-1">→ Next Time:</h4>
+                      <p className="text-slate-300 whitespace-pre-wrap">{report.notesForNextTime}</p>
+                    </div>
+                  )}
+                  {report.departmentNotes.length > 0 && (
+                    <div className="bg-slate-900/50 p-3 rounded-lg">
+                      <h4 className="text-slate-300 font-semibold mb-1">Department Notes:</h4>
+                      <ul className="space-y-1">
+                        {report.departmentNotes.map(note => (
+                          <li key={note.id} className="flex items-start justify-between gap-2 text-sm">
+                            <span className="text-slate-300">
+                              <span className="text-amber-300">{note.department}:</span> {note.text}
+                            </span>
+                            <NoteStatusButton report={report} note={note} />
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {data.incidents.some(incident => incident.reportId === report.id) && (
+                    <div className="bg-red-900/30 p-3 rounded-lg">
+                      <h4 className="text-red-300 font-semibold mb-1">⚠ Safety:</h4>
+                      {data.incidents.filter(incident => incident.reportId === report.id).map(incident => (
+                        <button
+                          key={incident.id}
+                          onClick={() => openRecord('incidents', incident)}
+                          className="block text-left text-slate-300 hover:text-amber-200"
+                        >
+                          <span className={`text-xs px-2 py-0.5 rounded mr-2 ${getIncidentSeverity(incident.severity).className}`}>
+                            {incident.severity}
+                          </span>
+                          {incident.description}{incident.resolved && ' (resolved)'}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <button
+                    onClick={() => navigate('play', 'incidents', 'new', report.id)}
+                    className="text-sm text-red-300 hover:text-red-200"
                   >
-                    Logout
+                    + Log safety incident
                   </button>
+                  <div className="pt-2 border-t border-slate-700">
+                    <span className="text-slate-400">Morale: </span>
+                    <span className="text-amber-300 font-semibold">{report.morale}/5</span>
+                  </div>
                 </div>
-              )}
-            </div>
+                <EditHistory record={report} />
+              </div>
+            ))}
           </div>
+        )}
+      </div>
+    </div>
+  );
+};
 
-          {/* Mobile Menu Button */}
+// ============================================================================
+// DEPARTMENT NOTES
+// ============================================================================
+
+const DEPARTMENTS = ['Scenic', 'Costumes', 'Lighting', 'Sound', 'Props', 'Management'];
+
+const NOTE_STATUSES = [
+  { id: 'open', label: 'Open', className: 'bg-orange-900/40 text-orange-300' },
+  { id: 'acknowledged', label: 'Acknowledged', className: 'bg-blue-900/40 text-blue-300' },
+  { id: 'resolved', label: 'Resolved', className: 'bg-green-900/40 text-green-300' }
+];
+
+const getNoteStatus = (id) => NOTE_STATUSES.find(status => status.id === id) || NOTE_STATUSES[0];
+
+// Open → acknowledged → resolved → open
+const nextNoteStatus = (id) => NOTE_STATUSES[(NOTE_STATUSES.indexOf(getNoteStatus(id)) + 1) % NOTE_STATUSES.length].id;
+
+const updateDepartmentNote = (data, reportId, noteId, changes) => {
+  const report = data.rehearsalReports.find(r => r.id === reportId);
+  return updateRecord(data, 'rehearsalReports', reportId, {
+    departmentNotes: report.departmentNotes.map(note => (note.id === noteId ? { ...note, ...changes } : note))
+  });
+};
+
+// Note statuses change from report cards and the inbox while a report is open
+// in its form, so the stored status always wins over the form's copy
+const withStoredNoteStatuses = (data, reportId, notes) => {
+  const report = data.rehearsalReports.find(r => r.id === reportId);
+  if (!report) return notes;
+  return notes.map(note => {
+    const stored = report.departmentNotes.find(n => n.id === note.id);
+    return stored ? { ...note, status: stored.status } : note;
+  });
+};
+
+// Every unresolved note from a production's reports, newest rehearsal first
+const getDepartmentInbox = (data, productionId, includeResolved = false) => data.rehearsalReports
+  .filter(report => report.productionId === productionId)
+  .sort((a, b) => b.date.localeCompare(a.date))
+  .flatMap(report => report.departmentNotes
+    .filter(note => includeResolved || note.status !== 'resolved')
+    .map(note => ({ note, report })));
+
+const NoteStatusButton = ({ report, note }) => {
+  const { data, setData } = useApp();
+  const status = getNoteStatus(note.status);
+  return (
+    <button
+      onClick={() => setData(updateDepartmentNote(data, report.id, note.id, { status: nextNoteStatus(note.status) }))}
+      title="Change status"
+      className={`text-xs px-2 py-0.5 rounded whitespace-nowrap ${status.className}`}
+    >
+      {status.label}
+    </button>
+  );
+};
+
+// #/play/notes/<production id>: one production's open notes, by department
+const DepartmentInbox = () => {
+  const { data, route, navigate, openRecord } = useApp();
+  const production = data.productions.find(p => String(p.id) === route[2]) || data.productions[0];
+  const [department, setDepartment] = useState('all');
+  const [showResolved, setShowResolved] = useState(false);
+
+  if (!production) {
+    return (
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <p className="text-slate-400 text-center py-8">
+          Create a production in Production Management to collect department notes.
+        </p>
+      </div>
+    );
+  }
+
+  const inbox = getDepartmentInbox(data, production.id, showResolved);
+  const openCount = (dept) => inbox.filter(({ note }) => note.department === dept && note.status !== 'resolved').length;
+  const entries = inbox.filter(({ note }) => department === 'all' || note.department === department);
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 space-y-4">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+        <h2 className="text-2xl font-serif text-amber-300">Department Notes</h2>
+        <select
+          value={production.id}
+          onChange={(e) => navigate('play', 'notes', e.target.value)}
+          className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+        >
+          {data.productions.map(p => (
+            <option key={p.id} value={p.id}>{p.title}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {['all', ...DEPARTMENTS].map(dept => (
           <button
-            onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
-            className="lg:hidden text-slate-300"
+            key={dept}
+            onClick={() => setDepartment(dept)}
+            className={`px-3 py-1 rounded-lg text-sm transition-all ${
+              department === dept ? 'bg-amber-600 text-slate-900 font-semibold' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+            }`}
           >
-            {mobileMenuOpen ? <X size={24} /> : <Menu size={24} />}
+            {dept === 'all' ? 'All departments' : dept}
+            {dept !== 'all' && openCount(dept) > 0 && ` (${openCount(dept)})`}
           </button>
-        </div>
+        ))}
+      </div>
 
-        {/* Mobile Menu */}
-        {mobileMenuOpen && (
-          <div className="lg:hidden pb-4 space-y-2">
-            <button
-              onClick={() => handleRoleSwitch('ED')}
-              className={`w-full flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
-                data.activeRole === 'ED' ? 'bg-amber-600 text-slate-900' : 'bg-slate-800 text-slate-300'
-              }`}
-            >
-              <Briefcase size={18} />
-              <span>Executive Director</span>
-            </button>
-            <button
-              onClick={() => handleRoleSwitch('Play')}
-              className={`w-full flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
-                data.activeRole === 'Play' ? 'bg-amber-600 text-slate-900' : 'bg-slate-800 text-slate-300'
-              }`}
-            >
-              <Theater size={18} />
-              <span>Play Director</span>
-            </button>
-            <button
-              onClick={() => handleRoleSwitch('Project')}
-              className={`w-full flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
-                data.activeRole === 'Project' ? 'bg-amber-600 text-slate-900' : 'bg-slate-800 text-slate-300'
-              }`}
-            >
-              <FolderOpen size={18} />
-              <span>Project Lead</span>
-            </button>
-            
-            {data.customRoles.map(role => (
-              <button
-                key={role.id}
-                onClick={() => handleRoleSwitch(role.id)}
-                className={`w-full flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
-                  data.activeRole === role.id ? 'bg-amber-600 text-slate-900' : 'bg-slate-800 text-slate-300'
-                }`}
-              >
-                <Users size={18} />
-                <span>{role.name}</span>
-              </button>
-            ))}
-            
-            <button
-              onClick={() => {
-                setShowRoleModal(true);
-                setMobileMenuOpen(false);
-              }}
-              className="w-full flex items-center space-x-2 px-4 py-2 rounded-lg bg-slate-700 text-slate-300"
-            >
-              <Plus size={18} />
-              <span>Manage Roles</span>
-            </button>
-            
-            <div className="border-t border-slate-700 pt-2 mt-2">
-              <button
-                onClick={() => {
-                  setCurrentView('dashboard');
-                  setMobileMenuOpen(false);
-                }}
-                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
-              >
-                Dashboard
-              </button>
-              <button
-                onClick={() => {
-                  setCurrentView('journal');
-                  setMobileMenuOpen(false);
-                }}
-                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
-              >
-                Journal
-              </button>
-              <button
-                onClick={() => {
-                  setCurrentView('resources');
-                  setMobileMenuOpen(false);
-                }}
-                className="w-full text-left px-4 py-2 text-slate-300 hover:bg-slate-800 rounded"
-              >
-                Resources
-              </button>
-              <button
-                onClick={handleLogout}
-                className="w-full text-left px-4 py-2 text-red-400 hover:bg-slate-800 rounded"
-              >
-                Logout
-              </button>
+      <label className="flex items-center space-x-2 text-sm text-slate-400">
+        <input
+          type="checkbox"
+          checked={showResolved}
+          onChange={(e) => setShowResolved(e.target.checked)}
+          className="rounded"
+        />
+        <span>Show resolved notes</span>
+      </label>
+
+      {entries.length === 0 ? (
+        <p className="text-slate-400 text-center py-8">Nothing outstanding</p>
+      ) : (
+        <div className="space-y-2">
+          {entries.map(({ note, report }) => (
+            <div key={`${report.id}-${note.id}`} className="bg-slate-900/50 p-3 rounded-lg flex items-start justify-between gap-3">
+              <div className="min-w-0">
+                <p className="text-slate-100 whitespace-pre-wrap">{note.text}</p>
+                <p className="text-slate-500 text-xs mt-1">
+                  <span className="text-amber-300">{note.department}</span>
+                  {' · '}
+                  <button
+                    onClick={() => openRecord('rehearsalReports', report)}
+                    className="hover:text-slate-300"
+                  >
+                    {formatDate(report.date)}
+                  </button>
+                </p>
+              </div>
+              <NoteStatusButton report={report} note={note} />
             </div>
-          </div>
-        )}
-      </div>
-    </header>
+          ))}
+        </div>
+      )}
+    </div>
   );
 };
 
 // ============================================================================
-// SECTION 3 COMPLETE - Continue with GaugeChart and Dashboard in next section
+// REPORT DOCUMENTS
 // ============================================================================
 
-// ============================================================================
-// GAUGE CHART
-// ============================================================================
+// A rehearsal report laid out for distribution: a title, a header of
+// label/value details and the sections that have something in them. The
+// print, PDF and email renderers below all work from this.
+const buildReportDocument = (data, report) => {
+  const scheduled = data.rehearsalSchedule.find(r => r.id === report.scheduleId);
+  const minutes = rehearsalMinutes(report);
+  const times = report.startTime
+    ? `${report.startTime}${report.endTime ? ` – ${report.endTime}` : ''}${minutes ? ` (${Math.round(minutes / 6) / 10}h)` : ''}`
+    : '';
+
+  const attendance = (report.attendance || []).length > 0
+    ? ATTENDANCE_STATUSES.map(status => {
+      const names = report.attendance
+        .filter(entry => getAttendanceStatus(entry.status).id === status.id)
+        .map(entry => (data.castCrew.find(m => m.id === entry.castCrewId) || {}).name)
+        .filter(Boolean);
+      return names.length > 0 ? `${status.label}: ${names.join(', ')}` : '';
+    })
+    : [
+      attendeeNames(data, report) && `Present: ${attendeeNames(data, report)}`,
+      report.absentees && `Absent: ${report.absentees}`
+    ];
 
-const GaugeChart = ({ value, label }) => {
-  const percentage = (value / 5) * 100;
-  const rotation = (percentage / 100) * 180 - 90;
-  
-  let status = 'Needs Focus';
-  let statusColor = '#ef4444';
-  
-  if (value >= 4) {
-    status = 'Strong';
-    statusColor = '#22c55e';
-  } else if (value >= 3) {
-    status = 'Developing';
-    statusColor = '#eab308';
+  const incidents = data.incidents
+    .filter(incident => incident.reportId === report.id)
+    .map(incident => `${incident.severity}: ${incident.description}${incident.resolved ? ' (resolved)' : ''}`);
+
+  return {
+    title: `Rehearsal Report: ${getProductionTitle(data, report) || 'Rehearsal'}`,
+    details: [
+      ['Date', report.date && formatDate(`${report.date}T00:00`)],
+      ['Time', times],
+      ['Location', scheduled && scheduled.location],
+      ['Scenes worked', report.scenesWorked],
+      ['Morale', `${report.morale}/5`]
+    ].filter(([, value]) => value),
+    sections: [
+      { heading: 'Attendance', items: attendance.filter(Boolean) },
+      { heading: 'Accomplishments', text: report.accomplishments },
+      { heading: 'Challenges', text: report.challenges },
+      { heading: 'Notes for Next Rehearsal', text: report.notesForNextTime },
+      ...DEPARTMENTS.map(department => ({
+        heading: `${department} Notes`,
+        items: report.departmentNotes
+          .filter(note => note.department === department)
+          .map(note => `${note.text}${note.status === 'open' ? '' : ` (${getNoteStatus(note.status).label.toLowerCase()})`}`)
+      })),
+      { heading: 'Safety', items: incidents }
+    ].filter(section => section.text || (section.items && section.items.length > 0))
+  };
+};
+
+const reportDocumentFilename = (data, report, extension) => {
+  const slug = (getProductionTitle(data, report) || 'rehearsal').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  return `rehearsal-report-${slug}-${report.date}.${extension}`;
+};
+
+// Plain text with light Markdown, to paste into an email
+const reportDocumentText = (doc) => [
+  `# ${doc.title}`,
+  '',
+  ...doc.details.map(([label, value]) => `**${label}:** ${value}`),
+  ...doc.sections.flatMap(section => [
+    '',
+    `## ${section.heading}`,
+    ...(section.items ? section.items.map(item => `- ${item}`) : [section.text.trim()])
+  ])
+].join('\n');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// A standalone page styled for paper, opened in its own window to print
+const reportDocumentHtml = (doc) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)}</title>
+<style>
+  @page { margin: 0.75in; }
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 7in; margin: 0 auto; line-height: 1.4; }
+  h1 { font-size: 20pt; border-bottom: 2px solid #111; padding-bottom: 4pt; margin-bottom: 8pt; }
+  h2 { font-size: 13pt; margin: 14pt 0 4pt; break-after: avoid; }
+  table { border-collapse: collapse; font-size: 10.5pt; }
+  th { text-align: left; padding: 1pt 12pt 1pt 0; }
+  p, ul { font-size: 10.5pt; margin: 0; white-space: pre-wrap; }
+  ul { padding-left: 16pt; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.title)}</h1>
+<table>${doc.details.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+${doc.sections.map(section => `<h2>${escapeHtml(section.heading)}</h2>${section.items
+    ? `<ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+    : `<p>${escapeHtml(section.text.trim())}</p>`}`).join('\n')}
+</body>
+</html>`;
+
+// Also prints call sheets, which share the document layout
+const printReportDocument = (doc) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    window.alert('Allow pop-ups for this site to print.');
+    return;
   }
+  printWindow.document.write(reportDocumentHtml(doc));
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
+
+// Minimal PDF writer: US Letter pages of Helvetica text, with no fonts to
+// embed and no dependencies. Text outside WinAnsi comes out as "?".
+const PDF_PAGE = { width: 612, height: 792, margin: 54 };
+
+const WIN_ANSI = { '–': '\x96', '—': '\x97', '•': '\x95', '‘': '\x91', '’': '\x92', '“': '\x93', '”': '\x94', '…': '\x85' };
+
+const pdfString = (text) => text
+  .replace(/[–—•‘’“”…]/g, ch => WIN_ANSI[ch])
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/[\\()]/g, '\\$&');
+
+// Breaks text into lines that fit `width` points, using Helvetica's average
+// glyph width since the exact metrics aren't available
+const wrapPdfText = (text, size, width) => {
+  const maxChars = Math.max(1, Math.floor(width / (size * 0.52)));
+  return text.split('\n').flatMap(paragraph => {
+    const lines = [];
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      if (line && `${line} ${word}`.length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    return [...lines, line];
+  });
+};
+
+// `blocks` are { text, size, bold, spaceBefore }; returns the PDF as a Blob
+const renderPdf = (blocks) => {
+  const { width, height, margin } = PDF_PAGE;
+  const pages = [[]];
+  let y = height - margin;
+  blocks.forEach(({ text, size, bold, spaceBefore = 0 }) => {
+    const lineHeight = size * 1.35;
+    y -= spaceBefore;
+    wrapPdfText(text, size, width - margin * 2).forEach(line => {
+      y -= lineHeight;
+      if (y < margin) {
+        pages.push([]);
+        y = height - margin - lineHeight;
+      }
+      pages[pages.length - 1].push(`BT /F${bold ? 2 : 1} ${size} Tf ${margin} ${y.toFixed(2)} Td (${pdfString(line)}) Tj ET`);
+    });
+  });
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${6 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    ...pages.flatMap((commands, i) => {
+      const stream = commands.join('\n');
+      return [
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${5 + i * 2} 0 R >>`
+      ];
+    })
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  // Every character is a single byte, so lengths and offsets above are byte counts
+  return new Blob([Uint8Array.from(pdf, ch => ch.charCodeAt(0))], { type: 'application/pdf' });
+};
+
+const reportDocumentPdf = (doc) => renderPdf([
+  { text: doc.title, size: 18, bold: true },
+  ...doc.details.map(([label, value], i) => ({ text: `${label}: ${value}`, size: 10.5, spaceBefore: i === 0 ? 8 : 0 })),
+  ...doc.sections.flatMap(section => [
+    { text: section.heading, size: 13, bold: true, spaceBefore: 12 },
+    ...(section.items
+      ? section.items.map(item => ({ text: `• ${item}`, size: 10.5 }))
+      : [{ text: section.text.trim(), size: 10.5 }])
+  ])
+]);
+
+// #/play/reports/document/<id>: a report as it will be sent, with print,
+// PDF and email-text exports
+const ReportDocument = ({ report }) => {
+  const { data, navigate } = useApp();
+  const [copied, setCopied] = useState(false);
+  const doc = buildReportDocument(data, report);
+  const text = reportDocumentText(doc);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(text).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    }, () => window.alert('Copying was blocked; select the text below and copy it instead.'));
+  };
 
   return (
-    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-      <h3 className="text-lg font-semibold text-slate-200 mb-4 text-center">{label}</h3>
-      <div className="relative w-48 h-24 mx-auto mb-4">
-        <svg viewBox="0 0 200 100" className="w-full h-full">
-          <path
-            d="M 20 90 A 80 80 0 0 1 180 90"
-            fill="none"
-            stroke="#334155"
-            strokeWidth="20"
-            strokeLinecap="round"
-          />
-          <path
-            d="M 20 90 A 80 80 0 0 1 180 90"
-            fill="none"
-            stroke={statusColor}
-            strokeWidth="20"
-            strokeLinecap="round"
-            strokeDasharray={`${percentage * 2.51} 1000`}
-          />
-          <line
-            x1="100"
-            y1="90"
-            x2="100"
-            y2="30"
-            stroke="#f59e0b"
-            strokeWidth="3"
-            strokeLinecap="round"
-            transform={`rotate(${rotation} 100 90)`}
-          />
-          <circle cx="100" cy="90" r="8" fill="#f59e0b" />
-        </svg>
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <button
+          onClick={() => navigate('play', 'reports')}
+          className="text-amber-300 hover:text-amber-200 transition-colors mb-4"
+        >
+          ← Reports
+        </button>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => printReportDocument(doc)}
+            className="flex items-center space-x-2 bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
+          >
+            <Printer size={16} />
+            <span>Print</span>
+          </button>
+          <button
+            onClick={() => downloadBlob(reportDocumentFilename(data, report, 'pdf'), reportDocumentPdf(doc))}
+            className="flex items-center space-x-2 bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
+          >
+            <Download size={16} />
+            <span>Download PDF</span>
+          </button>
+          <button
+            onClick={handleCopy}
+            className="flex items-center space-x-2 bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+          >
+            {copied ? <Check size={16} /> : <Send size={16} />}
+            <span>{copied ? 'Copied' : 'Copy Email Text'}</span>
+          </button>
+        </div>
       </div>
-      <div className="text-center">
-        <div className="text-3xl font-bold text-amber-300 mb-1">{value.toFixed(1)}/5</div>
-        <div className="text-sm" style={{ color: statusColor }}>{status}</div>
+
+      <div className="bg-white text-slate-900 p-8 rounded-lg font-serif max-w-3xl mx-auto shadow-xl">
+        <h1 className="text-2xl font-bold border-b-2 border-slate-900 pb-1 mb-3">{doc.title}</h1>
+        <table className="text-sm mb-2">
+          <tbody>
+            {doc.details.map(([label, value]) => (
+              <tr key={label}>
+                <th className="text-left pr-4 align-top">{label}</th>
+                <td>{value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {doc.sections.map(section => (
+          <div key={section.heading} className="mt-4">
+            <h2 className="text-lg font-bold mb-1">{section.heading}</h2>
+            {section.items ? (
+              <ul className="list-disc pl-5 text-sm">
+                {section.items.map(item => <li key={item}>{item}</li>)}
+              </ul>
+            ) : (
+              <p className="text-sm whitespace-pre-wrap">{section.text.trim()}</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <label className="block text-slate-300 mb-2">Email body</label>
+        <textarea
+          value={text}
+          readOnly
+          rows="12"
+          onFocus={(e) => e.target.select()}
+          className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 font-mono text-sm focus:border-amber-500 focus:outline-none"
+        />
       </div>
     </div>
   );
 };
 
 // ============================================================================
-// RATING SCALE COMPONENT
+// SAFETY INCIDENTS
 // ============================================================================
 
-const RatingScale = ({ label, value, onChange, scale }) => {
-  const [showTooltip, setShowTooltip] = useState(false);
-  const currentItem = scale.find(item => item.value === value) || scale[2];
+const INCIDENT_SEVERITIES = [
+  { id: 'Minor', className: 'bg-slate-700 text-slate-200' },
+  { id: 'Moderate', className: 'bg-yellow-900/50 text-yellow-300' },
+  { id: 'Serious', className: 'bg-orange-900/50 text-orange-300' },
+  { id: 'Critical', className: 'bg-red-900/60 text-red-200' }
+];
+
+const getIncidentSeverity = (id) => INCIDENT_SEVERITIES.find(severity => severity.id === id) || INCIDENT_SEVERITIES[0];
+
+const EMPTY_INCIDENT = {
+  productionId: null,
+  reportId: null,
+  date: '',
+  time: '',
+  severity: 'Minor',
+  description: '',
+  involved: '',
+  involvedIds: [],
+  location: '',
+  immediateAction: '',
+  ownerId: null,
+  dueDate: '',
+  resolved: false,
+  resolution: ''
+};
+
+const isIncidentOverdue = (incident, today = todayStamp()) =>
+  !incident.resolved && Boolean(incident.dueDate) && incident.dueDate < today;
+
+// Open before resolved, then most severe, then soonest due, then newest
+const compareIncidents = (a, b) => {
+  const rank = (incident) => INCIDENT_SEVERITIES.indexOf(getIncidentSeverity(incident.severity));
+  return Number(a.resolved) - Number(b.resolved)
+    || rank(b) - rank(a)
+    || (a.dueDate || '9999').localeCompare(b.dueDate || '9999')
+    || (b.date || '').localeCompare(a.date || '');
+};
+
+const getOpenIncidents = (data) => data.incidents.filter(incident => !incident.resolved).sort(compareIncidents);
+
+// A new incident for something that happened at a rehearsal
+const incidentFromReport = (data, report) => {
+  const scheduled = data.rehearsalSchedule.find(r => r.id === report.scheduleId);
+  const production = data.productions.find(p => p.id === report.productionId);
+  return {
+    ...EMPTY_INCIDENT,
+    reportId: report.id,
+    productionId: report.productionId || null,
+    date: report.date,
+    time: report.startTime || '',
+    location: (scheduled && scheduled.location) || (production && production.venue) || ''
+  };
+};
+
+const IncidentFilterButton = ({ active, onClick, children }) => (
+  <button
+    onClick={onClick}
+    className={`px-3 py-1 rounded-lg text-sm transition-all ${
+      active ? 'bg-amber-600 text-slate-900 font-semibold' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+    }`}
+  >
+    {children}
+  </button>
+);
+
+const SafetyIncidents = () => {
+  const { data, setData, route, navigate, openRecord } = useApp();
+  // #/play/incidents/new/<report id> opens the form for an incident at that rehearsal
+  const [formData, setFormData] = useState(() => {
+    const report = route[2] === 'new' && data.rehearsalReports.find(r => String(r.id) === route[3]);
+    return report ? incidentFromReport(data, report) : EMPTY_INCIDENT;
+  });
+  const [editingId, setEditingId] = useState(null);
+  const [filter, setFilter] = useState('open');
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_INCIDENT);
+    if (route[2] === 'new') navigate('play', 'incidents');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.date || !formData.description.trim()) return;
+
+    if (editingId) {
+      setData(updateRecord(data, 'incidents', editingId, formData));
+    } else {
+      const newIncident = {
+        id: Date.now(),
+        ...formData,
+        createdAt: new Date().toISOString()
+      };
+
+      setData({
+        ...data,
+        incidents: [...data.incidents, newIncident]
+      });
+    }
+
+    resetForm();
+  };
+
+  const handleEdit = (incident) => {
+    setEditingId(incident.id);
+    setFormData(recordFormValues(incident, EMPTY_INCIDENT));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Move this incident to the trash? Incident records may be needed later for duty-of-care reviews.')) {
+      setData(moveToTrash(data, 'incidents', id), { toast: 'Incident moved to trash' });
+    }
+  };
+
+  const handleResolve = (incident) => {
+    if (incident.resolved) {
+      setData(updateRecord(data, 'incidents', incident.id, { resolved: false, resolvedAt: null }));
+      return;
+    }
+    const resolution = window.prompt('How was this incident resolved?', incident.resolution || '');
+    if (resolution === null) return;
+    setData(updateRecord(data, 'incidents', incident.id, {
+      resolved: true,
+      resolution,
+      resolvedAt: new Date().toISOString()
+    }));
+  };
+
+  const today = todayStamp();
+  const incidents = data.incidents
+    .filter(incident => (filter === 'all' ? true : filter === 'open' ? !incident.resolved : incident.resolved))
+    .sort(compareIncidents);
+  const linkedReport = data.rehearsalReports.find(r => r.id === formData.reportId);
+  const sortedPeople = [...data.people].sort((x, y) => x.name.localeCompare(y.name));
 
   return (
-    <div className="space-y-2">
-      <div className="flex items-center justify-between">
-        <label className="text-slate-300 font-medium">
-          {label}: {value} - {currentItem.label}
-        </label>
-        <div className="relative">
-          <button
-            onMouseEnter={() => setShowTooltip(true)}
-            onMouseLeave={() => setShowTooltip(false)}
-            className="text-amber-400 hover:text-amber-300"
-            type="button"
-          >
-            <HelpCircle size={18} />
-          </button>
-          {showTooltip && (
-            <div className="absolute right-0 bottom-full mb-2 w-80 bg-slate-900 border border-amber-900/30 rounded-lg p-4 shadow-xl z-10">
-              {scale.map(item => (
-                <div key={item.value} className="mb-3 last:mb-0">
-                  <div className="text-amber-300 font-semibold">{item.value}. {item.label}</div>
-                  <div className="text-slate-400 text-sm">{item.desc}</div>
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <h2 className="text-xl font-semibold text-slate-200 mb-1">{editingId ? 'Edit Incident' : 'Log a Safety Incident'}</h2>
+        {linkedReport && (
+          <p className="text-slate-400 text-sm mb-4">From the rehearsal report: {getRecordTitle('rehearsalReports', linkedReport)}</p>
+        )}
+        <form onSubmit={handleSubmit} className="space-y-4 mt-4">
+          <div className="grid md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-slate-300 mb-2">Date *</label>
+              <input
+                type="date"
+                value={formData.date}
+                onChange={(e) => setFormData({ ...formData, date: e.target.value })}
+                required
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Time</label>
+              <input
+                type="time"
+                value={formData.time}
+                onChange={(e) => setFormData({ ...formData, time: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Severity</label>
+              <select
+                value={formData.severity}
+                onChange={(e) => setFormData({ ...formData, severity: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                {INCIDENT_SEVERITIES.map(severity => (
+                  <option key={severity.id} value={severity.id}>{severity.id}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Production</label>
+              <select
+                value={formData.productionId || ''}
+                onChange={(e) => {
+                  const production = data.productions.find(p => String(p.id) === e.target.value);
+                  setFormData({ ...formData, productionId: production ? production.id : null });
+                }}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                <option value="">None</option>
+                {data.productions.map(p => (
+                  <option key={p.id} value={p.id}>{p.title}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">What happened? *</label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              rows="3"
+              required
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-slate-300 mb-2">People Involved</label>
+              <select
+                value=""
+                onChange={(e) => {
+                  const person = data.people.find(p => String(p.id) === e.target.value);
+                  if (person) setFormData({ ...formData, involvedIds: [...formData.involvedIds, person.id] });
+                }}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                <option value="">Add someone from the directory…</option>
+                {sortedPeople.filter(person => !formData.involvedIds.includes(person.id)).map(person => (
+                  <option key={person.id} value={person.id}>{person.name}</option>
+                ))}
+              </select>
+              {formData.involvedIds.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {formData.involvedIds.map(id => getPerson(data, id)).filter(Boolean).map(person => (
+                    <span key={person.id} className="flex items-center space-x-1 text-xs px-2 py-1 rounded bg-slate-800 text-slate-200">
+                      <span>{person.name}</span>
+                      <button
+                        type="button"
+                        onClick={() => setFormData({ ...formData, involvedIds: formData.involvedIds.filter(i => i !== person.id) })}
+                        className="text-slate-400 hover:text-red-400"
+                        aria-label={`Remove ${person.name}`}
+                      >
+                        <X size={12} />
+                      </button>
+                    </span>
+                  ))}
                 </div>
-              ))}
+              )}
+              <input
+                type="text"
+                value={formData.involved}
+                onChange={(e) => setFormData({ ...formData, involved: e.target.value })}
+                placeholder="Anyone not in the directory"
+                className="w-full mt-2 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Location</label>
+              <input
+                type="text"
+                value={formData.location}
+                onChange={(e) => setFormData({ ...formData, location: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Immediate Action Taken</label>
+            <textarea
+              value={formData.immediateAction}
+              onChange={(e) => setFormData({ ...formData, immediateAction: e.target.value })}
+              rows="2"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-slate-300 mb-2">Follow-up Owner</label>
+              <select
+                value={formData.ownerId || ''}
+                onChange={(e) => {
+                  const person = data.people.find(p => String(p.id) === e.target.value);
+                  setFormData({ ...formData, ownerId: person ? person.id : null });
+                }}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                <option value="">Nobody yet</option>
+                {sortedPeople.map(person => (
+                  <option key={person.id} value={person.id}>{person.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Follow-up Due</label>
+              <input
+                type="date"
+                value={formData.dueDate}
+                onChange={(e) => setFormData({ ...formData, dueDate: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+          </div>
+          {formData.resolved && (
+            <div>
+              <label className="block text-slate-300 mb-2">Resolution</label>
+              <textarea
+                value={formData.resolution}
+                onChange={(e) => setFormData({ ...formData, resolution: e.target.value })}
+                rows="2"
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
             </div>
           )}
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="flex items-center space-x-2 bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+            >
+              <Save size={18} />
+              <span>{editingId ? 'Update Incident' : 'Log Incident'}</span>
+            </button>
+            {(editingId || route[2] === 'new') && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-4">
+          <h2 className="text-2xl font-serif text-amber-300">Safety Incidents</h2>
+          <div className="flex space-x-2">
+            <IncidentFilterButton active={filter === 'open'} onClick={() => setFilter('open')}>
+              Open ({data.incidents.filter(incident => !incident.resolved).length})
+            </IncidentFilterButton>
+            <IncidentFilterButton active={filter === 'resolved'} onClick={() => setFilter('resolved')}>
+              Resolved
+            </IncidentFilterButton>
+            <IncidentFilterButton active={filter === 'all'} onClick={() => setFilter('all')}>
+              All
+            </IncidentFilterButton>
+          </div>
         </div>
+        {incidents.length === 0 ? (
+          <p className="text-slate-400 text-center py-8">
+            {filter === 'open' ? 'No open incidents' : 'No incidents here'}
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {incidents.map(incident => {
+              const severity = getIncidentSeverity(incident.severity);
+              const report = data.rehearsalReports.find(r => r.id === incident.reportId);
+              const involved = incident.involvedIds.map(id => getPerson(data, id)).filter(Boolean);
+              const overdue = isIncidentOverdue(incident, today);
+              return (
+                <div
+                  key={incident.id}
+                  id={recordElementId('incidents', incident.id)}
+                  className={`bg-slate-900/50 p-4 rounded-lg border ${overdue ? 'border-red-600' : 'border-slate-700'} ${incident.resolved ? 'opacity-70' : ''}`}
+                >
+                  <div className="flex justify-between items-start mb-2">
+                    <div>
+                      <div className="flex items-center space-x-2">
+                        <span className={`text-xs px-2 py-1 rounded ${severity.className}`}>{severity.id}</span>
+                        <h3 className="text-slate-100 font-semibold">
+                          {incident.date ? formatDate(`${incident.date}T00:00`) : 'Undated'}{incident.time && ` at ${incident.time}`}
+                        </h3>
+                        {incident.resolved && <span className="text-xs text-green-300">✓ Resolved</span>}
+                      </div>
+                      <p className="text-slate-400 text-sm mt-1">
+                        {[getProductionTitle(data, incident), incident.location].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleResolve(incident)}
+                        className="text-green-400 hover:text-green-300"
+                        title={incident.resolved ? 'Reopen' : 'Mark resolved'}
+                      >
+                        {incident.resolved ? <RotateCcw size={16} /> : <Check size={16} />}
+                      </button>
+                      <button
+                        onClick={() => handleEdit(incident)}
+                        className="text-amber-400 hover:text-amber-300"
+                      >
+                        <Edit2 size={16} />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(incident.id)}
+                        className="text-red-400 hover:text-red-300"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </div>
+                  <p className="text-slate-200 whitespace-pre-wrap">{incident.description}</p>
+                  <div className="mt-2 space-y-1 text-sm">
+                    {(involved.length > 0 || incident.involved) && (
+                      <p className="text-slate-400">
+                        Involved: <PeopleList personIds={incident.involvedIds} others={incident.involved} />
+                      </p>
+                    )}
+                    {incident.immediateAction && (
+                      <p className="text-slate-400">Immediate action: <span className="text-slate-300">{incident.immediateAction}</span></p>
+                    )}
+                    <p className="text-slate-400">
+                      Follow-up: {getPerson(data, incident.ownerId) ? <PersonLink personId={incident.ownerId} /> : <span className="text-orange-300">no owner</span>}
+                      {incident.dueDate && (
+                        <span className={overdue ? 'text-red-300 font-semibold' : ''}>
+                          {' '}· due {formatDate(`${incident.dueDate}T00:00`)}{overdue && ' (overdue)'}
+                        </span>
+                      )}
+                    </p>
+                    {incident.resolved && incident.resolution && (
+                      <p className="text-slate-400">Resolution: <span className="text-green-300">{incident.resolution}</span></p>
+                    )}
+                    {report && (
+                      <button
+                        onClick={() => openRecord('rehearsalReports', report)}
+                        className="text-amber-300 hover:text-amber-200"
+                      >
+                        From {getRecordTitle('rehearsalReports', report)}
+                      </button>
+                    )}
+                  </div>
+                  <EditHistory record={incident} />
+                </div>
+              );
+            })}
+          </div>
+        )}
       </div>
-      <input
-        type="range"
-        min="1"
-        max="5"
-        value={value}
-        onChange={(e) => onChange(parseInt(e.target.value))}
-        className="w-full"
-      />
-      <p className="text-slate-400 text-sm">{currentItem.desc}</p>
     </div>
   );
 };
 
 // ============================================================================
-// DASHBOARD
+// REHEARSAL SCHEDULE
 // ============================================================================
 
-const Dashboard = () => {
-  const { data } = useApp();
-  
-  const roleMetrics = data.metrics.filter(m => m.role === data.activeRole);
-  const avgEI = roleMetrics.length > 0
-    ? roleMetrics.reduce((sum, m) => sum + m.ei_rating, 0) / roleMetrics.length
-    : 0;
-  const avgPS = roleMetrics.length > 0
-    ? roleMetrics.reduce((sum, m) => sum + m.psych_safety_rating, 0) / roleMetrics.length
-    : 0;
+const SCHEDULE_TYPES = ['Rehearsal', 'Performance'];
 
-  const last30Days = roleMetrics
-    .filter(m => {
-      const metricDate = new Date(m.date);
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      return metricDate >= thirtyDaysAgo;
-    })
-    .sort((a, b) => new Date(a.date) - new Date(b.date))
-    .map(m => ({
-      date: new Date(m.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-      EI: m.ei_rating,
-      PS: m.psych_safety_rating
-    }));
+const EMPTY_SCHEDULED_REHEARSAL = {
+  type: 'Rehearsal',
+  date: '',
+  startTime: '',
+  endTime: '',
+  location: '',
+  notes: '',
+  calls: []
+};
 
-  const upcomingMeetings = data.meetings
-    .filter(m => !isPastMeeting(m))
-    .sort((a, b) => new Date(`${a.date}T${a.time || '00:00'}`) - new Date(`${b.date}T${b.time || '00:00'}`))
-    .slice(0, 5);
+const EMPTY_CALL = {
+  time: '',
+  scenes: '',
+  sceneIds: [],
+  castCrewIds: []
+};
 
-  const activeCustomRole = data.customRoles.find(r => r.id === data.activeRole);
-  let roleName = 'Executive Director';
-  if (data.activeRole === 'Play') roleName = 'Play Director';
-  else if (data.activeRole === 'Project') roleName = 'Project Lead';
-  else if (activeCustomRole) roleName = activeCustomRole.name;
+const compareRehearsals = (a, b) =>
+  a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || '');
+
+// Problems with the breakdown scenes in a call: actors the scenes need who
+// aren't called, and the scenes' own casting conflicts
+const getCallWarnings = (data, call) => (call.sceneIds || []).flatMap(sceneId => {
+  const scene = data.scenes.find(s => s.id === sceneId);
+  if (!scene) return [];
+  const missing = getSceneActors(data, scene)
+    .filter(actor => !call.castCrewIds.includes(actor.id))
+    .map(actor => `${actor.name} is needed for ${getSceneLabel(scene)} but not called`);
+  return [...missing, ...getSceneConflicts(data, scene)];
+});
+
+// Everyone called on `date` for a production, with their first call time and
+// the scenes they are called for, in call order
+const buildCallSheet = (data, productionId, date) => {
+  const rehearsals = data.rehearsalSchedule
+    .filter(r => r.productionId === productionId && r.date === date)
+    .sort(compareRehearsals);
+
+  const called = new Map();
+  rehearsals.forEach(rehearsal => rehearsal.calls.forEach(call => {
+    const time = call.time || rehearsal.startTime;
+    call.castCrewIds.forEach(id => {
+      const member = data.castCrew.find(m => m.id === id);
+      if (!member) return;
+      const entry = called.get(id) || { member, time, scenes: [] };
+      if (time && (!entry.time || time < entry.time)) entry.time = time;
+      if (call.scenes) entry.scenes.push(call.scenes);
+      called.set(id, entry);
+    });
+  }));
 
-  return (
-    <div className="space-y-8">
-      {/* Greeting */}
-      <div className="bg-slate-800/50 backdrop-blur p-8 rounded-xl border border-amber-900/20">
-        <h1 className="text-4xl font-serif text-amber-300 mb-2">
-          {getGreeting()}, {data.user.name}
-        </h1>
-        <p className="text-slate-300 text-lg">
-          Active Role: <span className="text-amber-200">{roleName}</span>
-        </p>
-      </div>
+  const entries = [...called.values()].sort((a, b) =>
+    (a.time || '').localeCompare(b.time || '') || a.member.name.localeCompare(b.member.name)
+  );
+  return {
+    rehearsals,
+    cast: entries.filter(entry => entry.member.type !== 'Crew'),
+    crew: entries.filter(entry => entry.member.type === 'Crew')
+  };
+};
 
-      {/* Leadership Metrics */}
-      {roleMetrics.length > 0 && (
-        <div>
-          <h2 className="text-2xl font-serif text-amber-300 mb-4">Leadership Metrics</h2>
-          <div className="grid md:grid-cols-2 gap-6">
-            <GaugeChart value={avgEI} label="Emotional Intelligence" />
-            <GaugeChart value={avgPS} label="Psychological Safety" />
-          </div>
-        </div>
-      )}
+// The call sheet in the report document layout, so it prints on its own page
+const buildCallSheetDocument = (data, production, date) => {
+  const sheet = buildCallSheet(data, production.id, date);
+  const describeCalls = (entries) => (entries.length === 0
+    ? ['Nobody called']
+    : entries.map(({ member, time, scenes }) =>
+      `${time || 'TBC'}: ${member.name}${member.role ? ` (${member.role})` : ''}${scenes.length > 0 ? ` – ${scenes.join(', ')}` : ''}`));
 
-      {/* 30-Day Trends */}
-      {last30Days.length >= 2 && (
-        <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-          <h2 className="text-2xl font-serif text-amber-300 mb-4">30-Day Trends</h2>
-          <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={last30Days}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-              <XAxis dataKey="date" stroke="#94a3b8" />
-              <YAxis domain={[1, 5]} stroke="#94a3b8" />
-              <RechartsTooltip
-                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #d97706' }}
-              />
-              <Legend />
-              <Line type="monotone" dataKey="EI" stroke="#f59e0b" strokeWidth={2} name="Emotional Intelligence" />
-              <Line type="monotone" dataKey="PS" stroke="#22c55e" strokeWidth={2} name="Psychological Safety" />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-      )}
+  return {
+    title: `Call Sheet: ${production.title}`,
+    details: [
+      ['Date', formatDate(`${date}T00:00`)],
+      ['Venue', production.venue]
+    ].filter(([, value]) => value),
+    sections: [
+      {
+        heading: 'Schedule',
+        items: sheet.rehearsals.flatMap(rehearsal => [
+          `${rehearsal.startTime || 'Time TBC'}${rehearsal.endTime ? ` – ${rehearsal.endTime}` : ''}${rehearsal.location ? ` · ${rehearsal.location}` : ''}`,
+          ...rehearsal.calls.map(call => `${call.time || rehearsal.startTime || 'TBC'}: ${call.scenes || 'Call'}`),
+          ...(rehearsal.notes ? [rehearsal.notes] : [])
+        ])
+      },
+      { heading: 'Cast', items: describeCalls(sheet.cast) },
+      { heading: 'Crew', items: describeCalls(sheet.crew) }
+    ].filter(section => section.items.length > 0)
+  };
+};
 
-      {/* Upcoming Meetings */}
-      {upcomingMeetings.length > 0 && (
-        <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-          <h2 className="text-2xl font-serif text-amber-300 mb-4">Upcoming Meetings</h2>
-          <div className="space-y-3">
-            {upcomingMeetings.map(meeting => (
-              <div key={meeting.id} className="flex items-center space-x-3 p-3 bg-slate-900/50 rounded-lg">
-                <Clock className="text-amber-400" size={20} />
-                <div>
-                  <p className="text-slate-100 font-medium">{meeting.title}</p>
-                  <p className="text-slate-400 text-sm">
-                    {formatDate(meeting.date)} {meeting.time && `at ${meeting.time}`}
-                  </p>
-                </div>
-              </div>
+const CallSheet = ({ production, date }) => {
+  const { data, navigate } = useApp();
+  const sheet = buildCallSheet(data, production.id, date);
+
+  const renderCalls = (title, entries) => (
+    <div>
+      <h3 className="text-lg font-semibold text-slate-200 mb-2">{title}</h3>
+      {entries.length === 0 ? (
+        <p className="text-slate-500 text-sm">Nobody called</p>
+      ) : (
+        <table className="w-full text-sm">
+          <tbody>
+            {entries.map(({ member, time, scenes }) => (
+              <tr key={member.id} className="border-b border-slate-800">
+                <td className="py-2 pr-4 text-amber-300 font-semibold whitespace-nowrap">{time || 'TBC'}</td>
+                <td className="py-2 pr-4 text-slate-100">
+                  <PersonLink personId={member.personId}>{member.name}</PersonLink>
+                  {member.role && <span className="text-slate-500 ml-2">{member.role}</span>}
+                </td>
+                <td className="py-2 text-slate-400">{scenes.join(', ')}</td>
+              </tr>
             ))}
-          </div>
-        </div>
+          </tbody>
+        </table>
       )}
+    </div>
+  );
 
-      {/* Quick Navigation */}
-      <div>
-        <h2 className="text-2xl font-serif text-amber-300 mb-4">Quick Navigation</h2>
-        <div className="grid md:grid-cols-3 gap-4">
-          <button
-            onClick={() => {}}
-            className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 hover:border-amber-600 transition-all text-left"
-          >
-            <FileText className="text-amber-400 mb-3" size={32} />
-            <h3 className="text-slate-100 font-semibold text-lg mb-2">Journal</h3>
-            <p className="text-slate-400 text-sm">Reflect on your leadership journey</p>
-          </button>
-          <button
-            onClick={() => {}}
-            className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 hover:border-amber-600 transition-all text-left"
-          >
-            <Users className="text-amber-400 mb-3" size={32} />
-            <h3 className="text-slate-100 font-semibold text-lg mb-2">Team</h3>
-            <p className="text-slate-400 text-sm">Manage your team and connections</p>
-          </button>
+  return (
+    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
           <button
-            onClick={() => {}}
-            className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 hover:border-amber-600 transition-all text-left"
+            onClick={() => navigate('play', 'schedule', production.id)}
+            className="text-amber-300 hover:text-amber-200 transition-colors mb-2"
           >
-            <CheckSquare className="text-amber-400 mb-3" size={32} />
-            <h3 className="text-slate-100 font-semibold text-lg mb-2">Tasks</h3>
-            <p className="text-slate-400 text-sm">Stay on top of your to-dos</p>
+            ← Schedule
           </button>
+          <h2 className="text-2xl font-serif text-amber-300">Call Sheet: {production.title}</h2>
+          <p className="text-slate-300">{formatDate(`${date}T00:00`)}</p>
         </div>
+        <button
+          onClick={() => printReportDocument(buildCallSheetDocument(data, production, date))}
+          className="flex items-center space-x-2 bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
+        >
+          <Printer size={16} />
+          <span>Print</span>
+        </button>
       </div>
+
+      {sheet.rehearsals.map(rehearsal => (
+        <div key={rehearsal.id} className="bg-slate-900/50 p-4 rounded-lg text-sm">
+          <p className="text-slate-200">
+            {rehearsal.startTime || 'Time TBC'}{rehearsal.endTime && ` – ${rehearsal.endTime}`}
+            {rehearsal.location && ` · ${rehearsal.location}`}
+          </p>
+          {rehearsal.calls.map((call, index) => (
+            <p key={index} className="text-slate-400">
+              {call.time || rehearsal.startTime || 'TBC'}: {call.scenes || 'Call'}
+            </p>
+          ))}
+          {rehearsal.notes && <p className="text-slate-400 mt-2 whitespace-pre-wrap">{rehearsal.notes}</p>}
+        </div>
+      ))}
+
+      {renderCalls('Cast', sheet.cast)}
+      {renderCalls('Crew', sheet.crew)}
     </div>
   );
 };
 
+const RehearsalSchedule = () => {
+  const { data, setData, route, navigate } = useApp();
+  // #/play/schedule/<production id>[/<date>] – the date opens that day's call sheet
+  const production = data.productions.find(p => String(p.id) === route[2]) || data.productions[0];
+  const [formData, setFormData] = useState(EMPTY_SCHEDULED_REHEARSAL);
+  const [editingId, setEditingId] = useState(null);
 
-
-// ============================================================================
-// EXECUTIVE DIRECTOR MODULE - Main Container
-// ============================================================================
-
-const ExecutiveDirectorModule = () => {
-  const [activeTab, setActiveTab] = useState('employees');
-
-  return (
-    <div className="space-y-6">
+  if (!production) {
+    return (
       <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-        <div className="flex items-center space-x-3 mb-2">
-          <Briefcase className="text-amber-400" size={32} />
-          <h1 className="text-3xl font-serif text-amber-300">Executive Director</h1>
-        </div>
-        <p className="text-slate-400">
-          Manage your organization's strategic operations, team, and key initiatives.
+        <p className="text-slate-400 text-center py-8">
+          Create a production in Production Management to start scheduling rehearsals.
         </p>
       </div>
+    );
+  }
 
-      <div className="flex space-x-2 overflow-x-auto pb-2">
-        <button
-          onClick={() => setActiveTab('employees')}
-          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
-            activeTab === 'employees' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
-          }`}
-        >
-          Employee Catalogue
-        </button>
-        <button
-          onClick={() => setActiveTab('todos')}
-          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
-            activeTab === 'todos' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
-          }`}
-        >
-          To-Do Manager
-        </button>
-        <button
-          onClick={() => setActiveTab('meetings')}
-          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
-            activeTab === 'meetings' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
-          }`}
-        >
-          Meeting Planning
-        </button>
-      </div>
-
-      {activeTab === 'employees' && <EmployeeCatalogue />}
-      {activeTab === 'todos' && <TodoManager />}
-      {activeTab === 'meetings' && <MeetingPlanning />}
-    </div>
-  );
-};
+  if (route[3]) {
+    return <CallSheet production={production} date={route[3]} />;
+  }
 
-// ============================================================================
-// EMPLOYEE CATALOGUE
-// ============================================================================
+  const members = data.castCrew.filter(member => member.productionId === production.id);
+  const scenes = getProductionScenes(data, production.id);
 
-const EmployeeCatalogue = () => {
-  const { data, setData } = useApp();
-  const [formData, setFormData] = useState({
-    name: '',
-    position: '',
-    department: '',
-    email: '',
-    phone: '',
-    startDate: '',
-    notes: ''
-  });
-  const [editingId, setEditingId] = useState(null);
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_SCHEDULED_REHEARSAL);
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!formData.name.trim()) return;
+    if (!formData.date) return;
 
     if (editingId) {
-      setData({
-        ...data,
-        employees: data.employees.map(emp =>
-          emp.id === editingId ? { ...emp, ...formData } : emp
-        )
-      });
-      setEditingId(null);
+      setData(updateRecord(data, 'rehearsalSchedule', editingId, formData));
     } else {
-      const newEmployee = {
+      const newRehearsal = {
         id: Date.now(),
+        productionId: production.id,
         ...formData,
         createdAt: new Date().toISOString()
       };
+
       setData({
         ...data,
-        employees: [...data.employees, newEmployee]
+        rehearsalSchedule: [...data.rehearsalSchedule, newRehearsal]
       });
     }
 
+    resetForm();
+  };
+
+  const handleEdit = (rehearsal) => {
+    setEditingId(rehearsal.id);
+    setFormData(recordFormValues(rehearsal, EMPTY_SCHEDULED_REHEARSAL));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Move this scheduled rehearsal to the trash?')) {
+      setData(moveToTrash(data, 'rehearsalSchedule', id), { toast: 'Scheduled rehearsal moved to trash' });
+    }
+  };
+
+  const updateCall = (index, changes) => {
     setFormData({
-      name: '',
-      position: '',
-      department: '',
-      email: '',
-      phone: '',
-      startDate: '',
-      notes: ''
+      ...formData,
+      calls: formData.calls.map((call, i) => (i === index ? { ...call, ...changes } : call))
     });
   };
 
-  const handleEdit = (employee) => {
-    setEditingId(employee.id);
-    setFormData({
-      name: employee.name,
-      position: employee.position,
-      department: employee.department,
-      email: employee.email,
-      phone: employee.phone,
-      startDate: employee.startDate,
-      notes: employee.notes
+  // Adds a breakdown scene to a call, calling everyone who acts in it
+  const addScene = (index, sceneId) => {
+    const call = formData.calls[index];
+    const scene = data.scenes.find(s => String(s.id) === sceneId);
+    if (!scene) return;
+    const actorIds = getSceneActors(data, scene).map(actor => actor.id);
+    updateCall(index, {
+      scenes: [call.scenes, getSceneLabel(scene)].filter(Boolean).join(', '),
+      sceneIds: [...(call.sceneIds || []), scene.id],
+      castCrewIds: [...new Set([...call.castCrewIds, ...actorIds])]
     });
   };
 
-  const handleDelete = (id) => {
-    if (window.confirm('Delete this employee?')) {
-      setData({
-        ...data,
-        employees: data.employees.filter(emp => emp.id !== id)
-      });
-    }
+  const toggleCalled = (index, castCrewId) => {
+    const call = formData.calls[index];
+    updateCall(index, {
+      castCrewIds: call.castCrewIds.includes(castCrewId)
+        ? call.castCrewIds.filter(id => id !== castCrewId)
+        : [...call.castCrewIds, castCrewId]
+    });
+  };
+
+  const today = todayStamp();
+  const rehearsals = data.rehearsalSchedule
+    .filter(r => r.productionId === production.id)
+    .sort(compareRehearsals);
+  const upcoming = rehearsals.filter(r => r.date >= today);
+  const past = rehearsals.filter(r => r.date < today).reverse();
+
+  const renderRehearsal = (rehearsal) => {
+    const report = data.rehearsalReports.find(r => r.scheduleId === rehearsal.id);
+    const calledCount = new Set(rehearsal.calls.flatMap(call => call.castCrewIds)).size;
+    const warnings = [
+      ...getAvailabilityWarnings(data, rehearsal),
+      ...rehearsal.calls.flatMap(call => getCallWarnings(data, call))
+    ];
+    return (
+      <div key={rehearsal.id} id={recordElementId('rehearsalSchedule', rehearsal.id)} className="bg-slate-800/50 backdrop-blur p-4 rounded-xl border border-amber-900/20">
+        <div className="flex justify-between items-start">
+          <div>
+            <h3 className="text-lg font-semibold text-slate-100">
+              {formatDate(rehearsal.date)}
+              {rehearsal.type === 'Performance' && (
+                <span className="ml-2 text-xs px-2 py-1 rounded bg-green-900/50 text-green-300 align-middle">Performance</span>
+              )}
+            </h3>
+            <p className="text-slate-400 text-sm">
+              {rehearsal.startTime || 'Time TBC'}{rehearsal.endTime && ` – ${rehearsal.endTime}`}
+              {rehearsal.location && ` · ${rehearsal.location}`}
+            </p>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => handleEdit(rehearsal)}
+              className="text-amber-400 hover:text-amber-300"
+            >
+              <Edit2 size={16} />
+            </button>
+            <button
+              onClick={() => handleDelete(rehearsal.id)}
+              className="text-red-400 hover:text-red-300"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        </div>
+        {rehearsal.calls.length > 0 && (
+          <ul className="mt-2 text-sm text-slate-300 space-y-1">
+            {rehearsal.calls.map((call, index) => (
+              <li key={index}>
+                <span className="text-amber-300">{call.time || rehearsal.startTime || 'TBC'}</span> {call.scenes || 'Call'}
+                <span className="text-slate-500"> · {call.castCrewIds.length} called</span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {warnings.length > 0 && (
+          <p className="mt-2 text-sm text-red-300 flex items-center space-x-1" title={warnings.join('\n')}>
+            <AlertTriangle size={14} />
+            <span>{warnings.length} {warnings.length === 1 ? 'warning' : 'warnings'}</span>
+          </p>
+        )}
+        <div className="flex flex-wrap gap-2 mt-3">
+          <button
+            onClick={() => navigate('play', 'schedule', production.id, rehearsal.date)}
+            className="text-sm bg-slate-700 text-slate-300 px-3 py-1 rounded-lg hover:bg-slate-600 transition-all"
+          >
+            Call Sheet ({calledCount})
+          </button>
+          {report ? (
+            <span className="text-sm text-green-300 px-3 py-1">✓ Report written</span>
+          ) : (
+            <button
+              onClick={() => navigate('play', 'reports', 'schedule', rehearsal.id)}
+              className="text-sm bg-amber-600 text-slate-900 px-3 py-1 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+            >
+              Write Report
+            </button>
+          )}
+        </div>
+        <EditHistory record={rehearsal} />
+      </div>
+    );
   };
 
   return (
     <div className="space-y-6">
       <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-        <h2 className="text-xl font-semibold text-slate-200 mb-4">
-          {editingId ? 'Edit Employee' : 'Add New Employee'}
-        </h2>
+        <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-4">
+          <h2 className="text-xl font-semibold text-slate-200">{editingId ? 'Edit Scheduled Rehearsal' : 'Schedule a Rehearsal'}</h2>
+          <select
+            value={production.id}
+            onChange={(e) => {
+              resetForm();
+              navigate('play', 'schedule', e.target.value);
+            }}
+            className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+          >
+            {data.productions.map(p => (
+              <option key={p.id} value={p.id}>{p.title}</option>
+            ))}
+          </select>
+        </div>
         <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="grid md:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-slate-300 mb-2">Name *</label>
-              <input
-                type="text"
-                value={formData.name}
-                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                required
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
-            </div>
+          <div className="grid md:grid-cols-5 gap-4">
             <div>
-              <label className="block text-slate-300 mb-2">Position/Title</label>
-              <input
-                type="text"
-                value={formData.position}
-                onChange={(e) => setFormData({ ...formData, position: e.target.value })}
+              <label className="block text-slate-300 mb-2">Type</label>
+              <select
+                value={formData.type}
+                onChange={(e) => setFormData({ ...formData, type: e.target.value })}
                 className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
+              >
+                {SCHEDULE_TYPES.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
             </div>
             <div>
-              <label className="block text-slate-300 mb-2">Department</label>
+              <label className="block text-slate-300 mb-2">Date *</label>
               <input
-                type="text"
-                value={formData.department}
-                onChange={(e) => setFormData({ ...formData, department: e.target.value })}
+                type="date"
+                value={formData.date}
+                onChange={(e) => setFormData({ ...formData, date: e.target.value })}
+                required
                 className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
               />
             </div>
             <div>
-              <label className="block text-slate-300 mb-2">Email</label>
+              <label className="block text-slate-300 mb-2">Start Time</label>
               <input
-                type="email"
-                value={formData.email}
-                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                type="time"
+                value={formData.startTime}
+                onChange={(e) => setFormData({ ...formData, startTime: e.target.value })}
                 className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
               />
             </div>
             <div>
-              <label className="block text-slate-300 mb-2">Phone</label>
+              <label className="block text-slate-300 mb-2">End Time</label>
               <input
-                type="tel"
-                value={formData.phone}
-                onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+                type="time"
+                value={formData.endTime}
+                onChange={(e) => setFormData({ ...formData, endTime: e.target.value })}
                 className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
               />
             </div>
             <div>
-              <label className="block text-slate-300 mb-2">Start Date</label>
+              <label className="block text-slate-300 mb-2">Location</label>
               <input
-                type="date"
-                value={formData.startDate}
-                onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                type="text"
+                value={formData.location}
+                onChange={(e) => setFormData({ ...formData, location: e.target.value })}
+                placeholder={production.venue || ''}
                 className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
               />
             </div>
           </div>
+
+          <div className="space-y-3">
+            <label className="block text-slate-300">Scene Calls</label>
+            {formData.calls.map((call, index) => (
+              <div key={index} className="bg-slate-900/50 p-3 rounded-lg space-y-3">
+                <div className="flex gap-2">
+                  <input
+                    type="time"
+                    value={call.time}
+                    onChange={(e) => updateCall(index, { time: e.target.value })}
+                    className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                  />
+                  <input
+                    type="text"
+                    value={call.scenes}
+                    onChange={(e) => updateCall(index, { scenes: e.target.value })}
+                    placeholder="e.g., Act 1 Scene 3"
+                    className="flex-1 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setFormData({ ...formData, calls: formData.calls.filter((_, i) => i !== index) })}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    <X size={18} />
+                  </button>
+                </div>
+                {scenes.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => addScene(index, e.target.value)}
+                    className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 text-sm focus:border-amber-500 focus:outline-none"
+                  >
+                    <option value="">+ Add scene from breakdown</option>
+                    {scenes
+                      .filter(scene => !(call.sceneIds || []).includes(scene.id))
+                      .map(scene => (
+                        <option key={scene.id} value={scene.id}>{getSceneLabel(scene)}</option>
+                      ))}
+                  </select>
+                )}
+                {members.length === 0 ? (
+                  <p className="text-slate-500 text-sm">Add cast & crew to this production to call them</p>
+                ) : (
+                  <div className="flex flex-wrap gap-2">
+                    {members.map(member => {
+                      const conflicts = formData.date
+                        ? getMemberConflicts(member, formData.date, call.time || formData.startTime, formData.endTime)
+                        : [];
+                      return (
+                        <button
+                          key={member.id}
+                          type="button"
+                          onClick={() => toggleCalled(index, member.id)}
+                          title={conflicts.map(describeConflict).join('; ')}
+                          className={`text-xs px-2 py-1 rounded transition-colors ${
+                            call.castCrewIds.includes(member.id)
+                              ? 'bg-amber-600 text-slate-900 font-semibold'
+                              : 'bg-slate-800 text-slate-400 hover:text-slate-200'
+                          } ${conflicts.length > 0 ? 'ring-1 ring-red-500' : ''}`}
+                        >
+                          {member.name}{member.type === 'Crew' && ' (crew)'}{conflicts.length > 0 && ' ⚠'}
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+                {getCallWarnings(data, call).map(warning => (
+                  <p key={warning} className="text-xs text-red-300">⚠ {warning}</p>
+                ))}
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setFormData({ ...formData, calls: [...formData.calls, EMPTY_CALL] })}
+              className="flex items-center space-x-1 text-amber-300 hover:text-amber-200 text-sm"
+            >
+              <Plus size={16} />
+              <span>Add scene call</span>
+            </button>
+            {getAvailabilityWarnings(data, formData).map(warning => (
+              <p key={warning} className="text-sm text-red-300 flex items-center space-x-1">
+                <AlertTriangle size={14} />
+                <span>{warning}</span>
+              </p>
+            ))}
+          </div>
+
           <div>
             <label className="block text-slate-300 mb-2">Notes</label>
             <textarea
               value={formData.notes}
               onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
-              rows="3"
+              rows="2"
               className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
             />
           </div>
@@ -1178,23 +7502,12 @@ const EmployeeCatalogue = () => {
               type="submit"
               className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
             >
-              {editingId ? 'Update Employee' : 'Add Employee'}
+              {editingId ? 'Update Rehearsal' : 'Schedule Rehearsal'}
             </button>
             {editingId && (
               <button
                 type="button"
-                onClick={() => {
-                  setEditingId(null);
-                  setFormData({
-                    name: '',
-                    position: '',
-                    department: '',
-                    email: '',
-                    phone: '',
-                    startDate: '',
-                    notes: ''
-                  });
-                }}
+                onClick={resetForm}
                 className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
               >
                 Cancel
@@ -1204,1183 +7517,2105 @@ const EmployeeCatalogue = () => {
         </form>
       </div>
 
-      <div className="space-y-4">
-        {data.employees.length === 0 ? (
-          <p className="text-slate-400 text-center py-8">
-            No employees yet. Add your first one above!
-          </p>
+      <div>
+        <h2 className="text-xl font-semibold text-slate-200 mb-4">Upcoming</h2>
+        {upcoming.length === 0 ? (
+          <p className="text-slate-400 text-center py-8">No rehearsals scheduled</p>
         ) : (
-          data.employees.map(employee => (
-            <div key={employee.id} className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-              <div className="flex justify-between items-start mb-4">
-                <div>
-                  <h3 className="text-xl font-semibold text-slate-100">{employee.name}</h3>
-                  {employee.position && (
-                    <p className="text-amber-300">{employee.position}</p>
-                  )}
-                </div>
-                <div className="flex space-x-2">
-                  <button
-                    onClick={() => handleEdit(employee)}
-                    className="text-amber-400 hover:text-amber-300"
-                  >
-                    <Edit2 size={18} />
-                  </button>
-                  <button
-                    onClick={() => handleDelete(employee.id)}
-                    className="text-red-400 hover:text-red-300"
-                  >
-                    <Trash2 size={18} />
-                  </button>
-                </div>
-              </div>
-              <div className="grid md:grid-cols-2 gap-4 text-sm">
-                {employee.department && (
-                  <div>
-                    <span className="text-slate-400">Department:</span>
-                    <span className="text-slate-200 ml-2">{employee.department}</span>
-                  </div>
-                )}
-                {employee.email && (
-                  <div>
-                    <span className="text-slate-400">Email:</span>
-                    <span className="text-slate-200 ml-2">{employee.email}</span>
-                  </div>
-                )}
-                {employee.phone && (
-                  <div>
-                    <span className="text-slate-400">Phone:</span>
-                    <span className="text-slate-200 ml-2">{employee.phone}</span>
-                  </div>
-                )}
-                {employee.startDate && (
-                  <div>
-                    <span className="text-slate-400">Start Date:</span>
-                    <span className="text-slate-200 ml-2">{formatDate(employee.startDate)}</span>
-                  </div>
-                )}
-              </div>
-              {employee.notes && (
-                <div className="mt-4 pt-4 border-t border-slate-700">
-                  <p className="text-slate-300">{employee.notes}</p>
-                </div>
-              )}
-            </div>
-          ))
+          <div className="grid md:grid-cols-2 gap-4">{upcoming.map(renderRehearsal)}</div>
+        )}
+      </div>
+
+      {past.length > 0 && (
+        <div>
+          <h2 className="text-xl font-semibold text-slate-200 mb-4">Past</h2>
+          <div className="grid md:grid-cols-2 gap-4">{past.map(renderRehearsal)}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// ATTENDANCE ANALYTICS
+// ============================================================================
+
+const AttendanceAnalytics = () => {
+  const { data, setData, route, navigate } = useApp();
+  // The production is part of the route: #/play/attendance/<id>
+  const production = data.productions.find(p => String(p.id) === route[2])
+    || data.productions.find(p => data.rehearsalReports.some(r => r.productionId === p.id && (r.attendance || []).length > 0))
+    || data.productions[0];
+  const threshold = data.settings.attendanceAlertThreshold;
+
+  if (!production) {
+    return (
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <p className="text-slate-400 text-center py-8">
+          Create a production and record attendance in its rehearsal reports to see analytics here.
+        </p>
+      </div>
+    );
+  }
+
+  const summary = summariseAttendance(data, production.id);
+  const alerts = getAttendanceAlerts(summary, threshold);
+
+  const handleThresholdChange = (value) => {
+    setData({
+      ...data,
+      settings: { ...data.settings, attendanceAlertThreshold: value ? parseInt(value) : null }
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+          <select
+            value={production.id}
+            onChange={(e) => navigate('play', 'attendance', e.target.value)}
+            className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+          >
+            {data.productions.map(p => (
+              <option key={p.id} value={p.id}>{p.title}</option>
+            ))}
+          </select>
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="text-slate-300 text-sm">Flag performers at</label>
+            <select
+              value={threshold || ''}
+              onChange={(e) => handleThresholdChange(e.target.value)}
+              className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 text-sm focus:border-amber-500 focus:outline-none"
+            >
+              {[1, 2, 3, 4, 5].map(n => (
+                <option key={n} value={n}>{n} unexcused {n === 1 ? 'absence' : 'absences'}</option>
+              ))}
+              <option value="">Never</option>
+            </select>
+          </div>
+        </div>
+        <p className="text-slate-400 text-sm mt-3">
+          {summary.reports.length} {summary.reports.length === 1 ? 'rehearsal' : 'rehearsals'} with attendance recorded
+        </p>
+      </div>
+
+      {alerts.length > 0 && (
+        <div className="bg-red-900/20 p-6 rounded-xl border border-red-700/40">
+          <h2 className="text-xl font-semibold text-red-300 mb-3 flex items-center">
+            <AlertCircle className="mr-2" size={20} />
+            Attendance Alerts
+          </h2>
+          <ul className="space-y-1">
+            {alerts.map(alert => (
+              <li key={`${alert.member.id}-${alert.message}`} className="text-slate-200">
+                <PersonLink personId={alert.member.personId}>{alert.member.name}</PersonLink>
+                <span className="text-slate-400"> – {alert.message}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {summary.trend.length > 1 && (
+        <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+          <h2 className="text-2xl font-serif text-amber-300 mb-4">Absence Trend</h2>
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={summary.trend}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="date" stroke="#94a3b8" />
+              <YAxis allowDecimals={false} stroke="#94a3b8" />
+              <RechartsTooltip
+                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #d97706' }}
+              />
+              <Legend />
+              <Line type="monotone" dataKey="Absent" stroke="#ef4444" strokeWidth={2} />
+              <Line type="monotone" dataKey="Late" stroke="#eab308" strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <h2 className="text-2xl font-serif text-amber-300 mb-4">By Performer</h2>
+        {summary.members.length === 0 ? (
+          <p className="text-slate-400 text-center py-8">This production has no cast or crew yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-slate-400 text-left border-b border-slate-700">
+                  <th className="py-2 pr-4">Name</th>
+                  <th className="py-2 pr-4">Calls</th>
+                  {ATTENDANCE_STATUSES.map(status => (
+                    <th key={status.id} className="py-2 pr-4">{status.label}</th>
+                  ))}
+                  <th className="py-2 pr-4">Absence Rate</th>
+                  <th className="py-2">Recent</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.members.map(({ member, counts, calls, absenceRate, history }) => (
+                  <tr key={member.id} className="border-b border-slate-800 text-slate-200">
+                    <td className="py-2 pr-4">
+                      <PersonLink personId={member.personId}>{member.name}</PersonLink>
+                      {member.role && <span className="text-slate-500 ml-2">{member.role}</span>}
+                    </td>
+                    <td className="py-2 pr-4">{calls}</td>
+                    {ATTENDANCE_STATUSES.map(status => (
+                      <td key={status.id} className="py-2 pr-4">{counts[status.id]}</td>
+                    ))}
+                    <td className={`py-2 pr-4 ${absenceRate >= 0.2 ? 'text-red-300' : ''}`}>
+                      {calls ? `${Math.round(absenceRate * 100)}%` : '–'}
+                    </td>
+                    <td className="py-2">
+                      <div className="flex space-x-1">
+                        {history.slice(-8).map((h, index) => (
+                          <span
+                            key={index}
+                            title={`${formatDate(h.date)}: ${getAttendanceStatus(h.status).label}`}
+                            className="w-3 h-3 rounded-sm"
+                            style={{ backgroundColor: getAttendanceStatus(h.status).color }}
+                          />
+                        ))}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
         )}
       </div>
     </div>
   );
 };
 
+// ============================================================================
+// PRODUCTION MANAGEMENT
+// ============================================================================
+
+const EMPTY_PRODUCTION = {
+  title: '',
+  openingDate: '',
+  closingDate: '',
+  venue: ''
+};
+
+const EMPTY_CAST_CREW_MEMBER = {
+  name: '',
+  role: '',
+  type: 'Cast',
+  contact: '',
+  notes: '',
+  personId: null
+};
+
+const ProductionRehearsalHistory = ({ production }) => {
+  const { data, openRecord } = useApp();
+  const history = summariseRehearsals(data, production.id);
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+      <h2 className="text-2xl font-serif text-amber-300 mb-4">Rehearsal History: {production.title}</h2>
+      {history.reports.length === 0 ? (
+        <p className="text-slate-400 text-center py-4">No rehearsal reports for this production yet</p>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-3 gap-4 text-center">
+            <div className="bg-slate-900/50 p-4 rounded-lg">
+              <p className="text-3xl font-bold text-amber-300">{history.reports.length}</p>
+              <p className="text-slate-400 text-sm">Rehearsals</p>
+            </div>
+            <div className="bg-slate-900/50 p-4 rounded-lg">
+              <p className="text-3xl font-bold text-amber-300">{history.hours}</p>
+              <p className="text-slate-400 text-sm">Hours Rehearsed</p>
+            </div>
+            <div className="bg-slate-900/50 p-4 rounded-lg">
+              <p className="text-3xl font-bold text-amber-300">{history.averageMorale || '–'}</p>
+              <p className="text-slate-400 text-sm">Average Morale</p>
+            </div>
+          </div>
+
+          {history.moraleCurve.length > 1 && (
+            <ResponsiveContainer width="100%" height={200}>
+              <LineChart data={history.moraleCurve}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="date" stroke="#94a3b8" />
+                <YAxis domain={[1, 5]} stroke="#94a3b8" />
+                <RechartsTooltip
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #d97706' }}
+                />
+                <Line type="monotone" dataKey="Morale" stroke="#f59e0b" strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+
+          <div className="space-y-2">
+            {[...history.reports].reverse().map(report => (
+              <button
+                key={report.id}
+                onClick={() => openRecord('rehearsalReports', report)}
+                className="w-full flex justify-between items-center p-3 bg-slate-900/50 rounded-lg text-sm hover:bg-slate-900/70 transition-colors"
+              >
+                <span className="text-slate-200">
+                  {formatDate(report.date)}
+                  {report.startTime && report.endTime && (
+                    <span className="text-slate-500 ml-2">{report.startTime} – {report.endTime}</span>
+                  )}
+                </span>
+                <span className="text-slate-400">
+                  {rehearsalMinutes(report) > 0 && `${Math.round(rehearsalMinutes(report) / 6) / 10}h · `}
+                  Morale {report.morale}/5
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_CHARACTER = {
+  name: '',
+  castCrewId: null,
+  description: ''
+};
 
-// ============================================================================
-// TODO MANAGER
-// ============================================================================
+const EMPTY_SCENE = {
+  act: '',
+  number: '',
+  title: '',
+  description: ''
+};
 
-const TodoManager = () => {
+// Acts, scenes and characters for a production, with the scene-by-character
+// (French scene) matrix that rehearsal planning reads from
+const SceneBreakdown = ({ production }) => {
   const { data, setData } = useApp();
-  const [formData, setFormData] = useState({
-    text: '',
-    category: 'General',
-    priority: 'Medium',
-    dueDate: ''
-  });
+  const [characterForm, setCharacterForm] = useState(EMPTY_CHARACTER);
+  const [editingCharacterId, setEditingCharacterId] = useState(null);
+  const [sceneForm, setSceneForm] = useState(EMPTY_SCENE);
+  const [editingSceneId, setEditingSceneId] = useState(null);
+
+  const characters = data.characters.filter(c => c.productionId === production.id);
+  const scenes = getProductionScenes(data, production.id);
+  const cast = data.castCrew.filter(member => member.productionId === production.id);
+
+  const resetCharacterForm = () => {
+    setEditingCharacterId(null);
+    setCharacterForm(EMPTY_CHARACTER);
+  };
 
-  const handleSubmit = (e) => {
+  const resetSceneForm = () => {
+    setEditingSceneId(null);
+    setSceneForm(EMPTY_SCENE);
+  };
+
+  const handleSaveCharacter = (e) => {
     e.preventDefault();
-    if (!formData.text.trim()) return;
+    if (!characterForm.name.trim()) return;
 
-    const newTodo = {
-      id: Date.now(),
-      ...formData,
-      status: 'Not Started',
-      completed: false,
-      createdAt: new Date().toISOString()
-    };
+    if (editingCharacterId) {
+      setData(updateRecord(data, 'characters', editingCharacterId, characterForm));
+    } else {
+      const newCharacter = {
+        id: Date.now(),
+        productionId: production.id,
+        ...characterForm,
+        createdAt: new Date().toISOString()
+      };
+      setData({ ...data, characters: [...data.characters, newCharacter] });
+    }
 
-    setData({
-      ...data,
-      todos: [...data.todos, newTodo]
-    });
+    resetCharacterForm();
+  };
 
-    setFormData({
-      text: '',
-      category: 'General',
-      priority: 'Medium',
-      dueDate: ''
-    });
+  const handleSaveScene = (e) => {
+    e.preventDefault();
+    if (!sceneForm.title.trim()) return;
+
+    if (editingSceneId) {
+      setData(updateRecord(data, 'scenes', editingSceneId, sceneForm));
+    } else {
+      const newScene = {
+        id: Date.now(),
+        productionId: production.id,
+        ...sceneForm,
+        characterIds: [],
+        createdAt: new Date().toISOString()
+      };
+      setData({ ...data, scenes: [...data.scenes, newScene] });
+    }
+
+    resetSceneForm();
   };
 
-  const handleStatusChange = (id, status) => {
-    setData({
-      ...data,
-      todos: data.todos.map(todo =>
-        todo.id === id ? { ...todo, status, completed: status === 'Completed' } : todo
-      )
-    });
+  const handleDeleteCharacter = (id) => {
+    if (window.confirm('Move this character to the trash?')) {
+      setData(moveToTrash(data, 'characters', id), { toast: 'Character moved to trash' });
+    }
   };
 
-  const handleDelete = (id) => {
-    if (window.confirm('Delete this task?')) {
-      setData({
-        ...data,
-        todos: data.todos.filter(todo => todo.id !== id)
-      });
+  const handleDeleteScene = (id) => {
+    if (window.confirm('Move this scene to the trash?')) {
+      setData(moveToTrash(data, 'scenes', id), { toast: 'Scene moved to trash' });
     }
   };
 
-  const activeTodos = data.todos.filter(t => !t.completed);
-  const completedTodos = data.todos.filter(t => t.completed);
+  const toggleAppearance = (scene, characterId) => {
+    const characterIds = scene.characterIds.includes(characterId)
+      ? scene.characterIds.filter(id => id !== characterId)
+      : [...scene.characterIds, characterId];
+    setData(updateRecord(data, 'scenes', scene.id, { characterIds }));
+  };
 
   return (
-    <div className="space-y-6">
-      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-        <h2 className="text-xl font-semibold text-slate-200 mb-4">Add New Task</h2>
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block text-slate-300 mb-2">Task Description *</label>
-            <input
-              type="text"
-              value={formData.text}
-              onChange={(e) => setFormData({ ...formData, text: e.target.value })}
-              required
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              placeholder="What needs to be done?"
-            />
-          </div>
-          <div className="grid md:grid-cols-3 gap-4">
-            <div>
-              <label className="block text-slate-300 mb-2">Category</label>
+    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 space-y-6">
+      <h2 className="text-2xl font-serif text-amber-300">Scene Breakdown: {production.title}</h2>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-lg font-semibold text-slate-200 mb-3">Characters</h3>
+          <form onSubmit={handleSaveCharacter} className="space-y-2 mb-4">
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="text"
+                value={characterForm.name}
+                onChange={(e) => setCharacterForm({ ...characterForm, name: e.target.value })}
+                placeholder="Character name *"
+                required
+                className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
               <select
-                value={formData.category}
-                onChange={(e) => setFormData({ ...formData, category: e.target.value })}
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                value={characterForm.castCrewId || ''}
+                onChange={(e) => {
+                  const member = cast.find(m => String(m.id) === e.target.value);
+                  setCharacterForm({ ...characterForm, castCrewId: member ? member.id : null });
+                }}
+                className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
               >
-                <option>General</option>
-                <option>Strategic</option>
-                <option>Financial</option>
-                <option>HR</option>
-                <option>Fundraising</option>
-                <option>Marketing</option>
-                <option>Operations</option>
+                <option value="">Not cast yet</option>
+                {cast.map(member => (
+                  <option key={member.id} value={member.id}>{member.name}</option>
+                ))}
               </select>
             </div>
-            <div>
-              <label className="block text-slate-300 mb-2">Priority</label>
-              <select
-                value={formData.priority}
-                onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            <input
+              type="text"
+              value={characterForm.description}
+              onChange={(e) => setCharacterForm({ ...characterForm, description: e.target.value })}
+              placeholder="Description"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
               >
-                <option>Low</option>
-                <option>Medium</option>
-                <option>High</option>
-                <option>Urgent</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-slate-300 mb-2">Due Date</label>
-              <input
-                type="date"
-                value={formData.dueDate}
-                onChange={(e) => setFormData({ ...formData, dueDate: e.target.value })}
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
+                {editingCharacterId ? 'Update Character' : 'Add Character'}
+              </button>
+              {editingCharacterId && (
+                <button
+                  type="button"
+                  onClick={resetCharacterForm}
+                  className="bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
+                >
+                  Cancel
+                </button>
+              )}
             </div>
-          </div>
-          <button
-            type="submit"
-            className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
-          >
-            Add Task
-          </button>
-        </form>
-      </div>
-
-      <div>
-        <h2 className="text-xl font-semibold text-slate-200 mb-4">Active Tasks</h2>
-        {activeTodos.length === 0 ? (
-          <p className="text-slate-400 text-center py-8">
-            No active tasks. Add one above!
-          </p>
-        ) : (
-          <div className="space-y-3">
-            {activeTodos.map(todo => (
-              <div key={todo.id} className="bg-slate-800/50 backdrop-blur p-4 rounded-xl border border-amber-900/20">
-                <div className="flex items-start justify-between gap-4">
-                  <div className="flex-1">
-                    <div className="flex flex-wrap gap-2 mb-2">
-                      <span className={`text-xs px-2 py-1 rounded ${getPriorityColor(todo.priority)}`}>
-                        {todo.priority}
-                      </span>
-                      <span className="text-xs px-2 py-1 rounded bg-slate-700 text-slate-300">
-                        {todo.category}
-                      </span>
-                      {todo.dueDate && (
-                        <span className="text-xs px-2 py-1 rounded bg-blue-900/30 text-blue-300">
-                          Due: {formatDate(todo.dueDate)}
-                        </span>
-                      )}
-                    </div>
-                    <p className="text-slate-100 mb-2">{todo.text}</p>
-                    <select
-                      value={todo.status}
-                      onChange={(e) => handleStatusChange(todo.id, e.target.value)}
-                      className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 text-sm focus:border-amber-500 focus:outline-none"
+          </form>
+          <div className="space-y-2">
+            {characters.map(character => {
+              const actor = cast.find(m => m.id === character.castCrewId);
+              return (
+                <div key={character.id} id={recordElementId('characters', character.id)} className="bg-slate-900/50 p-3 rounded-lg flex justify-between items-start">
+                  <div>
+                    <p className="text-slate-100 font-semibold">{character.name}</p>
+                    <p className={`text-sm ${actor ? 'text-amber-300' : 'text-slate-500'}`}>
+                      {actor ? <PersonLink personId={actor.personId}>{actor.name}</PersonLink> : 'Not cast yet'}
+                    </p>
+                    {character.description && <p className="text-slate-400 text-sm">{character.description}</p>}
+                    <EditHistory record={character} />
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => {
+                        setEditingCharacterId(character.id);
+                        setCharacterForm(recordFormValues(character, EMPTY_CHARACTER));
+                      }}
+                      className="text-amber-400 hover:text-amber-300"
                     >
-                      <option>Not Started</option>
-                      <option>In Progress</option>
-                      <option>Completed</option>
-                      <option>On Hold</option>
-                    </select>
+                      <Edit2 size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteCharacter(character.id)}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      <Trash2 size={16} />
+                    </button>
                   </div>
-                  <button
-                    onClick={() => handleDelete(todo.id)}
-                    className="text-red-400 hover:text-red-300"
-                  >
-                    <Trash2 size={18} />
-                  </button>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
-        )}
-      </div>
+        </div>
 
-      {completedTodos.length > 0 && (
         <div>
-          <h2 className="text-xl font-semibold text-slate-200 mb-4">Completed Tasks</h2>
-          <div className="space-y-3">
-            {completedTodos.map(todo => (
-              <div key={todo.id} className="bg-slate-800/30 backdrop-blur p-4 rounded-xl border border-green-900/20 opacity-75">
-                <div className="flex items-start justify-between gap-4">
-                  <div className="flex-1">
-                    <div className="flex flex-wrap gap-2 mb-2">
-                      <span className="text-xs px-2 py-1 rounded bg-green-900/30 text-green-300">
-                        ✓ Completed
-                      </span>
-                      <span className="text-xs px-2 py-1 rounded bg-slate-700 text-slate-300">
-                        {todo.category}
-                      </span>
-                    </div>
-                    <p className="text-slate-300 line-through">{todo.text}</p>
-                  </div>
+          <h3 className="text-lg font-semibold text-slate-200 mb-3">Scenes</h3>
+          <form onSubmit={handleSaveScene} className="space-y-2 mb-4">
+            <div className="grid grid-cols-4 gap-2">
+              <input
+                type="text"
+                value={sceneForm.act}
+                onChange={(e) => setSceneForm({ ...sceneForm, act: e.target.value })}
+                placeholder="Act"
+                className="min-w-0 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+              <input
+                type="text"
+                value={sceneForm.number}
+                onChange={(e) => setSceneForm({ ...sceneForm, number: e.target.value })}
+                placeholder="Scene no."
+                className="min-w-0 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+              <input
+                type="text"
+                value={sceneForm.title}
+                onChange={(e) => setSceneForm({ ...sceneForm, title: e.target.value })}
+                placeholder="Scene title *"
+                required
+                className="col-span-2 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <input
+              type="text"
+              value={sceneForm.description}
+              onChange={(e) => setSceneForm({ ...sceneForm, description: e.target.value })}
+              placeholder="Description"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+              >
+                {editingSceneId ? 'Update Scene' : 'Add Scene'}
+              </button>
+              {editingSceneId && (
+                <button
+                  type="button"
+                  onClick={resetSceneForm}
+                  className="bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+          <div className="space-y-2">
+            {scenes.map(scene => (
+              <div key={scene.id} id={recordElementId('scenes', scene.id)} className="bg-slate-900/50 p-3 rounded-lg flex justify-between items-start">
+                <div>
+                  <p className="text-slate-100 font-semibold">{getSceneLabel(scene)}</p>
+                  {scene.description && <p className="text-slate-400 text-sm">{scene.description}</p>}
+                  <EditHistory record={scene} />
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => {
+                      setEditingSceneId(scene.id);
+                      setSceneForm(recordFormValues(scene, EMPTY_SCENE));
+                    }}
+                    className="text-amber-400 hover:text-amber-300"
+                  >
+                    <Edit2 size={16} />
+                  </button>
                   <button
-                    onClick={() => handleDelete(todo.id)}
+                    onClick={() => handleDeleteScene(scene.id)}
                     className="text-red-400 hover:text-red-300"
                   >
-                    <Trash2 size={18} />
+                    <Trash2 size={16} />
                   </button>
                 </div>
               </div>
             ))}
           </div>
         </div>
+      </div>
+
+      {scenes.length > 0 && characters.length > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold text-slate-200 mb-3">Scene-by-Character Matrix</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-slate-400 border-b border-slate-700">
+                  <th className="py-2 pr-4 text-left">Scene</th>
+                  {characters.map(character => {
+                    const actor = cast.find(m => m.id === character.castCrewId);
+                    return (
+                      <th key={character.id} className="py-2 px-2 text-center font-normal">
+                        <span className="block text-slate-200">{character.name}</span>
+                        <span className="block text-xs text-slate-500">{actor ? actor.name : 'uncast'}</span>
+                      </th>
+                    );
+                  })}
+                  <th className="py-2 pl-4 text-left">Actors Needed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {scenes.map(scene => {
+                  const conflicts = getSceneConflicts(data, scene);
+                  return (
+                    <tr key={scene.id} className="border-b border-slate-800">
+                      <td className="py-2 pr-4 text-slate-200 whitespace-nowrap">{getSceneLabel(scene)}</td>
+                      {characters.map(character => (
+                        <td key={character.id} className="py-2 px-2 text-center">
+                          <input
+                            type="checkbox"
+                            checked={scene.characterIds.includes(character.id)}
+                            onChange={() => toggleAppearance(scene, character.id)}
+                            className="rounded"
+                          />
+                        </td>
+                      ))}
+                      <td className="py-2 pl-4">
+                        <span className="text-slate-300">
+                          {getSceneActors(data, scene).map(actor => actor.name).join(', ') || '–'}
+                        </span>
+                        {conflicts.map(conflict => (
+                          <span key={conflict} className="block text-xs text-red-300">⚠ {conflict}</span>
+                        ))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
       )}
     </div>
   );
 };
 
-// ============================================================================
-// MEETING PLANNING
-// ============================================================================
-
-const MeetingPlanning = () => {
+// A cast/crew member's conflicts, listed and edited in place on their card
+const MemberAvailability = ({ member }) => {
   const { data, setData } = useApp();
-  const [formData, setFormData] = useState({
-    title: '',
-    date: '',
-    time: '',
-    attendees: '',
-    agenda: '',
-    preMeetingNotes: ''
-  });
-  const [expandedId, setExpandedId] = useState(null);
-  const [reflectionData, setReflectionData] = useState({});
-  const [actionItemsData, setActionItemsData] = useState({});
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_CONFLICT);
+  const conflicts = member.conflicts || [];
 
-  const handleSubmit = (e) => {
+  const saveConflicts = (next) => {
+    setData(updateRecord(data, 'castCrew', member.id, { conflicts: next }));
+  };
+
+  const handleAdd = (e) => {
     e.preventDefault();
-    if (!formData.title.trim() || !formData.date) return;
+    if (form.type === 'date' && !form.date) return;
+    saveConflicts([...conflicts, { id: Date.now(), ...form, weekday: Number(form.weekday) }]);
+    setForm({ ...EMPTY_CONFLICT, type: form.type });
+  };
 
-    const newMeeting = {
-      id: Date.now(),
-      ...formData,
-      postMeetingReflection: '',
-      actionItems: '',
-      notes: '',
-      createdAt: new Date().toISOString()
+  const handleRemove = (id) => {
+    saveConflicts(conflicts.filter(conflict => conflict.id !== id));
+  };
+
+  return (
+    <div className="mt-2">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center space-x-1 text-sm text-slate-400 hover:text-slate-200"
+      >
+        <Clock size={14} />
+        <span>
+          {conflicts.length === 0 ? 'No conflicts' : `${conflicts.length} ${conflicts.length === 1 ? 'conflict' : 'conflicts'}`}
+        </span>
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          {conflicts.map(conflict => (
+            <div key={conflict.id} className="flex justify-between items-center text-sm text-slate-300">
+              <span>{describeConflict(conflict)}</span>
+              <button
+                onClick={() => handleRemove(conflict.id)}
+                className="text-red-400 hover:text-red-300"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+          <form onSubmit={handleAdd} className="flex flex-wrap gap-2 text-sm">
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value })}
+              className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 focus:border-amber-500 focus:outline-none"
+            >
+              <option value="date">Date</option>
+              <option value="weekly">Weekly</option>
+            </select>
+            {form.type === 'weekly' ? (
+              <select
+                value={form.weekday}
+                onChange={(e) => setForm({ ...form, weekday: e.target.value })}
+                className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                {WEEKDAYS.map((day, index) => (
+                  <option key={day} value={index}>{day}</option>
+                ))}
+              </select>
+            ) : (
+              <>
+                <input
+                  type="date"
+                  value={form.date}
+                  onChange={(e) => setForm({ ...form, date: e.target.value })}
+                  required
+                  className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 focus:border-amber-500 focus:outline-none"
+                />
+                <input
+                  type="date"
+                  value={form.endDate}
+                  min={form.date}
+                  onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                  title="Last day, for a range"
+                  className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 focus:border-amber-500 focus:outline-none"
+                />
+              </>
+            )}
+            <input
+              type="time"
+              value={form.startTime}
+              onChange={(e) => setForm({ ...form, startTime: e.target.value })}
+              title="From (leave empty for all day)"
+              className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+            <input
+              type="time"
+              value={form.endTime}
+              onChange={(e) => setForm({ ...form, endTime: e.target.value })}
+              title="Until (leave empty for all day)"
+              className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+            <input
+              type="text"
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+              placeholder="Note"
+              className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+            <button
+              type="submit"
+              className="bg-amber-600 text-slate-900 px-3 py-1 rounded hover:bg-amber-500 font-semibold transition-all"
+            >
+              Add
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Everyone in a production against each day of the rehearsal period
+const AvailabilityGrid = ({ production }) => {
+  const { data } = useApp();
+  const members = data.castCrew.filter(member => member.productionId === production.id);
+  const period = getRehearsalPeriod(data, production);
+  const scheduled = data.rehearsalSchedule.filter(r => r.productionId === production.id);
+
+  if (members.length === 0) return null;
+
+  const cellFor = (member, date) => {
+    const conflicts = getMemberConflicts(member, date);
+    const clashes = scheduled
+      .filter(r => r.date === date)
+      .flatMap(r => r.calls
+        .filter(call => call.castCrewIds.includes(member.id))
+        .flatMap(call => getMemberConflicts(member, date, call.time || r.startTime, r.endTime)));
+    if (clashes.length > 0) {
+      return { className: 'bg-red-600 text-white', mark: '!', title: `Called but unavailable: ${clashes.map(describeConflict).join('; ')}` };
+    }
+    if (conflicts.length === 0) return { className: '', mark: '', title: '' };
+    const allDay = conflicts.some(conflict => !conflict.startTime && !conflict.endTime);
+    return {
+      className: allDay ? 'bg-red-900/60' : 'bg-amber-900/60',
+      mark: '',
+      title: conflicts.map(describeConflict).join('; ')
     };
+  };
 
-    setData({
-      ...data,
-      meetings: [...data.meetings, newMeeting]
-    });
+  return (
+    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+      <h2 className="text-2xl font-serif text-amber-300 mb-2">Availability: {production.title}</h2>
+      <p className="text-slate-400 text-sm mb-4">
+        <span className="inline-block w-3 h-3 bg-red-900/60 mr-1 align-middle" />All day
+        <span className="inline-block w-3 h-3 bg-amber-900/60 ml-4 mr-1 align-middle" />Part of the day
+        <span className="inline-block w-3 h-3 bg-red-600 ml-4 mr-1 align-middle" />Called but unavailable
+      </p>
+      <div className="overflow-x-auto">
+        <table className="text-xs">
+          <thead>
+            <tr className="text-slate-400">
+              <th className="py-1 pr-3 text-left font-normal">Name</th>
+              {period.map(date => {
+                const rehearsing = scheduled.some(r => r.date === date);
+                return (
+                  <th
+                    key={date}
+                    title={formatDate(`${date}T00:00`)}
+                    className={`px-0.5 py-1 font-normal text-center ${
+                      date === production.openingDate ? 'text-green-300 font-semibold' : rehearsing ? 'text-amber-300 font-semibold' : ''
+                    }`}
+                  >
+                    <span className="block">{WEEKDAYS[weekdayOf(date)][0]}</span>
+                    <span className="block">{Number(date.slice(8))}</span>
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {members.map(member => (
+              <tr key={member.id} className="border-t border-slate-800">
+                <td className="py-1 pr-3 text-slate-200 whitespace-nowrap">{member.name}</td>
+                {period.map(date => {
+                  const cell = cellFor(member, date);
+                  return (
+                    <td key={date} title={cell.title} className={`w-6 h-6 text-center border border-slate-800 ${cell.className}`}>
+                      {cell.mark}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
 
-    setFormData({
-      title: '',
-      date: '',
-      time: '',
-      attendees: '',
-      agenda: '',
-      preMeetingNotes: ''
-    });
+const ProductionManagement = () => {
+  const { data, setData, route, navigate } = useApp();
+  const [productionForm, setProductionForm] = useState(EMPTY_PRODUCTION);
+  const [editingProductionId, setEditingProductionId] = useState(null);
+  // The selected production is part of the route: #/play/productions/<id>
+  const selectedProduction = data.productions.find(p => String(p.id) === route[2]) || null;
+  const setSelectedProduction = (production) => navigate('play', 'productions', production && production.id);
+  const [castCrewForm, setCastCrewForm] = useState(EMPTY_CAST_CREW_MEMBER);
+  const [editingMemberId, setEditingMemberId] = useState(null);
+
+  const resetProductionForm = () => {
+    setEditingProductionId(null);
+    setProductionForm(EMPTY_PRODUCTION);
   };
 
-  const handleUpdateReflection = (id) => {
-    setData({
-      ...data,
-      meetings: data.meetings.map(meeting =>
-        meeting.id === id
-          ? {
-              ...meeting,
-              postMeetingReflection: reflectionData[id] || '',
-              actionItems: actionItemsData[id] || ''
-            }
-          : meeting
-      )
-    });
+  const resetCastCrewForm = () => {
+    setEditingMemberId(null);
+    setCastCrewForm(EMPTY_CAST_CREW_MEMBER);
   };
 
-  const handleDelete = (id) => {
-    if (window.confirm('Delete this meeting?')) {
+  const handleCreateProduction = (e) => {
+    e.preventDefault();
+    if (!productionForm.title.trim()) return;
+
+    if (editingProductionId) {
+      setData(updateRecord(data, 'productions', editingProductionId, productionForm));
+    } else {
+      const newProduction = {
+        id: Date.now(),
+        ...productionForm,
+        createdAt: new Date().toISOString()
+      };
+
       setData({
         ...data,
-        meetings: data.meetings.filter(meeting => meeting.id !== id)
+        productions: [...data.productions, newProduction]
       });
     }
+
+    resetProductionForm();
   };
 
-  const sortedMeetings = [...data.meetings].sort((a, b) =>
-    new Date(b.date) - new Date(a.date)
-  );
+  const handleEditProduction = (production) => {
+    setEditingProductionId(production.id);
+    setProductionForm(recordFormValues(production, EMPTY_PRODUCTION));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleDeleteProduction = (id) => {
+    if (window.confirm('Move this production to the trash, with its cast/crew, schedule, scene breakdown, budget, rehearsal reports and safety incidents?')) {
+      setData(moveToTrash(data, 'productions', id), { toast: 'Production and everything filed under it moved to trash' });
+      if (selectedProduction?.id === id) {
+        setSelectedProduction(null);
+      }
+    }
+  };
+
+  const handleAddCastCrew = (e) => {
+    e.preventDefault();
+    if (!castCrewForm.name.trim() || !selectedProduction) return;
+
+    const { people, personId } = castCrewForm.personId
+      ? { people: data.people, personId: castCrewForm.personId }
+      : linkPerson(data.people, { name: castCrewForm.name, ...parseContactDetails(castCrewForm.contact) });
+
+    if (editingMemberId) {
+      const previous = data.castCrew.find(m => m.id === editingMemberId);
+      const updated = updateRecord({ ...data, people }, 'castCrew', editingMemberId, { ...castCrewForm, personId });
+      setData(shareRecordPerson(updated, 'castCrew', editingMemberId, previous));
+    } else {
+      const newMember = {
+        id: Date.now(),
+        productionId: selectedProduction.id,
+        ...castCrewForm,
+        personId,
+        conflicts: [],
+        createdAt: new Date().toISOString()
+      };
+
+      setData(shareRecordPerson({
+        ...data,
+        people,
+        castCrew: [...data.castCrew, newMember]
+      }, 'castCrew', newMember.id, null));
+    }
+
+    resetCastCrewForm();
+  };
+
+  const handleEditCastCrew = (member) => {
+    setEditingMemberId(member.id);
+    setCastCrewForm(recordFormValues(member, EMPTY_CAST_CREW_MEMBER));
+  };
+
+  // Casting a team member links the cast/crew entry to the same person
+  const handleAssignEmployee = (employeeId) => {
+    const employee = data.employees.find(e => String(e.id) === employeeId);
+    if (!employee) {
+      setCastCrewForm({ ...castCrewForm, personId: null });
+      return;
+    }
+    setCastCrewForm({
+      ...castCrewForm,
+      name: employee.name,
+      contact: employee.email || employee.phone || castCrewForm.contact,
+      personId: employee.personId || null
+    });
+  };
+
+  const handleDeleteCastCrew = (id) => {
+    if (window.confirm('Move this person to the trash?')) {
+      setData(moveToTrash(data, 'castCrew', id), { toast: 'Cast/crew member moved to trash' });
+    }
+  };
+
+  const productionCastCrew = selectedProduction
+    ? data.castCrew.filter(cc => cc.productionId === selectedProduction.id)
+    : [];
+  const cast = productionCastCrew.filter(cc => cc.type === 'Cast');
+  const crew = productionCastCrew.filter(cc => cc.type === 'Crew');
 
   return (
     <div className="space-y-6">
       <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-        <h2 className="text-xl font-semibold text-slate-200 mb-4">Schedule New Meeting</h2>
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="grid md:grid-cols-3 gap-4">
-            <div className="md:col-span-3">
-              <label className="block text-slate-300 mb-2">Meeting Title *</label>
+        <h2 className="text-xl font-semibold text-slate-200 mb-4">{editingProductionId ? 'Edit Production' : 'Create Production'}</h2>
+        <form onSubmit={handleCreateProduction} className="space-y-4">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div className="md:col-span-2">
+              <label className="block text-slate-300 mb-2">Production Title *</label>
               <input
                 type="text"
-                value={formData.title}
-                onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                value={productionForm.title}
+                onChange={(e) => setProductionForm({ ...productionForm, title: e.target.value })}
                 required
                 className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                placeholder="e.g., Board Meeting, Staff Check-in"
               />
             </div>
             <div>
-              <label className="block text-slate-300 mb-2">Date *</label>
+              <label className="block text-slate-300 mb-2">Opening Date</label>
               <input
                 type="date"
-                value={formData.date}
-                onChange={(e) => setFormData({ ...formData, date: e.target.value })}
-                required
+                value={productionForm.openingDate}
+                onChange={(e) => setProductionForm({ ...productionForm, openingDate: e.target.value })}
                 className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
               />
             </div>
             <div>
-              <label className="block text-slate-300 mb-2">Time</label>
+              <label className="block text-slate-300 mb-2">Closing Date</label>
               <input
-                type="time"
-                value={formData.time}
-                onChange={(e) => setFormData({ ...formData, time: e.target.value })}
+                type="date"
+                value={productionForm.closingDate}
+                onChange={(e) => setProductionForm({ ...productionForm, closingDate: e.target.value })}
                 className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
               />
             </div>
-            <div className="md:col-span-1">
-              <label className="block text-slate-300 mb-2">Attendees</label>
+            <div className="md:col-span-2">
+              <label className="block text-slate-300 mb-2">Venue</label>
               <input
                 type="text"
-                value={formData.attendees}
-                onChange={(e) => setFormData({ ...formData, attendees: e.target.value })}
+                value={productionForm.venue}
+                onChange={(e) => setProductionForm({ ...productionForm, venue: e.target.value })}
                 className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                placeholder="Comma-separated"
               />
             </div>
           </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Agenda</label>
-            <textarea
-              value={formData.agenda}
-              onChange={(e) => setFormData({ ...formData, agenda: e.target.value })}
-              rows="3"
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              placeholder="What will be discussed?"
-            />
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Pre-Meeting Preparation Notes</label>
-            <textarea
-              value={formData.preMeetingNotes}
-              onChange={(e) => setFormData({ ...formData, preMeetingNotes: e.target.value })}
-              rows="3"
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              placeholder="What do you need to prepare?"
-            />
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+            >
+              {editingProductionId ? 'Update Production' : 'Create Production'}
+            </button>
+            {editingProductionId && (
+              <button
+                type="button"
+                onClick={resetProductionForm}
+                className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                Cancel
+              </button>
+            )}
           </div>
-          <button
-            type="submit"
-            className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
-          >
-            Schedule Meeting
-          </button>
         </form>
       </div>
 
-      <div className="space-y-4">
-        {sortedMeetings.length === 0 ? (
-          <p className="text-slate-400 text-center py-8">
-            No meetings scheduled yet. Add one above!
-          </p>
-        ) : (
-          sortedMeetings.map(meeting => {
-            const isPast = isPastMeeting(meeting);
-            const isExpanded = expandedId === meeting.id;
+      {data.productions.length > 0 && (
+        <div>
+          <h2 className="text-xl font-semibold text-slate-200 mb-4">Productions</h2>
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {data.productions.map(production => {
+              const history = summariseRehearsals(data, production.id);
+              return (
+                <button
+                  key={production.id}
+                  id={recordElementId('productions', production.id)}
+                  onClick={() => setSelectedProduction(production)}
+                  className={`text-left p-4 rounded-xl border transition-all ${
+                    selectedProduction?.id === production.id
+                      ? 'bg-amber-900/20 border-amber-600'
+                      : 'bg-slate-800/50 border-amber-900/20 hover:border-amber-600/50'
+                  }`}
+                >
+                  <div className="flex justify-between items-start mb-2">
+                    <h3 className="text-lg font-semibold text-slate-100">{production.title}</h3>
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleEditProduction(production);
+                        }}
+                        className="text-amber-400 hover:text-amber-300"
+                      >
+                        <Edit2 size={16} />
+                      </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleDeleteProduction(production.id);
+                        }}
+                        className="text-red-400 hover:text-red-300"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </div>
+                  {production.openingDate && (
+                    <p className="text-slate-400 text-sm">
+                      Opens: {formatDate(production.openingDate)}
+                    </p>
+                  )}
+                  {production.venue && (
+                    <p className="text-slate-400 text-sm">{production.venue}</p>
+                  )}
+                  <BudgetSummaryLine field="productionId" ownerId={production.id} />
+                  {history.reports.length > 0 && (
+                    <p className="text-slate-500 text-xs mt-2">
+                      {history.reports.length} {history.reports.length === 1 ? 'rehearsal' : 'rehearsals'} · {history.hours}h
+                      {history.averageMorale && ` · morale ${history.averageMorale}/5`}
+                    </p>
+                  )}
+                  {history.moraleCurve.length > 1 && (
+                    <div className="h-12 mt-2">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={history.moraleCurve}>
+                          <YAxis domain={[1, 5]} hide />
+                          <Line type="monotone" dataKey="Morale" stroke="#f59e0b" strokeWidth={2} dot={false} isAnimationActive={false} />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  )}
+                  <EditHistory record={production} />
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {selectedProduction && <ProductionRehearsalHistory production={selectedProduction} />}
 
-            return (
-              <div key={meeting.id} className="bg-slate-800/50 backdrop-blur rounded-xl border border-amber-900/20 overflow-hidden">
+      {selectedProduction && (
+        <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+          <h2 className="text-2xl font-serif text-amber-300 mb-6">
+            Cast & Crew: {selectedProduction.title}
+          </h2>
+
+          <form onSubmit={handleAddCastCrew} className="mb-6 space-y-4">
+            <div className="grid md:grid-cols-2 gap-4">
+              {data.employees.length > 0 && (
+                <div className="md:col-span-2">
+                  <label className="block text-slate-300 mb-2">From the team</label>
+                  <select
+                    value={(data.employees.find(e => e.personId && e.personId === castCrewForm.personId) || {}).id || ''}
+                    onChange={(e) => handleAssignEmployee(e.target.value)}
+                    className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                  >
+                    <option value="">Not a team member</option>
+                    {data.employees.map(employee => (
+                      <option key={employee.id} value={employee.id}>
+                        {employee.name}{employee.position ? ` – ${employee.position}` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="block text-slate-300 mb-2">Name *</label>
+                <input
+                  type="text"
+                  value={castCrewForm.name}
+                  onChange={(e) => setCastCrewForm({ ...castCrewForm, name: e.target.value })}
+                  required
+                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-slate-300 mb-2">Role/Position</label>
+                <input
+                  type="text"
+                  value={castCrewForm.role}
+                  onChange={(e) => setCastCrewForm({ ...castCrewForm, role: e.target.value })}
+                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-slate-300 mb-2">Type</label>
+                <select
+                  value={castCrewForm.type}
+                  onChange={(e) => setCastCrewForm({ ...castCrewForm, type: e.target.value })}
+                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                >
+                  <option>Cast</option>
+                  <option>Crew</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-slate-300 mb-2">Contact Info</label>
+                <input
+                  type="text"
+                  value={castCrewForm.contact}
+                  onChange={(e) => setCastCrewForm({ ...castCrewForm, contact: e.target.value })}
+                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                />
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-slate-300 mb-2">Notes (conflicts, special requirements, etc.)</label>
+                <textarea
+                  value={castCrewForm.notes}
+                  onChange={(e) => setCastCrewForm({ ...castCrewForm, notes: e.target.value })}
+                  rows="2"
+                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+                />
+              </div>
+            </div>
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+              >
+                {editingMemberId ? 'Update Member' : 'Add Member'}
+              </button>
+              {editingMemberId && (
                 <button
-                  onClick={() => setExpandedId(isExpanded ? null : meeting.id)}
-                  className="w-full p-6 text-left hover:bg-slate-800/70 transition-colors"
+                  type="button"
+                  onClick={resetCastCrewForm}
+                  className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
                 >
-                  <div className="flex justify-between items-start">
-                    <div className="flex-1">
-                      <h3 className="text-xl font-semibold text-slate-100 mb-1">{meeting.title}</h3>
-                      <div className="flex items-center space-x-4 text-slate-400">
-                        <span>{formatDate(meeting.date)}</span>
-                        {meeting.time && <span>{meeting.time}</span>}
-                        <span className={`text-xs px-2 py-1 rounded ${
-                          isPast ? 'bg-slate-700 text-slate-300' : 'bg-blue-900/30 text-blue-300'
-                        }`}>
-                          {isPast ? 'Past' : 'Upcoming'}
-                        </span>
-                      </div>
-                    </div>
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleDelete(meeting.id);
-                      }}
-                      className="text-red-400 hover:text-red-300 ml-4"
-                    >
-                      <Trash2 size={18} />
-                    </button>
-                  </div>
+                  Cancel
                 </button>
+              )}
+            </div>
+          </form>
 
-                {isExpanded && (
-                  <div className="px-6 pb-6 space-y-4 border-t border-slate-700">
-                    {meeting.agenda && (
-                      <div>
-                        <h4 className="text-slate-300 font-semibold mb-2 mt-4">Agenda</h4>
-                        <p className="text-slate-400 whitespace-pre-wrap">{meeting.agenda}</p>
-                      </div>
-                    )}
-                    {meeting.preMeetingNotes && (
-                      <div>
-                        <h4 className="text-slate-300 font-semibold mb-2">Pre-Meeting Notes</h4>
-                        <p className="text-slate-400 whitespace-pre-wrap">{meeting.preMeetingNotes}</p>
+          <div className="grid md:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-lg font-semibold text-slate-200 mb-3">Cast</h3>
+              {cast.length === 0 ? (
+                <p className="text-slate-400 text-sm">No cast members yet</p>
+              ) : (
+                <div className="space-y-3">
+                  {cast.map(member => (
+                    <div key={member.id} id={recordElementId('castCrew', member.id)} className="bg-slate-900/50 p-4 rounded-lg">
+                      <div className="flex justify-between items-start mb-2">
+                        <div>
+                          <h4 className="text-slate-100 font-semibold">
+                            <PersonLink personId={member.personId}>{member.name}</PersonLink>
+                          </h4>
+                          {member.role && (
+                            <p className="text-amber-300 text-sm">{member.role}</p>
+                          )}
+                        </div>
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => handleEditCastCrew(member)}
+                            className="text-amber-400 hover:text-amber-300"
+                          >
+                            <Edit2 size={16} />
+                          </button>
+                          <button
+                            onClick={() => handleDeleteCastCrew(member.id)}
+                            className="text-red-400 hover:text-red-300"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </div>
                       </div>
-                    )}
-                    <div>
-                      <h4 className="text-slate-300 font-semibold mb-2">Post-Meeting Reflection</h4>
-                      <textarea
-                        value={reflectionData[meeting.id] !== undefined ? reflectionData[meeting.id] : meeting.postMeetingReflection}
-                        onChange={(e) => setReflectionData({ ...reflectionData, [meeting.id]: e.target.value })}
-                        rows="4"
-                        className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                        placeholder="How did the meeting go? What insights did you gain?"
-                      />
+                      {member.contact && (
+                        <p className="text-slate-400 text-sm">{member.contact}</p>
+                      )}
+                      {member.notes && (
+                        <p className="text-slate-400 text-sm mt-2">{member.notes}</p>
+                      )}
+                      <MemberAvailability member={member} />
+                      <EditHistory record={member} />
                     </div>
-                    <div>
-                      <h4 className="text-slate-300 font-semibold mb-2">Action Items</h4>
-                      <textarea
-                        value={actionItemsData[meeting.id] !== undefined ? actionItemsData[meeting.id] : meeting.actionItems}
-                        onChange={(e) => setActionItemsData({ ...actionItemsData, [meeting.id]: e.target.value })}
-                        rows="4"
-                        className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                        placeholder="What needs to be done? Who is responsible?"
-                      />
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div>
+              <h3 className="text-lg font-semibold text-slate-200 mb-3">Crew</h3>
+              {crew.length === 0 ? (
+                <p className="text-slate-400 text-sm">No crew members yet</p>
+              ) : (
+                <div className="space-y-3">
+                  {crew.map(member => (
+                    <div key={member.id} id={recordElementId('castCrew', member.id)} className="bg-slate-900/50 p-4 rounded-lg">
+                      <div className="flex justify-between items-start mb-2">
+                        <div>
+                          <h4 className="text-slate-100 font-semibold">
+                            <PersonLink personId={member.personId}>{member.name}</PersonLink>
+                          </h4>
+                          {member.role && (
+                            <p className="text-amber-300 text-sm">{member.role}</p>
+                          )}
+                        </div>
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => handleEditCastCrew(member)}
+                            className="text-amber-400 hover:text-amber-300"
+                          >
+                            <Edit2 size={16} />
+                          </button>
+                          <button
+                            onClick={() => handleDeleteCastCrew(member.id)}
+                            className="text-red-400 hover:text-red-300"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </div>
+                      </div>
+                      {member.contact && (
+                        <p className="text-slate-400 text-sm">{member.contact}</p>
+                      )}
+                      {member.notes && (
+                        <p className="text-slate-400 text-sm mt-2">{member.notes}</p>
+                      )}
+                      <MemberAvailability member={member} />
+                      <EditHistory record={member} />
                     </div>
-                    <button
-                      onClick={() => handleUpdateReflection(meeting.id)}
-                      className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
-                    >
-                      <Save size={18} className="inline mr-2" />
-                      Save Updates
-                    </button>
-                  </div>
-                )}
-              </div>
-            );
-          })
-        )}
-      </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {selectedProduction && <AvailabilityGrid production={selectedProduction} />}
+
+      {selectedProduction && (
+        <BudgetTracker field="productionId" owner={selectedProduction} suggestions={PRODUCTION_BUDGET_CATEGORIES} />
+      )}
+
+      {selectedProduction && <SceneBreakdown production={selectedProduction} />}
     </div>
   );
 };
 
 // ============================================================================
-// Continue with Play Director, Project Lead, and other modules...
+// BUDGET TRACKER
 // ============================================================================
 
-// ============================================================================
-// PLAY DIRECTOR MODULE
-// ============================================================================
+// Reads an amount out of free text such as "$5,000" or "12.5k". An amount
+// next to a currency symbol wins over bare numbers ("FY2024: $8,000"); when
+// the text holds no amount, or several equally likely ones, this returns null.
+const parseMoney = (text) => {
+  const amounts = [...String(text).replace(/(\d),(?=\d{3}\b)/g, '$1').matchAll(/([$£€])?\s*(\d+(?:\.\d+)?)\s*([km])?\b/gi)]
+    .map(match => ({
+      currency: Boolean(match[1]),
+      value: parseFloat(match[2]) * ({ k: 1000, m: 1000000 }[(match[3] || '').toLowerCase()] || 1)
+    }));
+  const withCurrency = amounts.filter(amount => amount.currency);
+  const candidates = withCurrency.length > 0 ? withCurrency : amounts;
+  return candidates.length === 1 ? candidates[0].value : null;
+};
 
-const PlayDirectorModule = () => {
-  const [activeTab, setActiveTab] = useState('reports');
+const formatMoney = (amount) =>
+  (Number(amount) || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
 
-  return (
-    <div className="space-y-6">
-      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-        <div className="flex items-center space-x-3 mb-2">
-          <Theater className="text-amber-400" size={32} />
-          <h1 className="text-3xl font-serif text-amber-300">Play Director</h1>
-        </div>
-        <p className="text-slate-400">
-          Manage rehearsals, track progress, and organize your production team.
-        </p>
-      </div>
+const PRODUCTION_BUDGET_CATEGORIES = ['Scenic', 'Costumes', 'Lighting', 'Sound', 'Props', 'Rights & Royalties', 'Venue', 'Marketing', 'Personnel'];
+const PROJECT_BUDGET_CATEGORIES = ['Venue', 'Marketing', 'Catering', 'Personnel', 'Supplies', 'Equipment'];
 
-      <div className="flex space-x-2 overflow-x-auto pb-2">
-        <button
-          onClick={() => setActiveTab('reports')}
-          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
-            activeTab === 'reports' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
-          }`}
-        >
-          Rehearsal Reports
-        </button>
-        <button
-          onClick={() => setActiveTab('productions')}
-          className={`px-6 py-3 rounded-lg font-semibold transition-all whitespace-nowrap ${
-            activeTab === 'productions' ? 'bg-amber-600 text-slate-900 shadow-lg' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
-          }`}
-        >
-          Production Management
-        </button>
-      </div>
+const EMPTY_BUDGET_CATEGORY = {
+  name: '',
+  budgeted: '',
+  notes: ''
+};
 
-      {activeTab === 'reports' && <RehearsalReports />}
-      {activeTab === 'productions' && <ProductionManagement />}
-    </div>
+const EMPTY_EXPENSE = {
+  categoryId: null,
+  date: '',
+  vendor: '',
+  amount: '',
+  description: '',
+  receipt: ''
+};
+
+// Budgeted against spent per category for a production (`productionId`) or
+// project (`projectId`), with totals
+const summariseBudget = (data, field, ownerId) => {
+  const expenses = data.expenses.filter(expense => expense[field] === ownerId);
+  const rows = data.budgetCategories
+    .filter(category => category[field] === ownerId)
+    .map(category => {
+      const budgeted = Number(category.budgeted) || 0;
+      const actual = expenses
+        .filter(expense => expense.categoryId === category.id)
+        .reduce((sum, expense) => sum + (Number(expense.amount) || 0), 0);
+      return { category, budgeted, actual, remaining: budgeted - actual, over: actual > budgeted };
+    });
+  const totalBudgeted = rows.reduce((sum, row) => sum + row.budgeted, 0);
+  const totalActual = rows.reduce((sum, row) => sum + row.actual, 0);
+  return {
+    rows,
+    expenses,
+    totalBudgeted,
+    totalActual,
+    overBudget: totalActual > totalBudgeted,
+    overCategories: rows.filter(row => row.over)
+  };
+};
+
+// Cumulative spend after each day with expenses, for the running-actuals chart
+const runningActuals = (expenses, totalBudgeted) => {
+  let spent = 0;
+  const byDate = {};
+  [...expenses].sort((a, b) => a.date.localeCompare(b.date)).forEach(expense => {
+    spent += Number(expense.amount) || 0;
+    byDate[expense.date] = spent;
+  });
+  return Object.entries(byDate).map(([date, total]) => ({
+    date: new Date(`${date}T00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+    Spent: Math.round(total * 100) / 100,
+    Budget: totalBudgeted
+  }));
+};
+
+// One-line budget status for production and project cards
+const BudgetSummaryLine = ({ field, ownerId }) => {
+  const { data } = useApp();
+  const summary = summariseBudget(data, field, ownerId);
+  if (summary.rows.length === 0) return null;
+
+  const overspent = summary.overBudget || summary.overCategories.length > 0;
+  return (
+    <p className={`text-sm flex items-center space-x-1 ${overspent ? 'text-red-300' : 'text-slate-400'}`}>
+      {overspent && <AlertTriangle size={14} />}
+      <span>
+        Budget {formatMoney(summary.totalBudgeted)} · Spent {formatMoney(summary.totalActual)}
+        {summary.overBudget
+          ? ' · over budget'
+          : summary.overCategories.length > 0 && ` · ${summary.overCategories.length} over`}
+      </span>
+    </p>
   );
 };
 
-// ============================================================================
-// REHEARSAL REPORTS
-// ============================================================================
-
-const RehearsalReports = () => {
+const BudgetTracker = ({ field, owner, suggestions }) => {
   const { data, setData } = useApp();
-  const [formData, setFormData] = useState({
-    production: '',
-    date: '',
-    startTime: '',
-    endTime: '',
-    scenesWorked: '',
-    attendees: '',
-    absentees: '',
-    accomplishments: '',
-    challenges: '',
-    notesForNextTime: '',
-    safetyIncidents: '',
-    morale: 3
-  });
+  const [categoryForm, setCategoryForm] = useState(EMPTY_BUDGET_CATEGORY);
+  const [editingCategoryId, setEditingCategoryId] = useState(null);
+  const [expenseForm, setExpenseForm] = useState(EMPTY_EXPENSE);
+  const [editingExpenseId, setEditingExpenseId] = useState(null);
+
+  const summary = summariseBudget(data, field, owner.id);
+  const ownerFields = {
+    productionId: field === 'productionId' ? owner.id : null,
+    projectId: field === 'projectId' ? owner.id : null
+  };
+  const categoryName = (id) => (summary.rows.find(row => row.category.id === id) || { category: {} }).category.name;
 
-  const handleSubmit = (e) => {
+  const resetCategoryForm = () => {
+    setEditingCategoryId(null);
+    setCategoryForm(EMPTY_BUDGET_CATEGORY);
+  };
+
+  const resetExpenseForm = () => {
+    setEditingExpenseId(null);
+    setExpenseForm({ ...EMPTY_EXPENSE, categoryId: expenseForm.categoryId });
+  };
+
+  const handleSaveCategory = (e) => {
     e.preventDefault();
-    if (!formData.production.trim() || !formData.date) return;
+    if (!categoryForm.name.trim()) return;
+    const values = { ...categoryForm, name: categoryForm.name.trim(), budgeted: Number(categoryForm.budgeted) || 0 };
 
-    const newReport = {
-      id: Date.now(),
-      ...formData,
-      createdAt: new Date().toISOString()
-    };
+    if (editingCategoryId) {
+      setData(updateRecord(data, 'budgetCategories', editingCategoryId, values));
+    } else {
+      const newCategory = {
+        id: Date.now(),
+        ...ownerFields,
+        ...values,
+        createdAt: new Date().toISOString()
+      };
+      setData({ ...data, budgetCategories: [...data.budgetCategories, newCategory] });
+    }
 
-    setData({
-      ...data,
-      rehearsalReports: [...data.rehearsalReports, newReport]
-    });
+    resetCategoryForm();
+  };
 
-    setFormData({
-      production: '',
-      date: '',
-      startTime: '',
-      endTime: '',
-      scenesWorked: '',
-      attendees: '',
-      absentees: '',
-      accomplishments: '',
-      challenges: '',
-      notesForNextTime: '',
-      safetyIncidents: '',
-      morale: 3
-    });
+  const handleSaveExpense = (e) => {
+    e.preventDefault();
+    if (!expenseForm.categoryId || !expenseForm.date || !expenseForm.amount) return;
+    const values = { ...expenseForm, amount: Number(expenseForm.amount) || 0 };
+
+    if (editingExpenseId) {
+      setData(updateRecord(data, 'expenses', editingExpenseId, values));
+    } else {
+      const newExpense = {
+        id: Date.now(),
+        ...ownerFields,
+        ...values,
+        createdAt: new Date().toISOString()
+      };
+      setData({ ...data, expenses: [...data.expenses, newExpense] });
+    }
+
+    resetExpenseForm();
   };
 
-  const handleDelete = (id) => {
-    if (window.confirm('Delete this rehearsal report?')) {
-      setData({
-        ...data,
-        rehearsalReports: data.rehearsalReports.filter(report => report.id !== id)
-      });
+  const handleDeleteCategory = (id) => {
+    if (window.confirm('Move this budget category and its expenses to the trash?')) {
+      setData(moveToTrash(data, 'budgetCategories', id), { toast: 'Budget category moved to trash' });
     }
   };
 
-  const sortedReports = [...data.rehearsalReports].sort((a, b) =>
-    new Date(b.date) - new Date(a.date)
-  );
+  const handleDeleteExpense = (id) => {
+    if (window.confirm('Move this expense to the trash?')) {
+      setData(moveToTrash(data, 'expenses', id), { toast: 'Expense moved to trash' });
+    }
+  };
+
+  // Warn before an entry pushes its category over budget
+  const selectedRow = summary.rows.find(row => row.category.id === expenseForm.categoryId);
+  const editingExpense = summary.expenses.find(expense => expense.id === editingExpenseId);
+  const projectedOverrun = selectedRow
+    ? selectedRow.actual
+      - (editingExpense && editingExpense.categoryId === selectedRow.category.id ? Number(editingExpense.amount) || 0 : 0)
+      + (Number(expenseForm.amount) || 0)
+      - selectedRow.budgeted
+    : 0;
+
+  const expenses = [...summary.expenses].sort((a, b) => b.date.localeCompare(a.date));
+  const chartRows = summary.rows.map(row => ({ name: row.category.name, Budgeted: row.budgeted, Actual: row.actual }));
+  const trend = runningActuals(summary.expenses, summary.totalBudgeted);
 
   return (
-    <div className="space-y-6">
-      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-        <h2 className="text-xl font-semibold text-slate-200 mb-4">New Rehearsal Report</h2>
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="grid md:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-slate-300 mb-2">Production Name *</label>
-              <input
-                type="text"
-                value={formData.production}
-                onChange={(e) => setFormData({ ...formData, production: e.target.value })}
-                required
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
-            </div>
-            <div>
-              <label className="block text-slate-300 mb-2">Date *</label>
-              <input
-                type="date"
-                value={formData.date}
-                onChange={(e) => setFormData({ ...formData, date: e.target.value })}
-                required
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
-            </div>
-            <div>
-              <label className="block text-slate-300 mb-2">Start Time</label>
-              <input
-                type="time"
-                value={formData.startTime}
-                onChange={(e) => setFormData({ ...formData, startTime: e.target.value })}
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
-            </div>
-            <div>
-              <label className="block text-slate-300 mb-2">End Time</label>
-              <input
-                type="time"
-                value={formData.endTime}
-                onChange={(e) => setFormData({ ...formData, endTime: e.target.value })}
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
-            </div>
-            <div className="md:col-span-2">
-              <label className="block text-slate-300 mb-2">Scenes/Acts Worked On</label>
-              <input
-                type="text"
-                value={formData.scenesWorked}
-                onChange={(e) => setFormData({ ...formData, scenesWorked: e.target.value })}
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                placeholder="e.g., Act 1 Scene 3, Act 2 Scene 1"
-              />
-            </div>
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Who was present?</label>
-            <textarea
-              value={formData.attendees}
-              onChange={(e) => setFormData({ ...formData, attendees: e.target.value })}
-              rows="2"
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Who was absent?</label>
-            <textarea
-              value={formData.absentees}
-              onChange={(e) => setFormData({ ...formData, absentees: e.target.value })}
-              rows="2"
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">What went well? Accomplishments</label>
-            <textarea
-              value={formData.accomplishments}
-              onChange={(e) => setFormData({ ...formData, accomplishments: e.target.value })}
-              rows="3"
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Challenges or issues</label>
-            <textarea
-              value={formData.challenges}
-              onChange={(e) => setFormData({ ...formData, challenges: e.target.value })}
-              rows="3"
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Notes for next rehearsal</label>
-            <textarea
-              value={formData.notesForNextTime}
-              onChange={(e) => setFormData({ ...formData, notesForNextTime: e.target.value })}
-              rows="3"
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Safety incidents or concerns?</label>
-            <textarea
-              value={formData.safetyIncidents}
-              onChange={(e) => setFormData({ ...formData, safetyIncidents: e.target.value })}
-              rows="2"
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Overall Morale: {formData.morale}/5</label>
-            <div className="flex items-center space-x-4">
-              <span className="text-slate-400 text-sm">Low</span>
-              <input
-                type="range"
-                min="1"
-                max="5"
-                value={formData.morale}
-                onChange={(e) => setFormData({ ...formData, morale: parseInt(e.target.value) })}
-                className="flex-1"
-              />
-              <span className="text-slate-400 text-sm">High</span>
-            </div>
-          </div>
-          <button
-            type="submit"
-            className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
-          >
-            Save Rehearsal Report
-          </button>
-        </form>
-      </div>
+    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 space-y-6">
+      <h2 className="text-2xl font-serif text-amber-300">Budget: {owner.title}</h2>
 
-      <div>
-        <h2 className="text-xl font-semibold text-slate-200 mb-4">Past Reports</h2>
-        {sortedReports.length === 0 ? (
-          <p className="text-slate-400 text-center py-8">
-            No rehearsal reports yet. Create one above!
+      <div className="grid grid-cols-3 gap-4">
+        <div className="bg-slate-900/50 p-4 rounded-lg">
+          <p className="text-slate-400 text-sm">Budgeted</p>
+          <p className="text-2xl text-slate-100 font-semibold">{formatMoney(summary.totalBudgeted)}</p>
+        </div>
+        <div className="bg-slate-900/50 p-4 rounded-lg">
+          <p className="text-slate-400 text-sm">Spent</p>
+          <p className={`text-2xl font-semibold ${summary.overBudget ? 'text-red-300' : 'text-amber-300'}`}>{formatMoney(summary.totalActual)}</p>
+        </div>
+        <div className="bg-slate-900/50 p-4 rounded-lg">
+          <p className="text-slate-400 text-sm">Remaining</p>
+          <p className={`text-2xl font-semibold ${summary.overBudget ? 'text-red-300' : 'text-green-300'}`}>
+            {formatMoney(summary.totalBudgeted - summary.totalActual)}
           </p>
-        ) : (
-          <div className="space-y-4">
-            {sortedReports.map(report => (
-              <div key={report.id} className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-                <div className="flex justify-between items-start mb-4">
-                  <div>
-                    <h3 className="text-2xl font-semibold text-slate-100 mb-1">{report.production}</h3>
-                    <p className="text-slate-400">
-                      {formatDate(report.date)}
-                      {report.startTime && report.endTime && ` • ${report.startTime} - ${report.endTime}`}
-                    </p>
-                  </div>
-                  <button
-                    onClick={() => handleDelete(report.id)}
-                    className="text-red-400 hover:text-red-300"
-                  >
-                    <Trash2 size={18} />
-                  </button>
-                </div>
+        </div>
+      </div>
 
-                {report.scenesWorked && (
-                  <div className="mb-4">
-                    <span className="text-slate-400">Scenes worked: </span>
-                    <span className="text-slate-200">{report.scenesWorked}</span>
-                  </div>
-                )}
+      {(summary.overBudget || summary.overCategories.length > 0) && (
+        <div className="bg-red-900/30 border border-red-800/50 p-3 rounded-lg text-red-200 text-sm space-y-1">
+          {summary.overBudget && (
+            <p className="flex items-center space-x-1">
+              <AlertTriangle size={14} />
+              <span>Over budget by {formatMoney(summary.totalActual - summary.totalBudgeted)}</span>
+            </p>
+          )}
+          {summary.overCategories.map(row => (
+            <p key={row.category.id} className="flex items-center space-x-1">
+              <AlertTriangle size={14} />
+              <span>{row.category.name} is over by {formatMoney(-row.remaining)}</span>
+            </p>
+          ))}
+        </div>
+      )}
 
-                <div className="space-y-3">
-                  {report.attendees && (
-                    <div>
-                      <h4 className="text-slate-300 font-semibold mb-1">Present:</h4>
-                      <p className="text-slate-400 whitespace-pre-wrap">{report.attendees}</p>
-                    </div>
-                  )}
-                  {report.absentees && (
-                    <div>
-                      <h4 className="text-slate-300 font-semibold mb-1">Absent:</h4>
-                      <p className="text-slate-400 whitespace-pre-wrap">{report.absentees}</p>
-                    </div>
-                  )}
-                  {report.accomplishments && (
-                    <div className="bg-green-900/20 p-3 rounded-lg">
-                      <h4 className="text-green-300 font-semibold mb-1">✓ Accomplishments:</h4>
-                      <p className="text-slate-300 whitespace-pre-wrap">{report.accomplishments}</p>
-                    </div>
-                  )}
-                  {report.challenges && (
-                    <div className="bg-orange-900/20 p-3 rounded-lg">
-                      <h4 className="text-orange-300 font-semibold mb-1">⚠ Challenges:</h4>
-                      <p className="text-slate-300 whitespace-pre-wrap">{report.challenges}</p>
-                    </div>
-                  )}
-                  {report.notesForNextTime && (
-                    <div className="bg-amber-900/20 p-3 rounded-lg">
-                      <h4 className="text-amber-300 font-semibold mb-1">→ Next Time:</h4>
-                      <p className="text-slate-300 whitespace-pre-wrap">{report.notesForNextTime}</p>
-                    </div>
-                  )}
-                  {report.safetyIncidents && (
-                    <div className="bg-red-900/30 p-3 rounded-lg">
-                      <h4 className="text-red-300 font-semibold mb-1">⚠ Safety:</h4>
-                      <p className="text-slate-300 whitespace-pre-wrap">{report.safetyIncidents}</p>
-                    </div>
-                  )}
-                  <div className="pt-2 border-t border-slate-700">
-                    <span className="text-slate-400">Morale: </span>
-                    <span className="text-amber-300 font-semibold">{report.morale}/5</span>
+      <div>
+        <h3 className="text-lg font-semibold text-slate-200 mb-3">Categories</h3>
+        <form onSubmit={handleSaveCategory} className="flex flex-wrap gap-2 mb-4">
+          <input
+            type="text"
+            list={`budget-categories-${field}`}
+            value={categoryForm.name}
+            onChange={(e) => setCategoryForm({ ...categoryForm, name: e.target.value })}
+            placeholder="Category *"
+            required
+            className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+          />
+          <datalist id={`budget-categories-${field}`}>
+            {suggestions.map(name => <option key={name} value={name} />)}
+          </datalist>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={categoryForm.budgeted}
+            onChange={(e) => setCategoryForm({ ...categoryForm, budgeted: e.target.value })}
+            placeholder="Budgeted"
+            className="w-32 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+          />
+          <input
+            type="text"
+            value={categoryForm.notes}
+            onChange={(e) => setCategoryForm({ ...categoryForm, notes: e.target.value })}
+            placeholder="Notes"
+            className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+          />
+          <button
+            type="submit"
+            className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+          >
+            {editingCategoryId ? 'Update' : 'Add Category'}
+          </button>
+          {editingCategoryId && (
+            <button
+              type="button"
+              onClick={resetCategoryForm}
+              className="bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
+            >
+              Cancel
+            </button>
+          )}
+        </form>
+        {summary.rows.length === 0 ? (
+          <p className="text-slate-400 text-sm">Add budget categories to start tracking spending</p>
+        ) : (
+          <div className="space-y-3">
+            {summary.rows.map(row => (
+              <div key={row.category.id} id={recordElementId('budgetCategories', row.category.id)} className="bg-slate-900/50 p-3 rounded-lg">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className="text-slate-100 font-semibold">{row.category.name}</p>
+                    <p className={`text-sm ${row.over ? 'text-red-300' : 'text-slate-400'}`}>
+                      {formatMoney(row.actual)} of {formatMoney(row.budgeted)}
+                      {row.over ? ` · over by ${formatMoney(-row.remaining)}` : ` · ${formatMoney(row.remaining)} left`}
+                    </p>
+                    {row.category.notes && <p className="text-slate-500 text-sm">{row.category.notes}</p>}
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => {
+                        setEditingCategoryId(row.category.id);
+                        setCategoryForm(recordFormValues(row.category, EMPTY_BUDGET_CATEGORY));
+                      }}
+                      className="text-amber-400 hover:text-amber-300"
+                    >
+                      <Edit2 size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteCategory(row.category.id)}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      <Trash2 size={16} />
+                    </button>
                   </div>
                 </div>
+                <div className="mt-2 h-2 bg-slate-800 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full ${row.over ? 'bg-red-500' : 'bg-amber-500'}`}
+                    style={{ width: `${row.budgeted > 0 ? Math.min(100, (row.actual / row.budgeted) * 100) : (row.actual > 0 ? 100 : 0)}%` }}
+                  />
+                </div>
+                <EditHistory record={row.category} />
               </div>
             ))}
           </div>
         )}
       </div>
+
+      {summary.rows.length > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold text-slate-200 mb-3">{editingExpenseId ? 'Edit Expense' : 'Record an Expense'}</h3>
+          <form onSubmit={handleSaveExpense} className="space-y-2">
+            <div className="grid md:grid-cols-4 gap-2">
+              <select
+                value={expenseForm.categoryId || ''}
+                onChange={(e) => {
+                  const row = summary.rows.find(r => String(r.category.id) === e.target.value);
+                  setExpenseForm({ ...expenseForm, categoryId: row ? row.category.id : null });
+                }}
+                required
+                className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              >
+                <option value="">Category *</option>
+                {summary.rows.map(row => (
+                  <option key={row.category.id} value={row.category.id}>{row.category.name}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={expenseForm.date}
+                onChange={(e) => setExpenseForm({ ...expenseForm, date: e.target.value })}
+                required
+                className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+              <input
+                type="text"
+                value={expenseForm.vendor}
+                onChange={(e) => setExpenseForm({ ...expenseForm, vendor: e.target.value })}
+                placeholder="Vendor"
+                className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+              <input
+                type="number"
+                step="0.01"
+                value={expenseForm.amount}
+                onChange={(e) => setExpenseForm({ ...expenseForm, amount: e.target.value })}
+                placeholder="Amount *"
+                required
+                className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div className="grid md:grid-cols-2 gap-2">
+              <input
+                type="text"
+                value={expenseForm.description}
+                onChange={(e) => setExpenseForm({ ...expenseForm, description: e.target.value })}
+                placeholder="What was it for?"
+                className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+              <input
+                type="text"
+                value={expenseForm.receipt}
+                onChange={(e) => setExpenseForm({ ...expenseForm, receipt: e.target.value })}
+                placeholder="Receipt note (e.g., invoice #, where it's filed)"
+                className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            {projectedOverrun > 0 && (
+              <p className="text-sm text-red-300 flex items-center space-x-1">
+                <AlertTriangle size={14} />
+                <span>This puts {selectedRow.category.name} {formatMoney(projectedOverrun)} over budget</span>
+              </p>
+            )}
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+              >
+                {editingExpenseId ? 'Update Expense' : 'Add Expense'}
+              </button>
+              {editingExpenseId && (
+                <button
+                  type="button"
+                  onClick={resetExpenseForm}
+                  className="bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      )}
+
+      {expenses.length > 0 && (
+        <div className="space-y-2">
+          {expenses.map(expense => (
+            <div key={expense.id} id={recordElementId('expenses', expense.id)} className="bg-slate-900/50 p-3 rounded-lg flex justify-between items-start">
+              <div>
+                <p className="text-slate-100">
+                  <span className="font-semibold">{formatMoney(expense.amount)}</span>
+                  {expense.vendor && ` · ${expense.vendor}`}
+                  <span className="text-amber-300 text-sm"> · {categoryName(expense.categoryId)}</span>
+                </p>
+                <p className="text-slate-400 text-sm">
+                  {formatDate(`${expense.date}T00:00`)}{expense.description && ` · ${expense.description}`}
+                </p>
+                {expense.receipt && <p className="text-slate-500 text-sm">Receipt: {expense.receipt}</p>}
+                <EditHistory record={expense} />
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => {
+                    setEditingExpenseId(expense.id);
+                    setExpenseForm(recordFormValues(expense, EMPTY_EXPENSE));
+                  }}
+                  className="text-amber-400 hover:text-amber-300"
+                >
+                  <Edit2 size={16} />
+                </button>
+                <button
+                  onClick={() => handleDeleteExpense(expense.id)}
+                  className="text-red-400 hover:text-red-300"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {summary.rows.length > 0 && (
+        <div className="grid md:grid-cols-2 gap-6">
+          <div>
+            <h3 className="text-lg font-semibold text-slate-200 mb-3">Budgeted vs. Actual</h3>
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={chartRows}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="name" stroke="#94a3b8" />
+                <YAxis stroke="#94a3b8" />
+                <RechartsTooltip
+                  formatter={(value) => formatMoney(value)}
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #d97706' }}
+                />
+                <Legend />
+                <Bar dataKey="Budgeted" fill="#64748b" />
+                <Bar dataKey="Actual" fill="#f59e0b" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          {trend.length > 0 && (
+            <div>
+              <h3 className="text-lg font-semibold text-slate-200 mb-3">Running Actuals</h3>
+              <ResponsiveContainer width="100%" height={260}>
+                <LineChart data={trend}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="date" stroke="#94a3b8" />
+                  <YAxis stroke="#94a3b8" />
+                  <RechartsTooltip
+                    formatter={(value) => formatMoney(value)}
+                    contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #d97706' }}
+                  />
+                  <Legend />
+                  <Line type="stepAfter" dataKey="Spent" stroke="#f59e0b" strokeWidth={2} />
+                  <Line type="monotone" dataKey="Budget" stroke="#ef4444" strokeDasharray="5 5" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
 // ============================================================================
-// PRODUCTION MANAGEMENT
+// PROJECT MILESTONES
 // ============================================================================
 
-const ProductionManagement = () => {
-  const { data, setData } = useApp();
-  const [productionForm, setProductionForm] = useState({
-    title: '',
-    openingDate: '',
-    closingDate: '',
-    venue: ''
-  });
-  const [selectedProduction, setSelectedProduction] = useState(null);
-  const [castCrewForm, setCastCrewForm] = useState({
-    name: '',
-    role: '',
-    type: 'Cast',
-    contact: '',
-    notes: ''
-  });
+const MILESTONE_STATUSES = [
+  { id: 'Not Started', className: 'bg-slate-700 text-slate-300', color: '#64748b' },
+  { id: 'In Progress', className: 'bg-amber-900/40 text-amber-300', color: '#f59e0b' },
+  { id: 'Blocked', className: 'bg-orange-900/40 text-orange-300', color: '#f97316' },
+  { id: 'Done', className: 'bg-green-900/40 text-green-300', color: '#22c55e' }
+];
 
-  const handleCreateProduction = (e) => {
-    e.preventDefault();
-    if (!productionForm.title.trim()) return;
+const getMilestoneStatus = (id) => MILESTONE_STATUSES.find(status => status.id === id) || MILESTONE_STATUSES[0];
 
-    const newProduction = {
-      id: Date.now(),
-      ...productionForm,
-      createdAt: new Date().toISOString()
-    };
+const EMPTY_MILESTONE = {
+  title: '',
+  startDate: '',
+  dueDate: '',
+  ownerId: null,
+  status: 'Not Started',
+  dependsOn: [],
+  notes: ''
+};
 
-    setData({
-      ...data,
-      productions: [...data.productions, newProduction]
-    });
+const isMilestoneOverdue = (milestone, today = todayStamp()) =>
+  milestone.status !== 'Done' && Boolean(milestone.dueDate) && milestone.dueDate < today;
+
+const getProjectMilestones = (data, projectId) => data.milestones
+  .filter(milestone => milestone.projectId === projectId)
+  .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999'));
+
+const getOverdueMilestones = (data) => data.milestones
+  .filter(milestone => isMilestoneOverdue(milestone))
+  .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+// True when `milestoneId` already depends on `targetId`, directly or through
+// other milestones, so making `targetId` depend on it would close a loop
+const dependsOnMilestone = (data, milestoneId, targetId, seen = new Set()) => {
+  if (milestoneId === targetId) return true;
+  if (seen.has(milestoneId)) return false;
+  seen.add(milestoneId);
+  const milestone = data.milestones.find(m => m.id === milestoneId);
+  return Boolean(milestone) && milestone.dependsOn.some(id => dependsOnMilestone(data, id, targetId, seen));
+};
 
-    setProductionForm({
-      title: '',
-      openingDate: '',
-      closingDate: '',
-      venue: ''
-    });
-  };
+// Dependencies that aren't done, and ones due after this milestone is
+const getMilestoneWarnings = (data, milestone) => milestone.dependsOn
+  .map(id => data.milestones.find(m => m.id === id))
+  .filter(Boolean)
+  .flatMap(dependency => [
+    dependency.status !== 'Done' && milestone.status !== 'Not Started' && `Waiting on ${dependency.title}`,
+    dependency.dueDate && milestone.dueDate && dependency.dueDate > milestone.dueDate
+      && `${dependency.title} is due after this`
+  ])
+  .filter(Boolean);
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00`) - new Date(`${from}T00:00`)) / 86400000);
+
+// Where a milestone's bar begins: its own start date, else when its last
+// dependency is due, else the project start, else a point at its due date
+const milestoneStart = (data, milestone, project) => {
+  if (milestone.startDate) return milestone.startDate;
+  const dependencyDue = milestone.dependsOn
+    .map(id => (data.milestones.find(m => m.id === id) || {}).dueDate)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  const start = dependencyDue || project.startDate || milestone.dueDate;
+  return start && milestone.dueDate && start > milestone.dueDate ? milestone.dueDate : start;
+};
 
-  const handleDeleteProduction = (id) => {
-    if (window.confirm('Delete this production and all associated cast/crew?')) {
-      setData({
-        ...data,
-        productions: data.productions.filter(p => p.id !== id),
-        castCrew: data.castCrew.filter(cc => cc.productionId !== id)
-      });
-      if (selectedProduction?.id === id) {
-        setSelectedProduction(null);
-      }
-    }
+const GANTT_LABEL_WIDTH = 180;
+const GANTT_ROW_HEIGHT = 28;
+const GANTT_WIDTH = 900;
+
+// SVG timeline from the project's start to its end (stretched to fit any
+// milestone outside them), one bar per dated milestone
+const MilestoneGantt = ({ project, milestones }) => {
+  const { data } = useApp();
+  const today = todayStamp();
+  const rows = milestones
+    .filter(milestone => milestone.dueDate)
+    .map(milestone => ({ milestone, start: milestoneStart(data, milestone, project) || milestone.dueDate }));
+  if (rows.length === 0) return null;
+
+  const dates = [project.startDate, project.endDate, ...rows.flatMap(row => [row.start, row.milestone.dueDate])].filter(Boolean).sort();
+  const first = dates[0];
+  const span = Math.max(1, daysBetween(first, dates[dates.length - 1]) + 1);
+  const chartWidth = GANTT_WIDTH - GANTT_LABEL_WIDTH;
+  const x = (date) => GANTT_LABEL_WIDTH + (daysBetween(first, date) / span) * chartWidth;
+  const dayWidth = chartWidth / span;
+  const height = rows.length * GANTT_ROW_HEIGHT + 24;
+  const rowIndex = Object.fromEntries(rows.map((row, index) => [row.milestone.id, index]));
+
+  return (
+    <div className="overflow-x-auto">
+      <svg viewBox={`0 0 ${GANTT_WIDTH} ${height}`} className="w-full min-w-[600px]" role="img" aria-label={`Timeline for ${project.title}`}>
+        {[project.startDate, project.endDate].filter(Boolean).map(date => (
+          <g key={date}>
+            <line x1={x(date)} x2={x(date)} y1={16} y2={height} stroke="#475569" strokeDasharray="2 3" />
+            <text x={x(date)} y={12} fill="#94a3b8" fontSize="10" textAnchor="middle">
+              {new Date(`${date}T00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+            </text>
+          </g>
+        ))}
+        {today >= first && daysBetween(first, today) <= span && (
+          <g>
+            <line x1={x(today)} x2={x(today)} y1={16} y2={height} stroke="#ef4444" />
+            <text x={x(today)} y={12} fill="#ef4444" fontSize="10" textAnchor="middle">Today</text>
+          </g>
+        )}
+        {rows.map(({ milestone, start }, index) => {
+          const y = 20 + index * GANTT_ROW_HEIGHT;
+          const overdue = isMilestoneOverdue(milestone, today);
+          return (
+            <g key={milestone.id}>
+              <text x={0} y={y + 14} fill={overdue ? '#fca5a5' : '#e2e8f0'} fontSize="12">
+                {milestone.title.length > 26 ? `${milestone.title.slice(0, 25)}…` : milestone.title}
+              </text>
+              <rect
+                x={x(start)}
+                y={y + 4}
+                width={Math.max(dayWidth, x(milestone.dueDate) - x(start) + dayWidth)}
+                height={GANTT_ROW_HEIGHT - 10}
+                rx={3}
+                fill={getMilestoneStatus(milestone.status).color}
+                stroke={overdue ? '#ef4444' : 'none'}
+                strokeWidth={2}
+              >
+                <title>{`${milestone.title}: ${start} → ${milestone.dueDate} (${milestone.status})`}</title>
+              </rect>
+              {milestone.dependsOn
+                .filter(id => rowIndex[id] !== undefined)
+                .map(id => {
+                  const dependency = rows[rowIndex[id]];
+                  const fromX = x(dependency.milestone.dueDate) + dayWidth;
+                  const fromY = 20 + rowIndex[id] * GANTT_ROW_HEIGHT + GANTT_ROW_HEIGHT / 2;
+                  return (
+                    <path
+                      key={id}
+                      d={`M ${fromX} ${fromY} H ${Math.max(fromX + 4, x(start) - 4)} V ${y + GANTT_ROW_HEIGHT / 2} H ${x(start)}`}
+                      fill="none"
+                      stroke="#94a3b8"
+                      strokeWidth={1}
+                    />
+                  );
+                })}
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+const ProjectMilestones = ({ project }) => {
+  const { data, setData } = useApp();
+  const [formData, setFormData] = useState(EMPTY_MILESTONE);
+  const [editingId, setEditingId] = useState(null);
+
+  const milestones = getProjectMilestones(data, project.id);
+  const today = todayStamp();
+  const employees = [...data.employees].sort((a, b) => a.name.localeCompare(b.name));
+  // A milestone can't wait on itself or on anything already waiting on it
+  const dependencyOptions = milestones.filter(m => !editingId || !dependsOnMilestone(data, m.id, editingId));
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_MILESTONE);
   };
 
-  const handleAddCastCrew = (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
-    if (!castCrewForm.name.trim() || !selectedProduction) return;
-
-    const newMember = {
-      id: Date.now(),
-      productionId: selectedProduction.id,
-      ...castCrewForm,
-      createdAt: new Date().toISOString()
-    };
+    if (!formData.title.trim()) return;
 
-    setData({
-      ...data,
-      castCrew: [...data.castCrew, newMember]
-    });
+    if (editingId) {
+      setData(updateRecord(data, 'milestones', editingId, formData));
+    } else {
+      const newMilestone = {
+        id: Date.now(),
+        projectId: project.id,
+        ...formData,
+        createdAt: new Date().toISOString()
+      };
+      setData({ ...data, milestones: [...data.milestones, newMilestone] });
+    }
 
-    setCastCrewForm({
-      name: '',
-      role: '',
-      type: 'Cast',
-      contact: '',
-      notes: ''
-    });
+    resetForm();
   };
 
-  const handleDeleteCastCrew = (id) => {
-    if (window.confirm('Remove this person?')) {
-      setData({
-        ...data,
-        castCrew: data.castCrew.filter(cc => cc.id !== id)
-      });
+  const handleDelete = (id) => {
+    if (window.confirm('Move this milestone to the trash?')) {
+      setData(moveToTrash(data, 'milestones', id), { toast: 'Milestone moved to trash' });
     }
   };
 
-  const productionCastCrew = selectedProduction
-    ? data.castCrew.filter(cc => cc.productionId === selectedProduction.id)
-    : [];
-  const cast = productionCastCrew.filter(cc => cc.type === 'Cast');
-  const crew = productionCastCrew.filter(cc => cc.type === 'Crew');
+  const toggleDependency = (id) => {
+    setFormData({
+      ...formData,
+      dependsOn: formData.dependsOn.includes(id)
+        ? formData.dependsOn.filter(d => d !== id)
+        : [...formData.dependsOn, id]
+    });
+  };
 
   return (
-    <div className="space-y-6">
-      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-        <h2 className="text-xl font-semibold text-slate-200 mb-4">Create Production</h2>
-        <form onSubmit={handleCreateProduction} className="space-y-4">
-          <div className="grid md:grid-cols-2 gap-4">
-            <div className="md:col-span-2">
-              <label className="block text-slate-300 mb-2">Production Title *</label>
-              <input
-                type="text"
-                value={productionForm.title}
-                onChange={(e) => setProductionForm({ ...productionForm, title: e.target.value })}
-                required
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
-            </div>
-            <div>
-              <label className="block text-slate-300 mb-2">Opening Date</label>
-              <input
-                type="date"
-                value={productionForm.openingDate}
-                onChange={(e) => setProductionForm({ ...productionForm, openingDate: e.target.value })}
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
-            </div>
-            <div>
-              <label className="block text-slate-300 mb-2">Closing Date</label>
-              <input
-                type="date"
-                value={productionForm.closingDate}
-                onChange={(e) => setProductionForm({ ...productionForm, closingDate: e.target.value })}
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
-            </div>
-            <div className="md:col-span-2">
-              <label className="block text-slate-300 mb-2">Venue</label>
-              <input
-                type="text"
-                value={productionForm.venue}
-                onChange={(e) => setProductionForm({ ...productionForm, venue: e.target.value })}
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-              />
-            </div>
-          </div>
-          <button
-            type="submit"
-            className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
-          >
-            Create Production
-          </button>
-        </form>
-      </div>
+    <div className="space-y-4">
+      <h4 className="text-slate-300 font-semibold">Milestones</h4>
 
-      {data.productions.length > 0 && (
-        <div>
-          <h2 className="text-xl font-semibold text-slate-200 mb-4">Productions</h2>
-          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {data.productions.map(production => (
+      <MilestoneGantt project={project} milestones={milestones} />
+
+      {milestones.length > 0 && (
+        <div className="space-y-2">
+          {milestones.map(milestone => {
+            const overdue = isMilestoneOverdue(milestone, today);
+            const owner = data.employees.find(e => e.id === milestone.ownerId);
+            const warnings = getMilestoneWarnings(data, milestone);
+            return (
+              <div
+                key={milestone.id}
+                id={recordElementId('milestones', milestone.id)}
+                className={`bg-slate-900/50 p-3 rounded-lg border ${overdue ? 'border-red-600' : 'border-transparent'}`}
+              >
+                <div className="flex justify-between items-start">
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <span className={`text-xs px-2 py-0.5 rounded ${getMilestoneStatus(milestone.status).className}`}>{milestone.status}</span>
+                      <p className="text-slate-100">{milestone.title}</p>
+                    </div>
+                    <p className={`text-sm ${overdue ? 'text-red-300 font-semibold' : 'text-slate-400'}`}>
+                      {milestone.dueDate ? `Due ${formatDate(`${milestone.dueDate}T00:00`)}` : 'No due date'}
+                      {overdue && ' (overdue)'}
+                      {owner && <span className="text-slate-400 font-normal"> · <PersonLink personId={owner.personId}>{owner.name}</PersonLink></span>}
+                    </p>
+                    {milestone.dependsOn.length > 0 && (
+                      <p className="text-slate-500 text-sm">
+                        After: {milestone.dependsOn.map(id => (data.milestones.find(m => m.id === id) || {}).title).filter(Boolean).join(', ')}
+                      </p>
+                    )}
+                    {warnings.map(warning => (
+                      <p key={warning} className="text-xs text-orange-300">⚠ {warning}</p>
+                    ))}
+                    {milestone.notes && <p className="text-slate-400 text-sm">{milestone.notes}</p>}
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => {
+                        setEditingId(milestone.id);
+                        setFormData(recordFormValues(milestone, EMPTY_MILESTONE));
+                      }}
+                      className="text-amber-400 hover:text-amber-300"
+                    >
+                      <Edit2 size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(milestone.id)}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+                <EditHistory record={milestone} />
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <div className="grid md:grid-cols-3 gap-2">
+          <input
+            type="text"
+            value={formData.title}
+            onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+            placeholder="Milestone *"
+            required
+            className="md:col-span-3 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+          />
+          <label className="text-sm text-slate-400">
+            Starts
+            <input
+              type="date"
+              value={formData.startDate}
+              onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </label>
+          <label className="text-sm text-slate-400">
+            Due
+            <input
+              type="date"
+              value={formData.dueDate}
+              onChange={(e) => setFormData({ ...formData, dueDate: e.target.value })}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </label>
+          <label className="text-sm text-slate-400">
+            Status
+            <select
+              value={formData.status}
+              onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            >
+              {MILESTONE_STATUSES.map(status => (
+                <option key={status.id} value={status.id}>{status.id}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm text-slate-400">
+            Owner
+            <select
+              value={formData.ownerId || ''}
+              onChange={(e) => {
+                const employee = data.employees.find(emp => String(emp.id) === e.target.value);
+                setFormData({ ...formData, ownerId: employee ? employee.id : null });
+              }}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            >
+              <option value="">Nobody</option>
+              {employees.map(employee => (
+                <option key={employee.id} value={employee.id}>{employee.name}</option>
+              ))}
+            </select>
+          </label>
+          <input
+            type="text"
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            placeholder="Notes"
+            className="md:col-span-2 self-end bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+          />
+        </div>
+        {dependencyOptions.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-slate-400">Depends on:</span>
+            {dependencyOptions.map(option => (
               <button
-                key={production.id}
-                onClick={() => setSelectedProduction(production)}
-                className={`text-left p-4 rounded-xl border transition-all ${
-                  selectedProduction?.id === production.id
-                    ? 'bg-amber-900/20 border-amber-600'
-                    : 'bg-slate-800/50 border-amber-900/20 hover:border-amber-600/50'
+                key={option.id}
+                type="button"
+                onClick={() => toggleDependency(option.id)}
+                className={`text-xs px-2 py-1 rounded transition-colors ${
+                  formData.dependsOn.includes(option.id)
+                    ? 'bg-amber-600 text-slate-900 font-semibold'
+                    : 'bg-slate-800 text-slate-400 hover:text-slate-200'
                 }`}
               >
-                <div className="flex justify-between items-start mb-2">
-                  <h3 className="text-lg font-semibold text-slate-100">{production.title}</h3>
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      handleDeleteProduction(production.id);
-                    }}
-                    className="text-red-400 hover:text-red-300"
-                  >
-                    <Trash2 size={16} />
-                  </button>
-                </div>
-                {production.openingDate && (
-                  <p className="text-slate-400 text-sm">
-                    Opens: {formatDate(production.openingDate)}
-                  </p>
-                )}
-                {production.venue && (
-                  <p className="text-slate-400 text-sm">{production.venue}</p>
-                )}
+                {option.title}
               </button>
             ))}
           </div>
-        </div>
-      )}
-
-      {selectedProduction && (
-        <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-          <h2 className="text-2xl font-serif text-amber-300 mb-6">
-            Cast & Crew: {selectedProduction.title}
-          </h2>
-
-          <form onSubmit={handleAddCastCrew} className="mb-6 space-y-4">
-            <div className="grid md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-slate-300 mb-2">Name *</label>
-                <input
-                  type="text"
-                  value={castCrewForm.name}
-                  onChange={(e) => setCastCrewForm({ ...castCrewForm, name: e.target.value })}
-                  required
-                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                />
-              </div>
-              <div>
-                <label className="block text-slate-300 mb-2">Role/Position</label>
-                <input
-                  type="text"
-                  value={castCrewForm.role}
-                  onChange={(e) => setCastCrewForm({ ...castCrewForm, role: e.target.value })}
-                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                />
-              </div>
-              <div>
-                <label className="block text-slate-300 mb-2">Type</label>
-                <select
-                  value={castCrewForm.type}
-                  onChange={(e) => setCastCrewForm({ ...castCrewForm, type: e.target.value })}
-                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                >
-                  <option>Cast</option>
-                  <option>Crew</option>
-                </select>
-              </div>
-              <div>
-                <label className="block text-slate-300 mb-2">Contact Info</label>
-                <input
-                  type="text"
-                  value={castCrewForm.contact}
-                  onChange={(e) => setCastCrewForm({ ...castCrewForm, contact: e.target.value })}
-                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                />
-              </div>
-              <div className="md:col-span-2">
-                <label className="block text-slate-300 mb-2">Notes (conflicts, special requirements, etc.)</label>
-                <textarea
-                  value={castCrewForm.notes}
-                  onChange={(e) => setCastCrewForm({ ...castCrewForm, notes: e.target.value })}
-                  rows="2"
-                  className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                />
-              </div>
-            </div>
+        )}
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+          >
+            {editingId ? 'Update Milestone' : 'Add Milestone'}
+          </button>
+          {editingId && (
             <button
-              type="submit"
-              className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+              type="button"
+              onClick={resetForm}
+              className="bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
             >
-              Add Member
+              Cancel
             </button>
-          </form>
-
-          <div className="grid md:grid-cols-2 gap-6">
-            <div>
-              <h3 className="text-lg font-semibold text-slate-200 mb-3">Cast</h3>
-              {cast.length === 0 ? (
-                <p className="text-slate-400 text-sm">No cast members yet</p>
-              ) : (
-                <div className="space-y-3">
-                  {cast.map(member => (
-                    <div key={member.id} className="bg-slate-900/50 p-4 rounded-lg">
-                      <div className="flex justify-between items-start mb-2">
-                        <div>
-                          <h4 className="text-slate-100 font-semibold">{member.name}</h4>
-                          {member.role && (
-                            <p className="text-amber-300 text-sm">{member.role}</p>
-                          )}
-                        </div>
-                        <button
-                          onClick={() => handleDeleteCastCrew(member.id)}
-                          className="text-red-400 hover:text-red-300"
-                        >
-                          <Trash2 size={16} />
-                        </button>
-                      </div>
-                      {member.contact && (
-                        <p className="text-slate-400 text-sm">{member.contact}</p>
-                      )}
-                      {member.notes && (
-                        <p className="text-slate-400 text-sm mt-2">{member.notes}</p>
-                      )}
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-
-            <div>
-              <h3 className="text-lg font-semibold text-slate-200 mb-3">Crew</h3>
-              {crew.length === 0 ? (
-                <p className="text-slate-400 text-sm">No crew members yet</p>
-              ) : (
-                <div className="space-y-3">
-                  {crew.map(member => (
-                    <div key={member.id} className="bg-slate-900/50 p-4 rounded-lg">
-                      <div className="flex justify-between items-start mb-2">
-                        <div>
-                          <h4 className="text-slate-100 font-semibold">{member.name}</h4>
-                          {member.role && (
-                            <p className="text-amber-300 text-sm">{member.role}</p>
-                          )}
-                        </div>
-                        <button
-                          onClick={() => handleDeleteCastCrew(member.id)}
-                          className="text-red-400 hover:text-red-300"
-                        >
-                          <Trash2 size={16} />
-                        </button>
-                      </div>
-                      {member.contact && (
-                        <p className="text-slate-400 text-sm">{member.contact}</p>
-                      )}
-                      {member.notes && (
-                        <p className="text-slate-400 text-sm mt-2">{member.notes}</p>
-                      )}
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-          </div>
+          )}
         </div>
-      )}
+      </form>
     </div>
   );
 };
@@ -2389,66 +9624,64 @@ const ProductionManagement = () => {
 // PROJECT LEAD MODULE
 // ============================================================================
 
+const EMPTY_PROJECT = {
+  title: '',
+  type: 'Event',
+  startDate: '',
+  endDate: '',
+  status: 'Planning',
+  description: '',
+  teamMembers: '',
+  goals: ''
+};
+
 const ProjectLeadModule = () => {
-  const { data, setData } = useApp();
-  const [formData, setFormData] = useState({
-    title: '',
-    type: 'Event',
-    startDate: '',
-    endDate: '',
-    budget: '',
-    status: 'Planning',
-    description: '',
-    teamMembers: '',
-    goals: '',
-    milestones: ''
-  });
-  const [expandedId, setExpandedId] = useState(null);
+  const { data, setData, route, navigate } = useApp();
+  const [formData, setFormData] = useState(EMPTY_PROJECT);
+  const [editingId, setEditingId] = useState(null);
+  const expandedId = route[1] || null;
+  const setExpandedId = (id) => navigate('project', id);
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_PROJECT);
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!formData.title.trim()) return;
 
-    const newProject = {
-      id: Date.now(),
-      ...formData,
-      createdAt: new Date().toISOString()
-    };
+    if (editingId) {
+      setData(updateRecord(data, 'projectEvents', editingId, formData));
+    } else {
+      const newProject = {
+        id: Date.now(),
+        ...formData,
+        createdAt: new Date().toISOString()
+      };
 
-    setData({
-      ...data,
-      projectEvents: [...data.projectEvents, newProject]
-    });
+      setData({
+        ...data,
+        projectEvents: [...data.projectEvents, newProject]
+      });
+    }
 
-    setFormData({
-      title: '',
-      type: 'Event',
-      startDate: '',
-      endDate: '',
-      budget: '',
-      status: 'Planning',
-      description: '',
-      teamMembers: '',
-      goals: '',
-      milestones: ''
-    });
+    resetForm();
+  };
+
+  const handleEdit = (project) => {
+    setEditingId(project.id);
+    setFormData(recordFormValues(project, EMPTY_PROJECT));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
   const handleStatusChange = (id, status) => {
-    setData({
-      ...data,
-      projectEvents: data.projectEvents.map(project =>
-        project.id === id ? { ...project, status } : project
-      )
-    });
+    setData(updateRecord(data, 'projectEvents', id, { status }));
   };
 
   const handleDelete = (id) => {
-    if (window.confirm('Delete this project?')) {
-      setData({
-        ...data,
-        projectEvents: data.projectEvents.filter(project => project.id !== id)
-      });
+    if (window.confirm('Move this project, its milestones and its budget to the trash?')) {
+      setData(moveToTrash(data, 'projectEvents', id), { toast: 'Project, milestones and budget moved to trash' });
     }
   };
 
@@ -2465,7 +9698,7 @@ const ProjectLeadModule = () => {
       </div>
 
       <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-        <h2 className="text-xl font-semibold text-slate-200 mb-4">Create New Project/Event</h2>
+        <h2 className="text-xl font-semibold text-slate-200 mb-4">{editingId ? 'Edit Project/Event' : 'Create New Project/Event'}</h2>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div className="grid md:grid-cols-2 gap-4">
             <div className="md:col-span-2">
@@ -2493,16 +9726,6 @@ const ProjectLeadModule = () => {
                 <option>Other</option>
               </select>
             </div>
-            <div>
-              <label className="block text-slate-300 mb-2">Budget</label>
-              <input
-                type="text"
-                value={formData.budget}
-                onChange={(e) => setFormData({ ...formData, budget: e.target.value })}
-                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-                placeholder="e.g., $5,000"
-              />
-            </div>
             <div>
               <label className="block text-slate-300 mb-2">Start Date</label>
               <input
@@ -2549,21 +9772,23 @@ const ProjectLeadModule = () => {
               className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
             />
           </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Key Milestones</label>
-            <textarea
-              value={formData.milestones}
-              onChange={(e) => setFormData({ ...formData, milestones: e.target.value })}
-              rows="3"
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+            >
+              {editingId ? 'Update Project' : 'Create Project'}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                Cancel
+              </button>
+            )}
           </div>
-          <button
-            type="submit"
-            className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
-          >
-            Create Project
-          </button>
         </form>
       </div>
 
@@ -2574,9 +9799,10 @@ const ProjectLeadModule = () => {
           </p>
         ) : (
           data.projectEvents.map(project => {
-            const isExpanded = expandedId === project.id;
+            const isExpanded = expandedId === String(project.id);
+            const overdueMilestones = getProjectMilestones(data, project.id).filter(m => isMilestoneOverdue(m));
             return (
-              <div key={project.id} className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+              <div key={project.id} id={recordElementId('projectEvents', project.id)} className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
                 <div className="flex justify-between items-start mb-4">
                   <div className="flex-1">
                     <div className="flex items-center space-x-3 mb-2">
@@ -2592,8 +9818,15 @@ const ProjectLeadModule = () => {
                         {project.endDate && formatDate(project.endDate)}
                       </p>
                     )}
-                    {project.budget && (
-                      <p className="text-slate-400 text-sm">Budget: {project.budget}</p>
+                    <BudgetSummaryLine field="projectId" ownerId={project.id} />
+                    {overdueMilestones.length > 0 && (
+                      <p className="text-sm text-red-300 flex items-center space-x-1">
+                        <AlertTriangle size={14} />
+                        <span>
+                          {overdueMilestones.length} overdue {overdueMilestones.length === 1 ? 'milestone' : 'milestones'}:{' '}
+                          {overdueMilestones.map(m => m.title).join(', ')}
+                        </span>
+                      </p>
                     )}
                   </div>
                   <div className="flex items-center space-x-2">
@@ -2607,6 +9840,12 @@ const ProjectLeadModule = () => {
                       <option>Completed</option>
                       <option>On Hold</option>
                     </select>
+                    <button
+                      onClick={() => handleEdit(project)}
+                      className="text-amber-400 hover:text-amber-300"
+                    >
+                      <Edit2 size={18} />
+                    </button>
                     <button
                       onClick={() => handleDelete(project.id)}
                       className="text-red-400 hover:text-red-300"
@@ -2643,12 +9882,9 @@ const ProjectLeadModule = () => {
                         <p className="text-slate-400 whitespace-pre-wrap">{project.goals}</p>
                       </div>
                     )}
-                    {project.milestones && (
-                      <div>
-                        <h4 className="text-slate-300 font-semibold mb-1">Key Milestones</h4>
-                        <p className="text-slate-400 whitespace-pre-wrap">{project.milestones}</p>
-                      </div>
-                    )}
+                    <EditHistory record={project} />
+                    <ProjectMilestones project={project} />
+                    <BudgetTracker field="projectId" owner={project} suggestions={PROJECT_BUDGET_CATEGORIES} />
                   </div>
                 )}
               </div>
@@ -2665,10 +9901,11 @@ const ProjectLeadModule = () => {
 // ============================================================================
 
 const CustomRole = () => {
-  const { data } = useApp();
-  const activeRole = data.customRoles.find(r => r.id === data.activeRole);
+  const { data, route, activeRole } = useApp();
+  // #/custom/<role id>; older links without the id use the active role
+  const role = data.customRoles.find(r => r.id === (route[1] || activeRole));
 
-  if (!activeRole) {
+  if (!role) {
     return (
       <div className="text-center py-12">
         <p className="text-slate-400">Custom role not found</p>
@@ -2681,16 +9918,16 @@ const CustomRole = () => {
       <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
         <div className="flex items-center space-x-3 mb-2">
           <Users className="text-amber-400" size={32} />
-          <h1 className="text-3xl font-serif text-amber-300">{activeRole.name}</h1>
+          <h1 className="text-3xl font-serif text-amber-300">{role.name}</h1>
         </div>
         <p className="text-slate-400">Custom role workspace</p>
       </div>
 
-      {activeRole.features.includes('employees') && <EmployeesSection />}
-      {activeRole.features.includes('groups') && <GroupsSection />}
-      {activeRole.features.includes('todos') && <TodosSection />}
-      {activeRole.features.includes('meetings') && <MeetingsSection />}
-      {activeRole.features.includes('contacts') && <ContactsSection />}
+      {role.features.includes('employees') && <EmployeesSection />}
+      {role.features.includes('groups') && <GroupsSection />}
+      {role.features.includes('todos') && <TodosSection />}
+      {role.features.includes('meetings') && <MeetingsSection />}
+      {role.features.includes('contacts') && <ContactsSection />}
     </div>
   );
 };
@@ -2700,7 +9937,7 @@ const CustomRole = () => {
 // ============================================================================
 
 const EmployeesSection = () => {
-  const { data, setData } = useApp();
+  const { data, setData, activeRole } = useApp();
   const [formData, setFormData] = useState({
     name: '',
     role: '',
@@ -2708,18 +9945,24 @@ const EmployeesSection = () => {
     notes: ''
   });
   const [editingId, setEditingId] = useState(null);
+  const [scope, setScope] = useState('role');
+  const employees = filterByRole(data.employees, activeRole, scope);
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!formData.name.trim()) return;
 
+    const { people, personId } = linkRecordPerson(data, 'employees', editingId, formData);
     if (editingId) {
-      setData({
-        ...data,
-        employees: data.employees.map(emp =>
-          emp.id === editingId ? { ...emp, ...formData, position: formData.role } : emp
-        )
+      const previous = data.employees.find(e => e.id === editingId);
+      const updated = updateRecord({ ...data, people }, 'employees', editingId, {
+        name: formData.name,
+        position: formData.role,
+        email: formData.email,
+        notes: formData.notes,
+        personId
       });
+      setData(shareRecordPerson(updated, 'employees', editingId, previous));
       setEditingId(null);
     } else {
       const newEmployee = {
@@ -2731,12 +9974,15 @@ const EmployeesSection = () => {
         department: '',
         phone: '',
         startDate: '',
+        personId,
+        roles: [activeRole],
         createdAt: new Date().toISOString()
       };
-      setData({
+      setData(shareRecordPerson({
         ...data,
+        people,
         employees: [...data.employees, newEmployee]
-      });
+      }, 'employees', newEmployee.id, null));
     }
 
     setFormData({ name: '', role: '', email: '', notes: '' });
@@ -2753,17 +9999,17 @@ const EmployeesSection = () => {
   };
 
   const handleDelete = (id) => {
-    if (window.confirm('Delete this team member?')) {
-      setData({
-        ...data,
-        employees: data.employees.filter(emp => emp.id !== id)
-      });
+    if (window.confirm('Move this team member to the trash?')) {
+      setData(moveToTrash(data, 'employees', id), { toast: 'Team member moved to trash' });
     }
   };
 
   return (
     <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-      <h2 className="text-xl font-semibold text-slate-200 mb-4">Team Catalogue</h2>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-slate-200">Team Catalogue</h2>
+        <RoleScopeToggle scope={scope} onChange={setScope} />
+      </div>
       
       <form onSubmit={handleSubmit} className="mb-6 space-y-4">
         <div className="grid md:grid-cols-2 gap-4">
@@ -2828,16 +10074,19 @@ const EmployeesSection = () => {
       </form>
 
       <div className="space-y-3">
-        {data.employees.length === 0 ? (
+        {employees.length === 0 ? (
           <p className="text-slate-400 text-center py-8">No team members yet</p>
         ) : (
-          data.employees.map(emp => (
-            <div key={emp.id} className="bg-slate-900/50 p-4 rounded-lg flex justify-between items-start">
+          employees.map(emp => (
+            <div key={emp.id} id={recordElementId('employees', emp.id)} className="bg-slate-900/50 p-4 rounded-lg flex justify-between items-start">
               <div>
-                <h3 className="text-slate-100 font-semibold">{emp.name}</h3>
+                <h3 className="text-slate-100 font-semibold">
+                  <PersonLink personId={emp.personId}>{emp.name}</PersonLink>
+                </h3>
                 {emp.position && <p className="text-amber-300 text-sm">{emp.position}</p>}
                 {emp.email && <p className="text-slate-400 text-sm">{emp.email}</p>}
                 {emp.notes && <p className="text-slate-400 text-sm mt-1">{emp.notes}</p>}
+                <RoleSharing collection="employees" record={emp} />
               </div>
               <div className="flex space-x-2">
                 <button
@@ -2854,7 +10103,296 @@ const EmployeesSection = () => {
                 </button>
               </div>
             </div>
-          ))
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// GROUPS SECTION (CUSTOM ROLE)
+// ============================================================================
+
+const GroupsSection = () => {
+  const { data, setData } = useApp();
+  const [groupName, setGroupName] = useState('');
+  const [selectedGroup, setSelectedGroup] = useState(null);
+
+  const handleCreateGroup = (e) => {
+    e.preventDefault();
+    if (!groupName.trim()) return;
+
+    const newGroup = {
+      id: Date.now(),
+      name: groupName.trim(),
+      members: [],
+      createdAt: new Date().toISOString()
+    };
+
+    setData({
+      ...data,
+      employeeGroups: [...data.employeeGroups, newGroup]
+    });
+
+    setGroupName('');
+  };
+
+  const handleDeleteGroup = (id) => {
+    if (window.confirm('Move this group to the trash?')) {
+      setData(moveToTrash(data, 'employeeGroups', id), { toast: 'Group moved to trash' });
+      if (selectedGroup?.id === id) {
+        setSelectedGroup(null);
+      }
+    }
+  };
+
+  const toggleMember = (employeeId) => {
+    if (!selectedGroup) return;
+
+    const isMember = selectedGroup.members.includes(employeeId);
+    const newMembers = isMember
+      ? selectedGroup.members.filter(id => id !== employeeId)
+      : [...selectedGroup.members, employeeId];
+
+    const updatedGroup = { ...selectedGroup, members: newMembers };
+    setSelectedGroup(updatedGroup);
+
+    setData({
+      ...data,
+      employeeGroups: data.employeeGroups.map(g =>
+        g.id === selectedGroup.id ? updatedGroup : g
+      )
+    });
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+      <h2 className="text-xl font-semibold text-slate-200 mb-4">Groups</h2>
+
+      <form onSubmit={handleCreateGroup} className="mb-6">
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={groupName}
+            onChange={(e) => setGroupName(e.target.value)}
+            placeholder="New group name"
+            className="flex-1 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+          />
+          <button
+            type="submit"
+            className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+          >
+            Create Group
+          </button>
+        </div>
+      </form>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-lg font-semibold text-slate-200 mb-3">Groups</h3>
+          {data.employeeGroups.length === 0 ? (
+            <p className="text-slate-400 text-sm">No groups yet</p>
+          ) : (
+            <div className="space-y-2">
+              {data.employeeGroups.map(group => (
+                <button
+                  key={group.id}
+                  id={recordElementId('employeeGroups', group.id)}
+                  onClick={() => setSelectedGroup(group)}
+                  className={`w-full text-left p-3 rounded-lg transition-all ${
+                    selectedGroup?.id === group.id
+                      ? 'bg-amber-900/20 border border-amber-600'
+                      : 'bg-slate-900/50 hover:bg-slate-900/70'
+                  }`}
+                >
+                  <div className="flex justify-between items-center">
+                    <div>
+                      <p className="text-slate-100 font-semibold">{group.name}</p>
+                      <p className="text-slate-400 text-sm">{group.members.length} members</p>
+                    </div>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDeleteGroup(group.id);
+                      }}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div>
+          {selectedGroup ? (
+            <>
+              <h3 className="text-lg font-semibold text-slate-200 mb-3">
+                Members of {selectedGroup.name}
+              </h3>
+              {data.employees.length === 0 ? (
+                <p className="text-slate-400 text-sm">No team members available</p>
+              ) : (
+                <div className="space-y-2">
+                  {data.employees.map(emp => (
+                    <label key={emp.id} className="flex items-center space-x-3 p-3 bg-slate-900/50 rounded-lg cursor-pointer hover:bg-slate-900/70">
+                      <input
+                        type="checkbox"
+                        checked={selectedGroup.members.includes(emp.id)}
+                        onChange={() => toggleMember(emp.id)}
+                        className="rounded"
+                      />
+                      <div>
+                        <p className="text-slate-100">{emp.name}</p>
+                        {emp.position && <p className="text-slate-400 text-sm">{emp.position}</p>}
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </>
+          ) : (
+            <p className="text-slate-400 text-sm">Select a group to manage members</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// TODOS SECTION (CUSTOM ROLE)
+// ============================================================================
+
+const TodosSection = () => {
+  const { data, setData, activeRole } = useApp();
+  const [todoText, setTodoText] = useState('');
+  const [scope, setScope] = useState('role');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!todoText.trim()) return;
+
+    const newTodo = {
+      id: Date.now(),
+      text: todoText.trim(),
+      category: 'General',
+      priority: 'Medium',
+      status: 'Not Started',
+      dueDate: '',
+      completed: false,
+      roles: [activeRole],
+      createdAt: new Date().toISOString()
+    };
+
+    setData({
+      ...data,
+      todos: [...data.todos, newTodo]
+    });
+
+    setTodoText('');
+  };
+
+  const toggleComplete = (id) => {
+    const todo = data.todos.find(t => t.id === id);
+    setData(updateRecord(data, 'todos', id, {
+      completed: !todo.completed,
+      status: !todo.completed ? 'Completed' : 'Not Started'
+    }));
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Move this task to the trash?')) {
+      setData(moveToTrash(data, 'todos', id), { toast: 'Task moved to trash' });
+    }
+  };
+
+  const todos = filterByRole(data.todos, activeRole, scope);
+  const activeTodos = todos.filter(t => !t.completed);
+  const completedTodos = todos.filter(t => t.completed);
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-slate-200">To-Do List</h2>
+        <RoleScopeToggle scope={scope} onChange={setScope} />
+      </div>
+
+      <form onSubmit={handleSubmit} className="mb-6">
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={todoText}
+            onChange={(e) => setTodoText(e.target.value)}
+            placeholder="What needs to be done?"
+            className="flex-1 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+          />
+          <button
+            type="submit"
+            className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+          >
+            Add Task
+          </button>
+        </div>
+      </form>
+
+      <div className="space-y-6">
+        <div>
+          <h3 className="text-lg font-semibold text-slate-200 mb-3">Active</h3>
+          {activeTodos.length === 0 ? (
+            <p className="text-slate-400 text-sm">No active tasks</p>
+          ) : (
+            <div className="space-y-2">
+              {activeTodos.map(todo => (
+                <div key={todo.id} id={recordElementId('todos', todo.id)} className="flex items-center space-x-3 p-3 bg-slate-900/50 rounded-lg">
+                  <input
+                    type="checkbox"
+                    checked={false}
+                    onChange={() => toggleComplete(todo.id)}
+                    className="rounded"
+                  />
+                  <div className="flex-1">
+                    <p className="text-slate-100">{todo.text}</p>
+                    <RoleSharing collection="todos" record={todo} />
+                  </div>
+                  <button
+                    onClick={() => handleDelete(todo.id)}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {completedTodos.length > 0 && (
+          <div>
+            <h3 className="text-lg font-semibold text-slate-200 mb-3">Completed</h3>
+            <div className="space-y-2">
+              {completedTodos.map(todo => (
+                <div key={todo.id} id={recordElementId('todos', todo.id)} className="flex items-center space-x-3 p-3 bg-slate-900/30 rounded-lg opacity-75">
+                  <input
+                    type="checkbox"
+                    checked={true}
+                    onChange={() => toggleComplete(todo.id)}
+                    className="rounded"
+                  />
+                  <p className="flex-1 text-slate-300 line-through">{todo.text}</p>
+                  <button
+                    onClick={() => handleDelete(todo.id)}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
         )}
       </div>
     </div>
@@ -2862,526 +10400,984 @@ const EmployeesSection = () => {
 };
 
 // ============================================================================
-// GROUPS SECTION (CUSTOM ROLE)
+// MEETINGS SECTION (CUSTOM ROLE)
 // ============================================================================
 
-const GroupsSection = () => {
-  const { data, setData } = useApp();
-  const [groupName, setGroupName] = useState('');
-  const [selectedGroup, setSelectedGroup] = useState(null);
+const MeetingsSection = () => {
+  const { data, setData, activeRole } = useApp();
+  const [formData, setFormData] = useState({
+    title: '',
+    date: '',
+    time: '',
+    notes: ''
+  });
+  const [scope, setScope] = useState('role');
 
-  const handleCreateGroup = (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
-    if (!groupName.trim()) return;
+    if (!formData.title.trim() || !formData.date) return;
 
-    const newGroup = {
+    const newMeeting = {
       id: Date.now(),
-      name: groupName.trim(),
-      members: [],
+      title: formData.title,
+      date: formData.date,
+      time: formData.time,
+      attendees: '',
+      attendeeIds: [],
+      agenda: '',
+      preMeetingNotes: formData.notes,
+      postMeetingReflection: '',
+      actionItems: '',
+      notes: formData.notes,
+      roles: [activeRole],
       createdAt: new Date().toISOString()
     };
 
     setData({
       ...data,
-      employeeGroups: [...data.employeeGroups, newGroup]
+      meetings: [...data.meetings, newMeeting]
     });
 
-    setGroupName('');
+    setFormData({ title: '', date: '', time: '', notes: '' });
   };
 
-  const handleDeleteGroup = (id) => {
-    if (window.confirm('Delete this group?')) {
-      setData({
-        ...data,
-        employeeGroups: data.employeeGroups.filter(g => g.id !== id)
-      });
-      if (selectedGroup?.id === id) {
-        setSelectedGroup(null);
-      }
+  const handleDelete = (id) => {
+    if (window.confirm('Move this meeting to the trash?')) {
+      setData(moveToTrash(data, 'meetings', id), { toast: 'Meeting moved to trash' });
     }
   };
 
-  const toggleMember = (employeeId) => {
-    if (!selectedGroup) return;
-
-    const isMember = selectedGroup.members.includes(employeeId);
-    const newMembers = isMember
-      ? selectedGroup.members.filter(id => id !== employeeId)
-      : [...selectedGroup.members, employeeId];
-
-    const updatedGroup = { ...selectedGroup, members: newMembers };
-    setSelectedGroup(updatedGroup);
-
-    setData({
-      ...data,
-      employeeGroups: data.employeeGroups.map(g =>
-        g.id === selectedGroup.id ? updatedGroup : g
-      )
-    });
-  };
+  const sortedMeetings = [...filterByRole(data.meetings, activeRole, scope)].sort((a, b) =>
+    new Date(`${a.date}T${a.time || '00:00'}`) - new Date(`${b.date}T${b.time || '00:00'}`)
+  );
 
   return (
     <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-      <h2 className="text-xl font-semibold text-slate-200 mb-4">Groups</h2>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-slate-200">Meetings</h2>
+        <RoleScopeToggle scope={scope} onChange={setScope} />
+      </div>
 
-      <form onSubmit={handleCreateGroup} className="mb-6">
-        <div className="flex space-x-2">
-          <input
-            type="text"
-            value={groupName}
-            onChange={(e) => setGroupName(e.target.value)}
-            placeholder="New group name"
-            className="flex-1 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-          />
-          <button
-            type="submit"
-            className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
-          >
-            Create Group
-          </button>
+      <form onSubmit={handleSubmit} className="mb-6 space-y-4">
+        <div className="grid md:grid-cols-3 gap-4">
+          <div className="md:col-span-3">
+            <label className="block text-slate-300 mb-2">Title *</label>
+            <input
+              type="text"
+              value={formData.title}
+              onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+              required
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Date *</label>
+            <input
+              type="date"
+              value={formData.date}
+              onChange={(e) => setFormData({ ...formData, date: e.target.value })}
+              required
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Time</label>
+            <input
+              type="time"
+              value={formData.time}
+              onChange={(e) => setFormData({ ...formData, time: e.target.value })}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div className="md:col-span-3">
+            <label className="block text-slate-300 mb-2">Notes</label>
+            <textarea
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+              rows="3"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
         </div>
+        <button
+          type="submit"
+          className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+        >
+          Add Meeting
+        </button>
       </form>
 
-      <div className="grid md:grid-cols-2 gap-6">
-        <div>
-          <h3 className="text-lg font-semibold text-slate-200 mb-3">Groups</h3>
-          {data.employeeGroups.length === 0 ? (
-            <p className="text-slate-400 text-sm">No groups yet</p>
-          ) : (
-            <div className="space-y-2">
-              {data.employeeGroups.map(group => (
-                <button
-                  key={group.id}
-                  onClick={() => setSelectedGroup(group)}
-                  className={`w-full text-left p-3 rounded-lg transition-all ${
-                    selectedGroup?.id === group.id
-                      ? 'bg-amber-900/20 border border-amber-600'
-                      : 'bg-slate-900/50 hover:bg-slate-900/70'
-                  }`}
-                >
-                  <div className="flex justify-between items-center">
-                    <div>
-                      <p className="text-slate-100 font-semibold">{group.name}</p>
-                      <p className="text-slate-400 text-sm">{group.members.length} members</p>
-                    </div>
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleDeleteGroup(group.id);
-                      }}
-                      className="text-red-400 hover:text-red-300"
-                    >
-                      <Trash2 size={16} />
-                    </button>
+      <div className="space-y-3">
+        {sortedMeetings.length === 0 ? (
+          <p className="text-slate-400 text-center py-8">No meetings scheduled</p>
+        ) : (
+          sortedMeetings.map(meeting => {
+            const isPast = isPastMeeting(meeting);
+            return (
+              <div key={meeting.id} id={recordElementId('meetings', meeting.id)} className="bg-slate-900/50 p-4 rounded-lg">
+                <div className="flex justify-between items-start mb-2">
+                  <div>
+                    <h3 className="text-slate-100 font-semibold">{meeting.title}</h3>
+                    <p className="text-slate-400 text-sm">
+                      {formatDate(meeting.date)} {meeting.time && `at ${meeting.time}`}
+                    </p>
+                    <span className={`inline-block mt-1 text-xs px-2 py-1 rounded ${
+                      isPast ? 'bg-slate-700 text-slate-300' : 'bg-blue-900/30 text-blue-300'
+                    }`}>
+                      {isPast ? 'Past' : 'Upcoming'}
+                    </span>
                   </div>
-                </button>
-              ))}
-            </div>
-          )}
-        </div>
-
-        <div>
-          {selectedGroup ? (
-            <>
-              <h3 className="text-lg font-semibold text-slate-200 mb-3">
-                Members of {selectedGroup.name}
-              </h3>
-              {data.employees.length === 0 ? (
-                <p className="text-slate-400 text-sm">No team members available</p>
-              ) : (
-                <div className="space-y-2">
-                  {data.employees.map(emp => (
-                    <label key={emp.id} className="flex items-center space-x-3 p-3 bg-slate-900/50 rounded-lg cursor-pointer hover:bg-slate-900/70">
-                      <input
-                        type="checkbox"
-                        checked={selectedGroup.members.includes(emp.id)}
-                        onChange={() => toggleMember(emp.id)}
-                        className="rounded"
-                      />
-                      <div>
-                        <p className="text-slate-100">{emp.name}</p>
-                        {emp.position && <p className="text-slate-400 text-sm">{emp.position}</p>}
-                      </div>
-                    </label>
-                  ))}
+                  <button
+                    onClick={() => handleDelete(meeting.id)}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    <Trash2 size={16} />
+                  </button>
                 </div>
-              )}
-            </>
-          ) : (
-            <p className="text-slate-400 text-sm">Select a group to manage members</p>
-          )}
-        </div>
+                {meeting.notes && (
+                  <p className="text-slate-400 text-sm mt-2 whitespace-pre-wrap">{meeting.notes}</p>
+                )}
+                <RoleSharing collection="meetings" record={meeting} />
+              </div>
+            );
+          })
+        )}
       </div>
     </div>
   );
 };
 
 // ============================================================================
-// TODOS SECTION (CUSTOM ROLE)
+// CONTACTS SECTION (CUSTOM ROLE)
 // ============================================================================
 
-const TodosSection = () => {
-  const { data, setData } = useApp();
-  const [todoText, setTodoText] = useState('');
+const EMPTY_CONTACT = {
+  name: '',
+  organization: '',
+  email: '',
+  phone: '',
+  notes: ''
+};
+
+const ContactsSection = () => {
+  const { data, setData, activeRole } = useApp();
+  const [formData, setFormData] = useState(EMPTY_CONTACT);
+  const [editingId, setEditingId] = useState(null);
+  const [scope, setScope] = useState('role');
+  const contacts = filterByRole(data.contacts, activeRole, scope);
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_CONTACT);
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!todoText.trim()) return;
+    if (!formData.name.trim()) return;
 
-    const newTodo = {
-      id: Date.now(),
-      text: todoText.trim(),
-      category: 'General',
-      priority: 'Medium',
-      status: 'Not Started',
-      dueDate: '',
-      completed: false,
-      createdAt: new Date().toISOString()
-    };
+    const { people, personId } = linkRecordPerson(data, 'contacts', editingId, formData);
+    if (editingId) {
+      const previous = data.contacts.find(c => c.id === editingId);
+      const updated = updateRecord({ ...data, people }, 'contacts', editingId, { ...formData, personId });
+      setData(shareRecordPerson(updated, 'contacts', editingId, previous));
+    } else {
+      const newContact = {
+        id: Date.now(),
+        ...formData,
+        personId,
+        roles: [activeRole],
+        createdAt: new Date().toISOString()
+      };
 
-    setData({
-      ...data,
-      todos: [...data.todos, newTodo]
-    });
+      setData(shareRecordPerson({
+        ...data,
+        people,
+        contacts: [...data.contacts, newContact]
+      }, 'contacts', newContact.id, null));
+    }
 
-    setTodoText('');
+    resetForm();
   };
 
-  const toggleComplete = (id) => {
-    setData({
-      ...data,
-      todos: data.todos.map(todo =>
-        todo.id === id ? { ...todo, completed: !todo.completed, status: !todo.completed ? 'Completed' : 'Not Started' } : todo
-      )
-    });
+  const handleEdit = (contact) => {
+    setEditingId(contact.id);
+    setFormData(recordFormValues(contact, EMPTY_CONTACT));
   };
 
   const handleDelete = (id) => {
-    if (window.confirm('Delete this task?')) {
-      setData({
-        ...data,
-        todos: data.todos.filter(todo => todo.id !== id)
-      });
+    if (window.confirm('Move this contact to the trash?')) {
+      setData(moveToTrash(data, 'contacts', id), { toast: 'Contact moved to trash' });
     }
   };
 
-  const activeTodos = data.todos.filter(t => !t.completed);
-  const completedTodos = data.todos.filter(t => t.completed);
-
   return (
     <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-      <h2 className="text-xl font-semibold text-slate-200 mb-4">To-Do List</h2>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-slate-200">Contacts</h2>
+        <RoleScopeToggle scope={scope} onChange={setScope} />
+      </div>
 
-      <form onSubmit={handleSubmit} className="mb-6">
+      <form onSubmit={handleSubmit} className="mb-6 space-y-4">
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-slate-300 mb-2">Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              required
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Organization</label>
+            <input
+              type="text"
+              value={formData.organization}
+              onChange={(e) => setFormData({ ...formData, organization: e.target.value })}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Email</label>
+            <input
+              type="email"
+              value={formData.email}
+              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-slate-300 mb-2">Phone</label>
+            <input
+              type="tel"
+              value={formData.phone}
+              onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-slate-300 mb-2">Notes</label>
+            <textarea
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+              rows="2"
+              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+            />
+          </div>
+        </div>
         <div className="flex space-x-2">
-          <input
-            type="text"
-            value={todoText}
-            onChange={(e) => setTodoText(e.target.value)}
-            placeholder="What needs to be done?"
-            className="flex-1 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-          />
           <button
             type="submit"
             className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
           >
-            Add Task
+            {editingId ? 'Update Contact' : 'Add Contact'}
           </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
+            >
+              Cancel
+            </button>
+          )}
         </div>
       </form>
 
-      <div className="space-y-6">
-        <div>
-          <h3 className="text-lg font-semibold text-slate-200 mb-3">Active</h3>
-          {activeTodos.length === 0 ? (
-            <p className="text-slate-400 text-sm">No active tasks</p>
-          ) : (
-            <div className="space-y-2">
-              {activeTodos.map(todo => (
-                <div key={todo.id} className="flex items-center space-x-3 p-3 bg-slate-900/50 rounded-lg">
-                  <input
-                    type="checkbox"
-                    checked={false}
-                    onChange={() => toggleComplete(todo.id)}
-                    className="rounded"
-                  />
-                  <p className="flex-1 text-slate-100">{todo.text}</p>
+      <div className="grid md:grid-cols-2 gap-4">
+        {contacts.length === 0 ? (
+          <p className="text-slate-400 text-center py-8 md:col-span-2">No contacts yet</p>
+        ) : (
+          contacts.map(contact => (
+            <div key={contact.id} id={recordElementId('contacts', contact.id)} className="bg-slate-900/50 p-4 rounded-lg">
+              <div className="flex justify-between items-start mb-2">
+                <div>
+                  <h3 className="text-slate-100 font-semibold">
+                    <PersonLink personId={contact.personId}>{contact.name}</PersonLink>
+                  </h3>
+                  {contact.organization && (
+                    <p className="text-amber-300 text-sm">{contact.organization}</p>
+                  )}
+                </div>
+                <div className="flex space-x-2">
                   <button
-                    onClick={() => handleDelete(todo.id)}
+                    onClick={() => handleEdit(contact)}
+                    className="text-amber-400 hover:text-amber-300"
+                  >
+                    <Edit2 size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(contact.id)}
                     className="text-red-400 hover:text-red-300"
                   >
                     <Trash2 size={16} />
                   </button>
                 </div>
-              ))}
+              </div>
+              {contact.email && (
+                <p className="text-slate-400 text-sm">{contact.email}</p>
+              )}
+              {contact.phone && (
+                <p className="text-slate-400 text-sm">{contact.phone}</p>
+              )}
+              {contact.notes && (
+                <p className="text-slate-400 text-sm mt-2">{contact.notes}</p>
+              )}
+              <RoleSharing collection="contacts" record={contact} />
+              <EditHistory record={contact} />
             </div>
-          )}
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// CALENDAR
+// ============================================================================
+
+const CALENDAR_TYPES = [
+  { id: 'meetings', label: 'Meetings', color: '#3b82f6' },
+  { id: 'todos', label: 'Tasks', color: '#22c55e' },
+  { id: 'rehearsals', label: 'Rehearsals', color: '#a855f7' },
+  { id: 'productions', label: 'Productions', color: '#f43f5e' },
+  { id: 'projects', label: 'Projects', color: '#0ea5e9' },
+  { id: 'milestones', label: 'Milestones', color: '#f97316' }
+];
+
+const BUILT_IN_ROLE_COLORS = { ED: '#f59e0b', Play: '#a855f7', Project: '#0ea5e9' };
+const CUSTOM_ROLE_COLORS = ['#14b8a6', '#ec4899', '#84cc16', '#eab308', '#6366f1'];
+
+const getRoleColor = (data, roleId) => BUILT_IN_ROLE_COLORS[roleId]
+  || CUSTOM_ROLE_COLORS[Math.max(0, data.customRoles.findIndex(role => role.id === roleId)) % CUSTOM_ROLE_COLORS.length];
+
+const getCalendarType = (id) => CALENDAR_TYPES.find(type => type.id === id);
+
+const CALENDAR_VIEWS = ['month', 'week', 'day'];
+
+// Every dated thing in the workspace as { key, type, role, collection,
+// record, date, time, title }. A scheduled rehearsal that already has a
+// report shows as the report.
+const getCalendarItems = (data) => {
+  const items = [];
+  const add = (type, role, collection, record, date, time, title) => {
+    if (date) items.push({ key: `${collection}-${record.id}-${title}`, type, role, collection, record, date, time: time || '', title });
+  };
+
+  data.meetings.forEach(m => add('meetings', (m.roles || ['ED'])[0], 'meetings', m, m.date, m.time, m.title));
+  data.todos.forEach(t => add('todos', (t.roles || ['ED'])[0], 'todos', t, t.dueDate, '', t.text));
+  data.rehearsalReports.forEach(r => add('rehearsals', 'Play', 'rehearsalReports', r, r.date, r.startTime, `Rehearsal report: ${getProductionTitle(data, r) || 'Production'}`));
+  data.rehearsalSchedule
+    .filter(r => !data.rehearsalReports.some(report => report.scheduleId === r.id))
+    .forEach(r => add('rehearsals', 'Play', 'rehearsalSchedule', r, r.date, r.startTime,
+      `${r.type === 'Performance' ? 'Performance' : 'Rehearsal'}: ${getProductionTitle(data, r) || 'Production'}`));
+  data.productions.forEach(p => {
+    add('productions', 'Play', 'productions', p, p.openingDate, '', `Opening: ${p.title}`);
+    add('productions', 'Play', 'productions', p, p.closingDate, '', `Closing: ${p.title}`);
+  });
+  data.projectEvents.forEach(p => {
+    if (p.startDate && p.startDate === p.endDate) {
+      add('projects', 'Project', 'projectEvents', p, p.startDate, '', p.title);
+      return;
+    }
+    add('projects', 'Project', 'projectEvents', p, p.startDate, '', `${p.title} starts`);
+    add('projects', 'Project', 'projectEvents', p, p.endDate, '', `${p.title} ends`);
+  });
+  data.milestones.forEach(m => add('milestones', 'Project', 'milestones', m, m.dueDate, '', m.title));
+
+  return items.sort((a, b) => a.date.localeCompare(b.date) || (a.time || '99').localeCompare(b.time || '99'));
+};
+
+// The dates a view shows: six whole weeks around a month, one week from
+// Sunday, or a single day
+const getCalendarDates = (view, date) => {
+  if (view === 'day') return [date];
+  const first = view === 'month' ? `${date.slice(0, 7)}-01` : date;
+  const start = addDays(first, -weekdayOf(first));
+  return Array.from({ length: view === 'month' ? 42 : 7 }, (_, i) => addDays(start, i));
+};
+
+const shiftCalendarDate = (view, date, direction) => {
+  if (view === 'month') return addMonths(date, direction);
+  return addDays(date, direction * (view === 'week' ? 7 : 1));
+};
+
+const calendarHeading = (view, date) => {
+  const start = new Date(`${date}T00:00`);
+  if (view === 'month') return start.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  if (view === 'day') return start.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  const dates = getCalendarDates('week', date);
+  const format = (d) => new Date(`${d}T00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return `${format(dates[0])} – ${format(dates[6])}, ${dates[6].slice(0, 4)}`;
+};
+
+const CalendarItem = ({ item, compact }) => {
+  const { data, openRecord } = useApp();
+  const type = getCalendarType(item.type);
+  const done = item.collection === 'todos' && item.record.completed;
+  return (
+    <button
+      onClick={(e) => {
+        e.stopPropagation();
+        openRecord(item.collection, item.record);
+      }}
+      title={`${type.label} · ${getRoleName(data, item.role) || item.role}`}
+      className={`block w-full text-left rounded px-1.5 py-0.5 text-xs text-slate-100 hover:brightness-125 ${compact ? 'truncate' : ''} ${done ? 'line-through opacity-60' : ''}`}
+      style={{ backgroundColor: `${type.color}33`, borderLeft: `3px solid ${getRoleColor(data, item.role)}` }}
+    >
+      {item.time && <span className="text-slate-300 mr-1">{item.time}</span>}
+      {item.title}
+    </button>
+  );
+};
+
+// Adds a meeting or task on a chosen day. It goes to the active custom
+// role, or to the Executive Director, who owns meetings and tasks otherwise.
+const CalendarQuickCreate = ({ date, onClose }) => {
+  const { data, setData, activeRole } = useApp();
+  const [kind, setKind] = useState('meetings');
+  const [title, setTitle] = useState('');
+  const [time, setTime] = useState('');
+  const role = BUILT_IN_ROLES.some(r => r.id === activeRole) ? 'ED' : activeRole;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+
+    if (kind === 'meetings') {
+      const newMeeting = {
+        id: Date.now(),
+        title: title.trim(),
+        date,
+        time,
+        attendees: '',
+        attendeeIds: [],
+        agenda: '',
+        preMeetingNotes: '',
+        postMeetingReflection: '',
+        actionItems: '',
+        notes: '',
+        roles: [role],
+        createdAt: new Date().toISOString()
+      };
+      setData({ ...data, meetings: [...data.meetings, newMeeting] });
+    } else {
+      const newTodo = {
+        id: Date.now(),
+        text: title.trim(),
+        category: 'General',
+        priority: 'Medium',
+        status: 'Not Started',
+        dueDate: date,
+        assigneeId: null,
+        completed: false,
+        roles: [role],
+        createdAt: new Date().toISOString()
+      };
+      setData({ ...data, todos: [...data.todos, newTodo] });
+    }
+
+    onClose();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-slate-900/80 p-4 rounded-lg border border-amber-700/50 flex flex-wrap items-center gap-2">
+      <span className="text-amber-300 font-semibold mr-2">{formatDate(`${date}T00:00`)}</span>
+      <select
+        value={kind}
+        onChange={(e) => setKind(e.target.value)}
+        className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+      >
+        <option value="meetings">Meeting</option>
+        <option value="todos">Task</option>
+      </select>
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder={kind === 'meetings' ? 'Meeting title *' : 'Task *'}
+        autoFocus
+        required
+        className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+      />
+      {kind === 'meetings' && (
+        <input
+          type="time"
+          value={time}
+          onChange={(e) => setTime(e.target.value)}
+          className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+        />
+      )}
+      <button
+        type="submit"
+        className="bg-amber-600 text-slate-900 px-4 py-2 rounded-lg hover:bg-amber-500 font-semibold transition-all"
+      >
+        Add
+      </button>
+      <button
+        type="button"
+        onClick={onClose}
+        className="bg-slate-700 text-slate-300 px-4 py-2 rounded-lg hover:bg-slate-600 transition-all"
+      >
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+// Items shown per day in the month grid before "+N more"
+const MONTH_CELL_ITEMS = 3;
+
+// #/calendar/<month|week|day>/<date>
+const CalendarView = () => {
+  const { data, route, navigate } = useApp();
+  const view = CALENDAR_VIEWS.includes(route[1]) ? route[1] : 'month';
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(route[2] || '') ? route[2] : todayStamp();
+  const [hiddenTypes, setHiddenTypes] = useState([]);
+  const [createDate, setCreateDate] = useState(null);
+
+  const today = todayStamp();
+  const dates = getCalendarDates(view, date);
+  const items = getCalendarItems(data).filter(item =>
+    !hiddenTypes.includes(item.type) && item.date >= dates[0] && item.date <= dates[dates.length - 1]
+  );
+  const itemsOn = (day) => items.filter(item => item.date === day);
+  const roles = [...new Set(getCalendarItems(data).map(item => item.role))];
+
+  const toggleType = (id) => {
+    setHiddenTypes(hiddenTypes.includes(id) ? hiddenTypes.filter(t => t !== id) : [...hiddenTypes, id]);
+  };
+
+  const dayLabel = (day) => (
+    <button
+      onClick={(e) => {
+        e.stopPropagation();
+        navigate('calendar', 'day', day);
+      }}
+      className={`text-sm font-semibold w-7 h-7 rounded-full ${
+        day === today ? 'bg-amber-600 text-slate-900' : day.slice(0, 7) === date.slice(0, 7) || view !== 'month' ? 'text-slate-200 hover:bg-slate-700' : 'text-slate-600 hover:bg-slate-800'
+      }`}
+    >
+      {Number(day.slice(8))}
+    </button>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 space-y-4">
+        <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+          <div className="flex items-center space-x-3">
+            <Calendar className="text-amber-400" size={28} />
+            <h1 className="text-2xl font-serif text-amber-300">{calendarHeading(view, date)}</h1>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => navigate('calendar', view, shiftCalendarDate(view, date, -1))}
+              className="bg-slate-800 text-slate-300 px-3 py-2 rounded-lg hover:bg-slate-700"
+              aria-label="Previous"
+            >
+              ←
+            </button>
+            <button
+              onClick={() => navigate('calendar', view, today)}
+              className="bg-slate-800 text-slate-300 px-3 py-2 rounded-lg hover:bg-slate-700"
+            >
+              Today
+            </button>
+            <button
+              onClick={() => navigate('calendar', view, shiftCalendarDate(view, date, 1))}
+              className="bg-slate-800 text-slate-300 px-3 py-2 rounded-lg hover:bg-slate-700"
+              aria-label="Next"
+            >
+              →
+            </button>
+            {CALENDAR_VIEWS.map(v => (
+              <button
+                key={v}
+                onClick={() => navigate('calendar', v, date)}
+                className={`px-3 py-2 rounded-lg capitalize transition-all ${
+                  view === v ? 'bg-amber-600 text-slate-900 font-semibold' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+                }`}
+              >
+                {v}
+              </button>
+            ))}
+          </div>
         </div>
 
-        {completedTodos.length > 0 && (
-          <div>
-            <h3 className="text-lg font-semibold text-slate-200 mb-3">Completed</h3>
-            <div className="space-y-2">
-              {completedTodos.map(todo => (
-                <div key={todo.id} className="flex items-center space-x-3 p-3 bg-slate-900/30 rounded-lg opacity-75">
-                  <input
-                    type="checkbox"
-                    checked={true}
-                    onChange={() => toggleComplete(todo.id)}
-                    className="rounded"
-                  />
-                  <p className="flex-1 text-slate-300 line-through">{todo.text}</p>
-                  <button
-                    onClick={() => handleDelete(todo.id)}
-                    className="text-red-400 hover:text-red-300"
-                  >
-                    <Trash2 size={16} />
-                  </button>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          {CALENDAR_TYPES.map(type => (
+            <button
+              key={type.id}
+              onClick={() => toggleType(type.id)}
+              className={`px-2 py-1 rounded text-slate-100 transition-opacity ${hiddenTypes.includes(type.id) ? 'opacity-30' : ''}`}
+              style={{ backgroundColor: `${type.color}33` }}
+            >
+              {type.label}
+            </button>
+          ))}
+          <span className="text-slate-500 ml-2">Role:</span>
+          {roles.map(roleId => (
+            <span key={roleId} className="text-slate-300 pl-1.5" style={{ borderLeft: `3px solid ${getRoleColor(data, roleId)}` }}>
+              {getRoleName(data, roleId) || roleId}
+            </span>
+          ))}
+        </div>
+        <p className="text-slate-500 text-sm">Click a day to add a meeting or task there.</p>
+
+        {createDate && <CalendarQuickCreate key={createDate} date={createDate} onClose={() => setCreateDate(null)} />}
+      </div>
+
+      {view === 'month' && (
+        <div className="bg-slate-800/50 backdrop-blur rounded-xl border border-amber-900/20 overflow-hidden">
+          <div className="grid grid-cols-7 text-center text-xs text-slate-400 border-b border-slate-700">
+            {WEEKDAYS.map(day => <div key={day} className="py-2">{day.slice(0, 3)}</div>)}
+          </div>
+          <div className="grid grid-cols-7">
+            {dates.map(day => {
+              const dayItems = itemsOn(day);
+              return (
+                <div
+                  key={day}
+                  onClick={() => setCreateDate(day)}
+                  className={`min-h-[6.5rem] p-1 border-b border-r border-slate-800 cursor-pointer hover:bg-slate-800/60 space-y-0.5 ${
+                    createDate === day ? 'bg-amber-900/20' : ''
+                  }`}
+                >
+                  {dayLabel(day)}
+                  {dayItems.slice(0, MONTH_CELL_ITEMS).map(item => <CalendarItem key={item.key} item={item} compact />)}
+                  {dayItems.length > MONTH_CELL_ITEMS && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        navigate('calendar', 'day', day);
+                      }}
+                      className="text-xs text-amber-300 hover:text-amber-200 px-1"
+                    >
+                      +{dayItems.length - MONTH_CELL_ITEMS} more
+                    </button>
+                  )}
                 </div>
-              ))}
-            </div>
+              );
+            })}
           </div>
-        )}
-      </div>
+        </div>
+      )}
+
+      {view === 'week' && (
+        <div className="grid md:grid-cols-7 gap-2">
+          {dates.map(day => (
+            <div
+              key={day}
+              onClick={() => setCreateDate(day)}
+              className={`bg-slate-800/50 rounded-lg border p-2 min-h-[12rem] cursor-pointer hover:bg-slate-800 space-y-1 ${
+                createDate === day ? 'border-amber-600' : 'border-amber-900/20'
+              }`}
+            >
+              <div className="flex items-center space-x-2 mb-1">
+                <span className="text-xs text-slate-400">{WEEKDAYS[weekdayOf(day)].slice(0, 3)}</span>
+                {dayLabel(day)}
+              </div>
+              {itemsOn(day).map(item => <CalendarItem key={item.key} item={item} />)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {view === 'day' && (
+        <div
+          onClick={() => setCreateDate(date)}
+          className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20 space-y-2 cursor-pointer min-h-[12rem]"
+        >
+          {itemsOn(date).length === 0 ? (
+            <p className="text-slate-400 text-center py-8">Nothing on this day</p>
+          ) : (
+            itemsOn(date).map(item => (
+              <div key={item.key} className="text-base">
+                <CalendarItem item={item} />
+              </div>
+            ))
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
 // ============================================================================
-// MEETINGS SECTION (CUSTOM ROLE)
+// PEOPLE DIRECTORY
 // ============================================================================
 
-const MeetingsSection = () => {
-  const { data, setData } = useApp();
-  const [formData, setFormData] = useState({
-    title: '',
-    date: '',
-    time: '',
-    notes: ''
-  });
-
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!formData.title.trim() || !formData.date) return;
+// A person's name that opens their page, or plain text if they have none
+const PersonLink = ({ personId, children }) => {
+  const { data, navigate } = useApp();
+  const person = personId ? getPerson(data, personId) : null;
+  if (!person) return <span>{children}</span>;
 
-    const newMeeting = {
-      id: Date.now(),
-      title: formData.title,
-      date: formData.date,
-      time: formData.time,
-      attendees: '',
-      agenda: '',
-      preMeetingNotes: formData.notes,
-      postMeetingReflection: '',
-      actionItems: '',
-      notes: formData.notes,
-      createdAt: new Date().toISOString()
-    };
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation();
+        navigate('people', person.id);
+      }}
+      className="hover:text-amber-300 hover:underline transition-colors"
+    >
+      {children || person.name}
+    </button>
+  );
+};
 
-    setData({
-      ...data,
-      meetings: [...data.meetings, newMeeting]
-    });
+// Linked people as person links, followed by any names typed in that matched nobody
+const PeopleList = ({ personIds, others }) => {
+  const { data } = useApp();
+  const people = (personIds || []).map(id => getPerson(data, id)).filter(Boolean);
 
-    setFormData({ title: '', date: '', time: '', notes: '' });
-  };
+  return (
+    <span>
+      {people.map((person, index) => (
+        <React.Fragment key={person.id}>
+          {index > 0 && ', '}
+          <PersonLink personId={person.id} />
+        </React.Fragment>
+      ))}
+      {others && `${people.length > 0 ? ', ' : ''}${others}`}
+    </span>
+  );
+};
 
-  const handleDelete = (id) => {
-    if (window.confirm('Delete this meeting?')) {
-      setData({
-        ...data,
-        meetings: data.meetings.filter(m => m.id !== id)
-      });
+const PERSON_LINK_SECTIONS = [
+  {
+    key: 'employees',
+    title: 'Team',
+    describe: (data, e) => [e.position || 'Team member', e.department].filter(Boolean).join(' · ')
+  },
+  {
+    key: 'groups',
+    collection: 'employeeGroups',
+    title: 'Groups',
+    describe: (data, g) => g.name
+  },
+  {
+    key: 'contacts',
+    title: 'Contacts',
+    describe: (data, c) => [c.role, c.organization].filter(Boolean).join(' · ') || c.name
+  },
+  {
+    key: 'castCrew',
+    title: 'Productions',
+    describe: (data, m) => {
+      const production = data.productions.find(p => p.id === m.productionId);
+      return `${production ? production.title : 'Production'} – ${m.role || m.type}`;
     }
-  };
+  },
+  {
+    key: 'meetings',
+    title: 'Meetings',
+    describe: (data, m) => `${m.title} – ${formatDate(m.date)}`
+  },
+  {
+    key: 'todos',
+    title: 'To-Dos',
+    describe: (data, t) => `${t.text}${t.completed ? ' (done)' : ''}`
+  },
+  {
+    key: 'milestones',
+    title: 'Milestones',
+    describe: (data, m) => `${m.title}${m.dueDate ? ` – due ${formatDate(`${m.dueDate}T00:00`)}` : ''} (${m.status})`
+  },
+  {
+    key: 'rehearsalReports',
+    title: 'Rehearsals Attended',
+    describe: (data, r) => getRecordTitle('rehearsalReports', r)
+  },
+  {
+    key: 'incidents',
+    title: 'Safety Incidents',
+    describe: (data, i) => `${getRecordTitle('incidents', i)}${i.resolved ? ' (resolved)' : ''}`
+  }
+];
 
-  const sortedMeetings = [...data.meetings].sort((a, b) =>
-    new Date(`${a.date}T${a.time || '00:00'}`) - new Date(`${b.date}T${b.time || '00:00'}`)
-  );
+const PersonDetail = ({ person, onEdit, onDelete }) => {
+  const { data, navigate, openRecord } = useApp();
+  const links = getPersonLinks(data, person.id);
 
   return (
-    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-      <h2 className="text-xl font-semibold text-slate-200 mb-4">Meetings</h2>
-
-      <form onSubmit={handleSubmit} className="mb-6 space-y-4">
-        <div className="grid md:grid-cols-3 gap-4">
-          <div className="md:col-span-3">
-            <label className="block text-slate-300 mb-2">Title *</label>
-            <input
-              type="text"
-              value={formData.title}
-              onChange={(e) => setFormData({ ...formData, title: e.target.value })}
-              required
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Date *</label>
-            <input
-              type="date"
-              value={formData.date}
-              onChange={(e) => setFormData({ ...formData, date: e.target.value })}
-              required
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
+    <div className="space-y-6">
+      <button
+        onClick={() => navigate('people')}
+        className="text-amber-300 hover:text-amber-200 transition-colors"
+      >
+        ← All people
+      </button>
+
+      <div id={recordElementId('people', person.id)} className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <div className="flex justify-between items-start">
           <div>
-            <label className="block text-slate-300 mb-2">Time</label>
-            <input
-              type="time"
-              value={formData.time}
-              onChange={(e) => setFormData({ ...formData, time: e.target.value })}
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
+            <h2 className="text-2xl font-semibold text-slate-100">{person.name}</h2>
+            {person.organization && <p className="text-amber-300">{person.organization}</p>}
+            {person.email && <p className="text-slate-400 text-sm">{person.email}</p>}
+            {person.phone && <p className="text-slate-400 text-sm">{person.phone}</p>}
           </div>
-          <div className="md:col-span-3">
-            <label className="block text-slate-300 mb-2">Notes</label>
-            <textarea
-              value={formData.notes}
-              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
-              rows="3"
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
+          <div className="flex space-x-2">
+            <button
+              onClick={() => onEdit(person)}
+              className="text-amber-400 hover:text-amber-300"
+            >
+              <Edit2 size={18} />
+            </button>
+            <button
+              onClick={() => onDelete(person.id)}
+              className="text-red-400 hover:text-red-300"
+            >
+              <Trash2 size={18} />
+            </button>
           </div>
         </div>
-        <button
-          type="submit"
-          className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
-        >
-          Add Meeting
-        </button>
-      </form>
+        {person.notes && (
+          <p className="text-slate-300 mt-4 pt-4 border-t border-slate-700 whitespace-pre-wrap">{person.notes}</p>
+        )}
+        <EditHistory record={person} />
+      </div>
 
-      <div className="space-y-3">
-        {sortedMeetings.length === 0 ? (
-          <p className="text-slate-400 text-center py-8">No meetings scheduled</p>
-        ) : (
-          sortedMeetings.map(meeting => {
-            const isPast = isPastMeeting(meeting);
-            return (
-              <div key={meeting.id} className="bg-slate-900/50 p-4 rounded-lg">
-                <div className="flex justify-between items-start mb-2">
-                  <div>
-                    <h3 className="text-slate-100 font-semibold">{meeting.title}</h3>
-                    <p className="text-slate-400 text-sm">
-                      {formatDate(meeting.date)} {meeting.time && `at ${meeting.time}`}
-                    </p>
-                    <span className={`inline-block mt-1 text-xs px-2 py-1 rounded ${
-                      isPast ? 'bg-slate-700 text-slate-300' : 'bg-blue-900/30 text-blue-300'
-                    }`}>
-                      {isPast ? 'Past' : 'Upcoming'}
-                    </span>
-                  </div>
-                  <button
-                    onClick={() => handleDelete(meeting.id)}
-                    className="text-red-400 hover:text-red-300"
-                  >
-                    <Trash2 size={16} />
-                  </button>
-                </div>
-                {meeting.notes && (
-                  <p className="text-slate-400 text-sm mt-2 whitespace-pre-wrap">{meeting.notes}</p>
-                )}
+      <div className="grid md:grid-cols-2 gap-6">
+        {PERSON_LINK_SECTIONS.map(section => (
+          <div key={section.key} className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+            <h3 className="text-lg font-semibold text-slate-200 mb-3">
+              {section.title} <span className="text-slate-500 text-sm">({links[section.key].length})</span>
+            </h3>
+            {links[section.key].length === 0 ? (
+              <p className="text-slate-500 text-sm">Nothing linked</p>
+            ) : (
+              <div className="space-y-2">
+                {links[section.key].map(record => {
+                  const collection = section.collection || section.key;
+                  const reachable = Boolean(getRecordLocation(data, collection, record));
+                  return (
+                    <button
+                      key={record.id}
+                      onClick={() => openRecord(collection, record)}
+                      disabled={!reachable}
+                      className="w-full text-left p-3 bg-slate-900/50 rounded-lg text-slate-200 text-sm hover:bg-slate-900/70 disabled:hover:bg-slate-900/50 disabled:cursor-default transition-colors"
+                    >
+                      {section.describe(data, record)}
+                    </button>
+                  );
+                })}
               </div>
-            );
-          })
-        )}
+            )}
+          </div>
+        ))}
       </div>
     </div>
   );
 };
 
-// ============================================================================
-// CONTACTS SECTION (CUSTOM ROLE)
-// ============================================================================
+const PeopleDirectory = () => {
+  const { data, setData, route, navigate } = useApp();
+  const [formData, setFormData] = useState(EMPTY_PERSON);
+  const [editingId, setEditingId] = useState(null);
+  const [filter, setFilter] = useState('');
+  // The open person is part of the route: #/people/<id>
+  const selectedPerson = data.people.find(p => String(p.id) === route[1]) || null;
 
-const ContactsSection = () => {
-  const { data, setData } = useApp();
-  const [formData, setFormData] = useState({
-    name: '',
-    organization: '',
-    email: '',
-    phone: '',
-    notes: ''
-  });
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_PERSON);
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!formData.name.trim()) return;
 
-    const newContact = {
-      id: Date.now(),
-      ...formData,
-      createdAt: new Date().toISOString()
-    };
+    if (editingId) {
+      setData(propagatePerson(updateRecord(data, 'people', editingId, formData), editingId));
+    } else {
+      const newPerson = {
+        id: nextRecordId(data.people),
+        ...formData,
+        createdAt: new Date().toISOString()
+      };
 
-    setData({
-      ...data,
-      contacts: [...data.contacts, newContact]
-    });
+      setData({
+        ...data,
+        people: [...data.people, newPerson]
+      });
+    }
 
-    setFormData({
-      name: '',
-      organization: '',
-      email: '',
-      phone: '',
-      notes: ''
-    });
+    resetForm();
+  };
+
+  const handleEdit = (person) => {
+    setEditingId(person.id);
+    setFormData(recordFormValues(person, EMPTY_PERSON));
+    navigate('people');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
   const handleDelete = (id) => {
-    if (window.confirm('Delete this contact?')) {
-      setData({
-        ...data,
-        contacts: data.contacts.filter(c => c.id !== id)
-      });
+    if (window.confirm('Move this person to the trash? Records that mention them are kept.')) {
+      setData(moveToTrash(data, 'people', id), { toast: 'Person moved to trash' });
+      navigate('people');
     }
   };
 
-  return (
-    <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-      <h2 className="text-xl font-semibold text-slate-200 mb-4">Contacts</h2>
+  if (selectedPerson) {
+    return <PersonDetail person={selectedPerson} onEdit={handleEdit} onDelete={handleDelete} />;
+  }
 
-      <form onSubmit={handleSubmit} className="mb-6 space-y-4">
-        <div className="grid md:grid-cols-2 gap-4">
-          <div>
-            <label className="block text-slate-300 mb-2">Name *</label>
-            <input
-              type="text"
-              value={formData.name}
-              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-              required
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Organization</label>
-            <input
-              type="text"
-              value={formData.organization}
-              onChange={(e) => setFormData({ ...formData, organization: e.target.value })}
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
-          <div>
-            <label className="block text-slate-300 mb-2">Email</label>
-            <input
-              type="email"
-              value={formData.email}
-              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
+  const query = normaliseName(filter);
+  const people = data.people
+    .filter(p => !query || normaliseName([p.name, p.organization, p.email].join(' ')).includes(query))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <h2 className="text-xl font-semibold text-slate-200 mb-4">{editingId ? 'Edit Person' : 'Add Person'}</h2>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-slate-300 mb-2">Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                required
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Organization</label>
+              <input
+                type="text"
+                value={formData.organization}
+                onChange={(e) => setFormData({ ...formData, organization: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Email</label>
+              <input
+                type="email"
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
+            <div>
+              <label className="block text-slate-300 mb-2">Phone</label>
+              <input
+                type="tel"
+                value={formData.phone}
+                onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
+              />
+            </div>
           </div>
           <div>
-            <label className="block text-slate-300 mb-2">Phone</label>
-            <input
-              type="tel"
-              value={formData.phone}
-              onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
-              className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
-            />
-          </div>
-          <div className="md:col-span-2">
             <label className="block text-slate-300 mb-2">Notes</label>
             <textarea
               value={formData.notes}
@@ -3390,46 +11386,65 @@ const ContactsSection = () => {
               className="w-full bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 focus:border-amber-500 focus:outline-none"
             />
           </div>
-        </div>
-        <button
-          type="submit"
-          className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
-        >
-          Add Contact
-        </button>
-      </form>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+            >
+              {editingId ? 'Update Person' : 'Add Person'}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
 
-      <div className="grid md:grid-cols-2 gap-4">
-        {data.contacts.length === 0 ? (
-          <p className="text-slate-400 text-center py-8 md:col-span-2">No contacts yet</p>
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3 mb-4">
+          <h2 className="text-xl font-semibold text-slate-200">People</h2>
+          <input
+            type="text"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter by name, organization or email"
+            className="bg-slate-900 border border-slate-700 rounded px-3 py-2 text-slate-100 text-sm focus:border-amber-500 focus:outline-none md:w-72"
+          />
+        </div>
+        {people.length === 0 ? (
+          <p className="text-slate-400 text-center py-8">
+            {data.people.length === 0 ? 'No people yet. Team members, contacts and cast/crew appear here automatically.' : 'Nobody matches that filter'}
+          </p>
         ) : (
-          data.contacts.map(contact => (
-            <div key={contact.id} className="bg-slate-900/50 p-4 rounded-lg">
-              <div className="flex justify-between items-start mb-2">
-                <div>
-                  <h3 className="text-slate-100 font-semibold">{contact.name}</h3>
-                  {contact.organization && (
-                    <p className="text-amber-300 text-sm">{contact.organization}</p>
-                  )}
-                </div>
+          <div className="space-y-2">
+            {people.map(person => {
+              const links = getPersonLinks(data, person.id);
+              const summary = PERSON_LINK_SECTIONS
+                .filter(section => links[section.key].length > 0)
+                .map(section => `${links[section.key].length} ${section.title.toLowerCase()}`)
+                .join(' · ');
+              return (
                 <button
-                  onClick={() => handleDelete(contact.id)}
-                  className="text-red-400 hover:text-red-300"
+                  key={person.id}
+                  id={recordElementId('people', person.id)}
+                  onClick={() => navigate('people', person.id)}
+                  className="w-full text-left p-4 bg-slate-900/50 rounded-lg hover:bg-slate-900/70 transition-colors"
                 >
-                  <Trash2 size={16} />
+                  <p className="text-slate-100 font-semibold">{person.name}</p>
+                  {(person.organization || person.email) && (
+                    <p className="text-slate-400 text-sm">{[person.organization, person.email].filter(Boolean).join(' · ')}</p>
+                  )}
+                  {summary && <p className="text-slate-500 text-xs mt-1">{summary}</p>}
                 </button>
-              </div>
-              {contact.email && (
-                <p className="text-slate-400 text-sm">{contact.email}</p>
-              )}
-              {contact.phone && (
-                <p className="text-slate-400 text-sm">{contact.phone}</p>
-              )}
-              {contact.notes && (
-                <p className="text-slate-400 text-sm mt-2">{contact.notes}</p>
-              )}
-            </div>
-          ))
+              );
+            })}
+          </div>
         )}
       </div>
     </div>
@@ -3440,27 +11455,57 @@ const ContactsSection = () => {
 // JOURNAL
 // ============================================================================
 
+const EMPTY_JOURNAL_ENTRY = {
+  title: '',
+  content: '',
+  ei_rating: 3,
+  psych_safety_rating: 3,
+  mood_rating: 3
+};
+
 const Journal = () => {
-  const { data, setData } = useApp();
+  const { data, setData, activeRole } = useApp();
   const [showForm, setShowForm] = useState(false);
-  const [formData, setFormData] = useState({
-    title: '',
-    content: '',
-    ei_rating: 3,
-    psych_safety_rating: 3,
-    mood_rating: 3
-  });
+  const [formData, setFormData] = useState(EMPTY_JOURNAL_ENTRY);
+  const [editingId, setEditingId] = useState(null);
+
+  const closeForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_JOURNAL_ENTRY);
+    setShowForm(false);
+  };
+
+  // The entry's ratings were also logged as a metric with the same date;
+  // keep that metric in step so the dashboard charts follow the edit
+  const handleUpdate = () => {
+    const entry = data.journalEntries.find(e => e.id === editingId);
+    const ratings = {
+      ei_rating: formData.ei_rating,
+      psych_safety_rating: formData.psych_safety_rating,
+      mood_rating: formData.mood_rating
+    };
+    const updated = updateRecord(data, 'journalEntries', editingId, formData);
+    setData({
+      ...updated,
+      metrics: data.metrics.map(metric => (metric.date === entry.date ? { ...metric, ...ratings } : metric))
+    });
+    closeForm();
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!formData.content.trim()) return;
+    if (editingId) {
+      handleUpdate();
+      return;
+    }
 
     const now = new Date().toISOString();
     const newEntry = {
       id: Date.now(),
       ...formData,
       date: now,
-      role: data.activeRole,
+      role: activeRole,
       createdAt: now
     };
 
@@ -3470,7 +11515,7 @@ const Journal = () => {
       ei_rating: formData.ei_rating,
       psych_safety_rating: formData.psych_safety_rating,
       mood_rating: formData.mood_rating,
-      role: data.activeRole
+      role: activeRole
     };
 
     setData({
@@ -3479,22 +11524,19 @@ const Journal = () => {
       metrics: [...data.metrics, newMetric]
     });
 
-    setFormData({
-      title: '',
-      content: '',
-      ei_rating: 3,
-      psych_safety_rating: 3,
-      mood_rating: 3
-    });
-    setShowForm(false);
+    closeForm();
+  };
+
+  const handleEdit = (entry) => {
+    setEditingId(entry.id);
+    setFormData(recordFormValues(entry, EMPTY_JOURNAL_ENTRY));
+    setShowForm(true);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
   const handleDelete = (id) => {
-    if (window.confirm('Delete this journal entry?')) {
-      setData({
-        ...data,
-        journalEntries: data.journalEntries.filter(entry => entry.id !== id)
-      });
+    if (window.confirm('Move this journal entry to the trash?')) {
+      setData(moveToTrash(data, 'journalEntries', id), { toast: 'Journal entry moved to trash' });
     }
   };
 
@@ -3511,7 +11553,7 @@ const Journal = () => {
             <p className="text-slate-400">Reflect on your leadership journey and track your growth</p>
           </div>
           <button
-            onClick={() => setShowForm(!showForm)}
+            onClick={() => (showForm ? closeForm() : setShowForm(true))}
             className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
           >
             {showForm ? 'Cancel' : 'New Entry'}
@@ -3521,7 +11563,7 @@ const Journal = () => {
 
       {showForm && (
         <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-          <h2 className="text-xl font-semibold text-slate-200 mb-4">New Journal Entry</h2>
+          <h2 className="text-xl font-semibold text-slate-200 mb-4">{editingId ? 'Edit Journal Entry' : 'New Journal Entry'}</h2>
           <form onSubmit={handleSubmit} className="space-y-6">
             <div>
               <label className="block text-slate-300 mb-2">Title (optional)</label>
@@ -3575,7 +11617,7 @@ const Journal = () => {
               type="submit"
               className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
             >
-              Save Entry
+              {editingId ? 'Update Entry' : 'Save Entry'}
             </button>
           </form>
         </div>
@@ -3595,7 +11637,7 @@ const Journal = () => {
             const moodItem = MOOD_SCALE.find(i => i.value === entry.mood_rating);
 
             return (
-              <div key={entry.id} className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+              <div key={entry.id} id={recordElementId('journalEntries', entry.id)} className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
                 <div className="flex justify-between items-start mb-4">
                   <div>
                     {entry.title && (
@@ -3603,12 +11645,20 @@ const Journal = () => {
                     )}
                     <p className="text-slate-400 text-sm">{formatDateTime(entry.date)}</p>
                   </div>
-                  <button
-                    onClick={() => handleDelete(entry.id)}
-                    className="text-red-400 hover:text-red-300"
-                  >
-                    <Trash2 size={18} />
-                  </button>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handleEdit(entry)}
+                      className="text-amber-400 hover:text-amber-300"
+                    >
+                      <Edit2 size={18} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(entry.id)}
+                      className="text-red-400 hover:text-red-300"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </div>
                 </div>
 
                 <p className="text-slate-200 whitespace-pre-wrap mb-4">{entry.content}</p>
@@ -3633,6 +11683,7 @@ const Journal = () => {
                     </p>
                   </div>
                 </div>
+                <EditHistory record={entry} />
               </div>
             );
           })
@@ -3646,52 +11697,58 @@ const Journal = () => {
 // RESOURCES
 // ============================================================================
 
+const EMPTY_RESOURCE = {
+  title: '',
+  url: '',
+  category: 'EI & PS'
+};
+
 const Resources = () => {
   const { data, setData } = useApp();
-  const [formData, setFormData] = useState({
-    title: '',
-    url: '',
-    category: 'EI & PS'
-  });
+  const [formData, setFormData] = useState(EMPTY_RESOURCE);
+  const [editingId, setEditingId] = useState(null);
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(EMPTY_RESOURCE);
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!formData.title.trim() || !formData.url.trim()) return;
 
-    const newResource = {
-      id: Date.now(),
-      ...formData,
-      favorite: false,
-      createdAt: new Date().toISOString()
-    };
+    if (editingId) {
+      setData(updateRecord(data, 'resources', editingId, formData));
+    } else {
+      const newResource = {
+        id: Date.now(),
+        ...formData,
+        favorite: false,
+        createdAt: new Date().toISOString()
+      };
 
-    setData({
-      ...data,
-      resources: [...data.resources, newResource]
-    });
+      setData({
+        ...data,
+        resources: [...data.resources, newResource]
+      });
+    }
 
-    setFormData({
-      title: '',
-      url: '',
-      category: 'EI & PS'
-    });
+    resetForm();
   };
 
-  const toggleFavorite = (id) => {
-    setData({
-      ...data,
-      resources: data.resources.map(resource =>
-        resource.id === id ? { ...resource, favorite: !resource.favorite } : resource
-      )
-    });
+  const handleEdit = (resource) => {
+    setEditingId(resource.id);
+    setFormData(recordFormValues(resource, EMPTY_RESOURCE));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const toggleFavorite = (resource) => {
+    setData(updateRecord(data, 'resources', resource.id, { favorite: !resource.favorite }));
   };
 
   const handleDelete = (id) => {
-    if (window.confirm('Delete this resource?')) {
-      setData({
-        ...data,
-        resources: data.resources.filter(resource => resource.id !== id)
-      });
+    if (window.confirm('Move this resource to the trash?')) {
+      setData(moveToTrash(data, 'resources', id), { toast: 'Resource moved to trash' });
     }
   };
 
@@ -3706,7 +11763,7 @@ const Resources = () => {
       </div>
 
       <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
-        <h2 className="text-xl font-semibold text-slate-200 mb-4">Add New Resource</h2>
+        <h2 className="text-xl font-semibold text-slate-200 mb-4">{editingId ? 'Edit Resource' : 'Add New Resource'}</h2>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div className="grid md:grid-cols-3 gap-4">
             <div className="md:col-span-2">
@@ -3743,12 +11800,23 @@ const Resources = () => {
               />
             </div>
           </div>
-          <button
-            type="submit"
-            className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
-          >
-            Add Resource
-          </button>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="bg-amber-600 text-slate-900 px-6 py-2 rounded-lg hover:bg-amber-500 font-semibold shadow-lg transition-all"
+            >
+              {editingId ? 'Update Resource' : 'Add Resource'}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="bg-slate-700 text-slate-300 px-6 py-2 rounded-lg hover:bg-slate-600 transition-all"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
         </form>
       </div>
 
@@ -3760,7 +11828,7 @@ const Resources = () => {
           </h2>
           <div className="space-y-3">
             {favorites.map(resource => (
-              <div key={resource.id} className="bg-slate-900/50 p-4 rounded-lg border border-amber-600/30">
+              <div key={resource.id} id={recordElementId('resources', resource.id)} className="bg-slate-900/50 p-4 rounded-lg border border-amber-600/30">
                 <div className="flex justify-between items-start">
                   <div className="flex-1">
                     <a
@@ -3775,11 +11843,17 @@ const Resources = () => {
                   </div>
                   <div className="flex space-x-2">
                     <button
-                      onClick={() => toggleFavorite(resource.id)}
+                      onClick={() => toggleFavorite(resource)}
                       className="text-amber-400 hover:text-amber-300"
                     >
                       <Star size={18} className="fill-amber-400" />
                     </button>
+                    <button
+                      onClick={() => handleEdit(resource)}
+                      className="text-amber-400 hover:text-amber-300"
+                    >
+                      <Edit2 size={18} />
+                    </button>
                     <button
                       onClick={() => handleDelete(resource.id)}
                       className="text-red-400 hover:text-red-300"
@@ -3803,7 +11877,7 @@ const Resources = () => {
             <h2 className="text-xl font-semibold text-slate-200 mb-4">{category}</h2>
             <div className="space-y-3">
               {categoryResources.map(resource => (
-                <div key={resource.id} className="bg-slate-900/50 p-4 rounded-lg">
+                <div key={resource.id} id={recordElementId('resources', resource.id)} className="bg-slate-900/50 p-4 rounded-lg">
                   <div className="flex justify-between items-start">
                     <div className="flex-1">
                       <a
@@ -3817,11 +11891,17 @@ const Resources = () => {
                     </div>
                     <div className="flex space-x-2">
                       <button
-                        onClick={() => toggleFavorite(resource.id)}
+                        onClick={() => toggleFavorite(resource)}
                         className="text-slate-400 hover:text-amber-400"
                       >
                         <Star size={18} />
                       </button>
+                      <button
+                        onClick={() => handleEdit(resource)}
+                        className="text-amber-400 hover:text-amber-300"
+                      >
+                        <Edit2 size={18} />
+                      </button>
                       <button
                         onClick={() => handleDelete(resource.id)}
                         className="text-red-400 hover:text-red-300"
@@ -3840,8 +11920,166 @@ const Resources = () => {
   );
 };
 
+// ============================================================================
+// TRASH VIEW
+// ============================================================================
+
+const Trash = () => {
+  const { data, setData } = useApp();
+  const retentionDays = data.settings.trashRetentionDays;
+
+  const handleRestore = (entry) => {
+    setData(restoreFromTrash(data, entry.id), {
+      toast: `${getRecordTitle(entry.collection, entry.item)} restored`
+    });
+  };
+
+  const handlePurge = (entry) => {
+    if (window.confirm('Permanently delete this item? It cannot be restored from the trash.')) {
+      setData(purgeFromTrash(data, entry.id));
+    }
+  };
+
+  const handleEmpty = () => {
+    if (window.confirm('Permanently delete everything in the trash?')) {
+      setData({ ...data, trash: [] });
+    }
+  };
+
+  const handleRetentionChange = (value) => {
+    setData(purgeExpiredTrash({
+      ...data,
+      settings: { ...data.settings, trashRetentionDays: value ? parseInt(value) : null }
+    }));
+  };
+
+  const purgeDate = (entry) => {
+    const date = new Date(entry.deletedAt);
+    date.setDate(date.getDate() + retentionDays);
+    return date.toISOString();
+  };
+
+  const sortedEntries = [...data.trash].sort((a, b) =>
+    new Date(b.deletedAt) - new Date(a.deletedAt)
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-slate-800/50 backdrop-blur p-6 rounded-xl border border-amber-900/20">
+        <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+          <div>
+            <h1 className="text-3xl font-serif text-amber-300 mb-2">Trash</h1>
+            <p className="text-slate-400">Restore deleted items or remove them for good</p>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="text-slate-300 text-sm">Keep deleted items for</label>
+            <select
+              value={retentionDays || ''}
+              onChange={(e) => handleRetentionChange(e.target.value)}
+              className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-slate-100 text-sm focus:border-amber-500 focus:outline-none"
+            >
+              <option value="7">7 days</option>
+              <option value="14">14 days</option>
+              <option value="30">30 days</option>
+              <option value="90">90 days</option>
+              <option value="">Forever</option>
+            </select>
+            {data.trash.length > 0 && (
+              <button
+                onClick={handleEmpty}
+                className="bg-red-900/50 text-red-300 px-4 py-2 rounded-lg hover:bg-red-900/70 font-semibold transition-all"
+              >
+                Empty Trash
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {sortedEntries.length === 0 ? (
+        <div className="bg-slate-800/50 backdrop-blur p-12 rounded-xl border border-amber-900/20 text-center">
+          <Trash2 className="mx-auto mb-4 text-amber-400" size={48} />
+          <p className="text-slate-400 text-lg">The trash is empty</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {sortedEntries.map(entry => (
+            <div key={entry.id} className="bg-slate-800/50 backdrop-blur p-4 rounded-xl border border-amber-900/20">
+              <div className="flex justify-between items-start gap-4">
+                <div className="flex-1">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <span className="text-xs px-2 py-1 rounded bg-slate-700 text-slate-300">
+                      {COLLECTION_LABELS[entry.collection]}
+                    </span>
+                    <h3 className="text-slate-100 font-semibold">{getRecordTitle(entry.collection, entry.item)}</h3>
+                  </div>
+                  <p className="text-slate-400 text-sm">
+                    Deleted {formatDateTime(entry.deletedAt)}
+                    {retentionDays && ` • Removed permanently after ${formatDate(purgeDate(entry))}`}
+                  </p>
+                  {entry.related.length > 0 && (
+                    <p className="text-slate-400 text-sm">
+                      Includes {entry.related.length} related record(s), restored together
+                    </p>
+                  )}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleRestore(entry)}
+                    className="flex items-center space-x-1 text-amber-400 hover:text-amber-300"
+                  >
+                    <RotateCcw size={18} />
+                    <span>Restore</span>
+                  </button>
+                  <button
+                    onClick={() => handlePurge(entry)}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // ============================================================================
 // EXPORT
 // ============================================================================
 
-export default App;
\ No newline at end of file
+export default App;
+
+// Pure data helpers, exported for the unit tests in App.test.js
+export {
+  SCHEMA_VERSION,
+  createDefaultData,
+  migrateData,
+  parseBackup,
+  mergeData,
+  migrateLegacyStorage,
+  openBaseStorage,
+  moveToTrash,
+  restoreFromTrash,
+  purgeExpiredTrash,
+  createSaveQueue,
+  mergeRemoteChanges,
+  getRouteRole,
+  searchData,
+  matchPeople,
+  shareRecordPerson,
+  propagatePerson,
+  attendanceFromText,
+  todayStamp,
+  getProductionScenes,
+  timesOverlap,
+  getMemberConflicts,
+  getRecordTitle,
+  buildReportDocument,
+  renderPdf,
+  withStoredNoteStatuses,
+  parseMoney
+};
\ No newline at end of file
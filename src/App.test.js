@@ -0,0 +1,569 @@
+import {
+  SCHEMA_VERSION,
+  migrateData,
+  createDefaultData,
+  parseBackup,
+  mergeData,
+  migrateLegacyStorage,
+  openBaseStorage,
+  moveToTrash,
+  restoreFromTrash,
+  purgeExpiredTrash,
+  createSaveQueue,
+  mergeRemoteChanges,
+  getRouteRole,
+  searchData,
+  matchPeople,
+  shareRecordPerson,
+  propagatePerson,
+  attendanceFromText,
+  todayStamp,
+  getProductionScenes,
+  timesOverlap,
+  getMemberConflicts,
+  getRecordTitle,
+  buildReportDocument,
+  renderPdf,
+  withStoredNoteStatuses,
+  parseMoney
+} from './App';
+
+// Data as it was saved at `version`
+const savedAt = (version, collections = {}) => ({ schemaVersion: version, settings: {}, ...collections });
+
+const workspace = (collections = {}) => ({ ...createDefaultData(), ...collections });
+
+// Runs `fn` with the local time zone set to `zone`
+const inTimeZone = (zone, fn) => {
+  const previous = process.env.TZ;
+  process.env.TZ = zone;
+  try {
+    fn();
+  } finally {
+    if (previous === undefined) delete process.env.TZ;
+    else process.env.TZ = previous;
+  }
+};
+
+const readBlob = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsBinaryString(blob);
+});
+
+describe('migrateData', () => {
+  test('brings unversioned data up to the current schema and fills in missing collections', () => {
+    const data = migrateData({ employees: [{ id: 1, name: 'Ann' }] });
+    expect(data.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(data.milestones).toEqual([]);
+    expect(data.settings.trashRetentionDays).toBe(30);
+  });
+
+  test('refuses data saved by a newer release instead of downgrading it', () => {
+    expect(() => migrateData(savedAt(SCHEMA_VERSION + 1))).toThrow('newer version');
+    const { data, errors } = parseBackup(JSON.stringify(savedAt(SCHEMA_VERSION + 1, { todos: [] })));
+    expect(data).toBeNull();
+    expect(errors[0]).toMatch('newer version');
+  });
+
+  test('v1 gives custom roles and groups their nested lists', () => {
+    const data = migrateData(savedAt(0, { customRoles: [{ id: 'custom_1', name: 'Board' }], employeeGroups: [{ id: 1, name: 'Crew' }] }));
+    expect(data.customRoles[0].features).toEqual([]);
+    expect(data.employeeGroups[0].members).toEqual([]);
+  });
+
+  test('v2 adds the trash without overriding a chosen retention period', () => {
+    const data = migrateData(savedAt(1, { settings: { trashRetentionDays: 7 } }));
+    expect(data.trash).toEqual([]);
+    expect(data.settings.trashRetentionDays).toBe(7);
+  });
+
+  test('v3 shares records with the roles that could already see them', () => {
+    const data = migrateData(savedAt(2, {
+      customRoles: [{ id: 'custom_1', name: 'Board', features: ['employees'] }],
+      employees: [{ id: 1, name: 'Ann' }],
+      todos: [{ id: 2, text: 'Call', roles: ['ED'] }]
+    }));
+    expect(data.employees[0].roles).toEqual(['ED', 'custom_1']);
+    expect(data.todos[0].roles).toEqual(['ED']);
+  });
+
+  test('v4 links records to people without creating anyone from typed attendee names', () => {
+    const data = migrateData(savedAt(3, {
+      employees: [{ id: 1, name: 'Ann Lee', email: 'ann@example.org' }],
+      contacts: [{ id: 2, name: 'Ann Lee', email: 'ANN@example.org' }],
+      castCrew: [{ id: 3, name: 'Bo', contact: '555-1234' }],
+      meetings: [{ id: 4, title: 'Board', attendees: 'ann lee, Anne Typo' }]
+    }));
+    const [ann, bo] = data.people;
+    expect(data.people).toHaveLength(2);
+    expect(data.employees[0].personId).toBe(ann.id);
+    expect(data.contacts[0].personId).toBe(ann.id);
+    expect(bo.phone).toBe('555-1234');
+    expect(data.meetings[0].attendeeIds).toEqual([ann.id]);
+    expect(data.meetings[0].attendees).toBe('Anne Typo');
+  });
+
+  test('v5 matches report production names to productions, creating each unknown show once', () => {
+    const data = migrateData(savedAt(4, {
+      productions: [{ id: 1, title: 'The Tempest' }],
+      rehearsalReports: [
+        { id: 1, date: '2024-01-01', production: 'tempest!' },
+        { id: 2, date: '2024-01-02', production: 'Hamlet' },
+        { id: 3, date: '2024-01-03', production: 'Hamlet' }
+      ]
+    }));
+    expect(data.rehearsalReports[0].productionId).toBe(1);
+    expect(data.productions.map(p => p.title)).toEqual(['The Tempest', 'Hamlet']);
+    expect(data.rehearsalReports[1].productionId).toBe(data.productions[1].id);
+    expect(data.rehearsalReports[2].productionId).toBe(data.productions[1].id);
+  });
+
+  test('v6 adds the rehearsal schedule', () => {
+    expect(migrateData(savedAt(5)).rehearsalSchedule).toEqual([]);
+  });
+
+  test('v7 adds characters and scenes', () => {
+    const data = migrateData(savedAt(6));
+    expect(data.characters).toEqual([]);
+    expect(data.scenes).toEqual([]);
+  });
+
+  test('v8 adds cast/crew conflicts and a rehearsal type', () => {
+    const data = migrateData(savedAt(7, {
+      castCrew: [{ id: 1, name: 'Bo' }],
+      rehearsalSchedule: [{ id: 2, date: '2024-01-01', calls: [] }]
+    }));
+    expect(data.castCrew[0].conflicts).toEqual([]);
+    expect(data.rehearsalSchedule[0].type).toBe('Rehearsal');
+  });
+
+  test('v9 imports report safety text as resolved incidents and skips "nothing happened" answers', () => {
+    const answers = ['None', 'N/A', 'no', ' none. ', '-', 'Nothing to report', 'Actor tripped on the stage stairs'];
+    const data = migrateData(savedAt(8, {
+      rehearsalReports: answers.map((safetyIncidents, i) => ({ id: i + 1, date: '2024-01-01', safetyIncidents }))
+    }));
+    expect(data.incidents).toHaveLength(1);
+    expect(data.incidents[0]).toMatchObject({ reportId: 7, description: 'Actor tripped on the stage stairs', resolved: true });
+    expect(data.rehearsalReports.some(report => 'safetyIncidents' in report)).toBe(false);
+  });
+
+  test('v10 gives reports an empty list of department notes', () => {
+    const data = migrateData(savedAt(9, { rehearsalReports: [{ id: 1, date: '2024-01-01' }] }));
+    expect(data.rehearsalReports[0].departmentNotes).toEqual([]);
+  });
+
+  test('v11 turns free-text project budgets into a General category, keeping the text', () => {
+    const data = migrateData(savedAt(10, {
+      projectEvents: [
+        { id: 1, title: 'Gala', budget: 'FY2024: $8,000' },
+        { id: 2, title: 'Tour', budget: '5k-10k' },
+        { id: 3, title: 'Talk', budget: '' }
+      ]
+    }));
+    const [gala, tour] = data.budgetCategories;
+    expect(data.budgetCategories).toHaveLength(2);
+    expect(gala).toMatchObject({ projectId: 1, name: 'General', budgeted: 8000 });
+    expect(gala.notes).toContain('FY2024: $8,000');
+    expect(tour.budgeted).toBe(0);
+    expect(tour.notes).toContain('please check');
+    expect(data.projectEvents.some(project => 'budget' in project)).toBe(false);
+  });
+
+  test('v12 turns each line of project milestone text into a milestone record', () => {
+    const data = migrateData(savedAt(11, {
+      projectEvents: [{ id: 7, title: 'Gala', milestones: '- Book venue 2024-05-01\n2. Send invites\n\n' }]
+    }));
+    expect(data.milestones.map(m => [m.projectId, m.title, m.dueDate])).toEqual([
+      [7, 'Book venue 2024-05-01', '2024-05-01'],
+      [7, 'Send invites', '']
+    ]);
+    expect('milestones' in data.projectEvents[0]).toBe(false);
+  });
+
+  test('v13 stops saving the selected role, which now follows the route', () => {
+    const data = migrateData(savedAt(12, { activeRole: 'custom_1' }));
+    expect('activeRole' in data).toBe(false);
+  });
+});
+
+describe('mergeData', () => {
+  test('gives imported records with a taken id a fresh one and rewrites references to it', () => {
+    const current = workspace({ productions: [{ id: 1, title: 'Hamlet' }] });
+    const incoming = workspace({
+      productions: [{ id: 1, title: 'Macbeth' }],
+      castCrew: [{ id: 5, productionId: 1, name: 'Bo' }]
+    });
+    const { data, summary } = mergeData(current, incoming);
+    const macbeth = data.productions.find(p => p.title === 'Macbeth');
+    expect(macbeth.id).not.toBe(1);
+    expect(data.castCrew[0].productionId).toBe(macbeth.id);
+    expect(summary.reassigned).toBeGreaterThan(0);
+  });
+
+  test('a partial backup adds only what it contains', () => {
+    const current = workspace();
+    const { data: backup } = parseBackup(JSON.stringify({ todos: [{ id: 1, text: 'Call' }] }));
+    expect(backup.resources).toEqual([]);
+
+    const { data } = mergeData(current, backup);
+    expect(data.resources).toEqual(current.resources);
+    expect(data.todos.map(t => t.text)).toEqual(['Call']);
+  });
+
+  test('gives trashed records a fresh id when it is taken, along with their references', () => {
+    const current = workspace({ productions: [{ id: 1, title: 'Hamlet' }] });
+    const incoming = workspace({
+      trash: [{
+        id: 5,
+        collection: 'productions',
+        item: { id: 1, title: 'Macbeth' },
+        related: [{ collection: 'castCrew', item: { id: 2, productionId: 1, name: 'Bo' } }],
+        deletedAt: '2024-01-01T00:00:00.000Z'
+      }]
+    });
+    const { data } = mergeData(current, incoming);
+    const [entry] = data.trash;
+    expect(entry.item.id).not.toBe(1);
+    expect(entry.related[0].item.productionId).toBe(entry.item.id);
+
+    const restored = restoreFromTrash(data, entry.id);
+    expect(restored.productions.map(p => p.title)).toEqual(['Hamlet', 'Macbeth']);
+  });
+});
+
+describe('IndexedDB storage', () => {
+  let stored;
+  beforeEach(() => {
+    stored = new Map();
+    window.storage = {
+      get: async key => (stored.has(key) ? stored.get(key) : null),
+      set: async (key, value) => { stored.set(key, value); },
+      remove: async key => { stored.delete(key); }
+    };
+  });
+  afterEach(() => {
+    delete window.storage;
+    delete window.indexedDB;
+  });
+
+  const memoryAdapter = () => {
+    const markers = {};
+    let saved = null;
+    return {
+      getMarker: async key => markers[key] || null,
+      setMarker: async (key, value) => { markers[key] = value; },
+      load: async () => saved,
+      save: async data => { saved = data; }
+    };
+  };
+
+  test('copies the localStorage workspace across once, then removes the old copy', async () => {
+    stored.set('ami_data', JSON.stringify({ schemaVersion: 0, todos: [{ id: 1, text: 'Call' }] }));
+    const adapter = memoryAdapter();
+    await migrateLegacyStorage(adapter, 'ami_data');
+
+    expect((await adapter.load()).todos.map(todo => todo.text)).toEqual(['Call']);
+    expect(stored.has('ami_data')).toBe(false);
+    expect(stored.has('ami_data_in_indexeddb')).toBe(true);
+  });
+
+  test('keeps the old copy when the IndexedDB copy does not read back whole', async () => {
+    stored.set('ami_data', JSON.stringify({ schemaVersion: 0, todos: [{ id: 1, text: 'Call' }] }));
+    const adapter = { ...memoryAdapter(), load: async () => null };
+    await expect(migrateLegacyStorage(adapter, 'ami_data')).rejects.toThrow();
+    expect(stored.has('ami_data')).toBe(true);
+  });
+
+  test('an IndexedDB failure only falls back to localStorage if the data never moved', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.indexedDB = { open: () => { throw new Error('broken'); } };
+    expect((await openBaseStorage('default')).kind).toBe('localstorage');
+
+    stored.set('ami_data_in_indexeddb', '2024-01-01T00:00:00.000Z');
+    await expect(openBaseStorage('default')).rejects.toThrow('could not be read');
+    console.error.mockRestore();
+  });
+});
+
+describe('trash', () => {
+  test('a production takes its reports and incidents with it, and brings them back on restore', () => {
+    const data = workspace({
+      productions: [{ id: 1, title: 'Hamlet' }],
+      rehearsalReports: [{ id: 2, productionId: 1 }, { id: 3, productionId: 9 }],
+      incidents: [{ id: 4, productionId: 1, reportId: 2, involvedIds: [] }]
+    });
+    const trashed = moveToTrash(data, 'productions', 1);
+    expect(trashed.rehearsalReports.map(r => r.id)).toEqual([3]);
+    expect(trashed.incidents).toEqual([]);
+
+    const restored = restoreFromTrash(trashed, trashed.trash[0].id);
+    expect(restored.rehearsalReports.map(r => r.id).sort()).toEqual([2, 3]);
+    expect(restored.incidents).toHaveLength(1);
+  });
+
+  test('deletes in the same millisecond get their own trash entries', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    const data = workspace({ todos: [{ id: 1, text: 'A' }, { id: 2, text: 'B' }] });
+    const trashed = moveToTrash(moveToTrash(data, 'todos', 1), 'todos', 2);
+    Date.now.mockRestore();
+
+    const [first, second] = trashed.trash;
+    expect(first.id).not.toBe(second.id);
+    expect(restoreFromTrash(trashed, first.id).todos.map(t => t.id)).toEqual([1]);
+  });
+
+  test('purgeExpiredTrash drops entries past the retention period', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const data = workspace({
+      trash: [
+        { id: 1, deletedAt: new Date(Date.now() - 40 * day).toISOString() },
+        { id: 2, deletedAt: new Date(Date.now() - day).toISOString() }
+      ]
+    });
+    expect(purgeExpiredTrash(data).trash.map(e => e.id)).toEqual([2]);
+
+    const keepForever = { ...data, settings: { ...data.settings, trashRetentionDays: null } };
+    expect(purgeExpiredTrash(keepForever)).toBe(keepForever);
+  });
+});
+
+describe('createSaveQueue', () => {
+  test('stop waits for the write in flight and nothing is written again until resume', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    let fail = true;
+    const storage = {
+      save: jest.fn(async () => {
+        if (fail) throw new Error('Storage is full');
+      })
+    };
+    const statuses = [];
+    const queue = createSaveQueue(storage, { v: 0 }, status => statuses.push(status.state));
+
+    queue.enqueue({ v: 1 });
+    await queue.stop();
+    queue.enqueue({ v: 2 });
+    expect(storage.save).toHaveBeenCalledTimes(1);
+    expect(statuses).toEqual(['saving', 'failed']);
+
+    fail = false;
+    queue.resume();
+    await queue.stop();
+    expect(storage.save).toHaveBeenCalledTimes(2);
+    expect(storage.save).toHaveBeenLastCalledWith({ v: 2 }, { v: 0 });
+    expect(statuses[statuses.length - 1]).toBe('saved');
+    console.error.mockRestore();
+  });
+});
+
+describe('mergeRemoteChanges', () => {
+  const base = workspace({ todos: [{ id: 1, text: 'A' }, { id: 2, text: 'B' }, { id: 3, text: 'C' }] });
+
+  test('keeps edits each tab made to different records, including deletions and additions', () => {
+    const local = { ...base, todos: [{ id: 1, text: 'A (ours)' }, { id: 2, text: 'B' }, { id: 3, text: 'C' }] };
+    const remote = { ...base, todos: [{ id: 1, text: 'A' }, { id: 2, text: 'B (theirs)' }, { id: 4, text: 'D' }] };
+    const { data, conflicts } = mergeRemoteChanges(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(data.todos.map(t => t.text)).toEqual(['A (ours)', 'B (theirs)', 'D']);
+  });
+
+  test('reports records both tabs changed, keeping ours until resolved', () => {
+    const local = { ...base, todos: [{ id: 1, text: 'ours' }, ...base.todos.slice(1)] };
+    const remote = { ...base, todos: [{ id: 1, text: 'theirs' }, ...base.todos.slice(1)] };
+    const { data, conflicts } = mergeRemoteChanges(base, local, remote);
+    expect(data.todos[0].text).toBe('ours');
+    expect(conflicts).toEqual([{ collection: 'todos', id: 1, local: local.todos[0], remote: remote.todos[0] }]);
+  });
+});
+describe('getRouteRole', () => {
+  const data = { customRoles: [{ id: 'custom_1', name: 'Board' }] };
+
+  test('selects the role a route belongs to', () => {
+    expect(getRouteRole(data, ['play', 'reports'])).toBe('Play');
+    expect(getRouteRole(data, ['custom', 'custom_1'])).toBe('custom_1');
+  });
+
+  test('leaves the role alone on shared views and unknown custom roles', () => {
+    expect(getRouteRole(data, ['dashboard'])).toBeNull();
+    expect(getRouteRole(data, ['custom', 'custom_9'])).toBeNull();
+  });
+});
+
+
+describe('searchData', () => {
+  test('ranks title matches first and searches fields inside lists', () => {
+    const data = workspace({
+      todos: [{ id: 1, text: 'Order lumber' }],
+      meetings: [{ id: 2, title: 'Build crew', agenda: 'Lumber delivery' }],
+      rehearsalReports: [{ id: 3, date: '2024-01-01', production: 'Hamlet', departmentNotes: [{ id: 1, text: 'Sword needs sharpening' }] }]
+    });
+    expect(searchData(data, 'lumber').map(group => group.collection)).toEqual(['todos', 'meetings']);
+    expect(searchData(data, 'sword')[0].results[0].record.id).toBe(3);
+  });
+});
+
+describe('people', () => {
+  const people = [{ id: 1, name: 'Ann Lee', email: 'ann@example.org', phone: '' }];
+
+  test('matchPeople links known names and leaves the rest as text', () => {
+    expect(matchPeople(people, 'ann lee; Zed\nAnn Lee')).toEqual({ ids: [1], unmatched: 'Zed' });
+  });
+
+  test('edits to a linked record reach the person and every other record linked to them', () => {
+    const data = workspace({
+      people,
+      employees: [{ id: 2, name: 'Ann Lee', email: 'ann@example.org', personId: 1 }],
+      contacts: [{ id: 3, name: 'Ann Lee', email: 'ann@example.org', personId: 1 }]
+    });
+    const previous = data.employees[0];
+    const edited = { ...data, employees: [{ ...previous, name: 'Ann Smith', email: 'ann@smith.org' }] };
+    const shared = shareRecordPerson(edited, 'employees', 2, previous);
+    expect(shared.people[0]).toMatchObject({ name: 'Ann Smith', email: 'ann@smith.org' });
+    expect(shared.contacts[0]).toMatchObject({ name: 'Ann Smith', email: 'ann@smith.org' });
+
+    const renamed = propagatePerson({ ...shared, people: [{ ...shared.people[0], name: 'Ann S.' }] }, 1);
+    expect(renamed.employees[0].name).toBe('Ann S.');
+    expect(renamed.contacts[0].name).toBe('Ann S.');
+  });
+
+  test('a new record takes the details it was not given from its person', () => {
+    const data = workspace({ people, employees: [{ id: 2, name: 'Ann Lee', email: '', personId: 1 }] });
+    const shared = shareRecordPerson(data, 'employees', 2, null);
+    expect(shared.people[0].email).toBe('ann@example.org');
+    expect(shared.employees[0].email).toBe('ann@example.org');
+  });
+});
+
+describe('attendanceFromText', () => {
+  const data = {
+    castCrew: [
+      { id: 1, productionId: 7, name: 'Ann Lee' },
+      { id: 2, productionId: 7, name: 'Bo Park' },
+      { id: 3, productionId: 7, name: 'Cy Ono' }
+    ]
+  };
+
+  test('marks only the people an older report names, keeping absentees absent', () => {
+    expect(attendanceFromText(data, 7, 'Ann Lee, Guest Artist', 'bo park')).toEqual({
+      attendance: [{ castCrewId: 1, status: 'present' }, { castCrewId: 2, status: 'unexcused' }],
+      attendees: 'Guest Artist',
+      absentees: ''
+    });
+  });
+
+  test('starts everyone present when the text names no one', () => {
+    expect(attendanceFromText(data, 7, '', '').attendance.map(entry => entry.status)).toEqual(['present', 'present', 'present']);
+  });
+});
+
+describe('todayStamp', () => {
+  test('todayStamp is the local date', () => {
+    const now = new Date();
+    const local = [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+    expect(todayStamp()).toBe(local);
+  });
+});
+
+describe('getProductionScenes', () => {
+  test('getProductionScenes lists scenes by act, then scene number', () => {
+    const data = workspace({
+      scenes: [
+        { id: 1, productionId: 1, act: '1', number: '3', title: 'c' },
+        { id: 2, productionId: 1, act: '2', number: '1', title: 'd' },
+        { id: 3, productionId: 1, act: '1', number: '10', title: 'e' },
+        { id: 4, productionId: 1, act: '1', number: '2', title: 'b' }
+      ]
+    });
+    expect(getProductionScenes(data, 1).map(scene => scene.title)).toEqual(['b', 'c', 'e', 'd']);
+  });
+});
+
+describe('availability', () => {
+  test('timesOverlap treats missing times as all day and late ends as past midnight', () => {
+    expect(timesOverlap('18:00', '20:00', '19:00', '22:00')).toBe(true);
+    expect(timesOverlap('18:00', '20:00', '20:00', '22:00')).toBe(false);
+    expect(timesOverlap('', '', '09:00', '10:00')).toBe(true);
+    expect(timesOverlap('22:00', '01:00', '23:00', '')).toBe(true);
+  });
+
+  test('getMemberConflicts matches date ranges and weekly conflicts', () => {
+    const member = {
+      conflicts: [
+        { id: 1, type: 'date', date: '2024-03-01', endDate: '2024-03-03', startTime: '', endTime: '' },
+        // 2024-03-04 is a Monday
+        { id: 2, type: 'weekly', weekday: 1, startTime: '18:00', endTime: '21:00' }
+      ]
+    };
+    expect(getMemberConflicts(member, '2024-03-02', '19:00', '22:00').map(c => c.id)).toEqual([1]);
+    expect(getMemberConflicts(member, '2024-03-04', '19:00', '22:00').map(c => c.id)).toEqual([2]);
+    expect(getMemberConflicts(member, '2024-03-04', '10:00', '12:00')).toEqual([]);
+  });
+});
+
+describe('getRecordTitle', () => {
+  test('dates an incident by the day it happened, even west of UTC', () => {
+    inTimeZone('America/Los_Angeles', () => {
+      expect(getRecordTitle('incidents', { severity: 'Minor', date: '2024-03-05' })).toBe('Minor incident – Tue, Mar 5, 2024');
+    });
+  });
+});
+
+describe('buildReportDocument', () => {
+  test('dates the report by its rehearsal day, even west of UTC', () => {
+    const data = workspace({ productions: [{ id: 1, title: 'Hamlet' }] });
+    const report = { id: 2, productionId: 1, date: '2024-03-05', morale: 4, departmentNotes: [] };
+    inTimeZone('America/Los_Angeles', () => {
+      expect(buildReportDocument(data, report).details[0]).toEqual(['Date', 'Tue, Mar 5, 2024']);
+    });
+  });
+});
+
+describe('renderPdf', () => {
+  test('writes a PDF whose cross-reference table points at each object', async () => {
+    const blocks = Array.from({ length: 80 }, (_, i) => ({ text: `Line ${i} – “quoted”`, size: 11 }));
+    const pdf = await readBlob(renderPdf([{ text: 'Report', size: 18, bold: true }, ...blocks]));
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toMatch(/\/Count 2 >>/);
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xref, xref + 4)).toBe('xref');
+    const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(entry => Number(entry.slice(0, 10)));
+    offsets.forEach((offset, i) => {
+      expect(pdf.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true);
+    });
+  });
+});
+
+describe('withStoredNoteStatuses', () => {
+  test('withStoredNoteStatuses keeps statuses changed outside the report form', () => {
+    const data = workspace({
+      rehearsalReports: [{ id: 1, departmentNotes: [{ id: 1, text: 'Fix door', status: 'resolved' }] }]
+    });
+    const notes = withStoredNoteStatuses(data, 1, [
+      { id: 1, text: 'Fix the door', status: 'open' },
+      { id: 2, text: 'New note', status: 'open' }
+    ]);
+    expect(notes).toEqual([
+      { id: 1, text: 'Fix the door', status: 'resolved' },
+      { id: 2, text: 'New note', status: 'open' }
+    ]);
+  });
+});
+
+describe('parseMoney', () => {
+  test.each([
+    ['$5,000', 5000],
+    ['12.5k', 12500],
+    ['$2.5M total', 2500000],
+    ['$1,500 materials', 1500],
+    ['2000 max', 2000],
+    ['FY2024: $8,000', 8000]
+  ])('reads %s as %d', (text, amount) => {
+    expect(parseMoney(text)).toBe(amount);
+  });
+
+  test('returns null when there is no amount or several equally likely ones', () => {
+    expect(parseMoney('TBD')).toBeNull();
+    expect(parseMoney('5k-10k')).toBeNull();
+  });
+});
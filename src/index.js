@@ -23,6 +23,15 @@ if (!window.storage) {
         console.error('Error writing to storage:', error);
         return Promise.reject(error);
       }
+    },
+    remove: (key) => {
+      try {
+        localStorage.removeItem(key);
+        return Promise.resolve();
+      } catch (error) {
+        console.error('Error removing from storage:', error);
+        return Promise.reject(error);
+      }
     }
   };
 }